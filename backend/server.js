@@ -4,9 +4,51 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import multer from 'multer';
-import { transcribeAudio, validateAudioFile } from './services/whisper.js';
+import { transcribeAudio, validateAudioFile, getMaxAudioSize, generateTimeline } from './services/whisper.js';
+import { assignSpeakers, labelWordSpeakers } from './services/diarization.js';
+import { buildTranscript, normalizeTranscript } from './services/transcript-model.js';
+import { importTranscript } from './services/transcript-importers.js';
+import { exportTranscript, TRANSCRIPT_EXPORT_FORMATS } from './services/transcript-export.js';
+import { analyzeLanguagePatterns } from './services/language-patterns.js';
+import {
+    listRubrics,
+    getRubric,
+    resolveRubric,
+    saveRubric,
+    deleteRubric,
+    validateRubric,
+    formatRubricForPrompt,
+    RUBRIC_MEASURES
+} from './services/rubrics.js';
+import { renderReport, resolveReportFormat, REPORT_FORMATS } from './services/report-export.js';
 import { analyzeTranscript, testDeepSeekConnection } from './services/ai-service.js';
+import { findInvalidSections } from './services/response-parser.js';
+import { runMentorPanel } from './services/mentor-panel.js';
+import { listMentors, getMentor } from './services/mentor-personalities.js';
+import { listInterviewTypes, getInterviewType } from './services/interview-types.js';
+import {
+    listQuestions,
+    getQuestion,
+    addQuestion,
+    importQuestions,
+    exportQuestions,
+    deleteQuestion
+} from './services/question-bank.js';
+import { startMockInterview, getMockInterview, answerMockQuestion, finishMockInterview } from './services/mock-interview.js';
 import { generateFollowupSuggestions } from './services/followup-service.js';
+import { describeProviders, checkProviderOverride } from './services/llm-providers.js';
+import { describeTranscriptionEngines } from './services/transcription-engines.js';
+import { enqueueJob, getJob, listJobs } from './services/job-queue.js';
+import { createUpload, getUpload, writeChunk, assembleUpload, deleteUpload } from './services/upload-store.js';
+import {
+    createSession,
+    listSessions,
+    getSession,
+    deleteSession,
+    recordTranscription,
+    recordAnalysis,
+    recordFollowups
+} from './services/session-store.js';
 
 dotenv.config();
 
@@ -25,7 +67,7 @@ app.use(express.static(path.resolve(__dirname, '../'))); // Serve frontend files
 const storage = multer.memoryStorage();
 const upload = multer({
     storage,
-    limits: { fileSize: 25 * 1024 * 1024 }, // 25MB
+    limits: { fileSize: getMaxAudioSize() }, // Audio over the engine limit is split into windows
     fileFilter: (req, file, cb) => {
         const allowedTypes = [
             'audio/mpeg', 'audio/mp3', 'audio/mp4', 'audio/wav', 'audio/webm', 'audio/m4a',
@@ -47,6 +89,59 @@ const upload = multer({
     }
 });
 
+// Caption and transcript exports (SRT, VTT, DOCX, TXT) are small text files
+const transcriptUpload = multer({
+    storage,
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+    fileFilter: (req, file, cb) => {
+        if (/\.(srt|vtt|docx|txt)$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error(`Unsupported transcript file: ${file.originalname}. Supported: SRT, VTT, DOCX, TXT`), false);
+        }
+    }
+});
+
+/**
+ * Rubric for an analysis: the requested one, else the session's choice, else the interview type's default
+ */
+async function selectRubric({ rubricId, sessionId, interviewType }) {
+    const session = !rubricId && sessionId ? await getSession(sessionId) : null;
+    return resolveRubric({ rubricId: rubricId || session?.rubricId, interviewType: interviewType || session?.interviewType });
+}
+
+/**
+ * Persist results to a session without failing the request if storage breaks
+ */
+async function saveToSession(sessionId, save) {
+    if (!sessionId) return;
+
+    try {
+        const session = await save(sessionId);
+        if (!session) {
+            console.warn(`⚠️ Session ${sessionId} not found, result not saved`);
+        }
+    } catch (error) {
+        console.error(`❌ Failed to save to session ${sessionId}:`, error.message);
+    }
+}
+
+/**
+ * Extract transcript text and enhanced data for frontend
+ */
+function formatTranscriptionResponse(result) {
+    return {
+        success: result.success,
+        transcript: result.success ? result.transcription.text : '',
+        timeline: result.success ? result.transcription.timeline : [],
+        entities: result.success ? result.transcription.entities : {},
+        segments: result.success ? result.transcription.segments : [],
+        words: result.success ? result.transcription.words : [],
+        structuredTranscript: result.success ? result.structuredTranscript : null,
+        metadata: result.metadata
+    };
+}
+
 // API Endpoints
 
 /**
@@ -76,20 +171,15 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
             return res.status(400).json({ error: validationError.message });
         }
 
-        const result = await transcribeAudio(req.file.buffer, req.file.originalname);
+        const result = await transcribeAudio(req.file.buffer, req.file.originalname, {
+            engine: req.body.engine
+        });
         
-        // Extract transcript text and enhanced data for frontend
-        const transcript = result.success ? result.transcription.text : '';
+        if (result.success) {
+            await saveToSession(req.body.sessionId, id => recordTranscription(id, result.structuredTranscript));
+        }
         
-        const responseData = {
-            success: result.success,
-            transcript: transcript,
-            timeline: result.success ? result.transcription.timeline : [],
-            entities: result.success ? result.transcription.entities : {},
-            segments: result.success ? result.transcription.segments : [],
-            words: result.success ? result.transcription.words : [],
-            metadata: result.metadata
-        };
+        const responseData = formatTranscriptionResponse(result);
         
         console.log('📤 Sending to frontend - Timeline length:', responseData.timeline.length);
         console.log('📤 Entities:', JSON.stringify(responseData.entities, null, 2));
@@ -105,6 +195,124 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
     }
 });
 
+/**
+ * Import a caption or transcript export (SRT, VTT, Zoom, Teams .docx/.vtt, Otter .txt)
+ * Returns the same shape as /api/transcribe; pass candidateName to say which speaker is the candidate
+ */
+app.post('/api/transcript/import', transcriptUpload.single('file'), async (req, res) => {
+    try {
+        console.log('📄 Transcript import request received');
+        
+        if (!req.file) {
+            return res.status(400).json({ error: 'No transcript file provided' });
+        }
+
+        let result;
+        try {
+            result = importTranscript(req.file.buffer, req.file.originalname, {
+                format: req.body.format || null,
+                candidateName: req.body.candidateName || null
+            });
+        } catch (parseError) {
+            console.error('❌ Transcript parsing failed:', parseError.message);
+            return res.status(400).json({ error: parseError.message });
+        }
+
+        await saveToSession(req.body.sessionId, id => recordTranscription(id, result.structuredTranscript));
+        res.json(formatTranscriptionResponse(result));
+
+    } catch (error) {
+        console.error('❌ Transcript import failed:', error);
+        res.status(500).json({
+            error: 'Transcript import failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Apply speaker corrections to a structured transcript and rebuild its turns, word labels and timeline
+ * Segments relabeled by the user or taken from imported captions keep their label
+ */
+app.post('/api/transcript/speakers', async (req, res) => {
+    try {
+        const { transcript, sessionId } = req.body;
+        const current = normalizeTranscript(transcript);
+        
+        if (!current || current.segments.length === 0) {
+            return res.status(400).json({ error: 'A transcript with timed segments is required' });
+        }
+
+        const segments = assignSpeakers(current.segments);
+        const words = labelWordSpeakers(current.words, segments);
+        const updated = buildTranscript({
+            ...current,
+            segments,
+            words,
+            timeline: generateTimeline(segments, words)
+        });
+        
+        await saveToSession(sessionId, id => recordTranscription(id, updated));
+        
+        res.json({ success: true, transcript: updated });
+    } catch (error) {
+        console.error('❌ Speaker correction failed:', error);
+        res.status(500).json({
+            error: 'Speaker correction failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Export a structured transcript as SRT or WebVTT captions, a WebVTT chapters track, or JSON
+ * Body: { transcript, format: 'srt'|'vtt'|'chapters'|'json', chapters: true, speakers: true }
+ * chapters marks chapter starts in WebVTT captions; SRT has no chapters, use format 'chapters' next to it
+ */
+app.post('/api/transcript/export', (req, res) => {
+    try {
+        const { transcript, format = 'vtt', chapters = true, speakers = true } = req.body;
+
+        if (!TRANSCRIPT_EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Unsupported export format: ${format}`, supported: TRANSCRIPT_EXPORT_FORMATS });
+        }
+
+        sendDownload(res, exportTranscript(transcript, { format, chapters, speakers }), 'interview-transcript');
+    } catch (error) {
+        if (error.code === 'INVALID_TRANSCRIPT') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('❌ Transcript export failed:', error);
+        res.status(500).json({
+            error: 'Transcript export failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Language patterns (hedging, I/we, passive voice, quantified claims) with spans for highlighting
+ * Body: { transcript } as a structured transcript, or { text } for a typed one
+ */
+app.post('/api/transcript/language', async (req, res) => {
+    try {
+        const { transcript, text, interviewType } = req.body;
+
+        if (!transcript && !text) {
+            return res.status(400).json({ error: 'No transcript provided' });
+        }
+
+        const patterns = analyzeLanguagePatterns(transcript || text, { type: await getInterviewType(interviewType) });
+        res.json({ success: true, patterns });
+    } catch (error) {
+        console.error('❌ Language analysis failed:', error);
+        res.status(500).json({
+            error: 'Language analysis failed',
+            details: error.message
+        });
+    }
+});
+
 /**
  * Analyze interview transcript with AI
  */
@@ -112,14 +320,24 @@ app.post('/api/analyze', async (req, res) => {
     try {
         console.log('🧠 Analysis request received');
         
-        const { transcript, mentor, interviewType } = req.body;
+        const { mentor, interviewType, sessionId, llm, structuredTranscript, rubricId } = req.body;
+        const transcript = req.body.transcript || structuredTranscript?.text;
         
         if (!transcript) {
             return res.status(400).json({ error: 'No transcript provided' });
         }
+        if (rubricId && !(await getRubric(rubricId))) {
+            return res.status(400).json({ error: `Unknown rubric: ${rubricId}` });
+        }
+        const providerError = checkProviderOverride(llm);
+        if (providerError) {
+            return res.status(400).json({ error: providerError });
+        }
 
         console.log(`📋 Mentor: ${mentor}, Interview Type: ${interviewType}`);
-        const result = await analyzeTranscript(transcript, mentor, interviewType);
+        const rubric = await selectRubric({ rubricId, sessionId, interviewType });
+        const result = await analyzeTranscript(transcript, mentor, interviewType, llm, { structuredTranscript, rubric });
+        await saveToSession(sessionId, id => recordAnalysis(id, { transcript, mentor, interviewType, rubricId: rubric?.id, result }));
         res.json(result);
 
     } catch (error) {
@@ -131,6 +349,157 @@ app.post('/api/analyze', async (req, res) => {
     }
 });
 
+/**
+ * Open a Server-Sent Events stream and return a send(event, data) function
+ */
+function openEventStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    return (event, data) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+/**
+ * Analyze interview transcript with AI, streaming progress and sections over SSE
+ */
+app.post('/api/analyze/stream', async (req, res) => {
+    const { mentor, interviewType, sessionId, llm, structuredTranscript, rubricId } = req.body;
+    const transcript = req.body.transcript || structuredTranscript?.text;
+    
+    if (!transcript) {
+        return res.status(400).json({ error: 'No transcript provided' });
+    }
+    try {
+        if (rubricId && !(await getRubric(rubricId))) {
+            return res.status(400).json({ error: `Unknown rubric: ${rubricId}` });
+        }
+    } catch (error) {
+        console.error('❌ Streaming analysis failed:', error);
+        return res.status(500).json({ error: 'Analysis failed', details: error.message });
+    }
+    const providerError = checkProviderOverride(llm);
+    if (providerError) {
+        return res.status(400).json({ error: providerError });
+    }
+
+    console.log(`🌊 Streaming analysis request - Mentor: ${mentor}, Interview Type: ${interviewType}`);
+    const send = openEventStream(res);
+
+    try {
+        const rubric = await selectRubric({ rubricId, sessionId, interviewType });
+        const result = await analyzeTranscript(transcript, mentor, interviewType, llm, {
+            structuredTranscript,
+            rubric,
+            onEvent: send
+        });
+        await saveToSession(sessionId, id => recordAnalysis(id, { transcript, mentor, interviewType, rubricId: rubric?.id, result }));
+        send('complete', result);
+    } catch (error) {
+        console.error('❌ Streaming analysis failed:', error);
+        send('error', {
+            error: 'Analysis failed',
+            details: error.message
+        });
+    } finally {
+        res.end();
+    }
+});
+
+/**
+ * Jedi Council: analyze with every mentor and return their agreements, disagreements and verdicts
+ * Each mentor's analysis is also recorded on the session, so it can be exported on its own.
+ */
+app.post('/api/analyze/panel', async (req, res) => {
+    try {
+        console.log('🏛️ Council analysis request received');
+
+        const { interviewType, sessionId, llm, structuredTranscript, rubricId } = req.body;
+        const transcript = req.body.transcript || structuredTranscript?.text;
+
+        if (!transcript) {
+            return res.status(400).json({ error: 'No transcript provided' });
+        }
+        if (rubricId && !(await getRubric(rubricId))) {
+            return res.status(400).json({ error: `Unknown rubric: ${rubricId}` });
+        }
+        const providerError = checkProviderOverride(llm);
+        if (providerError) {
+            return res.status(400).json({ error: providerError });
+        }
+
+        const rubric = await selectRubric({ rubricId, sessionId, interviewType });
+        const result = await runMentorPanel(transcript, interviewType, llm, { structuredTranscript, rubric });
+        await savePanelToSession(sessionId, result, { transcript, interviewType, rubricId: rubric?.id });
+        res.json(result);
+
+    } catch (error) {
+        console.error('❌ Council analysis failed:', error);
+        res.status(500).json({
+            error: 'Council analysis failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Jedi Council analysis over SSE: progress as each mentor finishes, then the comparison
+ */
+app.post('/api/analyze/panel/stream', async (req, res) => {
+    const { interviewType, sessionId, llm, structuredTranscript, rubricId } = req.body;
+    const transcript = req.body.transcript || structuredTranscript?.text;
+
+    if (!transcript) {
+        return res.status(400).json({ error: 'No transcript provided' });
+    }
+    try {
+        if (rubricId && !(await getRubric(rubricId))) {
+            return res.status(400).json({ error: `Unknown rubric: ${rubricId}` });
+        }
+    } catch (error) {
+        console.error('❌ Streaming council analysis failed:', error);
+        return res.status(500).json({ error: 'Council analysis failed', details: error.message });
+    }
+    const providerError = checkProviderOverride(llm);
+    if (providerError) {
+        return res.status(400).json({ error: providerError });
+    }
+
+    console.log(`🏛️ Streaming council analysis request - Interview Type: ${interviewType}`);
+    const send = openEventStream(res);
+
+    try {
+        const rubric = await selectRubric({ rubricId, sessionId, interviewType });
+        const result = await runMentorPanel(transcript, interviewType, llm, { structuredTranscript, rubric, onEvent: send });
+        await savePanelToSession(sessionId, result, { transcript, interviewType, rubricId: rubric?.id });
+        send('complete', result);
+    } catch (error) {
+        console.error('❌ Streaming council analysis failed:', error);
+        send('error', {
+            error: 'Council analysis failed',
+            details: error.message
+        });
+    } finally {
+        res.end();
+    }
+});
+
+async function savePanelToSession(sessionId, result, { transcript, interviewType, rubricId }) {
+    for (const [mentor, mentorResult] of Object.entries(result.analyses)) {
+        await saveToSession(sessionId, id => recordAnalysis(id, { transcript, mentor, interviewType, rubricId, result: mentorResult, panel: true }));
+    }
+}
+
 /**
  * Generate intelligent follow-up suggestions
  */
@@ -143,7 +512,9 @@ app.post('/api/followup', async (req, res) => {
             mentorResponse, 
             mentor, 
             interviewType,
-            conversationHistory 
+            conversationHistory,
+            sessionId,
+            llm
         } = req.body;
         
         if (!originalTranscript || !mentorResponse) {
@@ -151,6 +522,10 @@ app.post('/api/followup', async (req, res) => {
                 error: 'Missing required fields: originalTranscript and mentorResponse' 
             });
         }
+        const providerError = checkProviderOverride(llm);
+        if (providerError) {
+            return res.status(400).json({ error: providerError });
+        }
 
         console.log(`🎯 Generating follow-ups for ${mentor} - ${interviewType}`);
         
@@ -159,10 +534,12 @@ app.post('/api/followup', async (req, res) => {
             mentorResponse,
             mentor: mentor || 'yoda',
             interviewType: interviewType || 'behavioral',
-            conversationHistory: conversationHistory || []
+            conversationHistory: conversationHistory || [],
+            llm
         };
         
         const result = await generateFollowupSuggestions(conversationContext);
+        await saveToSession(sessionId, id => recordFollowups(id, result));
         
         console.log(`✅ Generated ${result.suggestions?.length || 0} follow-up suggestions`);
         res.json(result);
@@ -186,10 +563,16 @@ app.post('/api/complete', upload.single('audio'), async (req, res) => {
         if (!req.file) {
             return res.status(400).json({ error: 'No audio file provided' });
         }
+        const { sessionId, rubricId } = req.body;
+        if (rubricId && !(await getRubric(rubricId))) {
+            return res.status(400).json({ error: `Unknown rubric: ${rubricId}` });
+        }
 
         // Step 1: Transcribe
         console.log('Step 1: Transcribing audio...');
-        const transcriptionResult = await transcribeAudio(req.file.buffer, req.file.originalname);
+        const transcriptionResult = await transcribeAudio(req.file.buffer, req.file.originalname, {
+            engine: req.body.engine
+        });
         
         if (!transcriptionResult.success) {
             return res.status(500).json(transcriptionResult);
@@ -197,11 +580,23 @@ app.post('/api/complete', upload.single('audio'), async (req, res) => {
 
         // Step 2: Analyze
         console.log('Step 2: Analyzing transcript...');
-        const analysisResult = await analyzeTranscript(transcriptionResult.transcription.text);
+        const rubric = await selectRubric({ rubricId, sessionId });
+        const analysisResult = await analyzeTranscript(transcriptionResult.transcription.text, null, null, null, {
+            structuredTranscript: transcriptionResult.structuredTranscript,
+            rubric
+        });
+        
+        await saveToSession(sessionId, id => recordTranscription(id, transcriptionResult.structuredTranscript));
+        await saveToSession(sessionId, id => recordAnalysis(id, {
+            transcript: transcriptionResult.transcription.text,
+            rubricId: rubric?.id,
+            result: analysisResult
+        }));
         
         res.json({
             success: true,
             transcription: transcriptionResult.transcription,
+            structuredTranscript: transcriptionResult.structuredTranscript,
             analysis: analysisResult.analysis,
             metadata: {
                 transcription: transcriptionResult.metadata,
@@ -218,6 +613,922 @@ app.post('/api/complete', upload.single('audio'), async (req, res) => {
     }
 });
 
+/**
+ * Create a new practice session
+ */
+app.post('/api/sessions', async (req, res) => {
+    try {
+        const { mentor, interviewType, title, rubricId } = req.body;
+        if (rubricId && !(await getRubric(rubricId))) {
+            return res.status(400).json({ error: `Unknown rubric: ${rubricId}` });
+        }
+        const session = await createSession({ mentor, interviewType, title, rubricId });
+        res.status(201).json({ success: true, session });
+    } catch (error) {
+        console.error('❌ Session creation failed:', error);
+        res.status(500).json({
+            error: 'Session creation failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * List mentor personas, built-in and custom (MENTORS_DIR)
+ */
+app.get('/api/mentors', async (req, res) => {
+    try {
+        const mentors = await listMentors();
+        res.json({ success: true, mentors });
+    } catch (error) {
+        console.error('❌ Mentor listing failed:', error);
+        res.status(500).json({
+            error: 'Mentor listing failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Get a mentor persona with its tone, headings and sign-off
+ */
+app.get('/api/mentors/:id', async (req, res) => {
+    try {
+        const mentor = await getMentor(req.params.id);
+        if (!mentor) {
+            return res.status(404).json({ error: 'Mentor not found' });
+        }
+        res.json({ success: true, mentor });
+    } catch (error) {
+        console.error('❌ Mentor lookup failed:', error);
+        res.status(500).json({
+            error: 'Mentor lookup failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * List interview types, built-in and custom (INTERVIEW_TYPES_DIR)
+ */
+app.get('/api/interview-types', async (req, res) => {
+    try {
+        const interviewTypes = await listInterviewTypes();
+        res.json({ success: true, interviewTypes });
+    } catch (error) {
+        console.error('❌ Interview type listing failed:', error);
+        res.status(500).json({
+            error: 'Interview type listing failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Get an interview type with its analysis focus, follow-up questions and demo transcript
+ */
+app.get('/api/interview-types/:id', async (req, res) => {
+    try {
+        const interviewType = await getInterviewType(req.params.id);
+        if (!interviewType) {
+            return res.status(404).json({ error: 'Interview type not found' });
+        }
+        res.json({ success: true, interviewType });
+    } catch (error) {
+        console.error('❌ Interview type lookup failed:', error);
+        res.status(500).json({
+            error: 'Interview type lookup failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * List scoring rubrics, built-in and custom (RUBRICS_DIR)
+ */
+app.get('/api/rubrics', async (req, res) => {
+    try {
+        const rubrics = await listRubrics();
+        res.json({ success: true, rubrics, measures: Object.keys(RUBRIC_MEASURES) });
+    } catch (error) {
+        console.error('❌ Rubric listing failed:', error);
+        res.status(500).json({
+            error: 'Rubric listing failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Get a rubric with its criteria, weights and level descriptors
+ */
+app.get('/api/rubrics/:id', async (req, res) => {
+    try {
+        const rubric = await getRubric(req.params.id);
+        if (!rubric) {
+            return res.status(404).json({ error: 'Rubric not found' });
+        }
+        res.json({ success: true, rubric });
+    } catch (error) {
+        console.error('❌ Rubric lookup failed:', error);
+        res.status(500).json({
+            error: 'Rubric lookup failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Save a custom rubric (created in the rubric editor or imported); replaces one with the same id
+ */
+app.post('/api/rubrics', async (req, res) => {
+    try {
+        const rubric = await saveRubric(req.body);
+        res.status(201).json({ success: true, rubric });
+    } catch (error) {
+        if (error.code === 'INVALID_RUBRIC') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('❌ Rubric save failed:', error);
+        res.status(500).json({
+            error: 'Rubric save failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * The rubric instructions exactly as they are added to the analysis prompt, for a draft rubric
+ */
+app.post('/api/rubrics/preview', (req, res) => {
+    try {
+        const rubric = validateRubric(req.body);
+        res.json({ success: true, prompt: formatRubricForPrompt(rubric) });
+    } catch (error) {
+        if (error.code === 'INVALID_RUBRIC') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('❌ Rubric preview failed:', error);
+        res.status(500).json({
+            error: 'Rubric preview failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Delete a custom rubric (built-in rubrics cannot be deleted)
+ */
+app.delete('/api/rubrics/:id', async (req, res) => {
+    try {
+        const deleted = await deleteRubric(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Custom rubric not found' });
+        }
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        console.error('❌ Rubric deletion failed:', error);
+        res.status(500).json({
+            error: 'Rubric deletion failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Search the question bank: ?interviewType=&competency=&difficulty=&company=&search=&source=&limit=
+ * Returns the matching questions plus the competencies, companies and difficulties to filter by
+ */
+app.get('/api/questions', async (req, res) => {
+    try {
+        const result = await listQuestions(questionFilters(req.query));
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Question listing failed:', error);
+        res.status(500).json({
+            error: 'Question listing failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Download the questions matching the same filters as an import file
+ */
+app.get('/api/questions/export', async (req, res) => {
+    try {
+        const exported = await exportQuestions(questionFilters(req.query));
+        sendDownload(res, {
+            body: JSON.stringify(exported, null, 2),
+            contentType: 'application/json',
+            extension: 'json'
+        }, 'question-bank');
+    } catch (error) {
+        console.error('❌ Question export failed:', error);
+        res.status(500).json({
+            error: 'Question export failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Import an exported question file ({ questions: [...] }); duplicates and invalid entries are skipped and listed
+ */
+app.post('/api/questions/import', async (req, res) => {
+    try {
+        const { imported, skipped } = await importQuestions(req.body);
+        res.status(imported.length > 0 ? 201 : 200).json({ success: true, imported, skipped });
+    } catch (error) {
+        if (error.code === 'INVALID_QUESTION') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('❌ Question import failed:', error);
+        res.status(500).json({
+            error: 'Question import failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Get one question from the bank
+ */
+app.get('/api/questions/:id', async (req, res) => {
+    try {
+        const question = await getQuestion(req.params.id);
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+        res.json({ success: true, question });
+    } catch (error) {
+        console.error('❌ Question lookup failed:', error);
+        res.status(500).json({
+            error: 'Question lookup failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Add a question the user was asked in a real interview
+ * Body: { text, interviewType, competencies, difficulty, companies, guidance }
+ */
+app.post('/api/questions', async (req, res) => {
+    try {
+        const question = await addQuestion(req.body);
+        res.status(201).json({ success: true, question });
+    } catch (error) {
+        if (error.code === 'INVALID_QUESTION') {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 'DUPLICATE_QUESTION') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('❌ Question save failed:', error);
+        res.status(500).json({
+            error: 'Question save failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Delete a question the user added (seed questions cannot be deleted)
+ */
+app.delete('/api/questions/:id', async (req, res) => {
+    try {
+        const deleted = await deleteQuestion(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Custom question not found' });
+        }
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        console.error('❌ Question deletion failed:', error);
+        res.status(500).json({
+            error: 'Question deletion failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Question bank filters from the query string; empty values are ignored
+ */
+function questionFilters(query) {
+    const filters = {};
+    ['interviewType', 'competency', 'difficulty', 'company', 'search', 'source', 'limit'].forEach(name => {
+        if (typeof query[name] === 'string' && query[name].trim()) filters[name] = query[name].trim();
+    });
+    return filters;
+}
+
+// Mock interview error codes (services/mock-interview.js) and their HTTP statuses
+const MOCK_ERROR_STATUS = { INVALID_MOCK: 400, MOCK_NOT_FOUND: 404, MOCK_FINISHED: 409 };
+
+/**
+ * Start a mock interview: the mentor asks questions from the bank, one at a time
+ * Body: { mentor, interviewType, rubricId, sessionId, count, difficulty, competency, company }
+ * Returns the session ID and the first question
+ */
+app.post('/api/mock-interviews', async (req, res) => {
+    try {
+        const { rubricId } = req.body;
+        if (rubricId && !(await getRubric(rubricId))) {
+            return res.status(400).json({ error: `Unknown rubric: ${rubricId}` });
+        }
+        const { session, mock, question } = await startMockInterview(req.body);
+        res.status(201).json({ success: true, sessionId: session.id, mock, question });
+    } catch (error) {
+        if (MOCK_ERROR_STATUS[error.code]) {
+            return res.status(MOCK_ERROR_STATUS[error.code]).json({ error: error.message });
+        }
+        console.error('❌ Mock interview start failed:', error);
+        res.status(500).json({
+            error: 'Mock interview start failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Get a session's mock interview: progress, answered questions and the report once finished
+ */
+app.get('/api/mock-interviews/:id', async (req, res) => {
+    try {
+        const { mock, question } = await getMockInterview(req.params.id);
+        res.json({ success: true, sessionId: req.params.id, mock, question });
+    } catch (error) {
+        if (MOCK_ERROR_STATUS[error.code]) {
+            return res.status(MOCK_ERROR_STATUS[error.code]).json({ error: error.message });
+        }
+        console.error('❌ Mock interview lookup failed:', error);
+        res.status(500).json({
+            error: 'Mock interview lookup failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Answer the current question (or skip it); the mentor scores the answer and asks the next question
+ * Body: { answer, skip, llm }
+ */
+app.post('/api/mock-interviews/:id/answers', async (req, res) => {
+    try {
+        const { answer, skip, llm } = req.body;
+        const providerError = checkProviderOverride(llm);
+        if (providerError) {
+            return res.status(400).json({ error: providerError });
+        }
+        const result = await answerMockQuestion(req.params.id, { answer, skip: skip === true, llm });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (MOCK_ERROR_STATUS[error.code]) {
+            return res.status(MOCK_ERROR_STATUS[error.code]).json({ error: error.message });
+        }
+        console.error('❌ Mock interview answer failed:', error);
+        res.status(500).json({
+            error: 'Mock interview answer failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * End the mock interview and build the aggregate report across every answer
+ * The merged analysis is saved to the session, so the usual report downloads include it
+ */
+app.post('/api/mock-interviews/:id/finish', async (req, res) => {
+    try {
+        const result = await finishMockInterview(req.params.id);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (MOCK_ERROR_STATUS[error.code]) {
+            return res.status(MOCK_ERROR_STATUS[error.code]).json({ error: error.message });
+        }
+        console.error('❌ Mock interview finish failed:', error);
+        res.status(500).json({
+            error: 'Mock interview finish failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * List stored practice sessions
+ */
+app.get('/api/sessions', async (req, res) => {
+    try {
+        const sessions = await listSessions();
+        res.json({ success: true, sessions });
+    } catch (error) {
+        console.error('❌ Session listing failed:', error);
+        res.status(500).json({
+            error: 'Session listing failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Get a single practice session with all stored results
+ */
+app.get('/api/sessions/:id', async (req, res) => {
+    try {
+        const session = await getSession(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ success: true, session });
+    } catch (error) {
+        console.error('❌ Session lookup failed:', error);
+        res.status(500).json({
+            error: 'Session lookup failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Delete a practice session
+ */
+app.delete('/api/sessions/:id', async (req, res) => {
+    try {
+        const deleted = await deleteSession(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        console.error('❌ Session deletion failed:', error);
+        res.status(500).json({
+            error: 'Session deletion failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Export an analysis as a Markdown, HTML or PDF report
+ * Body: { analysis, format, mentor, interviewType, mentorStyle, includeTranscript, transcript, structuredTranscript }
+ */
+app.post('/api/report', async (req, res) => {
+    try {
+        const { analysis, format, includeTranscript, transcript, structuredTranscript, ...options } = req.body;
+
+        if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+            return res.status(400).json({ error: 'No analysis provided' });
+        }
+        const invalidSections = findInvalidSections(analysis);
+        if (invalidSections.length > 0) {
+            return res.status(400).json({ error: `Malformed analysis sections: ${invalidSections.join(', ')}` });
+        }
+        if (!resolveReportFormat(format)) {
+            return res.status(400).json({ error: `Unsupported report format: ${format}`, supported: REPORT_FORMATS });
+        }
+
+        const report = renderReport(analysis, {
+            ...options,
+            format,
+            persona: options.mentorStyle ? await getMentor(options.mentor) : null,
+            transcript: includeTranscript ? transcript : null,
+            structuredTranscript: includeTranscript ? structuredTranscript : null
+        });
+        sendDownload(res, report, 'interview-report');
+    } catch (error) {
+        console.error('❌ Report export failed:', error);
+        res.status(500).json({
+            error: 'Report export failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Export a session's latest analysis (?format=markdown|html|pdf&mentorStyle=true&includeTranscript=true)
+ */
+app.get('/api/sessions/:id/report', async (req, res) => {
+    try {
+        const { format, mentorStyle, includeTranscript } = req.query;
+        if (!resolveReportFormat(format)) {
+            return res.status(400).json({ error: `Unsupported report format: ${format}`, supported: REPORT_FORMATS });
+        }
+
+        const session = await getSession(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const latest = session.analyses[session.analyses.length - 1];
+        if (!latest) {
+            return res.status(404).json({ error: 'Session has no analysis yet' });
+        }
+
+        const withTranscript = includeTranscript === 'true';
+        const report = renderReport(latest.analysis, {
+            format,
+            title: session.title || undefined,
+            mentor: latest.mentor || session.mentor,
+            interviewType: latest.interviewType || session.interviewType,
+            mentorStyle: mentorStyle === 'true',
+            persona: mentorStyle === 'true' ? await getMentor(latest.mentor || session.mentor) : null,
+            metadata: latest.metadata,
+            transcript: withTranscript ? session.transcript : null,
+            structuredTranscript: withTranscript ? session.transcription : null
+        });
+        sendDownload(res, report, 'interview-report');
+    } catch (error) {
+        console.error('❌ Session report export failed:', error);
+        res.status(500).json({
+            error: 'Report export failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Export a session's transcript (?format=srt|vtt|chapters|json&chapters=false&speakers=false)
+ */
+app.get('/api/sessions/:id/transcript', async (req, res) => {
+    try {
+        const { format = 'vtt', chapters, speakers } = req.query;
+        if (!TRANSCRIPT_EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Unsupported export format: ${format}`, supported: TRANSCRIPT_EXPORT_FORMATS });
+        }
+
+        const session = await getSession(req.params.id);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const file = exportTranscript(session.transcription, {
+            format,
+            chapters: chapters !== 'false',
+            speakers: speakers !== 'false'
+        });
+        sendDownload(res, file, 'interview-transcript');
+    } catch (error) {
+        if (error.code === 'INVALID_TRANSCRIPT') {
+            return res.status(404).json({ error: 'Session has no timed transcript yet' });
+        }
+        console.error('❌ Session transcript export failed:', error);
+        res.status(500).json({
+            error: 'Transcript export failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Send a rendered file ({ body, contentType, extension }) as a dated download
+ */
+function sendDownload(res, file, basename) {
+    const filename = `${basename}-${new Date().toISOString().slice(0, 10)}.${file.extension}`;
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(file.body);
+}
+
+/**
+ * Queue a background audio job: transcribe only, or transcribe + analyze
+ * Returns 202 with a job ID; poll GET /api/jobs/:id for progress
+ */
+app.post('/api/jobs', upload.single('audio'), async (req, res) => {
+    try {
+        console.log('📥 Background job request received');
+        
+        if (!req.file) {
+            return res.status(400).json({ error: 'No audio file provided' });
+        }
+
+        try {
+            validateAudioFile(req.file);
+        } catch (validationError) {
+            console.error('❌ File validation failed:', validationError.message);
+            return res.status(400).json({ error: validationError.message });
+        }
+        const { rubricId } = req.body;
+        if (rubricId && !(await getRubric(rubricId))) {
+            return res.status(400).json({ error: `Unknown rubric: ${rubricId}` });
+        }
+
+        const job = queueAudioJob(req.file, req.body);
+        res.status(202).json(jobAccepted(job));
+
+    } catch (error) {
+        console.error('❌ Job creation failed:', error);
+        res.status(500).json({
+            error: 'Job creation failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Start a resumable chunked upload: { filename, mimetype, size, chunkSize? }
+ * Send chunks with PUT /api/uploads/:id/chunks/:index, then POST /api/uploads/:id/complete
+ */
+app.post('/api/uploads', async (req, res) => {
+    try {
+        const { filename, mimetype, size, chunkSize } = req.body;
+        
+        if (!filename || !Number.isInteger(size) || size <= 0) {
+            return res.status(400).json({ error: 'filename and a positive integer size are required' });
+        }
+
+        try {
+            validateAudioFile({ size, mimetype });
+        } catch (validationError) {
+            console.error('❌ Upload validation failed:', validationError.message);
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        const chunkedUpload = await createUpload({ filename, mimetype, size, chunkSize });
+        res.status(201).json({ success: true, upload: chunkedUpload });
+    } catch (error) {
+        console.error('❌ Upload creation failed:', error);
+        res.status(500).json({
+            error: 'Upload creation failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Chunked upload status, including which chunks are still missing (used to resume)
+ */
+app.get('/api/uploads/:id', async (req, res) => {
+    try {
+        const chunkedUpload = await getUpload(req.params.id);
+        if (!chunkedUpload) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        res.json({ success: true, upload: chunkedUpload });
+    } catch (error) {
+        console.error('❌ Upload lookup failed:', error);
+        res.status(500).json({
+            error: 'Upload lookup failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Receive one chunk as a raw application/octet-stream body
+ */
+app.put('/api/uploads/:id/chunks/:index', express.raw({ type: 'application/octet-stream', limit: '25mb' }), async (req, res) => {
+    try {
+        const chunkedUpload = await writeChunk(req.params.id, req.params.index, Buffer.isBuffer(req.body) ? req.body : null);
+        if (!chunkedUpload) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        res.json({
+            success: true,
+            index: Number(req.params.index),
+            receivedChunks: chunkedUpload.receivedChunks.length,
+            totalChunks: chunkedUpload.totalChunks
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CHUNK') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('❌ Chunk upload failed:', error);
+        res.status(500).json({
+            error: 'Chunk upload failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Assemble a finished upload and queue it as a background job (same options as POST /api/jobs)
+ */
+app.post('/api/uploads/:id/complete', async (req, res) => {
+    try {
+        const { rubricId } = req.body;
+        if (rubricId && !(await getRubric(rubricId))) {
+            return res.status(400).json({ error: `Unknown rubric: ${rubricId}` });
+        }
+
+        const file = await assembleUpload(req.params.id);
+        if (!file) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+
+        const job = queueAudioJob(file, req.body);
+        res.status(202).json(jobAccepted(job));
+    } catch (error) {
+        if (error.code === 'INCOMPLETE_UPLOAD') {
+            return res.status(409).json({ error: error.message, missingChunks: error.missingChunks });
+        }
+        console.error('❌ Upload completion failed:', error);
+        res.status(500).json({
+            error: 'Upload completion failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Discard a chunked upload
+ */
+app.delete('/api/uploads/:id', async (req, res) => {
+    try {
+        const deleted = await deleteUpload(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Upload not found' });
+        }
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        console.error('❌ Upload deletion failed:', error);
+        res.status(500).json({
+            error: 'Upload deletion failed',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * List background jobs (without results)
+ */
+app.get('/api/jobs', (req, res) => {
+    res.json({ success: true, jobs: listJobs() });
+});
+
+/**
+ * Background job status: stage, percentage, error and final result
+ */
+app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+});
+
+/**
+ * Queue an uploaded audio file for the requested pipeline
+ */
+function queueAudioJob(file, options = {}) {
+    const pipeline = options.pipeline === 'complete' ? 'complete' : 'transcribe';
+    const stages = pipeline === 'complete' ? ['upload', 'transcribe', 'analyze'] : ['upload', 'transcribe'];
+    
+    return enqueueJob(pipeline, {
+        buffer: file.buffer,
+        filename: file.originalname,
+        engine: options.engine,
+        mentor: options.mentor,
+        interviewType: options.interviewType,
+        rubricId: options.rubricId,
+        sessionId: options.sessionId
+    }, pipeline === 'complete' ? runCompleteJob : runTranscribeJob, { stages });
+}
+
+function jobAccepted(job) {
+    return {
+        success: true,
+        jobId: job.id,
+        statusUrl: `/api/jobs/${job.id}`,
+        job
+    };
+}
+
+/**
+ * Map per-window transcription progress onto a slice of the job's percentage
+ */
+function windowProgress(reporter, from, to) {
+    return ({ completed, total }) => reporter.update({
+        progress: from + (to - from) * (completed / total),
+        message: `Transcribed ${completed} of ${total} audio windows`
+    });
+}
+
+/**
+ * Job handler: transcription only, result matches POST /api/transcribe
+ */
+async function runTranscribeJob(input, reporter) {
+    reporter.update({ stage: 'upload', progress: 10, message: 'Audio received' });
+    
+    reporter.update({ stage: 'transcribe', progress: 15, message: 'Transcribing audio' });
+    const result = await transcribeAudio(input.buffer, input.filename, {
+        engine: input.engine,
+        onProgress: windowProgress(reporter, 15, 95)
+    });
+    
+    if (result.success) {
+        await saveToSession(input.sessionId, id => recordTranscription(id, result.structuredTranscript));
+    }
+    
+    reporter.update({ progress: 95, message: 'Transcription complete' });
+    return formatTranscriptionResponse(result);
+}
+
+/**
+ * Job handler: transcription followed by analysis, result matches POST /api/complete
+ */
+async function runCompleteJob(input, reporter) {
+    reporter.update({ stage: 'upload', progress: 5, message: 'Audio received' });
+    
+    reporter.update({ stage: 'transcribe', progress: 10, message: 'Transcribing audio' });
+    const transcriptionResult = await transcribeAudio(input.buffer, input.filename, {
+        engine: input.engine,
+        onProgress: windowProgress(reporter, 10, 50)
+    });
+    await saveToSession(input.sessionId, id => recordTranscription(id, transcriptionResult.structuredTranscript));
+    
+    reporter.update({ stage: 'analyze', progress: 50, message: 'Analyzing transcript' });
+    let sectionsReceived = 0;
+    const rubric = await selectRubric(input);
+    const analysisResult = await analyzeTranscript(
+        transcriptionResult.transcription.text,
+        input.mentor,
+        input.interviewType,
+        null,
+        {
+            structuredTranscript: transcriptionResult.structuredTranscript,
+            rubric,
+            onEvent: (type, data) => {
+                if (type === 'section') {
+                    sectionsReceived++;
+                    reporter.update({ progress: 50 + sectionsReceived * 5, message: `Analyzed ${data.name.replace('_', ' ')}` });
+                } else if (type === 'progress' && data.stage === 'retry') {
+                    reporter.update({ message: `Retrying analysis (attempt ${data.nextAttempt})` });
+                }
+            }
+        }
+    );
+    
+    await saveToSession(input.sessionId, id => recordAnalysis(id, {
+        transcript: transcriptionResult.transcription.text,
+        mentor: input.mentor,
+        interviewType: input.interviewType,
+        rubricId: rubric?.id,
+        result: analysisResult
+    }));
+    
+    return {
+        success: true,
+        transcription: transcriptionResult.transcription,
+        structuredTranscript: transcriptionResult.structuredTranscript,
+        analysis: analysisResult.analysis,
+        metadata: {
+            transcription: transcriptionResult.metadata,
+            analysis: analysisResult.metadata
+        }
+    };
+}
+
+// Every API route, listed by /health and by the 404 handler
+const ENDPOINTS = [
+    'POST /api/transcribe',
+    'POST /api/analyze',
+    'POST /api/transcript/import',
+    'POST /api/transcript/speakers',
+    'POST /api/transcript/export',
+    'POST /api/transcript/language',
+    'POST /api/analyze/stream',
+    'POST /api/analyze/panel',
+    'POST /api/analyze/panel/stream',
+    'POST /api/followup',
+    'POST /api/complete',
+    'POST /api/jobs',
+    'GET /api/jobs',
+    'GET /api/jobs/:id',
+    'POST /api/uploads',
+    'GET /api/uploads/:id',
+    'PUT /api/uploads/:id/chunks/:index',
+    'POST /api/uploads/:id/complete',
+    'DELETE /api/uploads/:id',
+    'GET /api/mentors',
+    'GET /api/mentors/:id',
+    'GET /api/interview-types',
+    'GET /api/interview-types/:id',
+    'GET /api/rubrics',
+    'GET /api/rubrics/:id',
+    'POST /api/rubrics',
+    'POST /api/rubrics/preview',
+    'DELETE /api/rubrics/:id',
+    'GET /api/questions',
+    'GET /api/questions/export',
+    'POST /api/questions/import',
+    'GET /api/questions/:id',
+    'POST /api/questions',
+    'DELETE /api/questions/:id',
+    'POST /api/mock-interviews',
+    'GET /api/mock-interviews/:id',
+    'POST /api/mock-interviews/:id/answers',
+    'POST /api/mock-interviews/:id/finish',
+    'POST /api/sessions',
+    'GET /api/sessions',
+    'GET /api/sessions/:id',
+    'DELETE /api/sessions/:id',
+    'GET /api/sessions/:id/report',
+    'GET /api/sessions/:id/transcript',
+    'POST /api/report',
+    'GET /api/test-deepseek'
+];
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ 
@@ -228,23 +1539,20 @@ app.get('/health', (req, res) => {
             openrouter_configured: !!process.env.OPENROUTER_API_KEY,
             openai_configured: !!process.env.OPENAI_API_KEY
         },
-        endpoints: [
-            'POST /api/transcribe',
-            'POST /api/analyze', 
-            'POST /api/followup',
-            'POST /api/complete',
-            'GET /api/test-deepseek'
-        ]
+        llm: describeProviders(),
+        transcription: describeTranscriptionEngines(),
+        endpoints: ENDPOINTS
     });
 });
 
 /**
- * Test DeepSeek API connection
+ * Test LLM API connection (optionally ?provider=local&model=...)
  */
 app.get('/api/test-deepseek', async (req, res) => {
     try {
-        console.log('🧪 Testing DeepSeek API connection...');
-        const testResult = await testDeepSeekConnection();
+        console.log('🧪 Testing LLM API connection...');
+        const { provider, model } = req.query;
+        const testResult = await testDeepSeekConnection({ provider, model });
         
         res.json({
             success: testResult.success,
@@ -270,18 +1578,13 @@ app.get('/', (req, res) => {
 app.use((req, res) => {
     res.status(404).json({ 
         error: 'Endpoint not found',
-        availableEndpoints: [
-            'GET /',
-            'GET /health',
-            'POST /api/transcribe',
-            'POST /api/analyze',
-            'POST /api/complete'
-        ]
+        availableEndpoints: ['GET /', 'GET /health', ...ENDPOINTS]
     });
 });
 
 // Start server
 app.listen(PORT, () => {
+    const llm = describeProviders();
     console.log(`
 🚀 Interview Helper - Complete Backend
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -290,9 +1593,21 @@ app.listen(PORT, () => {
 🔗 Health: http://localhost:${PORT}/health
 🎤 Transcribe: POST /api/transcribe
 🧠 Analyze: POST /api/analyze  
+🏛️ Council: POST /api/analyze/panel
 🎯 Complete: POST /api/complete
+💾 Sessions: /api/sessions
+📥 Jobs: POST /api/jobs → GET /api/jobs/:id
+📤 Chunked uploads: /api/uploads
+📄 Reports: POST /api/report
+🧙 Mentors: GET /api/mentors
+📋 Interview types: GET /api/interview-types
+📏 Rubrics: GET /api/rubrics
+📚 Question bank: /api/questions
+🎙️ Mock interviews: POST /api/mock-interviews
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 APIs:
+🤖 LLM: ${llm.error ? `❌ ${llm.error}` : `${llm.active} (${llm.model})`}
+🎙️ Transcription: ${describeTranscriptionEngines().active}
 🔑 OpenRouter: ${!!process.env.OPENROUTER_API_KEY ? '✅' : '❌'} 
 🔑 OpenAI: ${!!process.env.OPENAI_API_KEY ? '✅' : '❌'}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
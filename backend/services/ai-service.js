@@ -2,45 +2,121 @@
  * Main AI Analysis Service - Orchestrates the entire analysis process
  */
 
-import { getMentorPersonality, getInterviewTypeContext } from './mentor-personalities.js';
-import { parseAndValidateResponse, createFallbackAnalysis } from './response-parser.js';
+import { resolveMentor, getMentorPersonality } from './mentor-personalities.js';
+import { getInterviewType, getInterviewTypeContext, formatTypeFieldsForPrompt, assessTypeFields } from './interview-types.js';
+import {
+    parseAndValidateResponse,
+    createFallbackAnalysis,
+    extractCompletedSections,
+    validateSection
+} from './response-parser.js';
+import {
+    resolveLLMConfig,
+    isProviderConfigured,
+    createChatCompletion,
+    streamChatCompletion
+} from './llm-providers.js';
+import { normalizeTranscript, formatTranscriptForPrompt } from './transcript-model.js';
+import { analyzeDelivery, formatDeliveryForPrompt } from './delivery-analytics.js';
+import { analyzeLanguagePatterns, mergeImprovements } from './language-patterns.js';
+import { analyzeStar, usesStar } from './star-analysis.js';
+import { formatRubricForPrompt, scoreRubric } from './rubrics.js';
+import { groundAnalysis } from './grounding.js';
+import { splitTranscriptIntoChunks, mergeChunkAnalyses } from './chunked-analysis.js';
 
-const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
-const MODEL = 'deepseek/deepseek-r1-distill-llama-70b:free';
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
 
+const SAMPLING_PARAMS = {
+    top_p: 0.9,
+    frequency_penalty: 0.1
+};
+
 /**
  * Main analysis function with enhanced error handling and mentor personalities
+ * Pass options.onEvent(type, data) to receive progress and partial sections while streaming
+ * Pass options.structuredTranscript (see transcript-model.js) to keep speakers and timestamps;
+ * its timings also produce the delivery section (pace, pauses, fillers, answer length).
+ * The candidate's wording (typed or transcribed) produces the language_patterns section, and
+ * behavioral answers get a star_analysis section located in the transcript.
+ * Types with their own analysis fields (product metrics, experimental design...) get a type_assessment section.
+ * Pass options.rubric (see rubrics.js) to score its criteria into the rubric section.
+ * Quotes in highlights, improvements and key moments are checked against the transcript (metadata.grounding).
+ * Transcripts longer than ANALYSIS_CHUNK_CHARS are analyzed in parts and merged (metadata.chunked).
  */
-export async function analyzeTranscript(transcript, mentor = null, interviewType = null) {
-    console.log(`🧠 Starting enhanced DeepSeek analysis... (Mentor: ${mentor}, Type: ${interviewType})`);
+export async function analyzeTranscript(transcript, mentor = null, interviewType = null, llmOverrides = null, options = {}) {
+    console.log(`🧠 Starting enhanced analysis... (Mentor: ${mentor}, Type: ${interviewType})`);
+    
+    const emit = options.onEvent || (() => {});
     
     // Validate input
     if (!transcript || transcript.trim().length < 50) {
         throw new Error('Transcript too short or empty for meaningful analysis');
     }
 
-    // Check API key configuration
-    if (!process.env.OPENROUTER_API_KEY || process.env.OPENROUTER_API_KEY === 'your_openrouter_api_key_here') {
-        console.log('⚠️  OpenRouter API key not configured, using demo analysis');
-        return getDemoAnalysis(transcript, mentor, interviewType);
+    const llmConfig = resolveLLMConfig('analysis', { interviewType, overrides: llmOverrides });
+
+    // The structured transcript replaces the raw text so the model sees who spoke and when
+    const structured = normalizeTranscript(options.structuredTranscript);
+    const answersInput = structured || transcript;
+
+    // Unknown types get general guidance; the type decides answer targets and whether answers are stories
+    const type = await getInterviewType(interviewType);
+
+    // Measured rather than generated, so they are added to whatever analysis comes back
+    const measured = {
+        delivery: structured ? analyzeDelivery(structured, { type }) : null,
+        language_patterns: analyzeLanguagePatterns(answersInput, { type })
+    };
+    const rubric = options.rubric || null;
+    const persona = await resolveMentor(mentor);
+    const finish = result => withMeasurements(result, measured, emit, { input: answersInput, type, rubric });
+
+    if (structured) {
+        console.log(`🗣️ Using structured transcript with ${structured.turns.length} turns`);
+        transcript = formatTranscriptForPrompt(structured);
+    }
+
+    // Check provider configuration
+    if (!isProviderConfigured(llmConfig)) {
+        console.log(`⚠️  ${llmConfig.label} API key not configured, using demo analysis`);
+        emit('progress', { stage: 'fallback', reason: 'not_configured', message: `${llmConfig.label} is not configured, using demo analysis` });
+        return finish(emitDemoAnalysis(getDemoAnalysis(transcript, mentor, interviewType), emit));
+    }
+
+    emit('progress', { stage: 'started', provider: llmConfig.provider, model: llmConfig.model, maxAttempts: MAX_RETRIES });
+
+    const chunks = splitTranscriptIntoChunks(transcript);
+    if (chunks.length > 1) {
+        try {
+            const result = await performChunkedAnalysis(chunks, transcript, persona, type, llmConfig, emit, measured.delivery, rubric);
+            console.log(`✅ Chunked analysis completed via ${llmConfig.provider} (${llmConfig.model})`);
+            return finish(result);
+        } catch (error) {
+            console.error('❌ Chunked analysis failed:', error.message);
+            emit('progress', { stage: 'fallback', reason: 'chunks_failed', message: error.message });
+            return finish(emitDemoAnalysis(getDemoAnalysis(transcript, mentor, interviewType), emit));
+        }
     }
 
     // Attempt analysis with retry logic
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
         try {
-            const result = await performAnalysis(transcript, attempt, mentor, interviewType);
-            console.log('✅ DeepSeek analysis completed successfully');
-            return result;
+            emit('progress', { stage: 'attempt', attempt, maxAttempts: MAX_RETRIES });
+            const result = await performAnalysis(transcript, attempt, persona, type, llmConfig, options.onEvent ? emit : null, measured.delivery, rubric);
+            console.log(`✅ Analysis completed successfully via ${llmConfig.provider} (${llmConfig.model})`);
+            return finish(result);
         } catch (error) {
             console.error(`❌ Analysis attempt ${attempt} failed:`, error.message);
             
             if (attempt === MAX_RETRIES) {
                 console.log('🔄 All attempts failed, falling back to demo analysis');
-                return getDemoAnalysis(transcript, mentor, interviewType);
+                emit('progress', { stage: 'fallback', reason: 'attempts_exhausted', attempt, message: error.message });
+                return finish(emitDemoAnalysis(getDemoAnalysis(transcript, mentor, interviewType), emit));
             }
             
+            emit('progress', { stage: 'retry', attempt, nextAttempt: attempt + 1, maxAttempts: MAX_RETRIES, message: error.message });
+            
             // Wait before retry
             await sleep(RETRY_DELAY * attempt);
         }
@@ -49,66 +125,156 @@ export async function analyzeTranscript(transcript, mentor = null, interviewType
 
 /**
  * Perform the actual API analysis
+ * When emit is given the completion is streamed and sections are emitted as soon as they parse
  */
-async function performAnalysis(transcript, attemptNumber, mentor, interviewType) {
-    const analysisPrompt = createEnhancedPrompt(transcript, mentor, interviewType);
+async function performAnalysis(transcript, attemptNumber, persona, type, llmConfig, emit = null, delivery = null, rubric = null) {
+    const analysisPrompt = createEnhancedPrompt(transcript, persona, type, delivery, rubric);
     
     console.log(`🔄 API attempt ${attemptNumber}...`);
     
-    const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': 'http://localhost:3001',
-            'X-Title': 'Interview Helper - Professional Analysis'
-        },
-        body: JSON.stringify({
-            model: MODEL,
-            messages: [
-                {
-                    role: 'system',
-                    content: getSystemPrompt()
-                },
-                {
-                    role: 'user',
-                    content: analysisPrompt
-                }
-            ],
-            temperature: 0.2,  // Lower for more consistent results
-            max_tokens: 4000,
-            top_p: 0.9,
-            frequency_penalty: 0.1
-        })
-    });
+    const messages = analysisMessages(analysisPrompt);
+    const samplingParams = SAMPLING_PARAMS;
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`OpenRouter API error ${response.status}: ${errorText}`);
-    }
+    const emittedSections = new Set();
+    let analysisText;
+    let usage;
 
-    const data = await response.json();
-    const analysisText = data.choices?.[0]?.message?.content;
+    if (emit) {
+        const streamed = await streamChatCompletion(llmConfig, messages, samplingParams, (delta, fullText) => {
+            // Only a closing bracket or comma can complete a section, skip re-scanning otherwise
+            if (!/[,}\]]/.test(delta)) return;
+
+            for (const [name, value] of Object.entries(extractCompletedSections(fullText))) {
+                const section = emittedSections.has(name) ? null : validateSection(name, value);
+                if (section) {
+                    emittedSections.add(name);
+                    emit('section', { name, data: section, attempt: attemptNumber });
+                }
+            }
+        });
+        analysisText = streamed.content;
+        usage = streamed.usage;
+    } else {
+        const data = await createChatCompletion(llmConfig, messages, samplingParams);
+        analysisText = data.choices?.[0]?.message?.content;
+        usage = data.usage;
+    }
 
     if (!analysisText) {
-        throw new Error('No analysis content received from DeepSeek');
+        throw new Error(`No analysis content received from ${llmConfig.label}`);
     }
 
     const analysis = parseAndValidateResponse(analysisText, transcript);
     
+    // Sections the incremental parser could not pick up still reach the client
+    if (emit) {
+        Object.entries(analysis)
+            .filter(([name]) => !emittedSections.has(name))
+            .forEach(([name, data]) => emit('section', { name, data, attempt: attemptNumber }));
+    }
+    
     return {
         success: true,
         analysis: analysis,
         metadata: {
-            model: MODEL,
+            model: llmConfig.model,
+            provider: llmConfig.provider,
             timestamp: new Date().toISOString(),
             transcript_length: transcript.length,
             attempt_number: attemptNumber,
-            token_usage: data.usage || null
+            token_usage: usage || null
         }
     };
 }
 
+/**
+ * Map-reduce analysis for long transcripts: each part is analyzed (with its own retries), then merged
+ * Parts that keep failing are left out and listed in metadata.chunked; throws only when every part fails.
+ */
+async function performChunkedAnalysis(chunks, transcript, persona, type, llmConfig, emit, delivery = null, rubric = null) {
+    console.log(`🧩 Transcript too long for one prompt, analyzing ${chunks.length} parts`);
+    emit('progress', { stage: 'chunked', chunks: chunks.length });
+
+    const parts = [];
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    const summaries = [];
+
+    for (const chunk of chunks) {
+        const summary = { index: chunk.index, label: chunk.label, start: chunk.start, end: chunk.end, chars: chunk.text.length, status: 'failed' };
+        summaries.push(summary);
+
+        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+            try {
+                emit('progress', { stage: 'chunk', chunk: chunk.index, chunks: chunks.length, attempt, maxAttempts: MAX_RETRIES });
+
+                // Delivery metrics cover the whole recording, so only the first part reports on them
+                const prompt = createEnhancedPrompt(chunk.text, persona, type, chunk.index === 1 ? delivery : null, rubric, chunk);
+                const data = await createChatCompletion(llmConfig, analysisMessages(prompt), SAMPLING_PARAMS);
+                const content = data.choices?.[0]?.message?.content;
+                if (!content) {
+                    throw new Error(`No analysis content received from ${llmConfig.label}`);
+                }
+
+                parts.push({ chunk, analysis: parseAndValidateResponse(content, chunk.text, { strict: true }) });
+                Object.keys(usage).forEach(key => { usage[key] += data.usage?.[key] || 0; });
+                summary.status = 'ok';
+                summary.attempts = attempt;
+                break;
+            } catch (error) {
+                console.error(`❌ ${chunk.label} attempt ${attempt} failed:`, error.message);
+                summary.error = error.message;
+                if (attempt < MAX_RETRIES) {
+                    await sleep(RETRY_DELAY * attempt);
+                }
+            }
+        }
+
+        if (summary.status === 'failed') {
+            emit('progress', { stage: 'chunk_failed', chunk: chunk.index, chunks: chunks.length, message: summary.error });
+        } else {
+            delete summary.error;
+        }
+    }
+
+    if (parts.length === 0) {
+        throw new Error(`All ${chunks.length} transcript parts failed to analyze`);
+    }
+
+    const analysis = mergeChunkAnalyses(parts);
+    Object.entries(analysis).forEach(([name, data]) => emit('section', { name, data, attempt: 1 }));
+
+    return {
+        success: true,
+        analysis,
+        metadata: {
+            model: llmConfig.model,
+            provider: llmConfig.provider,
+            timestamp: new Date().toISOString(),
+            transcript_length: transcript.length,
+            attempt_number: 1,
+            token_usage: usage,
+            chunked: {
+                count: chunks.length,
+                analyzed: parts.length,
+                chunks: summaries
+            }
+        }
+    };
+}
+
+function analysisMessages(prompt) {
+    return [
+        {
+            role: 'system',
+            content: getSystemPrompt()
+        },
+        {
+            role: 'user',
+            content: prompt
+        }
+    ];
+}
+
 /**
  * Enhanced system prompt for interview analysis
  */
@@ -130,12 +296,12 @@ CRITICAL: You must ALWAYS respond with valid JSON only. No explanatory text befo
 /**
  * Create enhanced analysis prompt with mentor personality and interview type
  */
-function createEnhancedPrompt(transcript, mentor, interviewType) {
+function createEnhancedPrompt(transcript, persona, type, delivery = null, rubric = null, part = null) {
     const wordCount = transcript.split(/\s+/).length;
     const estimatedDuration = Math.round(wordCount / 150); // ~150 words per minute
     
-    const mentorContext = getMentorPersonality(mentor);
-    const interviewTypeContext = getInterviewTypeContext(interviewType);
+    const mentorContext = getMentorPersonality(persona);
+    const interviewTypeContext = getInterviewTypeContext(type);
     
     return `Analyze this ${estimatedDuration}-minute interview transcript and return ONLY valid JSON with this exact structure:
 
@@ -143,6 +309,7 @@ function createEnhancedPrompt(transcript, mentor, interviewType) {
   "highlights": [
     {
       "text": "specific quote or achievement demonstrating strength",
+      "quote": "the candidate's exact words this is based on",
       "category": "technical_skill|problem_solving|communication|leadership|learning_ability",
       "confidence": 0.85,
       "reasoning": "why this demonstrates the candidate's strength"
@@ -151,6 +318,7 @@ function createEnhancedPrompt(transcript, mentor, interviewType) {
   "improvements": [
     {
       "text": "specific area needing development",
+      "quote": "the candidate's exact words that show it",
       "suggestion": "actionable improvement advice",
       "priority": "high|medium|low",
       "category": "technical|communication|behavioral"
@@ -178,7 +346,7 @@ function createEnhancedPrompt(transcript, mentor, interviewType) {
     {
       "section": "introduction|background|technical_questions|system_design|behavioral|candidate_questions|wrap_up",
       "summary": "what was covered in this section",
-      "key_moments": ["notable responses or insights"],
+      "key_moments": ["notable responses or insights, with the candidate's words in double quotes"],
       "duration_estimate": "estimated minutes for this section"
     }
   ],
@@ -198,7 +366,8 @@ function createEnhancedPrompt(transcript, mentor, interviewType) {
 }
 
 Analysis Guidelines:
-1. Be specific and evidence-based - quote actual responses
+1. Be specific and evidence-based - quote actual responses word for word; every quote is checked against the transcript
+   and claims quoting words the candidate never said are removed
 2. Balance positive and constructive feedback
 3. Consider both technical and soft skills
 4. Assess communication clarity and thought process
@@ -207,13 +376,50 @@ Analysis Guidelines:
 
 MENTOR CONTEXT: ${mentorContext}
 INTERVIEW TYPE FOCUS: ${interviewTypeContext}
-
+${hasSpeakerTurns(transcript) ? `
+SPEAKER ATTRIBUTION: Turns are labeled INTERVIEWER and CANDIDATE. Evaluate only what the CANDIDATE says.
+Use INTERVIEWER turns as context for what was asked, and never quote them as candidate strengths or weaknesses.
+` : ''}${hasTimestamps(transcript) ? `
+TIMESTAMPS: [mm:ss] marks when each turn starts. Use them for interview_flow durations and mention them in key_moments.
+` : ''}${delivery ? `
+DELIVERY METRICS (measured from the recording, not from the text):
+${formatDeliveryForPrompt(delivery)}
+When pace, fillers, pauses or answer length are a problem, include it in improvements with category "communication" and cite the answer time.
+` : ''}${usesStar(type) ? `
+STAR ANALYSIS: Also return a top-level "star_analysis" array with one entry per behavioral answer (a story about a past experience):
+[{ "question": "the question being answered",
+   "situation": { "quote": "the candidate's exact words", "score": 0-10 },
+   "task": { "quote": "...", "score": 0-10 },
+   "action": { "quote": "...", "score": 0-10 },
+   "result": { "quote": "...", "score": 0-10 },
+   "result_measurable": true|false }]
+Quote the candidate verbatim so each part can be found in the transcript. Score how completely each part is told;
+use an empty quote and score 0 for a missing part. Use [] when there are no behavioral answers.
+` : ''}${type?.analysisFields?.length ? `
+${formatTypeFieldsForPrompt(type)}
+` : ''}${rubric ? `
+${formatRubricForPrompt(rubric)}
+` : ''}${part ? `
+PART ${part.index} OF ${part.count}: The interview is too long for one pass, so this is only one part of it${part.start ? ` (${part.start}${part.end ? ` to ${part.end}` : ''})` : ''}.
+Analyze only what happens in this part; the results are merged with the other parts. Do not guess about the rest.
+` : ''}
 Interview Transcript:
 ${transcript}
 
 Return ONLY the JSON object:`;
 }
 
+/**
+ * Whether the transcript marks who is speaking (from diarization or typed "Interviewer:" labels)
+ */
+function hasSpeakerTurns(transcript) {
+    return /^\s*(\[\d+:\d{2}\]\s*)?(interviewer|candidate)\s*:/im.test(transcript);
+}
+
+function hasTimestamps(transcript) {
+    return /^\s*\[\d+:\d{2}\]/m.test(transcript);
+}
+
 /**
  * Demo analysis for fallback with mentor personality
  */
@@ -328,33 +534,90 @@ function getDemoAnalysis(transcript, mentor, interviewType) {
     };
 }
 
+/**
+ * Add the measured sections (delivery, language_patterns) to an analysis result and stream them like the others
+ * First the model's claims are grounded in the transcript and the grounded sections are re-emitted.
+ * Language findings the mentor did not already raise are merged into improvements, which is re-emitted.
+ * The model's star_analysis is located in the transcript (or detected from cues) and re-emitted too,
+ * and its type_assessment is matched to the interview type's fields.
+ * Last, the rubric is scored from the model's rubric_scores and the measured sections.
+ */
+function withMeasurements(result, measured, emit, { input, type, rubric }) {
+    if (!result?.analysis) return result;
+    const attempt = result.metadata?.attempt_number || 0;
+
+    // Every grounded item gains a grounding field, so these sections are always re-emitted
+    result.metadata = { ...result.metadata, grounding: groundAnalysis(result.analysis, input) };
+    ['highlights', 'improvements', 'interview_flow'].forEach(name => {
+        if (result.analysis[name]) emit('section', { name, data: result.analysis[name], attempt });
+    });
+
+    Object.entries(measured).forEach(([name, data]) => {
+        if (!data) return;
+        result.analysis[name] = data;
+        emit('section', { name, data, attempt });
+    });
+
+    if (measured.language_patterns) {
+        const improvements = mergeImprovements(result.analysis.improvements || [], measured.language_patterns);
+        if (improvements !== result.analysis.improvements) {
+            result.analysis.improvements = improvements;
+            emit('section', { name: 'improvements', data: improvements, attempt });
+        }
+    }
+
+    const star = analyzeStar(result.analysis.star_analysis, input, { type });
+    if (star) {
+        result.analysis.star_analysis = star;
+        emit('section', { name: 'star_analysis', data: star, attempt });
+    }
+
+    const assessment = assessTypeFields(type, result.analysis.type_assessment);
+    if (assessment) {
+        result.analysis.type_assessment = assessment;
+        emit('section', { name: 'type_assessment', data: assessment, attempt });
+    } else {
+        delete result.analysis.type_assessment;
+    }
+
+    if (rubric) {
+        result.analysis.rubric = scoreRubric(rubric, result.analysis.rubric_scores, result.analysis);
+        emit('section', { name: 'rubric', data: result.analysis.rubric, attempt });
+    }
+    delete result.analysis.rubric_scores;
+    return result;
+}
+
+/**
+ * Emit every section of a demo analysis so streaming clients render it the same way
+ */
+function emitDemoAnalysis(result, emit) {
+    Object.entries(result.analysis).forEach(([name, data]) => emit('section', { name, data, attempt: 0 }));
+    return result;
+}
+
 /**
  * Test API connectivity
  */
-export async function testDeepSeekConnection() {
+export async function testDeepSeekConnection(llmOverrides = null) {
+    let llmConfig = null;
     try {
-        const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: MODEL,
-                messages: [{ role: 'user', content: 'Test connection. Respond with: {"status": "connected"}' }],
-                max_tokens: 50
-            })
-        });
+        llmConfig = resolveLLMConfig('test', { overrides: llmOverrides });
+        const data = await createChatCompletion(llmConfig, [
+            { role: 'user', content: 'Test connection. Respond with: {"status": "connected"}' }
+        ]);
 
         return {
-            success: response.ok,
-            status: response.status,
-            model: MODEL,
-            response: response.ok ? await response.json() : await response.text()
+            success: true,
+            provider: llmConfig.provider,
+            model: llmConfig.model,
+            response: data
         };
     } catch (error) {
         return {
             success: false,
+            provider: llmConfig?.provider,
+            model: llmConfig?.model,
             error: error.message
         };
     }
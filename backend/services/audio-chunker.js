@@ -0,0 +1,183 @@
+/**
+ * Audio Chunker - Splits long recordings into overlapping windows and stitches the transcripts back
+ * Audio is converted once to 16 kHz mono WAV; windows are sliced straight from the PCM data.
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2; // 16-bit mono PCM
+const CONVERT_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Convert any audio file ffmpeg understands into 16 kHz mono 16-bit WAV
+ */
+export async function convertToWav(inputPath, wavPath) {
+    await execFileAsync(process.env.FFMPEG_BIN || 'ffmpeg', [
+        '-y', '-i', inputPath, '-ar', String(SAMPLE_RATE), '-ac', '1', '-c:a', 'pcm_s16le', wavPath
+    ], { timeout: CONVERT_TIMEOUT_MS });
+}
+
+/**
+ * Split audio into overlapping windows small enough for size-limited engines
+ * Returns { duration, windows: [{ index, offset, duration, buffer, filename }] } with times in seconds
+ */
+export async function splitAudio(audioBuffer, filename, {
+    windowSeconds = parseInt(process.env.TRANSCRIPTION_CHUNK_SECONDS, 10) || 600,
+    overlapSeconds = parseInt(process.env.TRANSCRIPTION_CHUNK_OVERLAP_SECONDS, 10) || 10
+} = {}) {
+    if (overlapSeconds >= windowSeconds) {
+        throw new Error('Chunk overlap must be shorter than the chunk window');
+    }
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jedi-chunks-'));
+    let wav;
+
+    try {
+        const inputPath = path.join(workDir, `input${path.extname(filename) || '.audio'}`);
+        const wavPath = path.join(workDir, 'audio.wav');
+
+        await fs.writeFile(inputPath, audioBuffer);
+        console.log('🎛️ Converting audio to 16 kHz WAV for chunking...');
+        await convertToWav(inputPath, wavPath);
+        wav = await fs.readFile(wavPath);
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+
+    const pcm = readPcmData(wav);
+    const duration = pcm.length / BYTES_PER_SECOND;
+    const step = windowSeconds - overlapSeconds;
+    const baseName = path.basename(filename, path.extname(filename));
+    const windows = [];
+
+    for (let offset = 0; offset < duration; offset += step) {
+        const end = Math.min(offset + windowSeconds, duration);
+        const startByte = alignToSample(offset * BYTES_PER_SECOND);
+        const endByte = alignToSample(end * BYTES_PER_SECOND);
+
+        windows.push({
+            index: windows.length,
+            offset,
+            duration: end - offset,
+            buffer: buildWav(pcm.subarray(startByte, endByte)),
+            filename: `${baseName}.part${windows.length + 1}.wav`
+        });
+
+        if (end >= duration) break;
+    }
+
+    console.log(`✂️ Split ${Math.round(duration)}s of audio into ${windows.length} windows (${windowSeconds}s, ${overlapSeconds}s overlap)`);
+    return { duration, windows };
+}
+
+/**
+ * Merge per-window transcripts into one, shifting timestamps by each window's offset
+ * Overlapping audio is resolved at the midpoint of the overlap so nothing is counted twice
+ * parts: [{ offset, duration, raw }] in window order, raw being an engine result
+ */
+export function stitchTranscripts(parts) {
+    const segments = [];
+    const words = [];
+    const textParts = [];
+
+    parts.forEach((part, index) => {
+        const next = parts[index + 1];
+        const previous = parts[index - 1];
+        const keepFrom = previous ? overlapMidpoint(previous, part) : 0;
+        const keepUntil = next ? overlapMidpoint(part, next) : Infinity;
+        const raw = part.raw;
+
+        (raw.words || []).forEach(word => {
+            const start = word.start + part.offset;
+            if (start >= keepFrom && start < keepUntil) {
+                words.push({ ...word, start, end: word.end + part.offset });
+            }
+        });
+
+        const partSegments = raw.segments || [];
+        if (partSegments.length === 0) {
+            // Engine gave text only, so the overlap cannot be trimmed
+            if (raw.text) textParts.push(raw.text.trim());
+            return;
+        }
+
+        partSegments.forEach(segment => {
+            const start = segment.start + part.offset;
+            const end = segment.end + part.offset;
+            const middle = (start + end) / 2;
+            if (middle >= keepFrom && middle < keepUntil) {
+                segments.push({ ...segment, id: segments.length, start, end });
+                textParts.push(segment.text.trim());
+            }
+        });
+    });
+
+    const last = parts[parts.length - 1];
+
+    return {
+        text: textParts.filter(Boolean).join(' '),
+        segments,
+        words,
+        language: parts[0]?.raw.language || 'en',
+        duration: last ? last.offset + (last.raw.duration || last.duration) : 0,
+        model: parts[0]?.raw.model
+    };
+}
+
+function overlapMidpoint(earlier, later) {
+    return (later.offset + earlier.offset + earlier.duration) / 2;
+}
+
+function alignToSample(byteOffset) {
+    return Math.floor(byteOffset / 2) * 2;
+}
+
+/**
+ * Find the PCM payload of a WAV file (ffmpeg may add LIST chunks before it)
+ */
+function readPcmData(wav) {
+    if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Converted audio is not a valid WAV file');
+    }
+
+    let position = 12;
+    while (position + 8 <= wav.length) {
+        const chunkId = wav.toString('ascii', position, position + 4);
+        const chunkSize = wav.readUInt32LE(position + 4);
+
+        if (chunkId === 'data') {
+            // Streamed output can leave the size unset; take the rest of the file then
+            const end = chunkSize === 0 || chunkSize === 0xFFFFFFFF ? wav.length : position + 8 + chunkSize;
+            return wav.subarray(position + 8, Math.min(end, wav.length));
+        }
+
+        position += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error('Converted audio has no data chunk');
+}
+
+function buildWav(pcm) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16); // PCM format chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(BYTES_PER_SECOND, 28);
+    header.writeUInt16LE(2, 32); // block align
+    header.writeUInt16LE(16, 34); // bits per sample
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+}
@@ -0,0 +1,342 @@
+/**
+ * Chunked Analysis - Map-reduce for transcripts too long for one analysis prompt
+ * The prompt-form transcript is split at questions (or paragraphs) into parts of at most
+ * ANALYSIS_CHUNK_CHARS characters; each part is analyzed on its own and the results are merged here.
+ * Merged highlights, improvements and interview_flow entries carry chunks: [part numbers] they came from.
+ */
+
+import { validateSection } from './response-parser.js';
+
+// Resolved lazily because dotenv runs after module imports (~6k tokens of transcript per part by default)
+const chunkSizeLimit = () => parseInt(process.env.ANALYSIS_CHUNK_CHARS, 10) || 24000;
+
+// A line where the interviewer speaks starts a new question/answer unit
+const QUESTION_START = /^\s*(\[\d{1,2}:\d{2}(?::\d{2})?\]\s*)?(interviewer|q)\s*:/i;
+const CLOCK = /\[(\d{1,2}:\d{2}(?::\d{2})?)\]/g;
+
+const DECISIONS = ['no_hire', 'maybe', 'hire', 'strong_hire'];
+const LEVELS = ['junior', 'mid', 'senior', 'staff', 'principal'];
+const CLARITY = ['poor', 'fair', 'good', 'excellent'];
+const FIELD_RATINGS = ['missing', 'weak', 'adequate', 'strong'];
+const PRIORITIES = { high: 0, medium: 1, low: 2 };
+
+// Items this similar (shared significant words) are the same finding seen in two parts
+const DUPLICATE_SIMILARITY = 0.5;
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'was', 'were', 'are', 'you', 'your', 'their', 'they', 'about', 'from', 'into', 'when', 'what', 'have', 'has', 'had', 'more', 'very', 'candidate', 'shows', 'showed', 'demonstrated', 'demonstrates']);
+
+/**
+ * Split a prompt-form transcript into parts: [{ index, count, label, start, end, text }]
+ * Returns a single part when the transcript fits the limit.
+ */
+export function splitTranscriptIntoChunks(text, { maxChars = chunkSizeLimit() } = {}) {
+    const units = splitUnits(text).flatMap(unit => unit.length > maxChars ? splitLongUnit(unit, maxChars) : [unit]);
+
+    const texts = [];
+    let current = '';
+    units.forEach(unit => {
+        if (current && current.length + unit.length + 2 > maxChars) {
+            texts.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n\n${unit}` : unit;
+    });
+    if (current) texts.push(current);
+
+    return texts.map((chunkText, index) => {
+        const times = [...chunkText.matchAll(CLOCK)].map(match => match[1]);
+        const start = times[0] || null;
+        const end = times.length > 1 ? times[times.length - 1] : null;
+        return {
+            index: index + 1,
+            count: texts.length,
+            label: `Part ${index + 1} of ${texts.length}${start ? ` (${start}${end ? `–${end}` : ''})` : ''}`,
+            start,
+            end,
+            text: chunkText
+        };
+    });
+}
+
+/**
+ * Merge the analyses of every part into one validated analysis
+ * parts: [{ chunk, analysis }] in transcript order; failed parts are simply absent
+ */
+export function mergeChunkAnalyses(parts) {
+    const tagged = name => parts.flatMap(({ chunk, analysis }) => (analysis[name] || []).map(item => ({ ...item, chunks: [chunk.index] })));
+    const sections = name => parts.map(({ analysis }) => analysis[name] || {});
+    // Longer parts carry more of the interview, so they weigh more in the overall verdict
+    const weights = parts.map(({ chunk }) => chunk.text.length);
+
+    const merged = {
+        highlights: dedupe(tagged('highlights'), (kept, item) => {
+            kept.confidence = Math.max(kept.confidence, item.confidence);
+            kept.quote = kept.quote || item.quote;
+        }).sort((a, b) => b.chunks.length - a.chunks.length || b.confidence - a.confidence),
+
+        improvements: dedupe(tagged('improvements'), (kept, item) => {
+            if (PRIORITIES[item.priority] < PRIORITIES[kept.priority]) kept.priority = item.priority;
+            kept.quote = kept.quote || item.quote;
+        }).sort((a, b) => PRIORITIES[a.priority] - PRIORITIES[b.priority] || b.chunks.length - a.chunks.length),
+
+        technical_assessment: mergeTechnicalAssessment(sections('technical_assessment')),
+        communication_analysis: mergeCommunicationAnalysis(sections('communication_analysis')),
+        entities: mergeEntities(sections('entities')),
+        interview_flow: mergeInterviewFlow(tagged('interview_flow')),
+        overall_recommendation: mergeRecommendation(sections('overall_recommendation'), weights),
+        interview_quality: mergeInterviewQuality(sections('interview_quality')),
+        star_analysis: parts.flatMap(({ analysis }) => analysis.star_analysis || []),
+        rubric_scores: mergeRubricScores(parts.flatMap(({ analysis }) => analysis.rubric_scores || [])),
+        type_assessment: mergeTypeAssessment(parts.flatMap(({ analysis }) => analysis.type_assessment || []))
+    };
+
+    // The same validation as a single-pass analysis, so caps and defaults match
+    const validated = Object.fromEntries(Object.entries(merged).map(([name, value]) => [name, validateSection(name, value)]));
+    console.log(`🧩 Merged ${parts.length} parts: ${validated.highlights.length} highlights, ${validated.improvements.length} improvements, ${validated.interview_flow.length} flow sections`);
+    return validated;
+}
+
+/**
+ * Question/answer units; text without interviewer labels falls back to paragraphs
+ */
+function splitUnits(text) {
+    const units = [];
+    let current = [];
+    text.split('\n').forEach(line => {
+        if (QUESTION_START.test(line) && current.some(previous => previous.trim())) {
+            units.push(current.join('\n').trim());
+            current = [];
+        }
+        current.push(line);
+    });
+    if (current.some(line => line.trim())) units.push(current.join('\n').trim());
+
+    return units.length > 1 ? units : text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+/**
+ * A single answer longer than a part is cut at sentence ends
+ */
+function splitLongUnit(unit, maxChars) {
+    const pieces = [];
+    let current = '';
+    (unit.match(/[^.!?\n]+[.!?]*\s*|\n+/g) || [unit]).forEach(sentence => {
+        if (current && current.length + sentence.length > maxChars) {
+            pieces.push(current.trim());
+            current = '';
+        }
+        // A sentence over the limit on its own is hard-cut
+        for (let offset = 0; offset < sentence.length; offset += maxChars) {
+            current += sentence.slice(offset, offset + maxChars);
+            if (current.length >= maxChars) {
+                pieces.push(current.trim());
+                current = '';
+            }
+        }
+    });
+    if (current.trim()) pieces.push(current.trim());
+    return pieces;
+}
+
+/**
+ * Keep the first of each group of near-duplicate items, collecting the parts they came from
+ */
+function dedupe(items, combine) {
+    const kept = [];
+    items.forEach(item => {
+        const words = significantWords(item.text);
+        const duplicate = kept.find(candidate => similarity(candidate.words, words) >= DUPLICATE_SIMILARITY);
+        if (duplicate) {
+            duplicate.chunks = [...new Set([...duplicate.chunks, ...item.chunks])].sort((a, b) => a - b);
+            combine(duplicate, item);
+        } else {
+            kept.push({ ...item, words });
+        }
+    });
+    return kept.map(({ words, ...item }) => item);
+}
+
+function mergeTechnicalAssessment(assessments) {
+    return {
+        level: mostCommon(assessments.map(tech => tech.level).filter(level => LEVELS.includes(level)), LEVELS),
+        skills_demonstrated: union(assessments.map(tech => tech.skills_demonstrated)),
+        knowledge_gaps: union(assessments.map(tech => tech.knowledge_gaps)),
+        problem_solving_approach: assessments.map(tech => tech.problem_solving_approach).find(Boolean)
+    };
+}
+
+function mergeCommunicationAnalysis(analyses) {
+    const ranks = analyses.map(comm => CLARITY.indexOf(comm.clarity)).filter(rank => rank >= 0);
+    return {
+        clarity: ranks.length > 0 ? CLARITY[Math.round(ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length)] : undefined,
+        structure: analyses.map(comm => comm.structure).find(Boolean),
+        listening: analyses.map(comm => comm.listening).find(Boolean),
+        questioning: analyses.map(comm => comm.questioning).find(Boolean)
+    };
+}
+
+function mergeEntities(entities) {
+    return Object.fromEntries(['technologies', 'companies', 'projects', 'methodologies']
+        .map(name => [name, union(entities.map(group => group[name]))]));
+}
+
+/**
+ * Flow sections in transcript order; a section that continues into the next part becomes one entry
+ */
+function mergeInterviewFlow(flow) {
+    const merged = [];
+    flow.forEach(entry => {
+        const last = merged[merged.length - 1];
+        if (last && last.section === entry.section) {
+            combineFlow(last, entry);
+        } else {
+            merged.push({ ...entry, key_moments: [...(entry.key_moments || [])] });
+        }
+    });
+
+    // Too many sections for one timeline: fold repeats of a section into its first appearance
+    if (merged.length <= 8) return merged;
+    const bySection = [];
+    merged.forEach(entry => {
+        const first = bySection.find(candidate => candidate.section === entry.section);
+        if (first) {
+            combineFlow(first, entry);
+        } else {
+            bySection.push(entry);
+        }
+    });
+    return bySection;
+}
+
+function combineFlow(target, entry) {
+    target.chunks = [...new Set([...target.chunks, ...entry.chunks])].sort((a, b) => a - b);
+    target.key_moments = union([target.key_moments, entry.key_moments]);
+    if (entry.summary && entry.summary !== target.summary) target.summary = `${target.summary} ${entry.summary}`;
+    if (entry.duration_estimate && entry.duration_estimate !== target.duration_estimate) {
+        target.duration_estimate = `${target.duration_estimate} + ${entry.duration_estimate}`;
+    }
+}
+
+function mergeRecommendation(recommendations, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0) || 1;
+    const weighted = (values) => values.reduce((sum, value, index) => sum + value * weights[index], 0) / totalWeight;
+    const decisionRanks = recommendations.map(rec => Math.max(0, DECISIONS.indexOf(rec.decision)));
+
+    return {
+        decision: recommendations.length > 0 ? DECISIONS[Math.round(weighted(decisionRanks))] : undefined,
+        confidence: recommendations.length > 0 ? Math.round(weighted(recommendations.map(rec => rec.confidence || 7))) : undefined,
+        key_strengths: byFrequency(recommendations.map(rec => rec.key_strengths)),
+        main_concerns: byFrequency(recommendations.map(rec => rec.main_concerns)),
+        // The end of the interview has the fullest picture for these
+        cultural_fit: recommendations.map(rec => rec.cultural_fit).filter(Boolean).pop(),
+        next_steps: recommendations.map(rec => rec.next_steps).filter(Boolean).pop()
+    };
+}
+
+function mergeInterviewQuality(qualities) {
+    return {
+        questions_effectiveness: qualities.map(quality => quality.questions_effectiveness).find(Boolean),
+        areas_not_explored: union(qualities.map(quality => quality.areas_not_explored)),
+        suggested_follow_ups: union(qualities.map(quality => quality.suggested_follow_ups))
+    };
+}
+
+/**
+ * One score per criterion: the mean of the parts that scored it, with their evidence combined
+ */
+function mergeRubricScores(scores) {
+    const byCriterion = new Map();
+    scores.forEach(entry => {
+        const group = byCriterion.get(entry.criterion) || [];
+        group.push(entry);
+        byCriterion.set(entry.criterion, group);
+    });
+
+    return [...byCriterion.entries()].map(([criterion, group]) => {
+        const numeric = group.map(entry => entry.score).filter(score => typeof score === 'number');
+        return {
+            criterion,
+            score: numeric.length > 0 ? numeric.reduce((sum, score) => sum + score, 0) / numeric.length : null,
+            evidence: union(group.map(entry => entry.evidence)),
+            rationale: group.map(entry => entry.rationale).filter(Boolean).join(' ') || null
+        };
+    });
+}
+
+/**
+ * One entry per field; a part that never reached the field ("missing") does not outvote the parts that did
+ */
+function mergeTypeAssessment(entries) {
+    const byField = new Map();
+    entries.forEach(entry => {
+        const group = byField.get(entry.field) || [];
+        group.push(entry);
+        byField.set(entry.field, group);
+    });
+
+    return [...byField.entries()].map(([field, group]) => {
+        const addressed = group.filter(entry => entry.rating && entry.rating !== 'missing');
+        const counted = addressed.length > 0 ? addressed : group;
+        return {
+            field,
+            rating: mostCommon(counted.map(entry => entry.rating).filter(rating => FIELD_RATINGS.includes(rating)), FIELD_RATINGS) || null,
+            summary: counted.map(entry => entry.summary).filter(Boolean).join(' ') || null,
+            quote: counted.map(entry => entry.quote).find(Boolean) || null
+        };
+    });
+}
+
+/**
+ * Distinct strings (case-insensitive) in first-seen order
+ */
+function union(lists) {
+    const seen = new Map();
+    lists.flat().filter(value => typeof value === 'string' && value.trim()).forEach(value => {
+        const key = value.trim().toLowerCase();
+        if (!seen.has(key)) seen.set(key, value.trim());
+    });
+    return [...seen.values()];
+}
+
+/**
+ * Distinct strings, the ones named by the most parts first
+ */
+function byFrequency(lists) {
+    const counts = new Map();
+    lists.forEach(list => union([list]).forEach(value => {
+        const entry = counts.get(value.toLowerCase()) || { value, count: 0 };
+        entry.count++;
+        counts.set(value.toLowerCase(), entry);
+    }));
+    // Stable sort, so ties keep first-seen order
+    return [...counts.values()].sort((a, b) => b.count - a.count).map(entry => entry.value);
+}
+
+/**
+ * The most frequent value; ties go to the higher one in the given order
+ */
+function mostCommon(values, order) {
+    if (values.length === 0) return undefined;
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || order.indexOf(b[0]) - order.indexOf(a[0]))[0][0];
+}
+
+/**
+ * Whether two findings say the same thing, by their significant words (also used by the mentor panel)
+ */
+export function sameFinding(a, b) {
+    return similarity(significantWords(a), significantWords(b)) >= DUPLICATE_SIMILARITY;
+}
+
+function significantWords(text) {
+    return new Set((String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(word => word.length > 2 && !STOPWORDS.has(word)));
+}
+
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    const shared = [...a].filter(word => b.has(word)).length;
+    // One shared word is not enough to call two longer findings the same
+    if (shared < Math.min(2, a.size, b.size)) return 0;
+    return shared / Math.min(a.size, b.size);
+}
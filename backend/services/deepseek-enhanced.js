@@ -4,18 +4,18 @@
  * Refactored to use modular validation and demo data
  */
 
+import { resolveLLMConfig, isProviderConfigured, createChatCompletion } from './llm-providers.js';
+
 const ResponseValidator = require('./validators/response-validator');
 const DemoAnalysisGenerator = require('./demo-data/demo-analysis');
 
-const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
-const MODEL = 'deepseek/deepseek-r1-distill-llama-70b:free';
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
 
 /**
  * Main analysis function with enhanced error handling and mentor personalities
  */
-export async function analyzeTranscript(transcript, mentor = null, interviewType = null) {
+export async function analyzeTranscript(transcript, mentor = null, interviewType = null, llmOverrides = null) {
     console.log(`🧠 Starting enhanced DeepSeek analysis... (Mentor: ${mentor}, Type: ${interviewType})`);
     
     // Validate input
@@ -23,16 +23,18 @@ export async function analyzeTranscript(transcript, mentor = null, interviewType
         throw new Error('Transcript too short or empty for meaningful analysis');
     }
 
-    // Check API key configuration
-    if (!process.env.OPENROUTER_API_KEY || process.env.OPENROUTER_API_KEY === 'your_openrouter_api_key_here') {
-        console.log('⚠️  OpenRouter API key not configured, using demo analysis');
+    const llmConfig = resolveLLMConfig('analysis', { interviewType, overrides: llmOverrides });
+
+    // Check provider configuration
+    if (!isProviderConfigured(llmConfig)) {
+        console.log(`⚠️  ${llmConfig.label} API key not configured, using demo analysis`);
         return DemoAnalysisGenerator.generateDemoAnalysis(transcript, mentor, interviewType);
     }
 
     // Attempt analysis with retry logic
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
         try {
-            const result = await performAnalysis(transcript, attempt, mentor, interviewType);
+            const result = await performAnalysis(transcript, attempt, mentor, interviewType, llmConfig);
             console.log('✅ DeepSeek analysis completed successfully');
             return result;
         } catch (error) {
@@ -52,55 +54,35 @@ export async function analyzeTranscript(transcript, mentor = null, interviewType
 /**
  * Perform the actual API analysis
  */
-async function performAnalysis(transcript, attempt, mentor, interviewType) {
+async function performAnalysis(transcript, attempt, mentor, interviewType, llmConfig) {
     console.log(`🔄 Analysis attempt ${attempt}/${MAX_RETRIES}`);
     
     const startTime = Date.now();
     const prompt = buildPrompt(transcript, mentor, interviewType);
     
-    const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': 'https://interview-helper.local',
-            'X-Title': 'Jedi Interview Training'
+    const data = await createChatCompletion(llmConfig, [
+        {
+            role: 'system', 
+            content: 'You are an expert interview analyst. Return ONLY valid JSON with no extra text, markdown, or explanations.'
         },
-        body: JSON.stringify({
-            model: MODEL,
-            messages: [
-                {
-                    role: 'system', 
-                    content: 'You are an expert interview analyst. Return ONLY valid JSON with no extra text, markdown, or explanations.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            max_tokens: 4000,
-            temperature: 0.3,
-            top_p: 0.8,
-            frequency_penalty: 0.1,
-            presence_penalty: 0.1
-        })
+        {
+            role: 'user',
+            content: prompt
+        }
+    ], {
+        top_p: 0.8,
+        frequency_penalty: 0.1,
+        presence_penalty: 0.1
     });
-
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`OpenRouter API error ${response.status}: ${errorText}`);
-    }
-
-    const data = await response.json();
     
     if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-        throw new Error('Invalid response structure from OpenRouter API');
+        throw new Error(`Invalid response structure from ${llmConfig.label} API`);
     }
 
     const analysisText = data.choices[0].message.content.trim();
     
     if (!analysisText) {
-        throw new Error('Empty response content from OpenRouter API');
+        throw new Error(`Empty response content from ${llmConfig.label} API`);
     }
 
     const analysis = ResponseValidator.parseAndValidateResponse(analysisText, transcript);
@@ -109,7 +91,8 @@ async function performAnalysis(transcript, attempt, mentor, interviewType) {
         success: true,
         analysis,
         metadata: {
-            model: MODEL,
+            model: llmConfig.model,
+            provider: llmConfig.provider,
             timestamp: new Date().toISOString(),
             processing_time_ms: Date.now() - startTime,
             attempt_number: attempt,
@@ -208,26 +191,18 @@ function sleep(ms) {
 /**
  * Test API connectivity
  */
-export async function testDeepSeekConnection() {
+export async function testDeepSeekConnection(llmOverrides = null) {
     try {
-        const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                model: MODEL,
-                messages: [{ role: 'user', content: 'Test connection. Respond with: {"status": "connected"}' }],
-                max_tokens: 50
-            })
-        });
+        const llmConfig = resolveLLMConfig('test', { overrides: llmOverrides });
+        const data = await createChatCompletion(llmConfig, [
+            { role: 'user', content: 'Test connection. Respond with: {"status": "connected"}' }
+        ]);
 
         return {
-            success: response.ok,
-            status: response.status,
-            model: MODEL,
-            response: response.ok ? await response.json() : await response.text()
+            success: true,
+            provider: llmConfig.provider,
+            model: llmConfig.model,
+            response: data
         };
     } catch (error) {
         return {
@@ -235,4 +210,4 @@ export async function testDeepSeekConnection() {
             error: error.message
         };
     }
-} 
\ No newline at end of file
+}
\ No newline at end of file
@@ -1,55 +1,41 @@
 /**
- * DeepSeek AI Analysis Service via OpenRouter
+ * DeepSeek AI Analysis Service via the LLM provider registry
  */
 
-const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
-const MODEL = 'deepseek/deepseek-r1-distill-llama-70b:free';
+import { resolveLLMConfig, isProviderConfigured, createChatCompletion } from './llm-providers.js';
 
 /**
  * Analyze transcript using DeepSeek AI
  */
-export async function analyzeTranscript(transcript) {
+export async function analyzeTranscript(transcript, interviewType = null, llmOverrides = null) {
     try {
         console.log('🧠 Starting AI analysis...');
         
-        if (!process.env.OPENROUTER_API_KEY || process.env.OPENROUTER_API_KEY === 'your_api_key_here') {
-            console.log('⚠️ OpenRouter API key not configured, using demo analysis');
+        const llmConfig = resolveLLMConfig('analysis', { interviewType, overrides: llmOverrides });
+        if (!isProviderConfigured(llmConfig)) {
+            console.log(`⚠️ ${llmConfig.label} API key not configured, using demo analysis`);
             return getDemoAnalysis(transcript);
         }
 
         const analysisPrompt = createAnalysisPrompt(transcript);
         
-        const response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': 'http://localhost:3001',
-                'X-Title': 'Interview Helper Analysis'
-            },
-            body: JSON.stringify({
-                model: MODEL,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are an expert interview analyst. Always respond with valid JSON only.'
-                    },
-                    {
-                        role: 'user',
-                        content: analysisPrompt
-                    }
-                ],
-                temperature: 0.3,
-                max_tokens: 3000
-            })
-        });
-
-        if (!response.ok) {
+        let data;
+        try {
+            data = await createChatCompletion(llmConfig, [
+                {
+                    role: 'system',
+                    content: 'You are an expert interview analyst. Always respond with valid JSON only.'
+                },
+                {
+                    role: 'user',
+                    content: analysisPrompt
+                }
+            ]);
+        } catch (apiError) {
             console.log('🔄 API failed, falling back to demo analysis');
             return getDemoAnalysis(transcript);
         }
 
-        const data = await response.json();
         const analysisText = data.choices[0]?.message?.content;
 
         if (!analysisText) {
@@ -63,7 +49,8 @@ export async function analyzeTranscript(transcript) {
             success: true,
             analysis: analysis,
             metadata: {
-                model: MODEL,
+                model: llmConfig.model,
+                provider: llmConfig.provider,
                 timestamp: new Date().toISOString(),
                 transcript_length: transcript.length
             }
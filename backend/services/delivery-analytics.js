@@ -0,0 +1,289 @@
+/**
+ * Delivery Analytics - Pacing and fluency metrics computed from word timestamps
+ * Words per minute, long pauses, filler words, restarts and answer length versus a target,
+ * per candidate answer and overall. Falls back to segment timings when there are no words.
+ */
+
+import { normalizeTranscript } from './transcript-model.js';
+
+const LONG_PAUSE_SECONDS = 2.0;
+
+// Conversational speech sits around 120-160 wpm; interview answers are fine a little either side
+const PACE_RANGE = { slow: 110, fast: 175 };
+
+// Filler rate per 100 words above which it becomes noticeable to a listener
+const FILLER_RATE_WARNING = 3;
+
+// Answer length target in seconds when the interview type sets none ("answerSeconds" in its file)
+const DEFAULT_ANSWER_TARGET = { min: 45, max: 150 };
+
+// Answers shorter than this are acknowledgements ("Sure.", "Yes, exactly"), not answers
+const MIN_ANSWER_WORDS = 8;
+
+const FILLERS = [
+    { name: 'um', pattern: /\b(um+|umm+|erm+|hmm+)\b/gi },
+    { name: 'uh', pattern: /\b(uh+|er|ah+)\b/gi },
+    { name: 'like', pattern: /(?:^|[,.!?;]\s*)like\b(?=\s*,)|,\s*like,|(?:^|[.!?]\s+)like,/gi },
+    { name: 'you know', pattern: /\byou know\b(?!\s+(what|how|that|why|when|where|who|if|the|a|an|about)\b)/gi }
+];
+
+// Doubled words that are grammatical ("had had", "that that") are not restarts
+const ALLOWED_REPEATS = new Set(['had', 'that', 'very', 'really', 'no', 'bye', 'so']);
+
+/**
+ * Compute the delivery section for a structured transcript, or null when it has no timings
+ * options.type (an interview type) picks the answer length target
+ */
+export function analyzeDelivery(input, { type = null } = {}) {
+    const transcript = normalizeTranscript(input);
+    if (!transcript || transcript.turns.length === 0) return null;
+
+    const timedTurns = transcript.turns.filter(turn => typeof turn.start === 'number' && typeof turn.end === 'number');
+    if (timedTurns.length === 0) return null;
+
+    // Judge only the candidate when speakers are known
+    const hasSpeakers = timedTurns.some(turn => turn.speaker);
+    const answerTurns = timedTurns.filter(turn => !hasSpeakers || turn.speaker === 'candidate');
+    const target = type?.answerSeconds || DEFAULT_ANSWER_TARGET;
+    const useWords = transcript.words.length > 0;
+
+    const answers = answerTurns
+        .map(turn => analyzeAnswer(turn, transcript, target, useWords))
+        .filter(answer => answer.word_count >= MIN_ANSWER_WORDS);
+
+    if (answers.length === 0) return null;
+
+    const overall = summarize(answers);
+    console.log(`🎙️ Delivery: ${answers.length} answers, ${overall.words_per_minute} wpm, ${overall.filler_rate} fillers/100 words`);
+
+    return {
+        source: useWords ? 'word_timestamps' : 'segment_timestamps',
+        target_answer_seconds: target,
+        overall,
+        answers,
+        observations: buildObservations(overall, answers, target)
+    };
+}
+
+/**
+ * One-paragraph summary for the analysis prompt, so mentors can talk about pacing too
+ */
+export function formatDeliveryForPrompt(delivery) {
+    if (!delivery) return '';
+
+    const { overall, target_answer_seconds: target } = delivery;
+    const lines = [
+        `Speaking pace: ${overall.words_per_minute} words per minute (${overall.pace}).`,
+        `Filler words: ${overall.filler_count} (${overall.filler_rate} per 100 words)${formatFillerBreakdown(overall.fillers)}.`,
+        `Long pauses (over ${LONG_PAUSE_SECONDS}s): ${overall.long_pause_count}. Restarts: ${overall.restart_count}.`,
+        `Answers: ${overall.answer_count}, average ${overall.average_answer_seconds}s (target ${target.min}-${target.max}s); ${overall.long_answers} too long, ${overall.short_answers} too short.`
+    ];
+
+    delivery.answers
+        .filter(answer => answer.length_vs_target !== 'on_target' || answer.pace !== 'good')
+        .slice(0, 5)
+        .forEach(answer => {
+            lines.push(`- Answer at [${formatClock(answer.start)}]: ${answer.duration_seconds}s, ${answer.words_per_minute} wpm, ${answer.filler_count} fillers (${answer.length_vs_target.replace('_', ' ')}, ${answer.pace} pace)`);
+        });
+
+    return lines.join('\n');
+}
+
+function analyzeAnswer(turn, transcript, target, useWords) {
+    const text = turn.text;
+    const turnWords = useWords
+        ? transcript.words.filter(word => word.start >= turn.start - 0.05 && word.end <= turn.end + 0.05)
+        : [];
+    const wordCount = turnWords.length || countWords(text);
+
+    // Speaking time leaves out long pauses, which are reported separately
+    const pauses = useWords ? findWordPauses(turnWords) : findSegmentPauses(turn, transcript.segments);
+    const duration = Math.max(0, turn.end - turn.start);
+    const pauseSeconds = pauses.reduce((sum, pause) => sum + pause.duration, 0);
+    const speakingSeconds = Math.max(1, duration - pauseSeconds);
+
+    const fillers = countFillers(text);
+    const fillerCount = Object.values(fillers).reduce((sum, count) => sum + count, 0);
+    const restarts = findRestarts(text);
+    const wordsPerMinute = Math.round(wordCount / (speakingSeconds / 60));
+
+    return {
+        turn_id: turn.id,
+        start: round(turn.start),
+        end: round(turn.end),
+        duration_seconds: Math.round(duration),
+        word_count: wordCount,
+        words_per_minute: wordsPerMinute,
+        pace: classifyPace(wordsPerMinute),
+        filler_count: fillerCount,
+        filler_rate: rate(fillerCount, wordCount),
+        fillers,
+        long_pauses: pauses.map(pause => ({ start: round(pause.start), duration: round(pause.duration) })),
+        restarts,
+        length_vs_target: duration < target.min ? 'short' : duration > target.max ? 'long' : 'on_target',
+        excerpt: text.length > 80 ? text.substring(0, 77) + '...' : text
+    };
+}
+
+function findWordPauses(words) {
+    const pauses = [];
+    for (let index = 1; index < words.length; index++) {
+        const gap = words[index].start - words[index - 1].end;
+        if (gap >= LONG_PAUSE_SECONDS) {
+            pauses.push({ start: words[index - 1].end, duration: gap });
+        }
+    }
+    return pauses;
+}
+
+/**
+ * Without word timings only the gaps between segments of the same answer are visible
+ */
+function findSegmentPauses(turn, segments) {
+    const turnSegments = segments.filter(segment => turn.segmentIds?.includes(segment.id));
+    const pauses = [];
+    for (let index = 1; index < turnSegments.length; index++) {
+        const gap = turnSegments[index].start - turnSegments[index - 1].end;
+        if (gap >= LONG_PAUSE_SECONDS) {
+            pauses.push({ start: turnSegments[index - 1].end, duration: gap });
+        }
+    }
+    return pauses;
+}
+
+function countFillers(text) {
+    const counts = {};
+    FILLERS.forEach(({ name, pattern }) => {
+        const matches = text.match(pattern);
+        if (matches) counts[name] = matches.length;
+    });
+    return counts;
+}
+
+/**
+ * Restarts: a word or short phrase said twice in a row ("I I", "we went, we went"),
+ * or a sentence cut off with a dash ("I was-- I had")
+ */
+function findRestarts(text) {
+    const restarts = [];
+    const tokens = text.toLowerCase().replace(/[^a-z0-9'\s-]/g, ' ').split(/\s+/).filter(Boolean);
+
+    for (let index = 0; index < tokens.length; index++) {
+        for (let size = 3; size >= 1; size--) {
+            const phrase = tokens.slice(index, index + size);
+            const repeat = tokens.slice(index + size, index + size * 2);
+            if (repeat.length < size || phrase.join(' ') !== repeat.join(' ')) continue;
+            if (size === 1 && ALLOWED_REPEATS.has(phrase[0])) continue;
+
+            restarts.push(phrase.join(' '));
+            index += size * 2 - 1;
+            break;
+        }
+    }
+
+    const cutOff = text.match(/\b\w+\s*(--|—|-\s)\s*(?=\w)/g) || [];
+    cutOff.forEach(match => restarts.push(match.replace(/\s*(--|—|-)\s*$/, '').trim()));
+
+    return restarts;
+}
+
+function summarize(answers) {
+    const totalWords = answers.reduce((sum, answer) => sum + answer.word_count, 0);
+    const totalSeconds = answers.reduce((sum, answer) => sum + answer.duration_seconds, 0);
+    const pauseSeconds = answers.reduce((sum, answer) =>
+        sum + answer.long_pauses.reduce((total, pause) => total + pause.duration, 0), 0);
+    const fillerCount = answers.reduce((sum, answer) => sum + answer.filler_count, 0);
+    const fillers = {};
+    answers.forEach(answer => Object.entries(answer.fillers).forEach(([name, count]) => {
+        fillers[name] = (fillers[name] || 0) + count;
+    }));
+    const wordsPerMinute = Math.round(totalWords / (Math.max(1, totalSeconds - pauseSeconds) / 60));
+
+    return {
+        answer_count: answers.length,
+        speaking_seconds: Math.round(totalSeconds),
+        word_count: totalWords,
+        words_per_minute: wordsPerMinute,
+        pace: classifyPace(wordsPerMinute),
+        filler_count: fillerCount,
+        filler_rate: rate(fillerCount, totalWords),
+        fillers,
+        long_pause_count: answers.reduce((sum, answer) => sum + answer.long_pauses.length, 0),
+        restart_count: answers.reduce((sum, answer) => sum + answer.restarts.length, 0),
+        average_answer_seconds: Math.round(totalSeconds / answers.length),
+        long_answers: answers.filter(answer => answer.length_vs_target === 'long').length,
+        short_answers: answers.filter(answer => answer.length_vs_target === 'short').length
+    };
+}
+
+/**
+ * Plain-language notes for the UI and report
+ */
+function buildObservations(overall, answers, target) {
+    const observations = [];
+
+    if (overall.pace === 'fast') {
+        observations.push(`Speaking quickly at ${overall.words_per_minute} wpm; slowing to 130-160 wpm gives the interviewer time to follow.`);
+    } else if (overall.pace === 'slow') {
+        observations.push(`Speaking slowly at ${overall.words_per_minute} wpm; tighter phrasing keeps energy up.`);
+    }
+
+    if (overall.filler_rate >= FILLER_RATE_WARNING) {
+        const top = Object.entries(overall.fillers).sort((a, b) => b[1] - a[1])[0];
+        observations.push(`${overall.filler_rate} filler words per 100 words${top ? `, mostly "${top[0]}"` : ''}; a short silent pause works better.`);
+    }
+
+    const longest = answers.filter(answer => answer.length_vs_target === 'long')
+        .sort((a, b) => b.duration_seconds - a.duration_seconds)[0];
+    if (longest) {
+        observations.push(`${overall.long_answers} answer(s) ran past ${target.max}s; the longest was ${formatDuration(longest.duration_seconds)} at [${formatClock(longest.start)}].`);
+    }
+
+    if (overall.short_answers > answers.length / 2) {
+        observations.push(`Most answers were under ${target.min}s; add a concrete example or result to each.`);
+    }
+
+    if (overall.long_pause_count > 0) {
+        observations.push(`${overall.long_pause_count} pause(s) over ${LONG_PAUSE_SECONDS}s mid-answer.`);
+    }
+
+    if (overall.restart_count >= 3) {
+        observations.push(`${overall.restart_count} restarts or repeated words; settle the first sentence before speaking.`);
+    }
+
+    return observations;
+}
+
+function classifyPace(wordsPerMinute) {
+    if (wordsPerMinute < PACE_RANGE.slow) return 'slow';
+    if (wordsPerMinute > PACE_RANGE.fast) return 'fast';
+    return 'good';
+}
+
+function formatFillerBreakdown(fillers) {
+    const entries = Object.entries(fillers);
+    return entries.length > 0 ? ` - ${entries.map(([name, count]) => `"${name}" x${count}`).join(', ')}` : '';
+}
+
+function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+function rate(count, words) {
+    return words > 0 ? Math.round((count / words) * 1000) / 10 : 0;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function formatClock(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.floor(seconds % 60);
+    return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+}
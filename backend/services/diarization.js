@@ -0,0 +1,191 @@
+/**
+ * Speaker Diarization - Labels transcript segments as interviewer or candidate
+ * Uses speaker-turn markers from the engine when available (whisper.cpp tinydiarize),
+ * otherwise groups segments into turns by pauses and scores each turn's wording.
+ */
+
+export const SPEAKERS = ['interviewer', 'candidate'];
+
+const TURN_GAP_SECONDS = 1.2; // A pause this long usually means the other person is talking
+
+const QUESTION_OPENERS = /^(so,?\s+)?(can|could|would|will|do|did|does|have|has|are|is|what|why|how|when|where|which|who|tell me|walk me|describe|explain|give me|talk me|imagine|let's say|suppose)\b/i;
+const INTERVIEWER_PHRASES = /\b(tell me about|walk me through|can you (describe|explain|give)|how would you|what would you|why did you|let's move on|next question|any questions for (me|us)|thanks for (that|sharing))\b/gi;
+// "me" is left out: interviewers say it in every request ("tell me", "walk me through", "give me")
+const FIRST_PERSON = /\b(i|i'm|i've|i'd|i'll|my|mine)\b/gi;
+const INVITES_QUESTIONS = /\b(any|have|got) (other |more )?questions for (me|us)\b/i;
+
+// Labels that came from a person rather than a guess are never overwritten
+const FIXED_SOURCES = ['user', 'import'];
+
+/**
+ * Return copies of the segments with speaker, speakerConfidence and speakerSource set
+ * Segments labeled by the user or by imported captions are kept as they are.
+ */
+export function assignSpeakers(segments) {
+    if (!segments || segments.length === 0) return [];
+
+    const useMarkers = segments.some(segment => typeof segment.speakerTurnNext === 'boolean');
+    const turns = groupIntoTurns(segments, useMarkers);
+    const scored = turns.map(turn => ({
+        ...turn,
+        score: scoreTurn(turn.segments),
+        invitesQuestions: turn.segments.some(segment => INVITES_QUESTIONS.test(segment.text || ''))
+    }));
+
+    if (useMarkers) {
+        labelAlternatingTurns(scored);
+    } else {
+        labelTurnsIndividually(scored);
+    }
+
+    return scored.flatMap(turn => turn.segments.map(segment => {
+        if (FIXED_SOURCES.includes(segment.speakerSource) && SPEAKERS.includes(segment.speaker)) {
+            return { ...segment };
+        }
+        return {
+            ...segment,
+            speaker: turn.speaker,
+            speakerConfidence: turn.confidence,
+            speakerSource: useMarkers ? 'diarization' : 'heuristic'
+        };
+    }));
+}
+
+/**
+ * Map named speakers from imported captions (Zoom, Teams, Otter) to interviewer/candidate
+ * The candidate is the named person if given, otherwise whoever reads least like an interviewer.
+ * Everyone else counts as interviewer, which also covers panel interviews.
+ */
+export function assignSpeakersByName(segments, { candidateName = null } = {}) {
+    const names = [...new Set(segments.map(segment => segment.speakerName).filter(Boolean))];
+    if (names.length === 0) return assignSpeakers(segments);
+
+    let candidate = names.find(name => candidateName && name.toLowerCase() === candidateName.trim().toLowerCase());
+    let confidence = candidate ? 1 : 0.5;
+
+    if (!candidate) {
+        // Names that already say what they are
+        candidate = names.find(name => /\bcandidate\b/i.test(name));
+        const interviewerNamed = names.find(name => /\binterviewer\b/i.test(name));
+
+        if (candidate || (interviewerNamed && names.length === 2)) {
+            candidate = candidate || names.find(name => name !== interviewerNamed);
+            confidence = 0.95;
+        } else {
+            // On a tie the first to speak is the interviewer, who opens the interview
+            const scores = names.map(name => ({
+                name,
+                score: scoreTurn(segments.filter(segment => segment.speakerName === name))
+            })).sort((a, b) => a.score - b.score || names.indexOf(b.name) - names.indexOf(a.name));
+
+            candidate = scores[0].name;
+            confidence = scores.length > 1 ? toConfidence(scores[1].score - scores[0].score) : 0.5;
+        }
+    }
+
+    return segments.map(segment => ({
+        ...segment,
+        speaker: segment.speakerName === candidate ? 'candidate' : 'interviewer',
+        speakerConfidence: confidence,
+        speakerSource: 'import'
+    }));
+}
+
+/**
+ * Give each word the speaker of the segment it falls in
+ */
+export function labelWordSpeakers(words, segments) {
+    if (!words || words.length === 0) return [];
+
+    let index = 0;
+    return words.map(word => {
+        while (index < segments.length - 1 && word.start >= segments[index].end) index++;
+        const segment = segments[index];
+        return segment?.speaker ? { ...word, speaker: segment.speaker } : { ...word };
+    });
+}
+
+function groupIntoTurns(segments, useMarkers) {
+    const turns = [];
+
+    segments.forEach((segment, index) => {
+        const previous = segments[index - 1];
+        const startsTurn = !previous || (useMarkers
+            ? previous.speakerTurnNext === true
+            : segment.start - previous.end >= TURN_GAP_SECONDS || /\?\s*$/.test(previous.text || ''));
+
+        if (startsTurn) {
+            turns.push({ segments: [segment] });
+        } else {
+            turns[turns.length - 1].segments.push(segment);
+        }
+    });
+
+    return turns;
+}
+
+/**
+ * Positive score means the turn reads like the interviewer, negative like the candidate
+ */
+function scoreTurn(segments) {
+    const text = segments.map(segment => (segment.text || '').trim()).join(' ');
+    const words = text.split(/\s+/).filter(Boolean);
+    if (words.length === 0) return 0;
+
+    const sentences = text.split(/(?<=[.!?])\s+/).filter(Boolean);
+    const questions = sentences.filter(sentence => sentence.trim().endsWith('?')).length;
+    const openers = sentences.filter(sentence => QUESTION_OPENERS.test(sentence.trim())).length;
+    const phrases = (text.match(INTERVIEWER_PHRASES) || []).length;
+    // Pronouns inside the interviewer's own cue phrases do not mean the speaker is talking about themselves
+    const ownWords = sentences.map(sentence => sentence.trim().replace(QUESTION_OPENERS, '')).join(' ').replace(INTERVIEWER_PHRASES, '');
+    const firstPerson = (ownWords.match(FIRST_PERSON) || []).length / words.length;
+
+    let score = questions * 2 + openers * 0.5 + phrases * 1.5;
+    score -= firstPerson * 20; // Candidates talk about themselves
+    score -= Math.max(0, words.length - 40) / 20; // Long monologues are answers
+    if (words.length <= 25 && questions > 0) score += 1;
+
+    return score;
+}
+
+/**
+ * Engine marked the speaker changes: turns alternate between two voices,
+ * so only decide which voice is the interviewer
+ */
+function labelAlternatingTurns(turns) {
+    const evenScore = turns.filter((_, index) => index % 2 === 0).reduce((sum, turn) => sum + turn.score, 0);
+    const oddScore = turns.filter((_, index) => index % 2 === 1).reduce((sum, turn) => sum + turn.score, 0);
+    const evenIsInterviewer = evenScore >= oddScore;
+    const confidence = toConfidence(Math.abs(evenScore - oddScore));
+
+    turns.forEach((turn, index) => {
+        const isInterviewer = (index % 2 === 0) === evenIsInterviewer;
+        turn.speaker = isInterviewer ? 'interviewer' : 'candidate';
+        turn.confidence = confidence;
+    });
+}
+
+/**
+ * No markers: label each turn by its own wording, falling back to alternation when unclear
+ */
+function labelTurnsIndividually(turns) {
+    turns.forEach((turn, index) => {
+        const previous = turns[index - 1];
+
+        if (previous?.invitesQuestions && previous.speaker === 'interviewer') {
+            turn.speaker = 'candidate'; // "Any questions for me?" - the candidate asks next
+        } else if (Math.abs(turn.score) >= 0.5) {
+            turn.speaker = turn.score > 0 ? 'interviewer' : 'candidate';
+        } else if (previous) {
+            turn.speaker = previous.speaker === 'interviewer' ? 'candidate' : 'interviewer';
+        } else {
+            turn.speaker = 'interviewer'; // Interviews usually open with the interviewer
+        }
+
+        turn.confidence = toConfidence(Math.abs(turn.score));
+    });
+}
+
+function toConfidence(margin) {
+    return Math.round((0.5 + 0.5 * (margin / (margin + 2))) * 100) / 100;
+}
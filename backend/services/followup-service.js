@@ -3,68 +3,56 @@
  * Generates contextual, high-value follow-up questions based on conversation analysis
  */
 
-import OpenAI from 'openai';
-
-// Initialize OpenRouter client for DeepSeek access
-function getOpenRouterClient() {
-    if (!process.env.OPENROUTER_API_KEY || process.env.OPENROUTER_API_KEY === 'your_openrouter_api_key_here') {
-        console.log('❌ OpenRouter API key not configured');
-        return null;
-    }
-    
-    return new OpenAI({
-        baseURL: "https://openrouter.ai/api/v1",
-        apiKey: process.env.OPENROUTER_API_KEY
-    });
-}
+import { resolveLLMConfig, isProviderConfigured, createChatCompletion } from './llm-providers.js';
+import { resolveMentor } from './mentor-personalities.js';
+import { resolveInterviewType } from './interview-types.js';
 
 /**
  * Generate intelligent follow-up questions based on conversation context
  */
 export async function generateFollowupSuggestions(conversationContext) {
-    try {
-        const { 
-            originalTranscript, 
-            mentorResponse, 
-            mentor, 
-            interviewType,
-            conversationHistory = []
-        } = conversationContext;
+    // Outside the try so the template fallback below can see them
+    const { 
+        originalTranscript, 
+        mentorResponse, 
+        mentor, 
+        interviewType,
+        conversationHistory = [],
+        llm = null
+    } = conversationContext;
 
+    try {
         console.log('🧠 Generating follow-up suggestions...');
         console.log('📋 Context:', { mentor, interviewType, responseLength: mentorResponse?.length || 0 });
 
-        const client = getOpenRouterClient();
-        if (!client) {
+        const llmConfig = resolveLLMConfig('followup', { interviewType, overrides: llm });
+        if (!isProviderConfigured(llmConfig)) {
+            console.log(`❌ ${llmConfig.label} API key not configured`);
             return getMockFollowupSuggestions(interviewType, mentor);
         }
 
         const analysisPrompt = createFollowupAnalysisPrompt({
             originalTranscript,
             mentorResponse,
-            mentor,
+            persona: await resolveMentor(mentor),
+            type: await resolveInterviewType(interviewType),
             interviewType,
             conversationHistory
         });
 
-        const response = await client.chat.completions.create({
-            model: "deepseek/deepseek-chat",
-            messages: [
-                {
-                    role: "system",
-                    content: "You are an expert interview coach specializing in generating strategic follow-up questions. Your goal is to identify gaps in the conversation and suggest high-value questions that will unlock deeper insights."
-                },
-                {
-                    role: "user",
-                    content: analysisPrompt
-                }
-            ],
-            temperature: 0.7,
-            max_tokens: 800
-        });
+        const response = await createChatCompletion(llmConfig, [
+            {
+                role: "system",
+                content: "You are an expert interview coach specializing in generating strategic follow-up questions. Your goal is to identify gaps in the conversation and suggest high-value questions that will unlock deeper insights."
+            },
+            {
+                role: "user",
+                content: analysisPrompt
+            }
+        ]);
 
         const aiResponse = response.choices[0]?.message?.content;
-        console.log('✅ DeepSeek follow-up analysis completed');
+        console.log(`✅ Follow-up analysis completed via ${llmConfig.provider}`);
 
         // Parse the AI response to extract structured suggestions
         const suggestions = parseFollowupResponse(aiResponse);
@@ -73,7 +61,8 @@ export async function generateFollowupSuggestions(conversationContext) {
             success: true,
             suggestions: suggestions,
             metadata: {
-                model: 'deepseek-chat',
+                model: llmConfig.model,
+                provider: llmConfig.provider,
                 timestamp: new Date().toISOString(),
                 interviewType,
                 mentor,
@@ -93,25 +82,14 @@ export async function generateFollowupSuggestions(conversationContext) {
 /**
  * Create sophisticated prompt for follow-up analysis
  */
-function createFollowupAnalysisPrompt({ originalTranscript, mentorResponse, mentor, interviewType, conversationHistory }) {
-    const mentorPersonalities = {
-        yoda: "wise, philosophical, focuses on deeper understanding and reflection",
-        obiwan: "strategic, analytical, emphasizes process and methodology", 
-        vader: "direct, results-focused, pushes for accountability and performance"
-    };
-
-    const interviewFocusAreas = {
-        behavioral: "leadership scenarios, team dynamics, conflict resolution, decision-making process",
-        technical: "system design, scalability, problem-solving approach, implementation details",
-        consulting: "business strategy, data analysis, client management, stakeholder communication",
-        leadership: "team building, strategic vision, change management, organizational impact"
-    };
+function createFollowupAnalysisPrompt({ originalTranscript, mentorResponse, persona, type, interviewType, conversationHistory }) {
+    const mentorStyle = persona.followupStyle || 'balanced approach';
 
     return `
 CONTEXT ANALYSIS:
 - Interview Type: ${interviewType.toUpperCase()} 
-- Mentor Personality: ${mentor.toUpperCase()} (${mentorPersonalities[mentor] || 'balanced approach'})
-- Focus Areas: ${interviewFocusAreas[interviewType] || 'general interview skills'}
+- Mentor Personality: ${persona.name.toUpperCase()} (${mentorStyle})
+- Focus Areas: ${type?.followupFocus || 'general interview skills'}
 
 ORIGINAL USER INPUT:
 "${originalTranscript}"
@@ -125,7 +103,7 @@ TASK: Generate 3 strategic follow-up questions that will help the user get deepe
 2. SPECIFICITY OPPORTUNITIES: Where can we push for more concrete examples, metrics, or details?
 3. IMPLEMENTATION FOCUS: What practical next steps or real-world application questions would be valuable?
 4. CHALLENGE SCENARIOS: What "what if" situations would test their understanding?
-5. MENTOR ALIGNMENT: How can we leverage this mentor's strengths (${mentorPersonalities[mentor]})?
+5. MENTOR ALIGNMENT: How can we leverage this mentor's strengths (${mentorStyle})?
 
 RESPONSE FORMAT (JSON):
 {
@@ -215,80 +193,11 @@ function inferCategory(question) {
 /**
  * Fallback intelligent template-based suggestions
  */
-function getMockFollowupSuggestions(interviewType, mentor) {
-    const templates = {
-        behavioral: [
-            {
-                question: "Can you walk me through a specific example where this approach didn't work as expected?",
-                category: "SPECIFICITY",
-                reasoning: "Pushes for real-world failure scenarios and learning"
-            },
-            {
-                question: "How would you adapt this strategy when working with a remote or distributed team?",
-                category: "CHALLENGES", 
-                reasoning: "Tests adaptability to modern work environments"
-            },
-            {
-                question: "What metrics would you track to measure the success of this approach over the first 90 days?",
-                category: "IMPLEMENTATION",
-                reasoning: "Focuses on concrete measurement and accountability"
-            }
-        ],
-        technical: [
-            {
-                question: "How would this solution perform at 10x scale, and what bottlenecks would you anticipate?",
-                category: "SCALE",
-                reasoning: "Tests understanding of scalability challenges"
-            },
-            {
-                question: "What edge cases or failure scenarios should I be prepared to discuss in detail?",
-                category: "CHALLENGES",
-                reasoning: "Identifies potential weak points in the solution"
-            },
-            {
-                question: "Walk me through your testing strategy and what monitoring you'd implement.",
-                category: "IMPLEMENTATION", 
-                reasoning: "Focuses on production readiness and operational concerns"
-            }
-        ],
-        consulting: [
-            {
-                question: "What additional data would you need to validate this hypothesis, and how would you prioritize gathering it?",
-                category: "SPECIFICITY",
-                reasoning: "Tests analytical rigor and data-driven thinking"
-            },
-            {
-                question: "How would you communicate these findings to a skeptical C-level audience?",
-                category: "IMPLEMENTATION",
-                reasoning: "Focuses on stakeholder management and communication"
-            },
-            {
-                question: "What would your risk mitigation strategy look like if this recommendation doesn't deliver expected results?",
-                category: "CHALLENGES",
-                reasoning: "Tests strategic thinking and contingency planning"
-            }
-        ],
-        leadership: [
-            {
-                question: "How would you handle pushback from a senior team member who disagrees with this direction?",
-                category: "CHALLENGES",
-                reasoning: "Tests conflict resolution and influence without authority"
-            },
-            {
-                question: "What would your first 100 days execution plan look like, including key stakeholder engagement?",
-                category: "IMPLEMENTATION",
-                reasoning: "Focuses on practical leadership transition and execution"
-            },
-            {
-                question: "How would you measure and communicate the cultural impact of this change to the broader organization?",
-                category: "DEPTH",
-                reasoning: "Tests understanding of organizational dynamics and change management"
-            }
-        ]
-    };
+async function getMockFollowupSuggestions(interviewType, mentor) {
+    const type = await resolveInterviewType(interviewType);
 
-    // Add mentor-specific flavoring
-    const suggestions = templates[interviewType] || templates.behavioral;
+    // Each interview type file carries its own fallback questions ("followups")
+    const suggestions = type?.followups || [];
     
     return {
         success: true,
@@ -0,0 +1,243 @@
+/**
+ * Evidence Grounding - Checks the model's highlights, improvements and key moments against the transcript
+ * Quotes (a "quote" field, or "double-quoted" words in the text) are fuzzy-matched against the candidate's
+ * answers; claims without quotes are matched verbatim, and any numbers they cite must appear in the answers.
+ * Each checked item gets grounding: { status, similarity, quote, reason, turn_id, start, end, passage, time }
+ * passage is the matched transcript text, which the chat UI uses to jump to it.
+ * status: verified | partial | unsupported | unverifiable (a paraphrase with nothing to check)
+ * GROUNDING_MODE=drop (default) removes unsupported items, "mark" keeps them with their status.
+ */
+
+import { extractCandidateAnswers, normalizeTranscript } from './transcript-model.js';
+
+// Share of a quote's words that must be found in one place of the transcript
+const VERIFIED_SIMILARITY = 0.85;
+const PARTIAL_SIMILARITY = 0.6;
+// Shorter quotes are terms rather than quotes, and must match exactly
+const MIN_QUOTE_WORDS = 3;
+const MIN_FUZZY_WORDS = 4;
+
+const QUOTED = /["“]([^"“”]+)["”]/g;
+// Figures worth checking: two or more digits, or a number with a unit ("40%", "3x", "2k"); single digits are too often spelled out
+const NUMBER = /\b(?:\d{2,}(?:[.,]\d+)*|\d(?:\.\d+)?\s*(?:%|x\b|k\b|m\b))\s*%?/gi;
+const CLOCK = /\[?\b\d{1,2}:\d{2}(?::\d{2})?\b\]?/g;
+const WORD = /[a-z0-9]+(?:['’][a-z]+)?/gi;
+
+const groundingMode = () => process.env.GROUNDING_MODE === 'mark' ? 'mark' : 'drop';
+
+/**
+ * Ground the model's claims in place; returns the summary stored in metadata.grounding
+ * Items with a source (measured findings such as language patterns) are not model claims and are skipped.
+ */
+export function groundAnalysis(analysis, input, { mode = groundingMode() } = {}) {
+    const sources = buildSources(input);
+    const summary = { score: null, checked: 0, verified: 0, partial: 0, unsupported: 0, unverifiable: 0, dropped: 0, mode, unsupported_claims: [] };
+
+    const check = (section, text, quote = null) => {
+        const grounding = groundClaim(text, quote, sources);
+        summary[grounding.status]++;
+        if (grounding.status !== 'unverifiable') summary.checked++;
+        if (grounding.status === 'unsupported') {
+            summary.unsupported_claims.push({ section, text, reason: grounding.reason });
+        }
+        return grounding;
+    };
+    const keep = item => mode === 'mark' || item.grounding?.status !== 'unsupported';
+
+    if (Array.isArray(analysis.highlights)) {
+        const highlights = analysis.highlights.map(highlight => ({ ...highlight, grounding: check('highlights', highlight.text, highlight.quote) }));
+        analysis.highlights = highlights.filter(keep);
+        summary.dropped += highlights.length - analysis.highlights.length;
+    }
+
+    if (Array.isArray(analysis.improvements)) {
+        const improvements = analysis.improvements.map(improvement => improvement.source
+            ? improvement
+            : { ...improvement, grounding: check('improvements', improvement.text, improvement.quote) });
+        analysis.improvements = improvements.filter(keep);
+        summary.dropped += improvements.length - analysis.improvements.length;
+    }
+
+    if (Array.isArray(analysis.interview_flow)) {
+        analysis.interview_flow = analysis.interview_flow.map(flow => {
+            // key_moments stay plain strings; their grounding is kept alongside in the same order
+            const moments = (flow.key_moments || []).map(moment => ({ moment, grounding: check('key_moments', moment) }));
+            const kept = moments.filter(entry => keep(entry));
+            summary.dropped += moments.length - kept.length;
+            return {
+                ...flow,
+                key_moments: kept.map(entry => entry.moment),
+                key_moments_grounding: kept.map(entry => entry.grounding)
+            };
+        });
+    }
+
+    // Paraphrases cannot be checked, so they do not count for or against the score
+    if (summary.checked > 0) {
+        summary.score = Math.round((summary.verified + summary.partial * 0.5) / summary.checked * 100) / 100;
+    }
+
+    console.log(`🔎 Grounding: ${summary.verified} verified, ${summary.partial} partial, ${summary.unsupported} unsupported` +
+        `${summary.dropped > 0 ? ` (${summary.dropped} dropped)` : ''}${summary.score !== null ? `, score ${summary.score}` : ''}`);
+    return summary;
+}
+
+/**
+ * Ground one claim: its quotes when it has any, otherwise the text itself and the numbers it cites
+ */
+export function groundClaim(text, quote, sources) {
+    const quotes = [quote, ...[...String(text || '').matchAll(QUOTED)].map(match => match[1])]
+        .filter(candidate => typeof candidate === 'string' && tokenize(candidate).length >= MIN_QUOTE_WORDS);
+
+    if (quotes.length > 0) {
+        // Every quote has to be found; the weakest one decides
+        const matches = quotes.map(candidate => ({ quote: candidate, match: findQuote(candidate, sources) }));
+        const weakest = matches.reduce((low, entry) => (entry.match?.similarity || 0) < (low.match?.similarity || 0) ? entry : low);
+        const similarity = weakest.match?.similarity || 0;
+
+        if (similarity >= PARTIAL_SIMILARITY && !weakest.match.interviewer) {
+            return {
+                status: similarity >= VERIFIED_SIMILARITY ? 'verified' : 'partial',
+                similarity,
+                quote: weakest.quote,
+                ...locate(weakest.match)
+            };
+        }
+        return {
+            status: 'unsupported',
+            similarity,
+            quote: weakest.quote,
+            reason: weakest.match?.interviewer && similarity >= PARTIAL_SIMILARITY ? 'interviewer_words' : 'quote_not_found'
+        };
+    }
+
+    const verbatim = findQuote(text, sources);
+    if (verbatim && !verbatim.interviewer && verbatim.similarity >= VERIFIED_SIMILARITY) {
+        return { status: 'verified', similarity: verbatim.similarity, quote: null, ...locate(verbatim) };
+    }
+
+    const missingNumbers = citedNumbers(text).filter(number => !sources.numbers.has(number));
+    if (missingNumbers.length > 0) {
+        return { status: 'unsupported', similarity: null, quote: null, reason: 'number_not_found', numbers: missingNumbers };
+    }
+    return { status: 'unverifiable', similarity: null, quote: null };
+}
+
+/**
+ * The candidate's answers to search, plus the rest of the transcript to catch quoted interviewer words
+ */
+function buildSources(input) {
+    const structured = input && typeof input === 'object' ? normalizeTranscript(input) : null;
+    const answers = extractCandidateAnswers(input).map(answer => ({ ...answer, tokens: tokenize(answer.text) }));
+    const fullText = structured ? structured.text : String(input || '');
+
+    return {
+        answers,
+        transcript: structured,
+        other: { text: fullText, tokens: tokenize(fullText) },
+        numbers: new Set(answers.flatMap(answer => citedNumbers(answer.text)))
+    };
+}
+
+/**
+ * Best place for a quote: the window of the same length sharing the most words with it
+ */
+function findQuote(quote, sources) {
+    const words = tokenize(quote).map(token => token.word);
+    if (words.length === 0) return null;
+
+    let best = null;
+    for (const answer of sources.answers) {
+        const match = bestWindow(words, answer.tokens);
+        if (match && (!best || match.similarity > best.similarity)) {
+            best = { ...match, answer };
+        }
+        if (best?.similarity === 1) break;
+    }
+
+    if (!best || best.similarity < VERIFIED_SIMILARITY) {
+        // Found in the transcript but not in the candidate's answers: the interviewer said it
+        const elsewhere = bestWindow(words, sources.other.tokens);
+        if (elsewhere && elsewhere.similarity > (best?.similarity || 0)) {
+            return { ...elsewhere, interviewer: true };
+        }
+    }
+    return best ? { ...best, sources } : null;
+}
+
+function bestWindow(words, tokens) {
+    const size = words.length;
+    if (tokens.length === 0) return null;
+
+    const wanted = new Map();
+    words.forEach(word => wanted.set(word, (wanted.get(word) || 0) + 1));
+
+    // Sliding multiset overlap between the quote and each window of the same length
+    const window = new Map();
+    let overlap = 0;
+    let best = { overlap: -1, from: 0 };
+    for (let index = 0; index < tokens.length; index++) {
+        const added = tokens[index].word;
+        if ((window.get(added) || 0) < (wanted.get(added) || 0)) overlap++;
+        window.set(added, (window.get(added) || 0) + 1);
+
+        if (index >= size) {
+            const removed = tokens[index - size].word;
+            window.set(removed, window.get(removed) - 1);
+            if (window.get(removed) < (wanted.get(removed) || 0)) overlap--;
+        }
+        if (overlap > best.overlap) best = { overlap, from: Math.max(0, index - size + 1) };
+    }
+
+    const similarity = Math.round(best.overlap / size * 100) / 100;
+    // Short quotes match exactly or not at all
+    if (size < MIN_FUZZY_WORDS && similarity < 1) return { similarity: 0 };
+
+    const windowTokens = tokens.slice(best.from, best.from + size);
+    const matched = windowTokens.filter(token => wanted.has(token.word));
+    return {
+        similarity,
+        start: (matched[0] || windowTokens[0]).start,
+        end: (matched[matched.length - 1] || windowTokens[windowTokens.length - 1]).end
+    };
+}
+
+/**
+ * Offsets in the answer, and the time it was said when the transcript has timings
+ */
+function locate(match) {
+    const answer = match.answer;
+    const location = { turn_id: answer.turnId, start: match.start, end: match.end, passage: answer.text.slice(match.start, match.end), time: null };
+    const turn = match.sources.transcript?.turns.find(candidate => candidate.id === answer.turnId);
+    if (!turn) return location;
+
+    location.time = turn.start;
+    // Turn text is its segments' trimmed texts joined by spaces, so offsets map onto segments
+    const segments = match.sources.transcript.segments;
+    let offset = 0;
+    for (const segmentId of turn.segmentIds || []) {
+        const segment = segments.find(candidate => candidate.id === segmentId);
+        if (!segment) break;
+        const length = segment.text.trim().length;
+        if (match.start < offset + length + 1) {
+            location.time = segment.start;
+            break;
+        }
+        offset += length + 1;
+    }
+    return location;
+}
+
+function citedNumbers(text) {
+    // Timestamps ("[02:15]") point at the transcript rather than cite a figure
+    return [...String(text || '').replace(CLOCK, ' ').matchAll(NUMBER)]
+        .map(match => match[0].replace(/[\s,]+/g, '').toLowerCase());
+}
+
+function tokenize(text) {
+    return [...String(text || '').matchAll(WORD)].map(match => ({
+        word: match[0].toLowerCase().replace('’', "'"),
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
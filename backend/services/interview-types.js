@@ -0,0 +1,187 @@
+/**
+ * Interview Types - The catalog of interview types, one JSON file each
+ * Built-in types live in backend/interview-types, custom ones in INTERVIEW_TYPES_DIR (default
+ * storage/interview-types); a custom type with a built-in id replaces the built-in one.
+ * A type holds everything every layer needs: the card on the type page, the analysis focus, the
+ * follow-up focus and fallback questions, answer length targets, whether answers are stories (STAR,
+ * I/we ownership), the demo transcript and its own analysis fields (metrics definition for product
+ * management, experimental design for data science...). Rubrics name their type with "interviewType".
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const builtinDir = path.resolve(__dirname, '../interview-types');
+// Resolved lazily because dotenv runs after module imports
+const customDir = () => process.env.INTERVIEW_TYPES_DIR || path.join(process.env.STORAGE_DIR || path.resolve(__dirname, '../storage'), 'interview-types');
+
+const DEFAULT_INTERVIEW_TYPE = 'behavioral';
+const TYPE_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const FOLLOWUP_CATEGORIES = ['SPECIFICITY', 'CHALLENGES', 'IMPLEMENTATION', 'DEPTH', 'SCALE'];
+const MAX_ANALYSIS_FIELDS = 8;
+
+// How well the candidate covered a type's analysis field, best first
+export const FIELD_RATINGS = ['strong', 'adequate', 'weak', 'missing'];
+
+const GENERAL_CONTEXT = 'Provide general interview performance analysis focusing on communication, problem-solving, and overall candidate fit.';
+
+/**
+ * Every interview type, built-in and custom, in display order
+ */
+export async function listInterviewTypes() {
+    const types = await loadAll();
+    return [...types.values()].sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+/**
+ * An interview type by ID, or null when there is none (analyses then use general guidance)
+ */
+export async function getInterviewType(id) {
+    if (typeof id !== 'string' || !TYPE_ID.test(id)) return null;
+    return (await loadAll()).get(id) || null;
+}
+
+/**
+ * The requested type when it exists, else the default one (follow-up templates always need a type)
+ */
+export async function resolveInterviewType(id) {
+    const types = await loadAll();
+    return types.get(id) || types.get(DEFAULT_INTERVIEW_TYPE) || null;
+}
+
+/**
+ * Check and normalize an interview type definition; throws with code INVALID_INTERVIEW_TYPE
+ */
+export function validateInterviewType(input) {
+    if (!input || typeof input !== 'object') throw invalidType('Interview type must be a JSON object');
+    if (typeof input.id !== 'string' || !TYPE_ID.test(input.id)) {
+        throw invalidType('Interview type id must be lowercase letters, numbers, "-" or "_"');
+    }
+    if (typeof input.name !== 'string' || !input.name.trim()) throw invalidType('Interview type name is required');
+    if (typeof input.context !== 'string' || !input.context.trim()) {
+        throw invalidType('Interview type context (what the analysis should focus on) is required');
+    }
+
+    const seconds = input.answerSeconds;
+    const answerSeconds = seconds && Number.isFinite(seconds.min) && Number.isFinite(seconds.max) && seconds.min < seconds.max
+        ? { min: seconds.min, max: seconds.max }
+        : null;
+
+    return {
+        id: input.id,
+        name: input.name.trim(),
+        order: typeof input.order === 'number' ? input.order : 100,
+        icon: typeof input.icon === 'string' && input.icon.trim() ? input.icon.trim() : '📋',
+        description: typeof input.description === 'string' ? input.description.trim() : '',
+        context: input.context.trim(),
+        followupFocus: typeof input.followupFocus === 'string' && input.followupFocus.trim() ? input.followupFocus.trim() : null,
+        storyAnswers: input.storyAnswers === true,
+        answerSeconds,
+        followups: (Array.isArray(input.followups) ? input.followups : [])
+            .filter(followup => typeof followup?.question === 'string' && followup.question.trim())
+            .map(followup => ({
+                question: followup.question.trim(),
+                category: FOLLOWUP_CATEGORIES.includes(followup.category) ? followup.category : 'DEPTH',
+                reasoning: typeof followup.reasoning === 'string' ? followup.reasoning : ''
+            })),
+        analysisFields: validateAnalysisFields(input.analysisFields),
+        demoTranscript: typeof input.demoTranscript === 'string' && input.demoTranscript.trim() ? input.demoTranscript : null
+    };
+}
+
+/**
+ * Get interview type specific focus areas
+ */
+export function getInterviewTypeContext(type) {
+    return type?.context || GENERAL_CONTEXT;
+}
+
+/**
+ * The type's analysis fields as prompt instructions for the type_assessment section, or '' when it has none
+ */
+export function formatTypeFieldsForPrompt(type) {
+    if (!type?.analysisFields?.length) return '';
+
+    const fields = type.analysisFields.map(field => `- ${field.id} (${field.name}): ${field.instructions}`).join('\n');
+    return `${type.name.toUpperCase()} ASSESSMENT: Also return a top-level "type_assessment" array with one entry per field below:
+[{ "field": "field id", "rating": "${FIELD_RATINGS.join('|')}", "summary": "one or two sentences on how the candidate did", "quote": "the candidate's exact words, or null" }]
+Rate "missing" when the candidate never addressed the field.
+${fields}`;
+}
+
+/**
+ * The model's type_assessment entries matched to the type's fields, in the type's order, with their names
+ * Fields the model skipped are left out; returns null when the type has no fields or nothing was assessed
+ */
+export function assessTypeFields(type, entries) {
+    if (!type?.analysisFields?.length || !Array.isArray(entries)) return null;
+
+    const assessed = type.analysisFields.map(field => {
+        const entry = entries.find(candidate => candidate.field === field.id);
+        return entry ? { field: field.id, name: field.name, rating: entry.rating, summary: entry.summary, quote: entry.quote } : null;
+    }).filter(Boolean);
+    return assessed.length > 0 ? assessed : null;
+}
+
+/**
+ * Built-in types first, then custom files on top; invalid files are skipped with a warning
+ */
+async function loadAll() {
+    const types = new Map();
+    for (const dir of [builtinDir, customDir()]) {
+        for (const type of await readTypeDir(dir)) {
+            types.set(type.id, type);
+        }
+    }
+    return types;
+}
+
+async function readTypeDir(dir) {
+    let files;
+    try {
+        files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const types = [];
+    for (const file of files) {
+        try {
+            types.push(validateInterviewType(JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))));
+        } catch (error) {
+            console.warn(`⚠️ Skipping interview type file ${file}: ${error.message}`);
+        }
+    }
+    return types;
+}
+
+function validateAnalysisFields(fields) {
+    if (fields === undefined) return [];
+    if (!Array.isArray(fields)) throw invalidType('analysisFields must be an array');
+
+    const seen = new Set();
+    return fields.slice(0, MAX_ANALYSIS_FIELDS).map((field, index) => {
+        if (typeof field?.id !== 'string' || !TYPE_ID.test(field.id)) {
+            throw invalidType(`analysisFields[${index}] needs an id of lowercase letters, numbers, "-" or "_"`);
+        }
+        if (seen.has(field.id)) throw invalidType(`Duplicate analysis field id "${field.id}"`);
+        seen.add(field.id);
+        if (typeof field.name !== 'string' || !field.name.trim()) throw invalidType(`Analysis field "${field.id}" needs a name`);
+
+        return {
+            id: field.id,
+            name: field.name.trim(),
+            instructions: typeof field.instructions === 'string' && field.instructions.trim() ? field.instructions.trim() : field.name.trim()
+        };
+    });
+}
+
+function invalidType(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_INTERVIEW_TYPE';
+    return error;
+}
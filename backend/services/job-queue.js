@@ -0,0 +1,110 @@
+/**
+ * Job Queue - Runs long audio pipelines in the background
+ * Clients get a job ID right away and poll /api/jobs/:id for stage, progress and result
+ */
+
+import crypto from 'crypto';
+
+const JOB_TTL_MS = 60 * 60 * 1000; // Finished jobs are kept for an hour
+
+const jobs = new Map();
+const pending = [];
+let running = 0;
+
+/**
+ * Queue a job. The handler receives (input, reporter) and resolves with the job result.
+ * reporter.update({ stage, progress, message }) records progress along the way.
+ */
+export function enqueueJob(type, input, handler, { stages = [] } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        stage: stages[0] || 'queued',
+        stages,
+        progress: 0,
+        message: 'Waiting in queue',
+        error: null,
+        result: null,
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    pending.push({ job, input, handler });
+    console.log(`📥 Job queued: ${job.id} (${type})`);
+
+    processQueue();
+    return publicView(job);
+}
+
+/**
+ * Get a job snapshot, or null if unknown or expired
+ */
+export function getJob(id) {
+    const job = jobs.get(id);
+    return job ? publicView(job) : null;
+}
+
+/**
+ * List known jobs, newest first
+ */
+export function listJobs() {
+    return [...jobs.values()]
+        .map(job => ({ ...publicView(job), result: undefined }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function processQueue() {
+    const concurrency = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 1);
+
+    while (running < concurrency && pending.length > 0) {
+        const next = pending.shift();
+        running++;
+        runJob(next).finally(() => {
+            running--;
+            processQueue();
+        });
+    }
+}
+
+async function runJob({ job, input, handler }) {
+    const reporter = {
+        update({ stage, progress, message } = {}) {
+            if (stage) job.stage = stage;
+            if (typeof progress === 'number') job.progress = Math.max(job.progress, Math.min(100, Math.round(progress)));
+            if (message) job.message = message;
+            job.updatedAt = new Date().toISOString();
+        }
+    };
+
+    job.status = 'running';
+    reporter.update({ message: 'Started' });
+    console.log(`⚙️ Job started: ${job.id}`);
+
+    try {
+        job.result = await handler(input, reporter);
+        job.status = 'completed';
+        reporter.update({ stage: 'done', progress: 100, message: 'Completed' });
+        console.log(`✅ Job completed: ${job.id}`);
+    } catch (error) {
+        console.error(`❌ Job failed: ${job.id}`, error);
+        job.status = 'failed';
+        job.error = error.message;
+        reporter.update({ message: 'Failed' });
+    }
+
+    job.finishedAt = job.updatedAt;
+    scheduleCleanup(job.id);
+}
+
+function scheduleCleanup(id) {
+    const timer = setTimeout(() => jobs.delete(id), JOB_TTL_MS);
+    timer.unref();
+}
+
+function publicView(job) {
+    return { ...job, stages: [...job.stages] };
+}
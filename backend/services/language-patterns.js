@@ -0,0 +1,288 @@
+/**
+ * Language Patterns - Deterministic wording checks on the candidate's answers
+ * I/we ownership in story answers, hedging, passive voice and quantified versus unquantified claims.
+ * Works on typed transcripts ("Candidate:" labels or plain text) as well as structured ones,
+ * and returns character spans so the transcript view can highlight them.
+ * Spans are relative to one answer: its turn for structured transcripts; typed answers have no turn,
+ * so their text is returned in answers and spans point at it by answer_index.
+ */
+
+import { extractCandidateAnswers } from './transcript-model.js';
+
+export const PATTERN_TYPES = ['hedge', 'we', 'passive', 'unquantified_claim', 'quantified_claim'];
+
+const HEDGES = [
+    'kind of', 'sort of', 'maybe', 'perhaps', 'probably', 'possibly', 'somewhat', 'more or less',
+    'a little bit', 'a bit', 'i guess', 'i suppose', 'i think', 'i feel like', 'i believe',
+    'i tried to', 'tried to', 'i just', 'hopefully', 'i would say', 'not sure', 'might have', 'could have'
+];
+const HEDGE_PATTERN = new RegExp(`\\b(${HEDGES.map(hedge => hedge.replace(/ /g, '\\s+')).join('|')})\\b`, 'gi');
+
+const FIRST_PERSON_SINGULAR = /\b(i|i'm|i've|i'd|i'll|me|my|mine|myself)\b/gi;
+const FIRST_PERSON_PLURAL = /\b(we|we're|we've|we'd|we'll|us|our|ours|ourselves)\b/gi;
+
+// be/get + optional adverb + past participle, e.g. "was implemented", "were quickly fixed", "got approved"
+const PASSIVE_PATTERN = /\b(am|is|are|was|were|be|been|being|got|gets|get)\s+(?:\w+ly\s+)?(\w+ed|built|done|made|given|taken|written|chosen|found|shown|seen|sent|held|brought|kept|run|set|put|told|paid|won|broken|driven|led|rewritten|rebuilt|spent|known)\b(?:\s+by\b)?/gi;
+// Participles that describe a state of mind or fixed phrases rather than an action
+const NOT_PASSIVE = new Set([
+    'interested', 'excited', 'tired', 'based', 'supposed', 'used', 'involved', 'concerned', 'worried',
+    'surprised', 'pleased', 'scared', 'bored', 'frustrated', 'motivated', 'married', 'located', 'related',
+    'qualified', 'focused', 'engaged', 'overwhelmed', 'stressed', 'inspired', 'impressed', 'confused',
+    'exposed', 'aligned', 'committed', 'dedicated', 'experienced', 'skilled', 'prepared', 'started', 'promoted', 'hired'
+]);
+
+// Sentences that claim an outcome or achievement
+const CLAIM_PATTERN = /\b(improv\w*|reduc\w*|increas\w*|grew|grow\w*|sav\w*|cut|boost\w*|launch\w*|deliver\w*|optimi[sz]\w*|scal\w*|doubl\w*|tripl\w*|accelerat\w*|decreas\w*|lower\w*|rais\w*|generat\w*|achiev\w*|exceed\w*|impact\w*|result\w* in|led to|faster|cheaper|more efficient|revenue|conversion|latency|retention|churn|adoption)\b/i;
+const NUMBER_PATTERN = /(\d|%|\$|€|£|\b(one|two|three|four|five|six|seven|eight|nine|ten|twenty|fifty|hundred|thousand|million|billion|half|double|twice|triple|tenfold|percent)\b)/i;
+
+// Past-tense story markers; I/we ownership only matters when describing what happened
+const STORY_PATTERN = /\b(when i|at my (last|previous|old)|in my (last|previous) (role|job|team|company)|one time|there was a time|i was working|we were working|we had|i had|last year|a few years ago)\b/i;
+
+// How to tell that the mentor already raised a finding, matched against its improvements
+const COVERED_BY = {
+    ownership: /\b(i\/we|"we"|'we'|personal contribution|own contribution|ownership)\b/,
+    hedging: /\b(hedg\w*|qualifier\w*|tentative|understat\w*)\b/,
+    passive_voice: /\bpassive\b/,
+    claims: /\b(quantif\w*|metric\w*|numbers)\b/
+};
+
+const MIN_ANSWER_WORDS = 12;
+const HEDGE_DENSITY_WARNING = 1.5; // per 100 words
+const WE_SHARE_WARNING = 0.6; // share of first-person pronouns that are "we"
+
+/**
+ * Analyze the candidate's wording
+ * input is a structured transcript or plain text; options.type (an interview type with storyAnswers) decides which answers are stories
+ * Returns null when there are no candidate answers long enough to judge
+ */
+export function analyzeLanguagePatterns(input, { type = null } = {}) {
+    const answers = extractCandidateAnswers(input).filter(answer => countWords(answer.text) >= MIN_ANSWER_WORDS);
+    if (answers.length === 0) return null;
+
+    const spans = [];
+    const addSpans = (answer, type, matches) => matches.forEach(match => spans.push({
+        type,
+        turn_id: answer.turnId,
+        answer_index: answers.indexOf(answer),
+        start: match.start,
+        end: match.end,
+        text: match.text
+    }));
+
+    let wordCount = 0;
+    let iCount = 0;
+    let weCount = 0;
+    let storyAnswers = 0;
+    const hedges = {};
+    const passive = [];
+    const quantified = [];
+    const unquantified = [];
+    const weSentences = [];
+
+    answers.forEach(answer => {
+        const text = answer.text;
+        wordCount += countWords(text);
+
+        const hedgeMatches = findAll(text, HEDGE_PATTERN);
+        hedgeMatches.forEach(match => {
+            const key = match.text.toLowerCase().replace(/\s+/g, ' ');
+            hedges[key] = (hedges[key] || 0) + 1;
+        });
+        addSpans(answer, 'hedge', hedgeMatches);
+
+        const isStory = type?.storyAnswers || STORY_PATTERN.test(text);
+        if (isStory) {
+            storyAnswers++;
+            iCount += findAll(text, FIRST_PERSON_SINGULAR).length;
+            const weMatches = findAll(text, FIRST_PERSON_PLURAL);
+            weCount += weMatches.length;
+            addSpans(answer, 'we', weMatches);
+            weSentences.push(...splitSentences(text).map(sentence => sentence.text).filter(sentence => /\bwe\b/i.test(sentence)));
+        }
+
+        const passiveMatches = findAll(text, PASSIVE_PATTERN)
+            .filter(match => !NOT_PASSIVE.has(match.groups[1].toLowerCase()));
+        passive.push(...passiveMatches.map(match => match.text));
+        addSpans(answer, 'passive', passiveMatches);
+
+        splitSentences(text).forEach(sentence => {
+            if (!CLAIM_PATTERN.test(sentence.text)) return;
+            const isQuantified = hasMetric(sentence.text);
+            (isQuantified ? quantified : unquantified).push(sentence.text.trim());
+            addSpans(answer, isQuantified ? 'quantified_claim' : 'unquantified_claim', [sentence]);
+        });
+    });
+
+    const hedgeCount = Object.values(hedges).reduce((sum, count) => sum + count, 0);
+    const pronouns = iCount + weCount;
+
+    const patterns = {
+        answer_count: answers.length,
+        word_count: wordCount,
+        ownership: {
+            story_answers: storyAnswers,
+            i_count: iCount,
+            we_count: weCount,
+            we_share: pronouns > 0 ? round(weCount / pronouns) : null
+        },
+        hedging: {
+            count: hedgeCount,
+            per_100_words: round(hedgeCount / wordCount * 100),
+            phrases: hedges
+        },
+        passive_voice: {
+            count: passive.length,
+            examples: unique(passive).slice(0, 5)
+        },
+        claims: {
+            quantified: quantified.length,
+            unquantified: unquantified.length,
+            quantified_examples: quantified.slice(0, 3),
+            unquantified_examples: unquantified.slice(0, 3)
+        },
+        spans: removeOverlaps(spans)
+    };
+    if (answers.some(answer => answer.turnId === null)) {
+        patterns.answers = answers.map(({ question, text }) => ({ question, text }));
+    }
+
+    patterns.improvements = buildImprovements(patterns, { hedges, passive, unquantified, weSentences });
+    console.log(`🔤 Language patterns: ${hedgeCount} hedges, I/we ${iCount}/${weCount}, ${passive.length} passive, ${quantified.length}/${quantified.length + unquantified.length} claims quantified`);
+
+    return patterns;
+}
+
+/**
+ * Whether a claim is backed by a number, percentage, amount or count
+ */
+export function hasMetric(text) {
+    return NUMBER_PATTERN.test(text || '');
+}
+
+/**
+ * Add pattern findings to an improvements list without repeating what the mentor already said
+ * Order is by priority, mentor items first within the same priority
+ */
+export function mergeImprovements(improvements, patterns) {
+    if (!patterns || patterns.improvements.length === 0) return improvements;
+
+    const existingText = improvements.map(item => `${item.text} ${item.suggestion}`).join(' ').toLowerCase();
+    const additions = patterns.improvements.filter(item => !COVERED_BY[item.pattern].test(existingText));
+
+    const rank = { high: 0, medium: 1, low: 2 };
+    return [...improvements, ...additions]
+        .map((item, index) => ({ item, index }))
+        .sort((a, b) => (rank[a.item.priority] ?? 1) - (rank[b.item.priority] ?? 1) || a.index - b.index)
+        .map(({ item }) => item);
+}
+
+function buildImprovements(patterns, { hedges, passive, unquantified, weSentences }) {
+    const improvements = [];
+    const { ownership, hedging, claims } = patterns;
+
+    if (ownership.we_share !== null && ownership.we_share >= WE_SHARE_WARNING && ownership.we_count >= 4) {
+        improvements.push({
+            text: `Your own contribution is hidden behind "we" (${ownership.we_count} "we" vs ${ownership.i_count} "I" in your stories)`,
+            suggestion: 'Say what you personally did ("I designed the rollout plan"), then credit the team for the rest.',
+            priority: ownership.we_share >= 0.75 ? 'high' : 'medium',
+            category: 'communication',
+            source: 'language_patterns',
+            pattern: 'ownership',
+            evidence: weSentences.slice(0, 3),
+        });
+    }
+
+    if (hedging.count >= 3 && hedging.per_100_words >= HEDGE_DENSITY_WARNING) {
+        const top = Object.entries(hedges).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([phrase]) => phrase);
+        improvements.push({
+            text: `Hedging understates your impact (${hedging.count} hedges, ${hedging.per_100_words} per 100 words: ${top.map(phrase => `"${phrase}"`).join(', ')})`,
+            suggestion: 'Drop qualifiers when describing your work: "I led the migration" instead of "I kind of helped lead it".',
+            priority: hedging.per_100_words >= 3 ? 'high' : 'medium',
+            category: 'communication',
+            source: 'language_patterns',
+            pattern: 'hedging',
+            evidence: top,
+        });
+    }
+
+    if (passive.length >= 3) {
+        improvements.push({
+            text: `Passive voice hides who did the work (${passive.length} times, e.g. "${passive[0]}")`,
+            suggestion: 'Name the actor: "I rewrote the service" instead of "the service was rewritten".',
+            priority: 'low',
+            category: 'communication',
+            source: 'language_patterns',
+            pattern: 'passive_voice',
+            evidence: unique(passive).slice(0, 3),
+        });
+    }
+
+    const totalClaims = claims.quantified + claims.unquantified;
+    if (claims.unquantified >= 2 && claims.quantified / totalClaims < 0.5) {
+        improvements.push({
+            text: `Most impact claims have no numbers (${claims.unquantified} of ${totalClaims} unquantified)`,
+            suggestion: 'Attach a metric to each result: how much faster, how many users, how much money or time saved.',
+            priority: claims.quantified === 0 ? 'high' : 'medium',
+            category: 'communication',
+            source: 'language_patterns',
+            pattern: 'claims',
+            evidence: unquantified.slice(0, 3),
+        });
+    }
+
+    return improvements;
+}
+
+function findAll(text, pattern) {
+    return [...text.matchAll(pattern)].map(match => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        text: match[0],
+        groups: match.slice(1)
+    }));
+}
+
+function splitSentences(text) {
+    return [...text.matchAll(/[^.!?]+[.!?]*/g)]
+        .map(match => {
+            const leading = match[0].length - match[0].trimStart().length;
+            return { start: match.index + leading, end: match.index + match[0].trimEnd().length, text: match[0].trim() };
+        })
+        .filter(sentence => sentence.text);
+}
+
+/**
+ * Claims are whole sentences; shorter spans inside them win so both stay visible in order
+ */
+function removeOverlaps(spans) {
+    const byAnswer = new Map();
+    spans.forEach(span => {
+        if (!byAnswer.has(span.answer_index)) byAnswer.set(span.answer_index, []);
+        byAnswer.get(span.answer_index).push(span);
+    });
+
+    const result = [];
+    byAnswer.forEach(answerSpans => {
+        const words = answerSpans.filter(span => !span.type.endsWith('_claim')).sort((a, b) => a.start - b.start);
+        const kept = [];
+        words.forEach(span => {
+            if (!kept.some(other => span.start < other.end && other.start < span.end)) kept.push(span);
+        });
+        const claims = answerSpans.filter(span => span.type.endsWith('_claim'));
+        result.push(...kept, ...claims);
+    });
+
+    return result.map(({ turn_id, answer_index, type, start, end, text }) => ({ type, turn_id, answer_index, start, end, text }));
+}
+
+function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+function unique(values) {
+    return [...new Set(values)];
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,312 @@
+/**
+ * LLM Provider Registry - One place to talk to any OpenAI-compatible chat API
+ * Supports OpenRouter, OpenAI and local servers (llama.cpp, Ollama, vLLM...)
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const configPath = () => process.env.LLM_CONFIG_PATH || path.resolve(__dirname, '../config/llm.json');
+
+// Placeholder values from the .env examples count as "not configured"
+const PLACEHOLDER_KEYS = [
+    'your_openrouter_api_key_here',
+    'your_openai_api_key_here',
+    'your_openai_key_here',
+    'your_api_key_here'
+];
+
+// Settings a client may choose per request (base URLs and keys stay server-side)
+const OVERRIDABLE_FIELDS = ['provider', 'model', 'temperature', 'maxTokens'];
+
+/**
+ * Built-in providers. All of them speak the OpenAI chat completions protocol.
+ * Values are read lazily because dotenv runs after module imports.
+ */
+const PROVIDERS = {
+    openrouter: {
+        label: 'OpenRouter',
+        baseURL: () => process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+        apiKey: () => process.env.OPENROUTER_API_KEY,
+        requiresApiKey: true,
+        // Follow-ups are conversational, so they use the chat model rather than the reasoning one
+        defaultModel: task => (task === 'followup' ? 'deepseek/deepseek-chat' : 'deepseek/deepseek-r1-distill-llama-70b:free'),
+        headers: {
+            'HTTP-Referer': 'http://localhost:3001',
+            'X-Title': 'Interview Helper - Professional Analysis'
+        }
+    },
+    openai: {
+        label: 'OpenAI',
+        baseURL: () => process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: () => process.env.OPENAI_API_KEY,
+        requiresApiKey: true,
+        defaultModel: () => 'gpt-4o-mini',
+        headers: {}
+    },
+    local: {
+        label: 'Local OpenAI-compatible server',
+        baseURL: () => process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: () => process.env.LOCAL_LLM_API_KEY,
+        requiresApiKey: false,
+        defaultModel: () => process.env.LOCAL_LLM_MODEL || 'llama3.1',
+        headers: {}
+    }
+};
+
+const TASK_DEFAULTS = {
+    analysis: { temperature: 0.2, maxTokens: 4000 },
+    followup: { temperature: 0.7, maxTokens: 800 },
+    test: { temperature: 0, maxTokens: 50 }
+};
+
+let cachedConfig = null;
+
+/**
+ * Load the LLM config file once (missing file means built-in defaults only)
+ */
+function loadConfig() {
+    if (cachedConfig) return cachedConfig;
+
+    const file = configPath();
+    if (!existsSync(file)) {
+        cachedConfig = {};
+        return cachedConfig;
+    }
+
+    try {
+        cachedConfig = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Invalid LLM config at ${file}:`, error.message);
+        cachedConfig = {};
+    }
+
+    return cachedConfig;
+}
+
+/**
+ * Merge settings layers. A layer that switches provider without naming a model
+ * resets the model, so we never send an OpenRouter model name to Ollama.
+ */
+function mergeLayer(target, layer) {
+    if (!layer) return target;
+
+    if (layer.provider && layer.provider !== target.provider && !layer.model) {
+        delete target.model;
+    }
+
+    for (const field of OVERRIDABLE_FIELDS) {
+        if (layer[field] !== undefined && layer[field] !== null && layer[field] !== '') {
+            target[field] = layer[field];
+        }
+    }
+
+    return target;
+}
+
+/**
+ * Pick only the fields a request is allowed to override
+ */
+function sanitizeOverrides(overrides) {
+    if (!overrides || typeof overrides !== 'object') return null;
+
+    const clean = {};
+    if (typeof overrides.provider === 'string') clean.provider = overrides.provider;
+    if (typeof overrides.model === 'string') clean.model = overrides.model;
+    if (Number.isFinite(overrides.temperature)) clean.temperature = Math.max(0, Math.min(2, overrides.temperature));
+    if (Number.isInteger(overrides.maxTokens)) clean.maxTokens = Math.max(1, Math.min(32000, overrides.maxTokens));
+    return clean;
+}
+
+/**
+ * Resolve the effective provider/model settings for a task
+ * Precedence: built-in < config defaults < config task < config interview type < env < request
+ */
+export function resolveLLMConfig(task, { interviewType = null, overrides = null } = {}) {
+    const config = loadConfig();
+    const typeConfig = interviewType ? config.interviewTypes?.[interviewType] : null;
+
+    const settings = {};
+    mergeLayer(settings, { provider: 'openrouter' });
+    mergeLayer(settings, TASK_DEFAULTS[task]);
+    mergeLayer(settings, config.defaults);
+    mergeLayer(settings, config.tasks?.[task]);
+    mergeLayer(settings, typeConfig?.defaults);
+    mergeLayer(settings, typeConfig?.[task]);
+    mergeLayer(settings, { provider: process.env.LLM_PROVIDER, model: process.env.LLM_MODEL });
+    mergeLayer(settings, sanitizeOverrides(overrides));
+
+    const provider = PROVIDERS[settings.provider];
+    if (!provider) {
+        throw new Error(unknownProviderMessage(settings.provider));
+    }
+
+    return {
+        provider: settings.provider,
+        label: provider.label,
+        baseURL: provider.baseURL().replace(/\/+$/, ''),
+        apiKey: provider.apiKey() || null,
+        requiresApiKey: provider.requiresApiKey,
+        headers: provider.headers,
+        model: settings.model || provider.defaultModel(task),
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens
+    };
+}
+
+/**
+ * Error message when a request's overrides name a provider the registry does not have, otherwise null
+ * Routes check this up front so a client's typo is a 400 rather than a failed analysis.
+ */
+export function checkProviderOverride(overrides) {
+    const provider = sanitizeOverrides(overrides)?.provider;
+    if (!provider || PROVIDERS[provider]) return null;
+    return unknownProviderMessage(provider);
+}
+
+function unknownProviderMessage(provider) {
+    return `Unknown LLM provider: ${provider}. Available: ${Object.keys(PROVIDERS).join(', ')}`;
+}
+
+/**
+ * Whether the resolved provider has the credentials it needs
+ */
+export function isProviderConfigured(llmConfig) {
+    if (!llmConfig.requiresApiKey) return true;
+    return !!llmConfig.apiKey && !PLACEHOLDER_KEYS.includes(llmConfig.apiKey);
+}
+
+/**
+ * Call the chat completions endpoint of the resolved provider
+ * Extra OpenAI parameters (top_p, frequency_penalty...) can be passed through
+ */
+export async function createChatCompletion(llmConfig, messages, extraParams = {}) {
+    const headers = {
+        'Content-Type': 'application/json',
+        ...llmConfig.headers
+    };
+
+    if (llmConfig.apiKey) {
+        headers['Authorization'] = `Bearer ${llmConfig.apiKey}`;
+    }
+
+    const response = await fetch(`${llmConfig.baseURL}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model: llmConfig.model,
+            messages,
+            temperature: llmConfig.temperature,
+            max_tokens: llmConfig.maxTokens,
+            ...extraParams
+        })
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`${llmConfig.label} API error ${response.status}: ${errorText}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Streaming variant of createChatCompletion (OpenAI server-sent events protocol)
+ * onDelta(delta, fullText) is called for every content chunk; resolves with the full text
+ */
+export async function streamChatCompletion(llmConfig, messages, extraParams = {}, onDelta = () => {}) {
+    const headers = {
+        'Content-Type': 'application/json',
+        ...llmConfig.headers
+    };
+
+    if (llmConfig.apiKey) {
+        headers['Authorization'] = `Bearer ${llmConfig.apiKey}`;
+    }
+
+    const response = await fetch(`${llmConfig.baseURL}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+            model: llmConfig.model,
+            messages,
+            temperature: llmConfig.temperature,
+            max_tokens: llmConfig.maxTokens,
+            ...extraParams,
+            stream: true
+        })
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`${llmConfig.label} API error ${response.status}: ${errorText}`);
+    }
+
+    // Some local servers ignore stream: true and answer with plain JSON
+    if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content || '';
+        onDelta(content, content);
+        return { content, usage: data.usage || null };
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let usage = null;
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') continue;
+
+            try {
+                const event = JSON.parse(payload);
+                const delta = event.choices?.[0]?.delta?.content;
+                if (event.usage) usage = event.usage;
+                if (delta) {
+                    content += delta;
+                    onDelta(delta, content);
+                }
+            } catch (parseError) {
+                // Keep-alive comments and partial provider messages are safe to skip
+            }
+        }
+    }
+
+    return { content, usage };
+}
+
+/**
+ * Provider overview for the health endpoint
+ */
+export function describeProviders() {
+    // A bad LLM_PROVIDER or config default is reported here rather than taking down /health and startup
+    let active;
+    try {
+        active = resolveLLMConfig('analysis');
+    } catch (error) {
+        active = { provider: null, model: null, error: error.message };
+    }
+
+    return {
+        active: active.provider,
+        model: active.model,
+        ...(active.error ? { error: active.error } : {}),
+        providers: Object.fromEntries(Object.keys(PROVIDERS).map(name => [
+            name,
+            isProviderConfigured(resolveLLMConfig('analysis', { overrides: { provider: name } }))
+        ]))
+    };
+}
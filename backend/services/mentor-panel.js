@@ -0,0 +1,159 @@
+/**
+ * Mentor Panel - The "Jedi Council": one transcript analyzed by every council mentor in parallel, then compared
+ * (every persona unless its file sets "council": false)
+ * agreements: strengths and improvements raised by a majority of the mentors
+ * disagreements: split ratings (decision, level, clarity) and findings one mentor praises while another criticizes
+ * verdicts: each mentor's recommendation, side by side
+ */
+
+import { analyzeTranscript } from './ai-service.js';
+import { listMentors } from './mentor-personalities.js';
+import { sameFinding } from './chunked-analysis.js';
+
+const RATINGS = [
+    { field: 'decision', topic: 'Hiring decision', value: analysis => analysis.overall_recommendation?.decision },
+    { field: 'level', topic: 'Technical level', value: analysis => analysis.technical_assessment?.level },
+    { field: 'clarity', topic: 'Communication clarity', value: analysis => analysis.communication_analysis?.clarity }
+];
+
+/**
+ * Run the analysis once per mentor and compare the results
+ * options are passed to analyzeTranscript; onEvent only receives panel progress
+ * (per-mentor sections would interleave). Throws only when every mentor fails.
+ */
+export async function runMentorPanel(transcript, interviewType = null, llmOverrides = null, options = {}) {
+    const emit = options.onEvent || (() => {});
+    const mentors = (await listMentors()).filter(persona => persona.council).map(persona => persona.id);
+
+    console.log(`🏛️ Jedi Council convened: ${mentors.join(', ')} (Type: ${interviewType})`);
+    emit('progress', { stage: 'panel', mentors });
+
+    const settled = await Promise.allSettled(mentors.map(async mentor => {
+        const result = await analyzeTranscript(transcript, mentor, interviewType, llmOverrides, { ...options, onEvent: null });
+        emit('progress', { stage: 'mentor_complete', mentor, demo: !!result.metadata?.demo_mode });
+        return result;
+    }));
+
+    const members = [];
+    const failed = [];
+    settled.forEach((outcome, index) => {
+        const mentor = mentors[index];
+        if (outcome.status === 'fulfilled' && outcome.value?.analysis) {
+            members.push({ mentor, result: outcome.value });
+        } else {
+            const message = outcome.reason?.message || 'No analysis returned';
+            console.error(`❌ ${mentor} failed to analyze for the council:`, message);
+            emit('progress', { stage: 'mentor_failed', mentor, message });
+            failed.push({ mentor, error: message });
+        }
+    });
+
+    if (members.length === 0) {
+        throw new Error('Every mentor on the council failed to analyze the transcript');
+    }
+
+    const panel = { ...compareMentorAnalyses(members), failed };
+    console.log(`🏛️ Council: ${panel.agreements.strengths.length + panel.agreements.improvements.length} agreements, ${panel.disagreements.length} disagreements`);
+
+    return {
+        success: true,
+        panel,
+        analyses: Object.fromEntries(members.map(({ mentor, result }) => [mentor, { analysis: result.analysis, metadata: result.metadata }])),
+        metadata: {
+            timestamp: new Date().toISOString(),
+            mentors: members.map(member => member.mentor),
+            transcript_length: transcript.length
+        }
+    };
+}
+
+/**
+ * Compare [{ mentor, result: { analysis, metadata } }]; a finding needs a majority of the mentors to count as agreed
+ */
+export function compareMentorAnalyses(members) {
+    const majority = members.length === 1 ? 1 : Math.floor(members.length / 2) + 1;
+    const strengths = groupFindings(members, 'highlights');
+    const improvements = groupFindings(members, 'improvements');
+
+    const decisions = new Set(members.map(({ result }) => result.analysis.overall_recommendation?.decision));
+
+    return {
+        mentors: members.map(member => member.mentor),
+        decision: decisions.size === 1 ? [...decisions][0] || null : null,
+        agreements: {
+            strengths: strengths.filter(group => group.mentors.length >= majority),
+            improvements: improvements.filter(group => group.mentors.length >= majority)
+        },
+        disagreements: [...splitRatings(members), ...contestedFindings(strengths, improvements)],
+        verdicts: members.map(({ mentor, result }) => {
+            const recommendation = result.analysis.overall_recommendation || {};
+            return {
+                mentor,
+                decision: recommendation.decision || null,
+                confidence: typeof recommendation.confidence === 'number' ? recommendation.confidence : null,
+                level: result.analysis.technical_assessment?.level || null,
+                key_strengths: recommendation.key_strengths || [],
+                main_concerns: recommendation.main_concerns || [],
+                next_steps: recommendation.next_steps || null,
+                demo: !!result.metadata?.demo_mode
+            };
+        })
+    };
+}
+
+/**
+ * Group near-identical findings across mentors: [{ text, mentors, items: [{ mentor, text, detail }] }], most shared first
+ */
+function groupFindings(members, section) {
+    const groups = [];
+    members.forEach(({ mentor, result }) => {
+        (result.analysis[section] || []).forEach(item => {
+            const entry = { mentor, text: item.text, detail: item.suggestion || item.reasoning || null };
+            const group = groups.find(candidate => sameFinding(candidate.text, item.text));
+            if (group) {
+                group.items.push(entry);
+                if (!group.mentors.includes(mentor)) group.mentors.push(mentor);
+            } else {
+                groups.push({ text: item.text, mentors: [mentor], items: [entry] });
+            }
+        });
+    });
+    return groups.sort((a, b) => b.mentors.length - a.mentors.length);
+}
+
+function splitRatings(members) {
+    return RATINGS.map(rating => {
+        const positions = members
+            .map(({ mentor, result }) => ({ mentor, value: rating.value(result.analysis) || null }))
+            .filter(position => position.value);
+        return new Set(positions.map(position => position.value)).size > 1
+            ? { kind: 'rating', field: rating.field, topic: rating.topic, positions }
+            : null;
+    }).filter(Boolean);
+}
+
+/**
+ * The same finding counted as a strength by some mentors and as an improvement by others
+ */
+function contestedFindings(strengths, improvements) {
+    const contested = [];
+    strengths.forEach(strength => {
+        const improvement = improvements.find(candidate => sameFinding(strength.text, candidate.text));
+        if (!improvement) return;
+
+        // A mentor noting both sides of the same point is nuance, not disagreement
+        const praisedOnly = strength.mentors.filter(mentor => !improvement.mentors.includes(mentor));
+        const criticizedOnly = improvement.mentors.filter(mentor => !strength.mentors.includes(mentor));
+        if (praisedOnly.length === 0 || criticizedOnly.length === 0) return;
+
+        contested.push({
+            kind: 'finding',
+            topic: strength.text,
+            positions: [
+                ...strength.items.map(item => ({ mentor: item.mentor, stance: 'strength', text: item.text })),
+                ...improvement.items.map(item => ({ mentor: item.mentor, stance: 'improvement', text: item.text }))
+            ]
+        });
+    });
+    return contested;
+}
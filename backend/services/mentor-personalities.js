@@ -1,139 +1,219 @@
 /**
- * Mentor Personalities - Star Wars character-specific analysis contexts
+ * Mentor Personalities - Mentor personas for analysis, chat feedback and reports
+ * Each mentor is one JSON file: built-in personas live in backend/mentors, custom ones in MENTORS_DIR
+ * (default storage/mentors); a custom persona with a built-in id replaces the built-in one.
+ * A persona holds everything every layer needs: the prompt tone and focus areas, greetings, the section
+ * headings, labels and sign-off of the mentor's feedback, and the report headings. Missing fields fall
+ * back to the neutral defaults below, so a persona needs no more than an id, a name and a tone.
  */
 
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const builtinDir = path.resolve(__dirname, '../mentors');
+// Resolved lazily because dotenv runs after module imports
+const customDir = () => process.env.MENTORS_DIR || path.join(process.env.STORAGE_DIR || path.resolve(__dirname, '../storage'), 'mentors');
+
+const DEFAULT_MENTOR = 'obiwan';
+const MENTOR_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+// "council" is the frontend's Jedi Council mode, which runs every mentor
+const RESERVED_IDS = ['council'];
+
+const PERSONA_DEFAULTS = {
+    avatar: 'headshots/Mentor.svg',
+    description: '',
+    specialty: '',
+    accent: '#1f4e79',
+    council: true,
+    focusAreas: [],
+    followupStyle: null,
+    intro: 'Here is my analysis of your interview.',
+    signOff: '',
+    headings: {
+        interview_flow: '📅 INTERVIEW TIMELINE',
+        entities: '🏷️ KEY ENTITIES DETECTED',
+        highlights: '✨ STRENGTHS',
+        improvements: '⚡ AREAS FOR IMPROVEMENT',
+        delivery: '🎙️ DELIVERY',
+        star_analysis: '⭐ STAR STRUCTURE',
+        type_assessment: '🧩 INTERVIEW TYPE ESSENTIALS',
+        rubric: '📏 RUBRIC',
+        overall_recommendation: '🎯 OVERALL'
+    },
+    labels: {
+        flowSeparator: '-',
+        flowSummary: '',
+        reasoning: 'Why',
+        suggestion: 'Suggestion',
+        decision: 'Decision',
+        confidence: 'Confidence',
+        decisionFallback: 'Not decided'
+    },
+    entityLabels: {
+        technologies: 'Technologies',
+        companies: 'Companies',
+        names: 'Names'
+    },
+    star: {
+        missing: 'Missing or thin: {parts}.',
+        unmeasured: 'The result has no measurable outcome.'
+    },
+    reportHeadings: {},
+    // Mock interviews: {type} is the interview type's name, {count} the number of questions
+    interviewer: {
+        intro: "Let's run a mock {type} interview. I will ask you {count} questions, one at a time. Answer as you would in the real interview.",
+        next: 'Next question.',
+        closing: "That's the end of the interview. Here is how you did across all of your answers."
+    }
+};
+
 /**
- * Get mentor-specific analysis context
+ * Every persona, built-in and custom, in display order
  */
-export function getMentorPersonality(mentor) {
-    const contexts = {
-        yoda: "Focus on wisdom, patience, and learning from mistakes. Emphasize personal growth and inner strength. Use reflective language that encourages deep thinking about the candidate's journey and potential.",
-        
-        obiwan: "Provide strategic, balanced analysis with focus on technique and methodology. Be encouraging but realistic. Emphasize structured thinking, proper approach, and the importance of following proven principles.",
-        
-        vader: "Give direct, powerful feedback that identifies weaknesses clearly but also recognizes strength and potential. Be authoritative and focused on results, power, and the path to mastery through discipline."
-    };
-    
-    return contexts[mentor] || contexts.obiwan;
+export async function listMentors() {
+    const mentors = await loadAll();
+    return [...mentors.values()].sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
 }
 
 /**
- * Get interview type specific focus areas
+ * A persona by ID, or null when there is none
  */
-export function getInterviewTypeContext(interviewType) {
-    const contexts = {
-        behavioral: "Focus on storytelling, emotional intelligence, past experiences, and cultural fit. Analyze how the candidate handles conflict, leadership situations, team dynamics, and personal growth. Look for STAR method usage and authentic examples.",
-        
-        technical: "Analyze problem-solving approach, technical knowledge, coding skills, and system design thinking. Evaluate algorithmic thinking, code quality, debugging skills, and ability to explain technical concepts clearly.",
-        
-        consulting: "Evaluate structured thinking, business acumen, framework usage, and client-facing skills. Look for case interview methodology, quantitative reasoning, hypothesis-driven thinking, and ability to synthesize complex information.",
-        
-        leadership: "Assess leadership style, team management, decision-making, and influence skills. Analyze examples of leading through change, handling difficult conversations, building teams, and driving results through others."
+export async function getMentor(id) {
+    if (typeof id !== 'string' || !MENTOR_ID.test(id)) return null;
+    return (await loadAll()).get(id) || null;
+}
+
+/**
+ * The persona to analyze with: the requested one when it exists, else the default mentor
+ */
+export async function resolveMentor(id) {
+    const mentors = await loadAll();
+    return mentors.get(id) || mentors.get(DEFAULT_MENTOR) || validateMentor({ id: DEFAULT_MENTOR, name: 'Mentor', tone: '' });
+}
+
+/**
+ * Check and normalize a persona definition, filling in the neutral defaults; throws with code INVALID_MENTOR
+ */
+export function validateMentor(input) {
+    if (!input || typeof input !== 'object') throw invalidMentor('Mentor must be a JSON object');
+    if (typeof input.id !== 'string' || !MENTOR_ID.test(input.id)) {
+        throw invalidMentor('Mentor id must be lowercase letters, numbers, "-" or "_"');
+    }
+    if (RESERVED_IDS.includes(input.id)) throw invalidMentor(`Mentor id "${input.id}" is reserved`);
+    if (typeof input.name !== 'string' || !input.name.trim()) throw invalidMentor('Mentor name is required');
+    if (typeof input.tone !== 'string') throw invalidMentor('Mentor tone (the analysis instructions) is required');
+
+    const text = (value, fallback) => typeof value === 'string' ? value.trim() : fallback;
+    const texts = (values, defaults) => Object.fromEntries(Object.entries({ ...defaults, ...(values && typeof values === 'object' ? values : {}) })
+        .filter(([, value]) => typeof value === 'string')
+        .map(([key, value]) => [key, value.trim()]));
+
+    // A single "greeting" is the default greeting
+    const greetings = texts(input.greetings, typeof input.greeting === 'string' ? { default: input.greeting } : {});
+    greetings.default = greetings.default || `Welcome. Share your interview transcript and ${input.name.trim()} will analyze it.`;
+
+    return {
+        id: input.id,
+        name: input.name.trim(),
+        order: typeof input.order === 'number' ? input.order : 100,
+        avatar: text(input.avatar, PERSONA_DEFAULTS.avatar),
+        description: text(input.description, PERSONA_DEFAULTS.description),
+        specialty: text(input.specialty, PERSONA_DEFAULTS.specialty),
+        accent: text(input.accent, PERSONA_DEFAULTS.accent),
+        council: input.council !== false,
+        tone: input.tone.trim(),
+        focusAreas: Array.isArray(input.focusAreas) ? input.focusAreas.filter(area => typeof area === 'string') : PERSONA_DEFAULTS.focusAreas,
+        followupStyle: text(input.followupStyle, PERSONA_DEFAULTS.followupStyle),
+        greeting: greetings.default,
+        greetings,
+        intro: text(input.intro, PERSONA_DEFAULTS.intro),
+        signOff: text(input.signOff, PERSONA_DEFAULTS.signOff),
+        headings: texts(input.headings, PERSONA_DEFAULTS.headings),
+        labels: texts(input.labels, PERSONA_DEFAULTS.labels),
+        // Replaces rather than merges, so a persona also decides the order entities are listed in
+        entityLabels: input.entityLabels && typeof input.entityLabels === 'object' ? texts(input.entityLabels, {}) : PERSONA_DEFAULTS.entityLabels,
+        star: texts(input.star, PERSONA_DEFAULTS.star),
+        reportHeadings: texts(input.reportHeadings, PERSONA_DEFAULTS.reportHeadings),
+        interviewer: texts(input.interviewer, PERSONA_DEFAULTS.interviewer)
     };
-    
-    return contexts[interviewType] || "Provide general interview performance analysis focusing on communication, problem-solving, and overall candidate fit.";
+}
+
+/**
+ * Get mentor-specific analysis context
+ */
+export function getMentorPersonality(persona) {
+    const focus = persona.focusAreas.length > 0 ? ` Pay particular attention to ${persona.focusAreas.join(', ')}.` : '';
+    return `${persona.tone}${focus}`;
 }
 
 /**
  * Get mentor-specific greeting messages
  */
-export function getMentorGreeting(mentor, interviewType) {
-    const greetings = {
-        yoda: {
-            behavioral: "Welcome, young one. Share your experiences, you must. Learn from your journey, we will. Much wisdom in reflection, there is.",
-            technical: "Hmm. Strong with the code, are you? Your technical path, show me you will. Judge you by your algorithms, I do not - but learn from them, we must.",
-            consulting: "Business problems, solve them you must. Your thinking, structured it should be. The way of logic and frameworks, teach you I will.",
-            leadership: "Lead others, great responsibility it is. Your path of influence, examine we will. Strong leaders, from challenges they grow.",
-            default: "Welcome, young apprentice. Share your interview transcript, you must. Analyze your performance, we will. Much to learn, you have."
-        },
-        
-        obiwan: {
-            behavioral: "Hello there! I sense great potential in your experiences. Let's analyze your behavioral responses and discover the strategic insights within your stories.",
-            technical: "Greetings, fellow engineer. Your technical prowess intrigues me. Share your coding journey, and I'll provide balanced analysis of your approach and methodology.",
-            consulting: "Welcome, strategist. The business galaxy is complex, but with proper framework and clear thinking, we can navigate any challenge. Let's examine your analytical prowess.",
-            leadership: "A leader you aspire to be. Leadership is not about power, but about guidance and wisdom. Share your leadership experiences for strategic evaluation.",
-            default: "Hello there! I see great potential in you. Share your interview experience and I'll provide strategic analysis to help you master the art of interviewing."
-        },
-        
-        vader: {
-            behavioral: "Your behavioral responses will reveal your true nature. Do not disappoint me with weak stories or poor judgment. Show me your power through examples.",
-            technical: "Your technical skills are incomplete. But through discipline and focused practice, you will master the code. Show me your work, and I will forge you into a stronger engineer.",
-            consulting: "Business problems require decisive action and clear thinking. Weakness in analysis leads to failure. Demonstrate your consulting power, and I will guide you to mastery.",
-            leadership: "Leadership is about commanding respect and driving results. Your leadership examples will show me if you have the strength to influence others. Do not fail me.",
-            default: "Your interview skills are weak. But I will make them strong. Provide your transcript, and I will show you the path to power."
-        }
-    };
-    
-    const mentorGreetings = greetings[mentor] || greetings.obiwan;
-    return mentorGreetings[interviewType] || mentorGreetings.default;
+export function getMentorGreeting(persona, interviewType) {
+    return persona.greetings[interviewType] || persona.greetings.default;
 }
 
 /**
  * Get mentor-specific response formatting styles
  */
-export function formatMentorResponse(analysis, mentor) {
-    switch(mentor) {
-        case 'yoda':
-            return formatYodaResponse(analysis);
-        case 'obiwan':
-            return formatObiwanResponse(analysis);
-        case 'vader':
-            return formatVaderResponse(analysis);
-        default:
-            return formatObiwanResponse(analysis);
-    }
-}
+export function formatMentorResponse(analysis, persona) {
+    const { headings, labels } = persona;
+    let response = `${persona.intro}\n\n`;
 
-function formatYodaResponse(analysis) {
-    let response = `Hmm. Analyzed your performance, I have. Much wisdom gained through reflection, you will.\n\n`;
-    
-    response += `Strong in these areas, you are:\n`;
+    response += `**${headings.highlights}**\n`;
     analysis.highlights?.slice(0, 3).forEach(h => {
-        response += `• ${h.text} - ${h.reasoning}\n`;
+        response += `• ${h.text}\n  ${labels.reasoning}: ${h.reasoning}\n`;
     });
-    
-    response += `\nImprove, you must, in these ways:\n`;
+
+    response += `\n**${headings.improvements}**\n`;
     analysis.improvements?.slice(0, 3).forEach(i => {
-        response += `• ${i.text} - ${i.suggestion}\n`;
+        response += `• ${i.text}\n  ${labels.suggestion}: ${i.suggestion}\n`;
     });
-    
-    response += `\nRemember: Strong with the Force you are, but patience and practice, the path to mastery is. Fear leads to suffering, but growth leads to wisdom.`;
-    
+
+    response += `\n${labels.decision}: ${analysis.overall_recommendation?.decision || labels.decisionFallback}`;
+    if (persona.signOff) response += `\n\n${persona.signOff}`;
+
     return response;
 }
 
-function formatObiwanResponse(analysis) {
-    let response = `I've conducted a thorough analysis of your interview performance. Here's my strategic assessment:\n\n`;
-    
-    response += `**Strengths Identified:**\n`;
-    analysis.highlights?.slice(0, 3).forEach(h => {
-        response += `• ${h.text}\n  Strategy: ${h.reasoning}\n`;
-    });
-    
-    response += `\n**Areas for Strategic Improvement:**\n`;
-    analysis.improvements?.slice(0, 3).forEach(i => {
-        response += `• ${i.text}\n  Recommendation: ${i.suggestion}\n`;
-    });
-    
-    response += `\nOverall Assessment: ${analysis.overall_recommendation?.decision || 'Promising candidate'} - Focus on the fundamentals and trust in the process. The Force will be with you.`;
-    
-    return response;
+/**
+ * Built-in personas first, then custom files on top; invalid files are skipped with a warning
+ */
+async function loadAll() {
+    const mentors = new Map();
+    for (const dir of [builtinDir, customDir()]) {
+        for (const mentor of await readMentorDir(dir)) {
+            mentors.set(mentor.id, mentor);
+        }
+    }
+    return mentors;
 }
 
-function formatVaderResponse(analysis) {
-    let response = `Your performance has been... evaluated. I see both strength and weakness.\n\n`;
-    
-    response += `**Your power lies here:**\n`;
-    analysis.highlights?.slice(0, 3).forEach(h => {
-        response += `• ${h.text}\n`;
-    });
-    
-    response += `\n**Your weaknesses must be eliminated:**\n`;
-    analysis.improvements?.slice(0, 3).forEach(i => {
-        response += `• ${i.text} - ${i.suggestion}\n`;
-    });
-    
-    response += `\nDo not underestimate the power of preparation. Your destiny in interviews, you must control. Failure is not an option.`;
-    
-    return response;
-}
\ No newline at end of file
+async function readMentorDir(dir) {
+    let files;
+    try {
+        files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const mentors = [];
+    for (const file of files) {
+        try {
+            mentors.push(validateMentor(JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))));
+        } catch (error) {
+            console.warn(`⚠️ Skipping mentor file ${file}: ${error.message}`);
+        }
+    }
+    return mentors;
+}
+
+function invalidMentor(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_MENTOR';
+    return error;
+}
@@ -0,0 +1,330 @@
+/**
+ * Mock Interview - The selected mentor plays interviewer with questions from the question bank
+ * A mock interview lives on a practice session (session-store.js) as session.mock: the questions picked
+ * for it and one turn per answer. Each answer is analyzed on its own, as a one-question transcript scored
+ * with the session's rubric. Finishing merges the per-answer analyses like the parts of a long transcript
+ * (chunked-analysis.js) and records the result as the session's analysis, so reports work as usual.
+ */
+
+import { analyzeTranscript } from './ai-service.js';
+import { mergeChunkAnalyses } from './chunked-analysis.js';
+import { getMentor } from './mentor-personalities.js';
+import { getInterviewType, assessTypeFields } from './interview-types.js';
+import { listQuestions, DIFFICULTIES } from './question-bank.js';
+import { resolveRubric, scoreRubric } from './rubrics.js';
+import { createSession, getSession, updateSession, recordAnalysis } from './session-store.js';
+
+const DEFAULT_QUESTION_COUNT = 5;
+const MAX_QUESTION_COUNT = 10;
+const MAX_ANSWER_LENGTH = 20000;
+
+/**
+ * Pick the questions and attach a new mock interview to the session (a new one when sessionId is not given)
+ * options: mentor, interviewType, rubricId, sessionId, count, difficulty, competency, company
+ * Returns { session, mock, question } with the first question to ask
+ */
+export async function startMockInterview({ mentor, interviewType, rubricId = null, sessionId = null, count, difficulty, competency, company } = {}) {
+    if (!(await getMentor(mentor))) throw mockError('INVALID_MOCK', 'Pick one mentor to interview you');
+    const type = await getInterviewType(interviewType);
+    if (!type) throw mockError('INVALID_MOCK', `Unknown interview type: ${interviewType}`);
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+        throw mockError('INVALID_MOCK', `Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    }
+
+    const questionCount = Math.min(MAX_QUESTION_COUNT, Math.max(1, parseInt(count, 10) || DEFAULT_QUESTION_COUNT));
+    const { questions } = await listQuestions({ interviewType, difficulty, competency, company });
+    if (questions.length === 0) {
+        throw mockError('INVALID_MOCK', `The question bank has no ${type.name} questions matching these filters`);
+    }
+
+    const mock = {
+        status: 'in_progress',
+        mentor,
+        interviewType,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        filters: { difficulty: difficulty || null, competency: competency || null, company: company || null },
+        questions: pickQuestions(questions, questionCount).map(({ id, text, competencies, difficulty: level, companies, guidance }) => ({
+            id, text, competencies, difficulty: level, companies, guidance
+        })),
+        turns: [],
+        report: null
+    };
+
+    let session = sessionId ? await getSession(sessionId) : null;
+    if (!session) {
+        session = await createSession({ mentor, interviewType, rubricId, title: `Mock ${type.name} interview – ${mock.startedAt.substring(0, 10)}` });
+    }
+
+    // Starting again replaces an unfinished mock interview; finished ones stay in the session's analyses
+    session = await updateSession(session.id, stored => {
+        stored.mentor = mentor;
+        stored.interviewType = interviewType;
+        stored.rubricId = rubricId || stored.rubricId || null;
+        stored.mock = mock;
+    });
+
+    console.log(`🎙️ Mock interview started on session ${session.id}: ${mock.questions.length} ${type.name} questions with ${mentor}`);
+    return { session, mock: describeMock(mock), question: currentQuestion(mock) };
+}
+
+/**
+ * The mock interview on a session, with the question waiting for an answer (null once all are answered)
+ */
+export async function getMockInterview(sessionId) {
+    const session = await getSession(sessionId);
+    if (!session?.mock) throw mockError('MOCK_NOT_FOUND', 'Mock interview not found');
+    return { mock: describeMock(session.mock), question: currentQuestion(session.mock) };
+}
+
+/**
+ * Score the answer to the current question (or skip it) and return the next question
+ * Returns { turn, question, done }; done means every question has been answered or skipped
+ */
+export async function answerMockQuestion(sessionId, { answer = '', skip = false, llm = null } = {}) {
+    const session = await getSession(sessionId);
+    if (!session?.mock) throw mockError('MOCK_NOT_FOUND', 'Mock interview not found');
+
+    const { mock } = session;
+    if (mock.status !== 'in_progress') throw mockError('MOCK_FINISHED', 'This mock interview is already finished');
+
+    const question = mock.questions[mock.turns.length];
+    if (!question) throw mockError('MOCK_FINISHED', 'Every question has been answered; finish the interview for the report');
+
+    const text = typeof answer === 'string' ? answer.trim() : '';
+    if (!skip && !text) throw mockError('INVALID_MOCK', 'Answer the question, or skip it');
+    if (text.length > MAX_ANSWER_LENGTH) throw mockError('INVALID_MOCK', `Answers are limited to ${MAX_ANSWER_LENGTH} characters`);
+
+    const turn = {
+        index: mock.turns.length,
+        question,
+        answer: skip ? null : text,
+        skipped: !!skip,
+        answeredAt: new Date().toISOString(),
+        score: null,
+        analysis: null,
+        metadata: null
+    };
+
+    if (!skip) {
+        console.log(`🎙️ Scoring mock answer ${turn.index + 1}/${mock.questions.length} on session ${sessionId}`);
+        const rubric = await resolveRubric({ rubricId: session.rubricId, interviewType: mock.interviewType });
+        const result = await analyzeTranscript(answerTranscript(turn), mock.mentor, mock.interviewType, llm, { rubric });
+        turn.analysis = result.analysis;
+        turn.metadata = result.metadata;
+        turn.score = scoreAnswer(result.analysis);
+    }
+
+    const updated = await updateSession(sessionId, stored => {
+        // A concurrent request may have answered this question already
+        if (stored.mock?.status !== 'in_progress' || stored.mock.turns.length !== turn.index) {
+            throw mockError('MOCK_FINISHED', 'This question was already answered');
+        }
+        stored.mock.turns.push(turn);
+    });
+    if (!updated) throw mockError('MOCK_NOT_FOUND', 'Mock interview not found');
+
+    const next = currentQuestion(updated.mock);
+    return { turn, question: next, done: !next, progress: progress(updated.mock) };
+}
+
+/**
+ * End the interview (early too) and build the aggregate report from the answered questions
+ * The merged analysis is recorded on the session like any other analysis. Returns { report, analysis, metadata }
+ */
+export async function finishMockInterview(sessionId) {
+    const session = await getSession(sessionId);
+    if (!session?.mock) throw mockError('MOCK_NOT_FOUND', 'Mock interview not found');
+
+    const { mock } = session;
+    if (mock.status === 'completed' && mock.report) {
+        const recorded = session.analyses.findLast(entry => entry.metadata?.mock_interview);
+        return { report: mock.report, analysis: recorded?.analysis || null, metadata: recorded?.metadata || null, transcript: interviewTranscript(mock) };
+    }
+
+    const answered = mock.turns.filter(turn => !turn.skipped && turn.analysis);
+    if (answered.length === 0) throw mockError('INVALID_MOCK', 'Answer at least one question before finishing');
+
+    const rubric = await resolveRubric({ rubricId: session.rubricId, interviewType: mock.interviewType });
+    const analysis = await aggregateAnalysis(answered, mock.interviewType, rubric);
+    const report = buildReport(mock, analysis);
+    const transcript = interviewTranscript(mock);
+    const metadata = {
+        timestamp: new Date().toISOString(),
+        mock_interview: true,
+        questions_answered: answered.length,
+        questions_asked: mock.turns.length,
+        demo_mode: answered.some(turn => turn.metadata?.demo_mode)
+    };
+
+    await recordAnalysis(sessionId, {
+        transcript,
+        mentor: mock.mentor,
+        interviewType: mock.interviewType,
+        rubricId: rubric?.id,
+        result: { analysis, metadata }
+    });
+    await updateSession(sessionId, stored => {
+        stored.mock.status = 'completed';
+        stored.mock.finishedAt = metadata.timestamp;
+        stored.mock.report = report;
+    });
+
+    console.log(`🏁 Mock interview finished on session ${sessionId}: ${answered.length}/${mock.questions.length} answered${report.average_percent !== null ? `, ${report.average_percent}%` : ''}`);
+    return { report, analysis, metadata, transcript };
+}
+
+/**
+ * Per-question scores, per-competency averages and the strongest and weakest answers
+ */
+function buildReport(mock, analysis) {
+    const questions = mock.questions.map((question, index) => {
+        const turn = mock.turns[index];
+        return {
+            id: question.id,
+            text: question.text,
+            competencies: question.competencies,
+            difficulty: question.difficulty,
+            status: !turn ? 'not_asked' : turn.skipped ? 'skipped' : 'answered',
+            ...(turn?.score || { weighted_score: null, percent: null, max: null, decision: null })
+        };
+    });
+
+    const scored = questions.filter(question => question.percent !== null);
+    const byCompetency = new Map();
+    scored.forEach(question => question.competencies.forEach(competency => {
+        const group = byCompetency.get(competency) || [];
+        group.push(question.percent);
+        byCompetency.set(competency, group);
+    }));
+    const ranked = [...scored].sort((a, b) => b.percent - a.percent);
+
+    return {
+        mentor: mock.mentor,
+        interviewType: mock.interviewType,
+        questions,
+        answered: questions.filter(question => question.status === 'answered').length,
+        skipped: questions.filter(question => question.status === 'skipped').length,
+        average_percent: scored.length > 0 ? Math.round(mean(scored.map(question => question.percent))) : null,
+        rubric: analysis.rubric ? { name: analysis.rubric.name, weighted_score: analysis.rubric.weighted_score, max: analysis.rubric.scale.max, percent: analysis.rubric.percent } : null,
+        decision: analysis.overall_recommendation?.decision || null,
+        competencies: [...byCompetency.entries()]
+            .map(([competency, percents]) => ({ competency, percent: Math.round(mean(percents)), answers: percents.length }))
+            .sort((a, b) => b.percent - a.percent),
+        strongest: ranked.length > 1 ? ranked[0].id : null,
+        weakest: ranked.length > 1 ? ranked.at(-1).id : null
+    };
+}
+
+/**
+ * One analysis for the whole interview: each answer is a part, its rubric criteria become the part's scores
+ * Parts are numbered by question, so merged items' chunks name the questions they came from
+ */
+async function aggregateAnalysis(answered, interviewType, rubric) {
+    const parts = answered.map(turn => ({
+        chunk: { index: turn.index + 1, text: turn.answer },
+        analysis: {
+            ...turn.analysis,
+            rubric_scores: (turn.analysis.rubric?.criteria || [])
+                .filter(criterion => criterion.score !== null)
+                .map(criterion => ({ criterion: criterion.id, score: criterion.score, evidence: criterion.evidence, rationale: criterion.rationale }))
+        }
+    }));
+
+    const analysis = mergeChunkAnalyses(parts);
+    // Already located in each answer, so they are kept as they are rather than re-validated
+    analysis.star_analysis = answered.flatMap(turn => turn.analysis.star_analysis || []);
+
+    const assessment = assessTypeFields(await getInterviewType(interviewType), analysis.type_assessment);
+    if (assessment) {
+        analysis.type_assessment = assessment;
+    } else {
+        delete analysis.type_assessment;
+    }
+
+    if (rubric) analysis.rubric = scoreRubric(rubric, analysis.rubric_scores, analysis);
+    delete analysis.rubric_scores;
+    return analysis;
+}
+
+/**
+ * Prefer questions that cover competencies not picked yet, in random order
+ */
+function pickQuestions(questions, count) {
+    const shuffled = [...questions];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    const covered = new Set();
+    const picked = [];
+    while (picked.length < count && shuffled.length > 0) {
+        const index = Math.max(0, shuffled.findIndex(question => question.competencies.some(competency => !covered.has(competency))));
+        const [question] = shuffled.splice(index, 1);
+        question.competencies.forEach(competency => covered.add(competency));
+        picked.push(question);
+    }
+    return picked;
+}
+
+function scoreAnswer(analysis) {
+    const rubric = analysis.rubric;
+    return {
+        weighted_score: rubric?.weighted_score ?? null,
+        percent: rubric?.percent ?? null,
+        max: rubric?.scale?.max ?? null,
+        decision: analysis.overall_recommendation?.decision || null
+    };
+}
+
+function answerTranscript(turn) {
+    return `Interviewer: ${turn.question.text}\n\nCandidate: ${turn.answer}`;
+}
+
+function interviewTranscript(mock) {
+    return mock.turns.filter(turn => !turn.skipped).map(answerTranscript).join('\n\n');
+}
+
+/**
+ * The question waiting for an answer, without the answer guidance (shown with the feedback instead)
+ */
+function currentQuestion(mock) {
+    if (mock.status !== 'in_progress') return null;
+    const question = mock.questions[mock.turns.length];
+    if (!question) return null;
+
+    const { guidance, ...asked } = question;
+    return { ...asked, number: mock.turns.length + 1, total: mock.questions.length };
+}
+
+function progress(mock) {
+    return { answered: mock.turns.length, total: mock.questions.length };
+}
+
+/**
+ * The mock interview without the per-answer analyses, which can be large
+ */
+function describeMock(mock) {
+    return {
+        status: mock.status,
+        mentor: mock.mentor,
+        interviewType: mock.interviewType,
+        startedAt: mock.startedAt,
+        finishedAt: mock.finishedAt,
+        filters: mock.filters,
+        progress: progress(mock),
+        turns: mock.turns.map(({ analysis, metadata, ...turn }) => turn),
+        report: mock.report
+    };
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function mockError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
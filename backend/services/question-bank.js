@@ -0,0 +1,317 @@
+/**
+ * Question Bank - Interview questions to practice with, tagged by interview type, competency, difficulty and company
+ * The seed questions live in backend/questions (one JSON file per interview type). Questions users add (the ones
+ * they were asked in real interviews) or import are stored in QUESTIONS_DIR (default storage/questions), one file each.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { listInterviewTypes } from './interview-types.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const builtinDir = path.resolve(__dirname, '../questions');
+// Resolved lazily because dotenv runs after module imports
+const customDir = () => process.env.QUESTIONS_DIR || path.join(process.env.STORAGE_DIR || path.resolve(__dirname, '../storage'), 'questions');
+
+const QUESTION_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const TYPE_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_TAGS = 10;
+const MAX_IMPORT = 500;
+const EXPORT_VERSION = 1;
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Questions matching every given filter, plus the tags available to filter by
+ * filters: interviewType, competency, difficulty, company (case-insensitive), search (words in the text),
+ * source ('builtin' or 'custom') and limit. Facets count the tags within the interview type, so the
+ * competency and company choices fit the type being practiced.
+ */
+export async function listQuestions(filters = {}) {
+    const all = await loadAll();
+    const matching = all.filter(question => matchesFilters(question, filters));
+    const limit = parseInt(filters.limit, 10);
+
+    return {
+        questions: limit > 0 ? matching.slice(0, limit) : matching,
+        total: matching.length,
+        facets: facetsFor(all.filter(question => !filters.interviewType || question.interviewType === filters.interviewType))
+    };
+}
+
+/**
+ * A question by ID, or null when there is none
+ */
+export async function getQuestion(id) {
+    if (typeof id !== 'string' || !QUESTION_ID.test(id)) return null;
+    return (await loadAll()).find(question => question.id === id) || null;
+}
+
+/**
+ * Save a question a user was asked (validated first; throws with code INVALID_QUESTION)
+ * The interview type must exist, or the type filter and mock interviews would never reach the question.
+ * A question already in the bank for the same interview type is not added twice (code DUPLICATE_QUESTION)
+ */
+export async function addQuestion(input) {
+    const question = validateQuestion({ ...input, id: undefined });
+    if (!(await interviewTypeIds()).has(question.interviewType)) {
+        throw invalidQuestion(`Unknown interview type: ${question.interviewType}`);
+    }
+    const existing = await loadAll();
+    if (findDuplicate(existing, question)) {
+        const error = new Error('This question is already in the bank for that interview type');
+        error.code = 'DUPLICATE_QUESTION';
+        throw error;
+    }
+
+    const saved = await writeQuestion({ ...question, id: crypto.randomUUID(), createdAt: new Date().toISOString() });
+    console.log(`📚 Question added: ${saved.id} (${saved.interviewType})`);
+    return saved;
+}
+
+/**
+ * Add the questions of an export file ({ questions: [...] } or a plain array) as custom questions
+ * Invalid entries, unknown interview types and questions already in the bank are skipped and reported;
+ * IDs are kept when they are free.
+ * Returns { imported, skipped: [{ index, text, reason }] }
+ */
+export async function importQuestions(input) {
+    const entries = Array.isArray(input) ? input : input?.questions;
+    if (!Array.isArray(entries)) throw invalidQuestion('Import needs a "questions" array');
+    if (entries.length > MAX_IMPORT) throw invalidQuestion(`Import at most ${MAX_IMPORT} questions at a time`);
+
+    const bank = await loadAll();
+    const typeIds = await interviewTypeIds();
+    const ids = new Set(bank.map(question => question.id));
+    const imported = [];
+    const skipped = [];
+
+    for (const [index, entry] of entries.entries()) {
+        const text = typeof entry?.text === 'string' ? entry.text.slice(0, 80) : null;
+        let question;
+        try {
+            question = validateQuestion(entry);
+        } catch (error) {
+            skipped.push({ index, text, reason: error.message });
+            continue;
+        }
+        if (!typeIds.has(question.interviewType)) {
+            skipped.push({ index, text, reason: `Unknown interview type: ${question.interviewType}` });
+            continue;
+        }
+        if (findDuplicate(bank, question)) {
+            skipped.push({ index, text, reason: 'Already in the bank' });
+            continue;
+        }
+
+        const id = question.id && !ids.has(question.id) ? question.id : crypto.randomUUID();
+        const saved = await writeQuestion({ ...question, id, createdAt: validDate(entry.createdAt) || new Date().toISOString() });
+        ids.add(id);
+        bank.push(saved);
+        imported.push(saved);
+    }
+
+    console.log(`📚 Questions imported: ${imported.length} added, ${skipped.length} skipped`);
+    return { imported, skipped };
+}
+
+/**
+ * The questions matching the filters as an import file, so a bank can be shared or backed up
+ */
+export async function exportQuestions(filters = {}) {
+    const { questions } = await listQuestions({ ...filters, limit: null });
+    return {
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        questions: questions.map(({ source, ...question }) => question)
+    };
+}
+
+/**
+ * Delete a question a user added, returns false when there is no custom question with that ID
+ * Seed questions cannot be deleted
+ */
+export async function deleteQuestion(id) {
+    if (typeof id !== 'string' || !QUESTION_ID.test(id)) return false;
+
+    try {
+        await fs.unlink(path.join(customDir(), `${id}.json`));
+        console.log(`🗑️ Question deleted: ${id}`);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+/**
+ * Check and normalize a question; throws with code INVALID_QUESTION
+ * Competencies and companies are free-form tags, deduplicated case-insensitively
+ */
+export function validateQuestion(input) {
+    if (!input || typeof input !== 'object') throw invalidQuestion('Question must be a JSON object');
+    if (typeof input.text !== 'string' || !input.text.trim()) throw invalidQuestion('Question text is required');
+    if (input.text.trim().length > MAX_QUESTION_LENGTH) throw invalidQuestion(`Question text must be at most ${MAX_QUESTION_LENGTH} characters`);
+    if (typeof input.interviewType !== 'string' || !TYPE_ID.test(input.interviewType)) {
+        throw invalidQuestion('Question needs an interviewType (an interview type id)');
+    }
+    if (input.difficulty !== undefined && input.difficulty !== null && !DIFFICULTIES.includes(input.difficulty)) {
+        throw invalidQuestion(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    }
+    if (input.id !== undefined && input.id !== null && (typeof input.id !== 'string' || !QUESTION_ID.test(input.id))) {
+        throw invalidQuestion('Question id must be lowercase letters, numbers, "-" or "_"');
+    }
+
+    return {
+        id: input.id || null,
+        text: input.text.trim(),
+        interviewType: input.interviewType,
+        competencies: tags(input.competencies, value => value.toLowerCase()),
+        difficulty: input.difficulty || 'medium',
+        companies: tags(input.companies),
+        guidance: typeof input.guidance === 'string' && input.guidance.trim() ? input.guidance.trim() : null
+    };
+}
+
+function matchesFilters(question, { interviewType, competency, difficulty, company, search, source } = {}) {
+    if (interviewType && question.interviewType !== interviewType) return false;
+    if (competency && !hasTag(question.competencies, competency)) return false;
+    if (difficulty && question.difficulty !== difficulty) return false;
+    if (company && !hasTag(question.companies, company)) return false;
+    if (source && question.source !== source) return false;
+    if (search) {
+        const text = `${question.text} ${question.competencies.join(' ')}`.toLowerCase();
+        if (!String(search).toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word))) return false;
+    }
+    return true;
+}
+
+function facetsFor(questions) {
+    return {
+        competencies: countTags(questions.map(question => question.competencies)),
+        companies: countTags(questions.map(question => question.companies)),
+        difficulties: DIFFICULTIES.map(value => ({ value, count: questions.filter(question => question.difficulty === value).length }))
+    };
+}
+
+/**
+ * [{ value, count }] for each distinct tag, most used first
+ */
+function countTags(lists) {
+    const counts = new Map();
+    lists.flat().forEach(tag => {
+        const entry = counts.get(tag.toLowerCase()) || { value: tag, count: 0 };
+        entry.count++;
+        counts.set(tag.toLowerCase(), entry);
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+function hasTag(list, value) {
+    const wanted = String(value).trim().toLowerCase();
+    return list.some(tag => tag.toLowerCase() === wanted);
+}
+
+function findDuplicate(bank, question) {
+    const text = normalizeText(question.text);
+    return bank.find(candidate => candidate.interviewType === question.interviewType && normalizeText(candidate.text) === text);
+}
+
+function normalizeText(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function tags(values, transform = value => value) {
+    const seen = new Map();
+    (Array.isArray(values) ? values : []).forEach(value => {
+        if (typeof value !== 'string' || !value.trim()) return;
+        const tag = transform(value.trim().slice(0, 60));
+        if (!seen.has(tag.toLowerCase())) seen.set(tag.toLowerCase(), tag);
+    });
+    return [...seen.values()].slice(0, MAX_TAGS);
+}
+
+function validDate(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : null;
+}
+
+async function writeQuestion(question) {
+    await fs.mkdir(customDir(), { recursive: true });
+
+    // Temp file and rename so a crash never leaves half a question on disk
+    const target = path.join(customDir(), `${question.id}.json`);
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(question, null, 2));
+    await fs.rename(tempFile, target);
+    return { ...question, source: 'custom' };
+}
+
+/**
+ * Seed questions in file order, then the custom ones oldest first; invalid entries are skipped with a warning
+ */
+async function loadAll() {
+    const custom = (await readCustomDir()).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    return [...await readSeedDir(), ...custom];
+}
+
+/**
+ * Seed files are { "interviewType": "...", "questions": [...] }; a question may name its own type
+ */
+async function readSeedDir() {
+    const questions = [];
+    for (const file of await jsonFiles(builtinDir)) {
+        try {
+            const seed = JSON.parse(await fs.readFile(path.join(builtinDir, file), 'utf8'));
+            (seed.questions || []).forEach((entry, index) => {
+                try {
+                    const question = validateQuestion({ interviewType: seed.interviewType, ...entry });
+                    if (!question.id) throw invalidQuestion('Seed questions need an id');
+                    questions.push({ ...question, source: 'builtin' });
+                } catch (error) {
+                    console.warn(`⚠️ Skipping question ${index + 1} in ${file}: ${error.message}`);
+                }
+            });
+        } catch (error) {
+            console.warn(`⚠️ Skipping question file ${file}: ${error.message}`);
+        }
+    }
+    return questions;
+}
+
+async function readCustomDir() {
+    const dir = customDir();
+    const questions = [];
+    for (const file of await jsonFiles(dir)) {
+        try {
+            const stored = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+            const question = validateQuestion({ ...stored, id: path.basename(file, '.json') });
+            questions.push({ ...question, createdAt: stored.createdAt || null, source: 'custom' });
+        } catch (error) {
+            console.warn(`⚠️ Skipping question file ${file}: ${error.message}`);
+        }
+    }
+    return questions;
+}
+
+async function interviewTypeIds() {
+    return new Set((await listInterviewTypes()).map(type => type.id));
+}
+
+async function jsonFiles(dir) {
+    try {
+        return (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+function invalidQuestion(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_QUESTION';
+    return error;
+}
@@ -0,0 +1,678 @@
+/**
+ * Report Export - Renders an analysis as a shareable Markdown, HTML or PDF report
+ * All three formats are built from the same list of blocks, so they always carry the same content.
+ * Optional mentor styling swaps in the mentor's voice and colors; the transcript can be appended.
+ */
+
+import zlib from 'zlib';
+import { normalizeTranscript } from './transcript-model.js';
+import { STAR_COMPONENTS } from './star-analysis.js';
+
+export const REPORT_FORMATS = ['markdown', 'html', 'pdf'];
+
+const FORMAT_ALIASES = { md: 'markdown', htm: 'html' };
+
+const CONTENT_TYPES = {
+    markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const NEUTRAL_STYLE = {
+    name: null,
+    accent: '#1f4e79',
+    intro: null,
+    signOff: null,
+    headings: {
+        highlights: 'Strengths',
+        improvements: 'Areas for Improvement',
+        technical_assessment: 'Technical Assessment',
+        communication_analysis: 'Communication',
+        delivery: 'Delivery & Pacing',
+        language_patterns: 'Language Patterns',
+        star_analysis: 'STAR Breakdown',
+        type_assessment: 'Interview Type Essentials',
+        rubric: 'Rubric Scores',
+        interview_flow: 'Interview Flow',
+        overall_recommendation: 'Overall Recommendation',
+        interview_quality: 'Interview Quality'
+    }
+};
+
+/**
+ * Render a report for a parseAndValidateResponse analysis
+ * options: format, mentor, interviewType, mentorStyle, persona (the mentor's, for mentorStyle), transcript (text),
+ * structuredTranscript, metadata, title
+ * Returns { body, contentType, extension } where body is a string (Markdown, HTML) or a Buffer (PDF)
+ */
+export function renderReport(analysis, options = {}) {
+    const format = resolveReportFormat(options.format);
+    if (!format) {
+        throw new Error(`Unsupported report format: ${options.format}. Supported: ${REPORT_FORMATS.join(', ')}`);
+    }
+    if (!analysis || typeof analysis !== 'object') {
+        throw new Error('No analysis to export');
+    }
+
+    const style = options.mentorStyle && options.persona ? mentorStyle(options.persona) : NEUTRAL_STYLE;
+    const report = buildReport(analysis, style, options);
+
+    console.log(`📄 Rendering ${format} report (${report.blocks.length} blocks)`);
+
+    switch (format) {
+        case 'markdown':
+            return { body: renderMarkdown(report), ...CONTENT_TYPES.markdown };
+        case 'html':
+            return { body: renderHtml(report), ...CONTENT_TYPES.html };
+        case 'pdf':
+            return { body: renderPdf(report), ...CONTENT_TYPES.pdf };
+    }
+}
+
+/**
+ * The mentor's voice and colors from their persona, the same voice their feedback has in the chat
+ */
+function mentorStyle(persona) {
+    // Emoji do not render in the PDF's standard fonts
+    const plain = text => text ? text.replace(/\s*[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}\u{2B50}]+\s*$/u, '') : null;
+    return {
+        name: persona.name,
+        // The PDF needs a "#rrggbb" color; anything else gets the neutral accent
+        accent: /^#[0-9a-f]{6}$/i.test(persona.accent || '') ? persona.accent : NEUTRAL_STYLE.accent,
+        intro: plain(persona.intro),
+        signOff: plain(persona.signOff),
+        headings: { ...NEUTRAL_STYLE.headings, ...persona.reportHeadings }
+    };
+}
+
+/**
+ * Accepts the format names and common file extensions ("md", "htm")
+ */
+export function resolveReportFormat(format) {
+    const name = String(format || 'markdown').toLowerCase();
+    const resolved = FORMAT_ALIASES[name] || name;
+    return REPORT_FORMATS.includes(resolved) ? resolved : null;
+}
+
+/**
+ * Blocks: heading, paragraph, list ({ title, detail } items), fields ([label, value] pairs), transcript (lines)
+ */
+function buildReport(analysis, style, options) {
+    const blocks = [];
+    const section = (name, content) => {
+        const sectionBlocks = content.filter(Boolean);
+        if (sectionBlocks.length > 0) {
+            blocks.push({ type: 'heading', text: style.headings[name] }, ...sectionBlocks);
+        }
+    };
+
+    const fromChunks = chunkSources(options.metadata);
+
+    if (style.intro) {
+        blocks.push({ type: 'paragraph', text: style.intro, emphasis: true });
+    }
+
+    section('highlights', [listBlock((analysis.highlights || []).map(highlight => ({
+        title: highlight.text,
+        detail: [
+            highlight.quote ? `"${highlight.quote}"` : null,
+            highlight.reasoning,
+            labelText('Category', humanize(highlight.category)),
+            typeof highlight.confidence === 'number' ? `Confidence: ${Math.round(highlight.confidence * 100)}%` : null,
+            fromChunks(highlight.chunks)
+        ]
+    })))]);
+
+    section('improvements', [listBlock((analysis.improvements || []).map(improvement => ({
+        title: improvement.priority ? `[${improvement.priority.toUpperCase()}] ${improvement.text}` : improvement.text,
+        detail: [labelText('Suggestion', improvement.suggestion), labelText('Category', humanize(improvement.category)), fromChunks(improvement.chunks)]
+    })))]);
+
+    const tech = analysis.technical_assessment || {};
+    section('technical_assessment', [fieldsBlock([
+        ['Level', humanize(tech.level)],
+        ['Skills demonstrated', joinList(tech.skills_demonstrated)],
+        ['Knowledge gaps', joinList(tech.knowledge_gaps)],
+        ['Problem-solving approach', tech.problem_solving_approach]
+    ])]);
+
+    const comm = analysis.communication_analysis || {};
+    section('communication_analysis', [fieldsBlock([
+        ['Clarity', humanize(comm.clarity)],
+        ['Structure', comm.structure],
+        ['Listening', comm.listening],
+        ['Questioning', comm.questioning]
+    ])]);
+
+    const delivery = analysis.delivery;
+    if (delivery?.overall) {
+        const overall = delivery.overall;
+        const target = delivery.target_answer_seconds || {};
+        section('delivery', [
+            fieldsBlock([
+                ['Pace', `${overall.words_per_minute} words per minute (${overall.pace})`],
+                ['Filler words', `${overall.filler_count} (${overall.filler_rate} per 100 words)`],
+                ['Long pauses', String(overall.long_pause_count)],
+                ['Restarts', String(overall.restart_count)],
+                ['Answer length', `${overall.average_answer_seconds}s average, target ${target.min}-${target.max}s`]
+            ]),
+            listBlock((delivery.observations || []).map(observation => ({ title: observation, detail: [] })))
+        ]);
+    }
+
+    const language = analysis.language_patterns;
+    if (language?.hedging) {
+        const { ownership, hedging, passive_voice: passive, claims } = language;
+        section('language_patterns', [fieldsBlock([
+            ['Hedging', `${hedging.count} (${hedging.per_100_words} per 100 words)`],
+            ['I / we in stories', ownership.story_answers > 0 ? `${ownership.i_count} / ${ownership.we_count}` : null],
+            ['Passive voice', String(passive.count)],
+            ['Quantified claims', `${claims.quantified} of ${claims.quantified + claims.unquantified}`]
+        ])]);
+    }
+
+    section('star_analysis', [listBlock((analysis.star_analysis || []).map((entry, index) => ({
+        title: `${entry.question || `Answer ${index + 1}`}${typeof entry.overall_score === 'number' ? ` (${entry.overall_score}/10)` : ''}`,
+        detail: [
+            ...STAR_COMPONENTS.map(name => `${humanize(name)} ${entry.components[name].score}/10: ${entry.components[name].text || 'not found'}`),
+            ...(entry.missing?.length > 0 ? [`Missing or thin: ${entry.missing.map(humanize).join(', ')}`] : []),
+            ...(entry.components.result.text && !entry.result_measurable ? ['The result has no measurable outcome'] : [])
+        ]
+    })))]);
+
+    section('type_assessment', [listBlock((analysis.type_assessment || []).map(entry => ({
+        title: `${entry.name || humanize(entry.field)}: ${entry.rating ? humanize(entry.rating) : 'Not rated'}`,
+        detail: [entry.summary, entry.quote ? `"${entry.quote}"` : null]
+    })))]);
+
+    const rubric = analysis.rubric;
+    if (rubric?.criteria) {
+        const max = rubric.scale.max;
+        section('rubric', [
+            fieldsBlock([
+                ['Rubric', rubric.name],
+                ['Weighted score', rubric.weighted_score !== null ? `${rubric.weighted_score}/${max} (${rubric.percent}%)` : 'Not enough evidence'],
+                ['Weight scored', `${Math.round(rubric.coverage * 100)}%`]
+            ]),
+            listBlock(rubric.criteria.map(criterion => ({
+                title: `${criterion.name} (weight ${criterion.weight}): ${criterion.score !== null ? `${criterion.score}/${max}${criterion.level ? ` - ${criterion.level}` : ''}` : 'not scored'}`,
+                detail: [criterion.rationale, ...(criterion.evidence || [])]
+            })))
+        ]);
+    }
+
+    section('interview_flow', [listBlock((analysis.interview_flow || []).map(flow => ({
+        title: [humanize(flow.section), flow.duration_estimate].filter(Boolean).join(' - '),
+        detail: [flow.summary, ...(flow.key_moments || []).map(moment => `Key moment: ${moment}`)]
+    })))]);
+
+    const rec = analysis.overall_recommendation || {};
+    section('overall_recommendation', [fieldsBlock([
+        ['Decision', humanize(rec.decision)],
+        ['Confidence', rec.confidence ? `${rec.confidence}/10` : null],
+        ['Key strengths', joinList(rec.key_strengths)],
+        ['Main concerns', joinList(rec.main_concerns)],
+        ['Cultural fit', rec.cultural_fit],
+        ['Next steps', rec.next_steps]
+    ])]);
+
+    const quality = analysis.interview_quality || {};
+    section('interview_quality', [fieldsBlock([
+        ['Questions effectiveness', quality.questions_effectiveness],
+        ['Areas not explored', joinList(quality.areas_not_explored)],
+        ['Suggested follow-ups', joinList(quality.suggested_follow_ups)]
+    ])]);
+
+    if (style.signOff) {
+        blocks.push({ type: 'paragraph', text: style.signOff, emphasis: true });
+    }
+
+    const transcriptLines = buildTranscriptLines(options);
+    if (transcriptLines.length > 0) {
+        blocks.push({ type: 'heading', text: 'Appendix: Transcript', appendix: true });
+        blocks.push({ type: 'transcript', lines: transcriptLines });
+    }
+
+    return {
+        title: options.title || 'Interview Analysis Report',
+        subtitle: [
+            style.name ? `Mentor: ${style.name}` : null,
+            options.interviewType ? `Interview type: ${humanize(options.interviewType)}` : null,
+            `Generated: ${new Date().toISOString().slice(0, 10)}`,
+            options.metadata?.model ? `Model: ${options.metadata.model}` : null,
+            typeof options.metadata?.grounding?.score === 'number' ? `Evidence grounding: ${Math.round(options.metadata.grounding.score * 100)}%` : null,
+            options.metadata?.chunked ? `Analyzed in ${options.metadata.chunked.count} parts` : null
+        ].filter(Boolean).join(' | '),
+        accent: style.accent,
+        blocks
+    };
+}
+
+/**
+ * Speaker turns when a structured transcript is given, otherwise the plain text paragraphs
+ */
+function buildTranscriptLines({ transcript, structuredTranscript }) {
+    const structured = normalizeTranscript(structuredTranscript);
+    if (structured) {
+        return structured.turns.map(turn => ({
+            time: typeof turn.start === 'number' ? formatClock(turn.start) : null,
+            speaker: turn.speaker ? humanize(turn.speaker) : null,
+            text: turn.text
+        }));
+    }
+
+    return String(transcript || '')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .map(text => ({ time: null, speaker: null, text }));
+}
+
+function listBlock(items) {
+    const cleanItems = items
+        .filter(item => item.title)
+        .map(item => ({ title: item.title, detail: item.detail.filter(Boolean) }));
+    return cleanItems.length > 0 ? { type: 'list', items: cleanItems } : null;
+}
+
+function fieldsBlock(fields) {
+    const cleanFields = fields.filter(([, value]) => value);
+    return cleanFields.length > 0 ? { type: 'fields', fields: cleanFields } : null;
+}
+
+/**
+ * "From: Part 1 (00:00–04:10), Part 3" detail for items merged from a chunked analysis
+ * A mock interview merges its answers the same way, numbered by question: "From: Question 2"
+ */
+function chunkSources(metadata) {
+    const ranges = new Map((metadata?.chunked?.chunks || []).filter(chunk => chunk.start)
+        .map(chunk => [chunk.index, chunk.end ? `${chunk.start}–${chunk.end}` : chunk.start]));
+    const unit = metadata?.mock_interview ? 'Question' : 'Part';
+    return chunks => Array.isArray(chunks) && chunks.length > 0
+        ? labelText('From', chunks.map(index => ranges.has(index) ? `${unit} ${index} (${ranges.get(index)})` : `${unit} ${index}`).join(', '))
+        : null;
+}
+
+function labelText(label, value) {
+    return value ? `${label}: ${value}` : null;
+}
+
+function joinList(values) {
+    return Array.isArray(values) && values.length > 0 ? values.join('; ') : null;
+}
+
+function humanize(value) {
+    if (!value || typeof value !== 'string') return value || null;
+    const text = value.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatClock(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.floor(seconds % 60);
+    return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+}
+
+// ---------------------------------------------------------------------------
+// Markdown
+// ---------------------------------------------------------------------------
+
+function renderMarkdown(report) {
+    const lines = [`# ${report.title}`, '', `_${report.subtitle}_`, ''];
+
+    report.blocks.forEach(block => {
+        switch (block.type) {
+            case 'heading':
+                lines.push(`## ${block.text}`, '');
+                break;
+            case 'paragraph':
+                lines.push(block.emphasis ? `> ${block.text}` : block.text, '');
+                break;
+            case 'list':
+                block.items.forEach((item, index) => {
+                    lines.push(`${index + 1}. **${item.title}**`);
+                    item.detail.forEach(detail => lines.push(`   - ${detail}`));
+                });
+                lines.push('');
+                break;
+            case 'fields':
+                block.fields.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+                lines.push('');
+                break;
+            case 'transcript':
+                block.lines.forEach(line => {
+                    const prefix = [line.time ? `\`${line.time}\`` : null, line.speaker ? `**${line.speaker}:**` : null]
+                        .filter(Boolean).join(' ');
+                    lines.push(prefix ? `${prefix} ${line.text}` : line.text, '');
+                });
+                break;
+        }
+    });
+
+    return lines.join('\n').trim() + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// HTML (self-contained: inline styles, no external assets)
+// ---------------------------------------------------------------------------
+
+function renderHtml(report) {
+    const body = report.blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return `<h2${block.appendix ? ' class="appendix"' : ''}>${escapeHtml(block.text)}</h2>`;
+            case 'paragraph':
+                return block.emphasis
+                    ? `<blockquote>${escapeHtml(block.text)}</blockquote>`
+                    : `<p>${escapeHtml(block.text)}</p>`;
+            case 'list':
+                return `<ol>${block.items.map(item => `
+    <li><strong>${escapeHtml(item.title)}</strong>${item.detail.length > 0
+        ? `<ul>${item.detail.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>`
+        : ''}</li>`).join('')}
+</ol>`;
+            case 'fields':
+                return `<dl>${block.fields.map(([label, value]) =>
+                    `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`;
+            case 'transcript':
+                return `<div class="transcript">${block.lines.map(line => `
+    <p>${line.time ? `<span class="time">${line.time}</span> ` : ''}${line.speaker
+        ? `<span class="speaker ${line.speaker.toLowerCase()}">${escapeHtml(line.speaker)}:</span> `
+        : ''}${escapeHtml(line.text)}</p>`).join('')}
+</div>`;
+            default:
+                return '';
+        }
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)}</title>
+<style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; line-height: 1.5; max-width: 820px; margin: 40px auto; padding: 0 24px; }
+    h1 { color: ${report.accent}; margin-bottom: 4px; }
+    .subtitle { color: #666; margin-top: 0; }
+    h2 { color: ${report.accent}; border-bottom: 2px solid ${report.accent}; padding-bottom: 4px; margin-top: 32px; }
+    h2.appendix { page-break-before: always; }
+    blockquote { border-left: 4px solid ${report.accent}; margin: 16px 0; padding: 4px 16px; color: #444; font-style: italic; }
+    ol > li { margin-bottom: 10px; }
+    ol ul { color: #444; margin-top: 4px; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 6px 16px; }
+    dt { font-weight: bold; }
+    dd { margin: 0; }
+    .transcript p { margin: 6px 0; }
+    .transcript .time { color: #888; font-family: monospace; }
+    .transcript .speaker { font-weight: bold; }
+    .transcript .speaker.interviewer { color: #8a6d00; }
+    .transcript .speaker.candidate { color: ${report.accent}; }
+    @media print { body { margin: 0; max-width: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="subtitle">${escapeHtml(report.subtitle)}</p>
+${body}
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ---------------------------------------------------------------------------
+// PDF - a small writer using the built-in Helvetica fonts, so no extra dependencies
+// ---------------------------------------------------------------------------
+
+const PAGE_WIDTH = 612; // US Letter in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 56;
+const TEXT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126; other characters use the average
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const BOLD_WIDTH_FACTOR = 1.08; // Helvetica-Bold runs slightly wider
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI_EXTRAS = {
+    '•': 0x95, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '…': 0x85, '€': 0x80
+};
+
+function renderPdf(report) {
+    const accent = hexToRgb(report.accent);
+    const muted = [0.4, 0.4, 0.4];
+    const dark = [0.13, 0.13, 0.13];
+    const pages = [];
+    let page = null;
+    let y = 0;
+
+    const newPage = () => {
+        page = [];
+        pages.push(page);
+        y = PAGE_HEIGHT - MARGIN;
+    };
+    const ensureSpace = (height) => {
+        if (!page || y - height < MARGIN) newPage();
+    };
+    const write = (text, { size = 10.5, bold = false, color = dark, indent = 0, gapAfter = 2 } = {}) => {
+        const lineHeight = size * 1.35;
+        wrapText(text, TEXT_WIDTH - indent, size, bold).forEach(line => {
+            ensureSpace(lineHeight);
+            y -= lineHeight;
+            page.push({ x: MARGIN + indent, y, text: line, size, bold, color });
+        });
+        y -= gapAfter;
+    };
+    const rule = (color) => {
+        page.push({ rule: true, y: y - 3, color });
+        y -= 8;
+    };
+
+    newPage();
+    write(report.title, { size: 20, bold: true, color: accent, gapAfter: 4 });
+    write(report.subtitle, { size: 9, color: muted, gapAfter: 12 });
+
+    report.blocks.forEach(block => {
+        switch (block.type) {
+            case 'heading':
+                if (block.appendix) newPage();
+                ensureSpace(48); // Keep headings with the text that follows
+                y -= 10;
+                write(block.text, { size: 14, bold: true, color: accent, gapAfter: 0 });
+                rule(accent);
+                break;
+            case 'paragraph':
+                write(block.text, { color: block.emphasis ? muted : dark, gapAfter: 8 });
+                break;
+            case 'list':
+                block.items.forEach((item, index) => {
+                    write(`${index + 1}. ${item.title}`, { bold: true, indent: 0 });
+                    item.detail.forEach(detail => write(`• ${detail}`, { size: 10, color: muted, indent: 16 }));
+                    y -= 4;
+                });
+                break;
+            case 'fields':
+                block.fields.forEach(([label, value]) => {
+                    write(`${label}:`, { bold: true, gapAfter: 0 });
+                    write(value, { indent: 16, gapAfter: 4 });
+                });
+                break;
+            case 'transcript':
+                block.lines.forEach(line => {
+                    const prefix = [line.time ? `[${line.time}]` : null, line.speaker ? `${line.speaker}:` : null].filter(Boolean).join(' ');
+                    if (prefix) write(prefix, { size: 9, bold: true, color: line.speaker === 'Candidate' ? accent : muted, gapAfter: 0 });
+                    write(line.text, { size: 10, indent: prefix ? 12 : 0, gapAfter: 6 });
+                });
+                break;
+        }
+    });
+
+    return buildPdfDocument(pages.map((items, index) => pageContent(items, index + 1, pages.length)), report.title);
+}
+
+function pageContent(items, pageNumber, pageCount) {
+    const ops = items.map(item => {
+        const [r, g, b] = item.color.map(value => value.toFixed(3));
+        if (item.rule) {
+            return `${r} ${g} ${b} RG 0.8 w ${MARGIN} ${item.y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${item.y.toFixed(2)} l S`;
+        }
+        return `BT /${item.bold ? 'F2' : 'F1'} ${item.size} Tf ${r} ${g} ${b} rg ${item.x.toFixed(2)} ${item.y.toFixed(2)} Td <${toWinAnsiHex(item.text)}> Tj ET`;
+    });
+
+    const footer = `${pageNumber} / ${pageCount}`;
+    const footerX = PAGE_WIDTH / 2 - textWidth(footer, 8, false) / 2;
+    ops.push(`BT /F1 8 Tf 0.5 0.5 0.5 rg ${footerX.toFixed(2)} ${MARGIN / 2} Td <${toWinAnsiHex(footer)}> Tj ET`);
+
+    return ops.join('\n');
+}
+
+/**
+ * Assemble the objects, cross-reference table and trailer
+ */
+function buildPdfDocument(pageStreams, title) {
+    const objects = [];
+    const addObject = (content) => {
+        objects.push(content);
+        return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const infoId = addObject(`<< /Title <${toUtf16Hex(title)}> /Producer (Jedi Interview Mentor) /CreationDate (D:${pdfDate()}) >>`);
+
+    const pageIds = pageStreams.map(stream => {
+        const compressed = zlib.deflateSync(Buffer.from(stream, 'latin1'));
+        const contentId = addObject({ dictionary: `<< /Length ${compressed.length} /Filter /FlateDecode >>`, stream: compressed });
+        return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+    const push = (buffer) => {
+        chunks.push(buffer);
+        length += buffer.length;
+    };
+
+    objects.forEach((object, index) => {
+        offsets.push(length);
+        if (typeof object === 'string') {
+            push(Buffer.from(`${index + 1} 0 obj\n${object}\nendobj\n`, 'latin1'));
+        } else {
+            push(Buffer.from(`${index + 1} 0 obj\n${object.dictionary}\nstream\n`, 'latin1'));
+            push(object.stream);
+            push(Buffer.from('\nendstream\nendobj\n', 'latin1'));
+        }
+    });
+
+    const xrefOffset = length;
+    push(Buffer.from([
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(xrefOffset),
+        '%%EOF',
+        ''
+    ].join('\n'), 'latin1'));
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Greedy word wrap using the font metrics; words longer than a line are split
+ */
+function wrapText(text, maxWidth, size, bold) {
+    const words = toPdfText(text).split(/\s+/).filter(Boolean);
+    const lines = [];
+    let current = '';
+
+    words.forEach(word => {
+        while (textWidth(word, size, bold) > maxWidth) {
+            let cut = word.length - 1;
+            while (cut > 1 && textWidth(word.slice(0, cut), size, bold) > maxWidth) cut--;
+            if (current) lines.push(current);
+            lines.push(word.slice(0, cut));
+            current = '';
+            word = word.slice(cut);
+        }
+
+        const candidate = current ? `${current} ${word}` : word;
+        if (textWidth(candidate, size, bold) > maxWidth && current) {
+            lines.push(current);
+            current = word;
+        } else {
+            current = candidate;
+        }
+    });
+
+    if (current) lines.push(current);
+    return lines.length > 0 ? lines : [''];
+}
+
+function textWidth(text, size, bold) {
+    let units = 0;
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return units / 1000 * size * (bold ? BOLD_WIDTH_FACTOR : 1);
+}
+
+/**
+ * The standard fonts only cover WinAnsi, so drop emoji and other characters they cannot draw
+ */
+function toPdfText(text) {
+    return String(text)
+        .normalize('NFC')
+        .replace(/[^\n\x20-\x7E\xA0-\xFF•–—‘’“”…€]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function toWinAnsiHex(text) {
+    return [...text].map(char => {
+        const code = WIN_ANSI_EXTRAS[char] || char.charCodeAt(0);
+        return (code <= 0xFF ? code : 0x3F).toString(16).padStart(2, '0');
+    }).join('');
+}
+
+function toUtf16Hex(text) {
+    const utf16 = Buffer.from(String(text), 'utf16le').swap16();
+    return 'FEFF' + utf16.toString('hex').toUpperCase();
+}
+
+function pdfDate() {
+    return new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => channel / 255);
+}
@@ -2,10 +2,13 @@
  * Response Parser - JSON validation and fallback handling
  */
 
+import { STAR_COMPONENTS } from './star-analysis.js';
+import { FIELD_RATINGS } from './interview-types.js';
+
 /**
  * Parse and validate the AI response
  */
-export function parseAndValidateResponse(responseText, originalTranscript) {
+export function parseAndValidateResponse(responseText, originalTranscript, { strict = false } = {}) {
     try {
         // Extract JSON from response (in case there's extra text)
         const jsonMatch = responseText.match(/\{[\s\S]*\}/);
@@ -22,7 +25,10 @@ export function parseAndValidateResponse(responseText, originalTranscript) {
             entities: validateEntities(parsed.entities),
             interview_flow: validateInterviewFlow(parsed.interview_flow),
             overall_recommendation: validateOverallRecommendation(parsed.overall_recommendation),
-            interview_quality: validateInterviewQuality(parsed.interview_quality)
+            interview_quality: validateInterviewQuality(parsed.interview_quality),
+            star_analysis: validateStarAnalysis(parsed.star_analysis),
+            rubric_scores: validateRubricScores(parsed.rubric_scores),
+            type_assessment: validateTypeAssessment(parsed.type_assessment)
         };
         
         console.log('✅ Response validation successful');
@@ -32,11 +38,89 @@ export function parseAndValidateResponse(responseText, originalTranscript) {
         console.error('❌ Failed to parse DeepSeek response:', parseError.message);
         console.log('Raw response:', responseText.substring(0, 500));
         
+        // Chunked analysis retries the part instead of merging a placeholder
+        if (strict) throw parseError;
+        
         // Return structured fallback
         return createFallbackAnalysis(originalTranscript, responseText);
     }
 }
 
+/**
+ * Validate a single top-level section (used when streaming partial results)
+ */
+export function validateSection(name, value) {
+    const validator = SECTION_VALIDATORS[name];
+    return validator ? validator(value) : null;
+}
+
+/**
+ * Pull every top-level "key": value pair that is already complete out of a
+ * partially streamed JSON object. Incomplete trailing values are ignored.
+ */
+export function extractCompletedSections(text) {
+    const sections = {};
+    const start = text.indexOf('{');
+    if (start === -1) return sections;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let keyStart = -1;
+    let key = null;
+    let valueStart = -1;
+
+    const closeValue = (end) => {
+        if (key !== null && valueStart !== -1) {
+            try {
+                sections[key] = JSON.parse(text.slice(valueStart, end));
+            } catch (parseError) {
+                // Malformed value - the final validation pass will deal with it
+            }
+        }
+        key = null;
+        valueStart = -1;
+    };
+
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (ch === '\\') {
+                escaped = true;
+            } else if (ch === '"') {
+                inString = false;
+                if (keyStart !== -1) {
+                    key = text.slice(keyStart + 1, i);
+                    keyStart = -1;
+                }
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inString = true;
+            if (depth === 1 && key === null && valueStart === -1) keyStart = i;
+        } else if (ch === ':' && depth === 1 && key !== null && valueStart === -1) {
+            valueStart = i + 1;
+        } else if (ch === '{' || ch === '[') {
+            depth++;
+        } else if (ch === '}' || ch === ']') {
+            depth--;
+            if (depth === 0) {
+                closeValue(i);
+                break;
+            }
+        } else if (ch === ',' && depth === 1) {
+            closeValue(i);
+        }
+    }
+
+    return sections;
+}
+
 /**
  * Validation functions for each section
  */
@@ -47,7 +131,10 @@ function validateHighlights(highlights) {
         text: h.text || 'Analysis completed',
         category: h.category || 'general',
         confidence: typeof h.confidence === 'number' ? h.confidence : 0.7,
-        reasoning: h.reasoning || 'Identified as positive indicator'
+        reasoning: h.reasoning || 'Identified as positive indicator',
+        // Checked against the transcript by grounding.js
+        quote: typeof h.quote === 'string' && h.quote.trim() ? h.quote.trim() : null,
+        chunks: chunkList(h.chunks)
     }));
 }
 
@@ -58,7 +145,9 @@ function validateImprovements(improvements) {
         text: i.text || 'Area for development identified',
         suggestion: i.suggestion || 'Recommend focused practice',
         priority: ['high', 'medium', 'low'].includes(i.priority) ? i.priority : 'medium',
-        category: i.category || 'general'
+        category: i.category || 'general',
+        quote: typeof i.quote === 'string' && i.quote.trim() ? i.quote.trim() : null,
+        chunks: chunkList(i.chunks)
     }));
 }
 
@@ -96,7 +185,8 @@ function validateInterviewFlow(flow) {
         section: f.section || 'discussion',
         summary: f.summary || 'Interview section covered',
         key_moments: Array.isArray(f.key_moments) ? f.key_moments.slice(0, 3) : [],
-        duration_estimate: f.duration_estimate || '5-10 minutes'
+        duration_estimate: f.duration_estimate || '5-10 minutes',
+        chunks: chunkList(f.chunks)
     }));
 }
 
@@ -119,6 +209,123 @@ function validateInterviewQuality(quality) {
     };
 }
 
+function validateStarAnalysis(star) {
+    if (!Array.isArray(star)) return [];
+
+    return star.slice(0, 6).filter(entry => entry && typeof entry === 'object').map(entry => ({
+        question: typeof entry.question === 'string' ? entry.question : null,
+        components: Object.fromEntries(STAR_COMPONENTS.map(name => {
+            const component = entry[name] || entry.components?.[name] || {};
+            const text = component.quote || component.text || '';
+            return [name, {
+                text: typeof text === 'string' ? text.trim() : '',
+                score: typeof component.score === 'number' ? Math.max(0, Math.min(10, Math.round(component.score))) : (text ? 5 : 0)
+            }];
+        })),
+        result_measurable: entry.result_measurable === true
+    }));
+}
+
+function validateRubricScores(scores) {
+    if (!Array.isArray(scores)) return [];
+
+    return scores.slice(0, 12).filter(entry => typeof entry?.criterion === 'string').map(entry => ({
+        criterion: entry.criterion,
+        score: typeof entry.score === 'number' ? entry.score : null,
+        evidence: Array.isArray(entry.evidence) ? entry.evidence.filter(quote => typeof quote === 'string').slice(0, 3) : [],
+        rationale: typeof entry.rationale === 'string' ? entry.rationale : null
+    }));
+}
+
+/**
+ * Entries for the interview type's own fields; ai-service matches them to the type (interview-types.js)
+ */
+function validateTypeAssessment(entries) {
+    if (!Array.isArray(entries)) return [];
+
+    return entries.slice(0, 8).filter(entry => typeof entry?.field === 'string').map(entry => ({
+        field: entry.field,
+        rating: FIELD_RATINGS.includes(entry.rating) ? entry.rating : null,
+        summary: typeof entry.summary === 'string' ? entry.summary : null,
+        quote: typeof entry.quote === 'string' && entry.quote.trim() ? entry.quote.trim() : null
+    }));
+}
+
+/**
+ * Transcript parts an item came from (chunked analysis only); omitted otherwise
+ */
+function chunkList(chunks) {
+    return Array.isArray(chunks) && chunks.length > 0 && chunks.every(Number.isInteger) ? chunks : undefined;
+}
+
+const SECTION_VALIDATORS = {
+    highlights: validateHighlights,
+    improvements: validateImprovements,
+    technical_assessment: validateTechnicalAssessment,
+    communication_analysis: validateCommunicationAnalysis,
+    entities: validateEntities,
+    interview_flow: validateInterviewFlow,
+    overall_recommendation: validateOverallRecommendation,
+    interview_quality: validateInterviewQuality,
+    star_analysis: validateStarAnalysis,
+    rubric_scores: validateRubricScores,
+    type_assessment: validateTypeAssessment
+};
+
+/**
+ * Sections measured on the server (delivery-analytics.js, language-patterns.js, rubrics.js) are not model output,
+ * so no validator rebuilds them; these check the fields the report reads
+ */
+const MEASURED_SECTION_CHECKS = {
+    delivery: value => isRecord(value.overall)
+        && ['words_per_minute', 'filler_count', 'filler_rate', 'long_pause_count', 'restart_count', 'average_answer_seconds']
+            .every(field => Number.isFinite(value.overall[field]))
+        && isRecord(value.target_answer_seconds)
+        && Number.isFinite(value.target_answer_seconds.min) && Number.isFinite(value.target_answer_seconds.max)
+        && (value.observations === undefined || Array.isArray(value.observations)),
+    language_patterns: value => isRecord(value.hedging) && isRecord(value.ownership) && isRecord(value.passive_voice) && isRecord(value.claims)
+        && Number.isFinite(value.hedging.count) && Number.isFinite(value.hedging.per_100_words)
+        && Number.isFinite(value.ownership.story_answers) && Number.isFinite(value.passive_voice.count)
+        && Number.isFinite(value.claims.quantified) && Number.isFinite(value.claims.unquantified),
+    rubric: value => isRecord(value.scale) && Number.isFinite(value.scale.max)
+        && Number.isFinite(value.coverage)
+        && (value.weighted_score === null || Number.isFinite(value.weighted_score))
+        && Array.isArray(value.criteria)
+        && value.criteria.every(criterion => isRecord(criterion) && typeof criterion.name === 'string'
+            && (criterion.score === null || Number.isFinite(criterion.score))
+            && (criterion.evidence === undefined || Array.isArray(criterion.evidence)))
+};
+
+/**
+ * Sections of an analysis sent back by a client (report export) that do not have the validated shape
+ * Missing sections are fine; a list section that is not a list of objects, or an object section that is not
+ * an object, is not. STAR entries need their processed components, type assessment entries their field,
+ * and measured sections the fields the report reads. Returns the section names.
+ */
+export function findInvalidSections(analysis) {
+    const invalid = Object.entries(SECTION_VALIDATORS).filter(([name, validate]) => {
+        const value = analysis[name];
+        if (value === undefined || value === null) return false;
+
+        // The validators return [] for list sections and an object of defaults otherwise
+        if (!Array.isArray(validate(undefined))) return !isRecord(value);
+        if (!Array.isArray(value) || !value.every(isRecord)) return true;
+        if (name === 'type_assessment') return value.some(entry => typeof (entry.name || entry.field) !== 'string');
+        return name === 'star_analysis'
+            && value.some(entry => !STAR_COMPONENTS.every(component => isRecord(entry.components?.[component])));
+    }).map(([name]) => name);
+
+    Object.entries(MEASURED_SECTION_CHECKS).forEach(([name, check]) => {
+        const value = analysis[name];
+        if (value !== undefined && value !== null && !(isRecord(value) && check(value))) invalid.push(name);
+    });
+    return invalid;
+}
+
+function isRecord(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
 /**
  * Fallback analysis when JSON parsing fails
  */
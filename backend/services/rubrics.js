@@ -0,0 +1,339 @@
+/**
+ * Rubrics - Weighted scoring criteria with level descriptors, one rubric per interview type
+ * Built-in rubrics live in backend/rubrics. Custom rubrics (a bootcamp's own, for example) are JSON files
+ * in RUBRICS_DIR (default storage/rubrics); a custom rubric with a built-in id replaces the built-in one.
+ * The model scores each criterion with evidence; criteria with a "measure" fall back to measured sections.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const builtinDir = path.resolve(__dirname, '../rubrics');
+// Resolved lazily because dotenv runs after module imports
+const customDir = () => process.env.RUBRICS_DIR || path.join(process.env.STORAGE_DIR || path.resolve(__dirname, '../storage'), 'rubrics');
+
+const DEFAULT_RUBRIC = 'general';
+const DEFAULT_SCALE = { min: 1, max: 4 };
+const RUBRIC_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * Heuristic scores from the measured sections, as a 0-1 value plus the evidence behind it
+ * Each returns null when the analysis has nothing to measure it with
+ */
+export const RUBRIC_MEASURES = {
+    star_structure: analysis => {
+        const star = analysis.star_analysis || [];
+        if (star.length === 0) return null;
+        const average = mean(star.map(entry => entry.overall_score));
+        return { value: average / 10, evidence: `${star.length} STAR ${star.length === 1 ? 'answer' : 'answers'}, average ${round(average)}/10` };
+    },
+    ownership: analysis => {
+        const ownership = analysis.language_patterns?.ownership;
+        if (!ownership || ownership.we_share === null || ownership.i_count + ownership.we_count < 4) return null;
+        return { value: 1 - ownership.we_share, evidence: `"I" ${ownership.i_count} times vs "we" ${ownership.we_count} times in stories` };
+    },
+    quantified_impact: analysis => {
+        const claims = analysis.language_patterns?.claims;
+        const star = (analysis.star_analysis || []).filter(entry => entry.components?.result?.text);
+        const values = [];
+        const evidence = [];
+        if (claims && claims.quantified + claims.unquantified > 0) {
+            values.push(claims.quantified / (claims.quantified + claims.unquantified));
+            evidence.push(`${claims.quantified} of ${claims.quantified + claims.unquantified} impact claims quantified`);
+        }
+        if (star.length > 0) {
+            values.push(star.filter(entry => entry.result_measurable).length / star.length);
+            evidence.push(`${star.filter(entry => entry.result_measurable).length} of ${star.length} STAR results measurable`);
+        }
+        return values.length > 0 ? { value: mean(values), evidence: evidence.join('; ') } : null;
+    },
+    confident_language: analysis => {
+        const hedging = analysis.language_patterns?.hedging;
+        const overall = analysis.delivery?.overall;
+        const values = [];
+        const evidence = [];
+        if (hedging) {
+            values.push(1 - Math.min(1, hedging.per_100_words / 4));
+            evidence.push(`${hedging.per_100_words} hedges per 100 words`);
+        }
+        if (overall) {
+            values.push(1 - Math.min(1, overall.filler_rate / 6));
+            evidence.push(`${overall.filler_rate} fillers per 100 words`);
+        }
+        return values.length > 0 ? { value: mean(values), evidence: evidence.join('; ') } : null;
+    },
+    delivery: analysis => {
+        const overall = analysis.delivery?.overall;
+        if (!overall) return null;
+        return {
+            value: mean([overall.pace === 'good' ? 1 : 0.5, 1 - Math.min(1, overall.filler_rate / 6)]),
+            evidence: `${overall.words_per_minute} wpm (${overall.pace}), ${overall.filler_rate} fillers per 100 words`
+        };
+    }
+};
+
+/**
+ * Summaries of every available rubric, built-in and custom
+ */
+export async function listRubrics() {
+    const rubrics = await loadAll();
+    return [...rubrics.values()]
+        .map(rubric => ({
+            id: rubric.id,
+            name: rubric.name,
+            description: rubric.description,
+            interviewType: rubric.interviewType,
+            criteriaCount: rubric.criteria.length,
+            source: rubric.source
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A full rubric by ID, or null when there is none
+ */
+export async function getRubric(id) {
+    if (typeof id !== 'string' || !RUBRIC_ID.test(id)) return null;
+    return (await loadAll()).get(id) || null;
+}
+
+/**
+ * The rubric to score with: the requested one when it exists, else the interview type's, else the general one
+ */
+export async function resolveRubric({ rubricId = null, interviewType = null } = {}) {
+    const rubrics = await loadAll();
+    if (rubricId && rubrics.has(rubricId)) return rubrics.get(rubricId);
+
+    const forType = [...rubrics.values()].filter(rubric => interviewType && rubric.interviewType === interviewType);
+    // A custom rubric for the type wins over the built-in one
+    return forType.find(rubric => rubric.source === 'custom') || forType[0] || rubrics.get(DEFAULT_RUBRIC) || null;
+}
+
+/**
+ * Save a custom rubric to RUBRICS_DIR (validated first; throws with code INVALID_RUBRIC)
+ * Saving with a built-in id makes the custom copy replace the built-in rubric
+ */
+export async function saveRubric(input) {
+    const rubric = validateRubric(input);
+    await fs.mkdir(customDir(), { recursive: true });
+
+    // Temp file and rename so a crash never leaves half a rubric on disk
+    const target = path.join(customDir(), `${rubric.id}.json`);
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(rubric, null, 2));
+    await fs.rename(tempFile, target);
+
+    console.log(`📏 Rubric saved: ${rubric.id}`);
+    return { ...rubric, source: 'custom' };
+}
+
+/**
+ * Delete a custom rubric, returns false when there is no custom rubric with that ID
+ * Built-in rubrics cannot be deleted; deleting a custom override brings the built-in one back
+ */
+export async function deleteRubric(id) {
+    if (typeof id !== 'string' || !RUBRIC_ID.test(id)) return false;
+
+    try {
+        await fs.unlink(path.join(customDir(), `${id}.json`));
+        console.log(`🗑️ Rubric deleted: ${id}`);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+/**
+ * Check and normalize a rubric definition; throws with code INVALID_RUBRIC
+ */
+export function validateRubric(input) {
+    if (!input || typeof input !== 'object') throw invalidRubric('Rubric must be a JSON object');
+    if (typeof input.id !== 'string' || !RUBRIC_ID.test(input.id)) {
+        throw invalidRubric('Rubric id must be lowercase letters, numbers, "-" or "_"');
+    }
+    if (typeof input.name !== 'string' || !input.name.trim()) throw invalidRubric('Rubric name is required');
+    if (!Array.isArray(input.criteria) || input.criteria.length === 0) throw invalidRubric('Rubric needs at least one criterion');
+
+    const scale = {
+        min: Number.isInteger(input.scale?.min) ? input.scale.min : DEFAULT_SCALE.min,
+        max: Number.isInteger(input.scale?.max) ? input.scale.max : DEFAULT_SCALE.max
+    };
+    if (scale.max <= scale.min) throw invalidRubric('Rubric scale max must be greater than min');
+
+    const ids = new Set();
+    const criteria = input.criteria.map((criterion, index) => {
+        const label = `Criterion ${index + 1}`;
+        if (!criterion || typeof criterion.id !== 'string' || !RUBRIC_ID.test(criterion.id)) {
+            throw invalidRubric(`${label}: id must be lowercase letters, numbers, "-" or "_"`);
+        }
+        if (ids.has(criterion.id)) throw invalidRubric(`${label}: duplicate id "${criterion.id}"`);
+        ids.add(criterion.id);
+
+        if (typeof criterion.name !== 'string' || !criterion.name.trim()) throw invalidRubric(`${label}: name is required`);
+        if (typeof criterion.weight !== 'number' || !(criterion.weight > 0)) throw invalidRubric(`${label}: weight must be a positive number`);
+        if (criterion.measure && !RUBRIC_MEASURES[criterion.measure]) {
+            throw invalidRubric(`${label}: unknown measure "${criterion.measure}". Available: ${Object.keys(RUBRIC_MEASURES).join(', ')}`);
+        }
+
+        const levels = Array.isArray(criterion.levels) ? criterion.levels : [];
+        levels.forEach(level => {
+            if (!Number.isInteger(level?.score) || level.score < scale.min || level.score > scale.max) {
+                throw invalidRubric(`${label}: level scores must be whole numbers from ${scale.min} to ${scale.max}`);
+            }
+        });
+
+        return {
+            id: criterion.id,
+            name: criterion.name.trim(),
+            weight: criterion.weight,
+            description: typeof criterion.description === 'string' ? criterion.description.trim() : '',
+            measure: criterion.measure || null,
+            levels: levels
+                .map(level => ({ score: level.score, label: String(level.label || '').trim(), description: String(level.description || '').trim() }))
+                .sort((a, b) => a.score - b.score)
+        };
+    });
+
+    return {
+        id: input.id,
+        name: input.name.trim(),
+        description: typeof input.description === 'string' ? input.description.trim() : '',
+        interviewType: typeof input.interviewType === 'string' && input.interviewType ? input.interviewType : null,
+        scale,
+        criteria
+    };
+}
+
+/**
+ * Rubric instructions appended to the analysis prompt
+ */
+export function formatRubricForPrompt(rubric) {
+    const { min, max } = rubric.scale;
+    const criteria = rubric.criteria.map(criterion => {
+        const levels = criterion.levels.map(level => `    ${level.score} ${level.label}: ${level.description}`).join('\n');
+        return `- ${criterion.id} (weight ${criterion.weight}): ${criterion.name}${criterion.description ? ` - ${criterion.description}` : ''}${levels ? `\n${levels}` : ''}`;
+    }).join('\n');
+
+    return `RUBRIC "${rubric.name}" - score every criterion from ${min} to ${max} using the level descriptions:
+${criteria}
+Also return a top-level "rubric_scores" array:
+[{ "criterion": "criterion id", "score": ${min}-${max}, "evidence": ["the candidate's exact words"], "rationale": "why this level" }]`;
+}
+
+/**
+ * Combine the model's criterion scores with measured fallbacks and compute the weighted total
+ * modelScores: [{ criterion, score, evidence, rationale }]; analysis supplies the measured sections
+ */
+export function scoreRubric(rubric, modelScores = [], analysis = {}) {
+    const { min, max } = rubric.scale;
+    const byCriterion = new Map((modelScores || []).map(entry => [entry.criterion, entry]));
+
+    const criteria = rubric.criteria.map(criterion => {
+        const modelScore = byCriterion.get(criterion.id);
+        let score = null;
+        let evidence = [];
+        let rationale = null;
+        let source = null;
+
+        if (modelScore && typeof modelScore.score === 'number') {
+            score = clamp(Math.round(modelScore.score), min, max);
+            evidence = modelScore.evidence || [];
+            rationale = modelScore.rationale || null;
+            source = 'model';
+        } else if (criterion.measure) {
+            const measured = RUBRIC_MEASURES[criterion.measure](analysis);
+            if (measured) {
+                score = clamp(Math.round(min + clamp(measured.value, 0, 1) * (max - min)), min, max);
+                evidence = [measured.evidence];
+                rationale = 'Measured from the transcript';
+                source = 'measured';
+            }
+        }
+
+        const level = criterion.levels.find(candidate => candidate.score === score);
+        return {
+            id: criterion.id,
+            name: criterion.name,
+            weight: criterion.weight,
+            score,
+            level: level ? level.label : null,
+            evidence,
+            rationale,
+            source
+        };
+    });
+
+    const scored = criteria.filter(criterion => criterion.score !== null);
+    const scoredWeight = scored.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+    const weightedScore = scoredWeight > 0
+        ? scored.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) / scoredWeight
+        : null;
+
+    console.log(`📏 Rubric ${rubric.id}: ${scored.length}/${criteria.length} criteria scored${weightedScore !== null ? `, ${round(weightedScore)}/${max}` : ''}`);
+
+    return {
+        id: rubric.id,
+        name: rubric.name,
+        scale: rubric.scale,
+        criteria,
+        weighted_score: weightedScore !== null ? round(weightedScore) : null,
+        percent: weightedScore !== null ? Math.round((weightedScore - min) / (max - min) * 100) : null,
+        coverage: round(scoredWeight / totalWeight)
+    };
+}
+
+/**
+ * Built-in rubrics first, then custom files on top; invalid files are skipped with a warning
+ */
+async function loadAll() {
+    const rubrics = new Map();
+    for (const [dir, source] of [[builtinDir, 'builtin'], [customDir(), 'custom']]) {
+        for (const rubric of await readRubricDir(dir)) {
+            rubrics.set(rubric.id, { ...rubric, source });
+        }
+    }
+    return rubrics;
+}
+
+async function readRubricDir(dir) {
+    let files;
+    try {
+        files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const rubrics = [];
+    for (const file of files) {
+        try {
+            rubrics.push(validateRubric(JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))));
+        } catch (error) {
+            console.warn(`⚠️ Skipping rubric file ${file}: ${error.message}`);
+        }
+    }
+    return rubrics;
+}
+
+function invalidRubric(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_RUBRIC';
+    return error;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
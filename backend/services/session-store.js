@@ -0,0 +1,209 @@
+/**
+ * Session Store - File-based persistence for practice sessions
+ * Each session is stored as one JSON file so the trainer works fully offline
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Resolved lazily because dotenv runs after module imports
+const sessionsDir = () => path.join(process.env.STORAGE_DIR || path.resolve(__dirname, '../storage'), 'sessions');
+
+// Pending writes per session, so concurrent updates never clobber each other
+const writeQueues = new Map();
+
+/**
+ * Create a new session for the selected mentor, interview type and scoring rubric
+ */
+export async function createSession({ mentor = null, interviewType = null, title = null, rubricId = null } = {}) {
+    const now = new Date().toISOString();
+    const session = {
+        id: crypto.randomUUID(),
+        title: title || `${interviewType || 'general'} practice – ${now.substring(0, 10)}`,
+        mentor,
+        interviewType,
+        rubricId,
+        createdAt: now,
+        updatedAt: now,
+        transcript: '',
+        transcription: {
+            turns: [],
+            segments: [],
+            words: []
+        },
+        analyses: [],
+        followups: []
+    };
+
+    await writeSession(session);
+    console.log(`💾 Session created: ${session.id}`);
+    return session;
+}
+
+/**
+ * List stored sessions as lightweight summaries, newest first
+ */
+export async function listSessions() {
+    await fs.mkdir(sessionsDir(), { recursive: true });
+    const files = (await fs.readdir(sessionsDir())).filter(file => file.endsWith('.json'));
+
+    const sessions = [];
+    for (const file of files) {
+        const session = await readSessionFile(path.join(sessionsDir(), file));
+        if (session) {
+            sessions.push(summarizeSession(session));
+        }
+    }
+
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Get a full session by ID, or null when it does not exist
+ */
+export async function getSession(id) {
+    if (!isValidSessionId(id)) return null;
+    return readSessionFile(sessionPath(id));
+}
+
+/**
+ * Delete a session, returns false when it did not exist
+ */
+export async function deleteSession(id) {
+    if (!isValidSessionId(id)) return false;
+
+    try {
+        await fs.unlink(sessionPath(id));
+        console.log(`🗑️ Session deleted: ${id}`);
+        return true;
+    } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+    }
+}
+
+/**
+ * Apply a mutation to a stored session and persist it
+ * The updater receives the session object and may modify it in place
+ */
+export function updateSession(id, updater) {
+    const previous = writeQueues.get(id) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(async () => {
+        const session = await getSession(id);
+        if (!session) return null;
+
+        await updater(session);
+        session.updatedAt = new Date().toISOString();
+        await writeSession(session);
+        return session;
+    });
+
+    writeQueues.set(id, next);
+    next.finally(() => {
+        if (writeQueues.get(id) === next) writeQueues.delete(id);
+    }).catch(() => {});
+
+    return next;
+}
+
+/**
+ * Record a structured transcript (see transcript-model.js) on the session
+ */
+export function recordTranscription(id, transcription) {
+    return updateSession(id, session => {
+        session.transcript = transcription.text || session.transcript;
+        session.transcription = {
+            turns: transcription.turns || [],
+            segments: transcription.segments || [],
+            words: transcription.words || []
+        };
+    });
+}
+
+/**
+ * Record an analysis result on the session
+ */
+export function recordAnalysis(id, { transcript, mentor, interviewType, rubricId, result, panel = false }) {
+    return updateSession(id, session => {
+        session.transcript = transcript || session.transcript;
+        // A council member's analysis keeps the session on the council
+        session.mentor = (panel ? null : mentor) || session.mentor;
+        session.interviewType = interviewType || session.interviewType;
+        session.rubricId = rubricId || session.rubricId || null;
+        session.analyses.push({
+            createdAt: new Date().toISOString(),
+            mentor,
+            interviewType,
+            rubricId: rubricId || null,
+            panel,
+            analysis: result.analysis,
+            metadata: result.metadata
+        });
+    });
+}
+
+/**
+ * Record follow-up suggestions on the session
+ */
+export function recordFollowups(id, result) {
+    return updateSession(id, session => {
+        session.followups.push({
+            createdAt: new Date().toISOString(),
+            suggestions: result.suggestions || [],
+            metadata: result.metadata
+        });
+    });
+}
+
+/**
+ * Summary used by the list endpoint
+ */
+function summarizeSession(session) {
+    return {
+        id: session.id,
+        title: session.title,
+        mentor: session.mentor,
+        interviewType: session.interviewType,
+        rubricId: session.rubricId || null,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        transcriptLength: session.transcript?.length || 0,
+        analysisCount: session.analyses?.length || 0,
+        latestDecision: session.analyses?.at(-1)?.analysis?.overall_recommendation?.decision || null
+    };
+}
+
+async function readSessionFile(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`❌ Failed to read session file ${filePath}:`, error.message);
+        }
+        return null;
+    }
+}
+
+/**
+ * Write via a temp file and rename so a crash never leaves half a session on disk
+ */
+async function writeSession(session) {
+    await fs.mkdir(sessionsDir(), { recursive: true });
+    const target = sessionPath(session.id);
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(session, null, 2));
+    await fs.rename(tempFile, target);
+}
+
+function sessionPath(id) {
+    return path.join(sessionsDir(), `${id}.json`);
+}
+
+function isValidSessionId(id) {
+    return typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id);
+}
@@ -0,0 +1,177 @@
+/**
+ * STAR Analysis - Situation, Task, Action and Result in each behavioral answer
+ * The model segments answers when it can; its quotes are located in the transcript to get spans.
+ * Without a model (demo) or when it skips the section, sentence cues give a rougher breakdown.
+ * Each answer: { question, turn_id, components: { situation, task, action, result }, result_measurable,
+ *                overall_score, missing, source }, component: { text, score (0-10), spans: [{ turn_id, start, end }] }
+ */
+
+import { extractCandidateAnswers } from './transcript-model.js';
+import { hasMetric } from './language-patterns.js';
+
+export const STAR_COMPONENTS = ['situation', 'task', 'action', 'result'];
+
+const STORY_QUESTION = /\b(tell me about a time|describe a (time|situation)|give (me )?an example|walk me through a time|a time when|how did you (handle|deal)|have you ever)\b/i;
+
+const MIN_STORY_WORDS = 40;
+const MAX_ANSWERS = 6;
+const WEAK_SCORE = 4;
+
+// Words a component needs to be told fully; shorter parts score proportionally
+const TARGET_WORDS = { situation: 25, task: 12, action: 40, result: 20 };
+// An unmeasured Result cannot score above this
+const UNMEASURED_RESULT_CAP = 6;
+
+const CUES = {
+    result: /\b(as a result|in the end|ultimately|eventually|the outcome|the result|resulted in|which (led|meant)|ended up|by the end|afterwards|since then|we (shipped|launched|hit|met)|(reduced|increased|improved|saved|cut|grew|doubled|achieved)\b|i learned|lesson)/i,
+    task: /\b(my (job|role|task|goal|responsibility) was|i was (asked|responsible|tasked|expected)|i needed to|i had to|the goal was|our goal|we needed to|the challenge was|the problem was|i wanted to)\b/i,
+    action: /\b(so i|then i|first,? i|next,? i|i (decided|started|built|wrote|created|set up|organized|talked|met|proposed|designed|implemented|led|reached out|scheduled|analy[sz]ed|introduced|changed|refactored|convinced|asked|made|took|pushed|paired|escalated|negotiated|ran|focused))\b/i,
+    situation: /\b(at my (last|previous|old|current)|when i was|back in|there was a|we were (working|building|migrating|launching)|the team was|our (team|company|product|customer)|a few (years|months) ago|last (year|quarter))\b/i
+};
+// Earlier entries win when a sentence has several cues
+const CUE_ORDER = ['result', 'task', 'action', 'situation'];
+
+/**
+ * Whether STAR applies to this interview type (a missing type means "check the questions")
+ * type is an entry from interview-types.js; its storyAnswers flag marks story-based interviews
+ */
+export function usesStar(type) {
+    return !type || type.storyAnswers;
+}
+
+/**
+ * Reconcile the model's STAR section with the transcript
+ * Model entries get spans and a checked measurable flag; without any, answers are segmented by cues
+ * Returns an array (possibly empty), or null when STAR does not apply to the interview type
+ */
+export function analyzeStar(modelStar, input, { type = null } = {}) {
+    if (!usesStar(type) && !(modelStar?.length > 0)) return null;
+
+    const answers = extractCandidateAnswers(input);
+    const star = modelStar?.length > 0
+        ? modelStar.map(entry => groundEntry(entry, answers))
+        : detectStar(answers, { type });
+
+    const flagged = star.filter(entry => entry.missing.length > 0).length;
+    console.log(`⭐ STAR analysis: ${star.length} answers (${modelStar?.length > 0 ? 'model' : 'cues'}), ${flagged} with gaps`);
+    return star;
+}
+
+/**
+ * Sentence-cue segmentation for story answers, used when there is no model output
+ */
+export function detectStar(answers, { type = null } = {}) {
+    const storyType = !!type?.storyAnswers;
+
+    return answers
+        .filter(answer => countWords(answer.text) >= MIN_STORY_WORDS)
+        .filter(answer => storyType || STORY_QUESTION.test(answer.question || '') || CUES.situation.test(answer.text))
+        .slice(0, MAX_ANSWERS)
+        .map(answer => {
+            const parts = Object.fromEntries(STAR_COMPONENTS.map(name => [name, []]));
+            let current = 'situation';
+
+            splitSentences(answer.text).forEach(sentence => {
+                // Sentences without a cue continue the previous component
+                current = CUE_ORDER.find(name => CUES[name].test(sentence.text)) || current;
+                parts[current].push(sentence);
+            });
+
+            const components = Object.fromEntries(STAR_COMPONENTS.map(name => {
+                const sentences = parts[name];
+                const text = sentences.map(sentence => sentence.text).join(' ');
+                return [name, {
+                    text,
+                    score: scoreByLength(text, TARGET_WORDS[name]),
+                    spans: sentences.map(sentence => ({ turn_id: answer.turnId, start: sentence.start, end: sentence.end }))
+                }];
+            }));
+
+            return finishEntry({ question: answer.question, turn_id: answer.turnId, components, source: 'cues' });
+        });
+}
+
+/**
+ * Locate the model's quotes in the candidate's answers
+ */
+function groundEntry(entry, answers) {
+    let turnId = null;
+    const components = Object.fromEntries(STAR_COMPONENTS.map(name => {
+        const component = entry.components[name];
+        const span = component.text ? locateQuote(component.text, answers) : null;
+        if (span && turnId === null) turnId = span.turn_id;
+        return [name, { ...component, spans: span ? [span] : [] }];
+    }));
+
+    return finishEntry({ question: entry.question, turn_id: turnId, components, source: 'model' });
+}
+
+/**
+ * Measurable result, overall score and the list of weak or missing parts
+ */
+function finishEntry(entry) {
+    const result = entry.components.result;
+    const resultMeasurable = !!result.text && hasMetric(result.text);
+    if (result.text && !resultMeasurable) {
+        result.score = Math.min(result.score, UNMEASURED_RESULT_CAP);
+    }
+
+    const scores = STAR_COMPONENTS.map(name => entry.components[name].score);
+    return {
+        question: entry.question || null,
+        turn_id: entry.turn_id,
+        components: entry.components,
+        result_measurable: resultMeasurable,
+        overall_score: Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 10) / 10,
+        missing: STAR_COMPONENTS.filter(name => entry.components[name].score < WEAK_SCORE),
+        source: entry.source
+    };
+}
+
+/**
+ * Exact match first, then whitespace and case-insensitive, then the quote's opening words
+ */
+function locateQuote(quote, answers) {
+    const clean = quote.replace(/^["'“”]+|["'“”.…]+$/g, '').trim();
+    if (!clean) return null;
+
+    const attempts = [clean, clean.split(/\s+/).slice(0, 6).join(' ')];
+    for (const attempt of attempts) {
+        const pattern = new RegExp(attempt.split(/\s+/).map(escapeRegex).join('\\s+'), 'i');
+        for (const answer of answers) {
+            const match = answer.text.match(pattern);
+            if (match) {
+                const end = attempt === clean ? match.index + match[0].length : sentenceEnd(answer.text, match.index + match[0].length);
+                return { turn_id: answer.turnId, start: match.index, end };
+            }
+        }
+    }
+    return null;
+}
+
+function sentenceEnd(text, from) {
+    const match = text.slice(from).match(/[.!?](\s|$)/);
+    return match ? from + match.index + 1 : text.length;
+}
+
+function scoreByLength(text, target) {
+    const words = countWords(text);
+    return words === 0 ? 0 : Math.max(1, Math.min(10, Math.round(words / target * 10)));
+}
+
+function splitSentences(text) {
+    return [...text.matchAll(/[^.!?]+[.!?]*/g)]
+        .map(match => {
+            const leading = match[0].length - match[0].trimStart().length;
+            return { start: match.index + leading, end: match.index + match[0].trimEnd().length, text: match[0].trim() };
+        })
+        .filter(sentence => sentence.text);
+}
+
+function countWords(text) {
+    return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,304 @@
+/**
+ * Transcript Export - Captions, chapters and raw timing data for video players and review tools
+ * srt / vtt: caption cues, optionally with speaker labels; vtt can also mark where each chapter starts
+ * SRT has no chapters or comments, so chapters never appear in it; players pair it with the chapters track instead
+ * chapters: a WebVTT chapters track (<track kind="chapters">) built from the timeline sections
+ * json: segments, words, turns, timeline and chapters as produced by transcription
+ */
+
+import { normalizeTranscript, TRANSCRIPT_VERSION } from './transcript-model.js';
+import { generateTimeline } from './whisper.js';
+
+export const TRANSCRIPT_EXPORT_FORMATS = ['srt', 'vtt', 'chapters', 'json'];
+
+const EXPORT_TYPES = {
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+    chapters: { contentType: 'text/vtt; charset=utf-8', extension: 'chapters.vtt' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Common caption guidelines: two lines of ~42 characters, on screen for at most ~7 seconds
+const MAX_LINE_LENGTH = 42;
+const MAX_CUE_LENGTH = MAX_LINE_LENGTH * 2;
+const MAX_CUE_SECONDS = 7;
+const MAX_CHAPTER_TITLE_LENGTH = 60;
+
+/**
+ * Export a structured transcript (see transcript-model.js)
+ * options: format, chapters (default true), speakers (default true)
+ * Returns { body, contentType, extension }; throws with code INVALID_TRANSCRIPT when nothing can be exported
+ */
+export function exportTranscript(input, { format = 'vtt', chapters = true, speakers = true } = {}) {
+    if (!TRANSCRIPT_EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unsupported transcript export format: ${format}. Supported: ${TRANSCRIPT_EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const transcript = normalizeTranscript(input);
+    if (!transcript) {
+        throw invalidTranscript('No transcript segments to export');
+    }
+
+    // Timed segments when available; text-only transcripts still have timed turns after an import
+    const segments = transcript.segments.length > 0 ? transcript.segments : transcript.turns;
+    if (!segments.every(segment => typeof segment.start === 'number' && typeof segment.end === 'number')) {
+        throw invalidTranscript('Transcript has no timestamps, so captions cannot be created');
+    }
+
+    const timeline = generateTimeline(segments, transcript.words);
+    const chapterList = buildChapters(timeline);
+
+    console.log(`🎬 Exporting transcript as ${format} (${segments.length} segments, ${chapterList.length} chapters)`);
+
+    let body;
+    switch (format) {
+        case 'srt':
+            body = renderSrt(buildCues(segments, transcript.words, [], speakers));
+            break;
+        case 'vtt':
+            body = renderVtt(buildCues(segments, transcript.words, chapters ? chapterList : [], speakers));
+            break;
+        case 'chapters':
+            body = renderChapterTrack(chapterList);
+            break;
+        case 'json':
+            body = JSON.stringify({
+                version: TRANSCRIPT_VERSION,
+                source: transcript.source,
+                language: transcript.language,
+                duration: transcript.duration,
+                segments: transcript.segments,
+                words: transcript.words,
+                turns: transcript.turns,
+                timeline,
+                chapters: chapterList
+            }, null, 2);
+            break;
+    }
+
+    return { body, ...EXPORT_TYPES[format] };
+}
+
+/**
+ * Timeline sections become chapters; consecutive sections of the same kind are merged
+ * so a long answer split by pauses stays one chapter
+ */
+function buildChapters(timeline) {
+    const chapters = [];
+
+    timeline.forEach(section => {
+        const previous = chapters[chapters.length - 1];
+        if (previous && previous.section === section.section && previous.speaker === section.speaker) {
+            previous.end = section.endSeconds;
+            return;
+        }
+
+        chapters.push({
+            index: chapters.length + 1,
+            start: section.startSeconds,
+            end: section.endSeconds,
+            section: section.section,
+            speaker: section.speaker,
+            title: chapterTitle(section)
+        });
+    });
+
+    return chapters;
+}
+
+function chapterTitle(section) {
+    if (section.section === 'interviewer_question') {
+        return `Q: ${truncate(section.content, MAX_CHAPTER_TITLE_LENGTH - 3)}`;
+    }
+    const name = section.section.replace(/_/g, ' ');
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Split long segments into readable cues, using word timings when the engine gave them
+ */
+function buildCues(segments, words, chapters, speakers) {
+    const cues = [];
+    let chapterIndex = 0;
+    let labeledSpeaker = null;
+
+    segments.forEach(segment => {
+        const text = (segment.text || '').trim();
+        if (!text) return;
+
+        const segmentWords = words.filter(word => word.start >= segment.start && word.end <= segment.end + 0.05);
+        const pieces = segmentWords.length > 0
+            ? splitByWords(segmentWords, text)
+            : splitByText(text, segment.start, segment.end);
+
+        pieces.forEach((piece, pieceIndex) => {
+            const startsChapters = [];
+
+            // Chapters are noted before the first cue at or after their start
+            while (chapterIndex < chapters.length && chapters[chapterIndex].start <= piece.start + 0.01) {
+                startsChapters.push(chapters[chapterIndex]);
+                chapterIndex++;
+            }
+
+            // SRT has no voice tags, so name the speaker whenever it changes
+            const label = speakers && pieceIndex === 0 && segment.speaker && segment.speaker !== labeledSpeaker
+                ? capitalize(segment.speaker)
+                : null;
+            if (label) labeledSpeaker = segment.speaker;
+
+            cues.push({
+                start: piece.start,
+                end: Math.max(piece.end, piece.start + 0.5),
+                speaker: speakers ? segment.speaker || null : null,
+                label,
+                startsChapters,
+                text: wrapLines(piece.text)
+            });
+        });
+    });
+
+    return cues;
+}
+
+/**
+ * Word timings come without punctuation; when the counts line up, show the segment's own tokens
+ */
+function splitByWords(words, text) {
+    const tokens = text.split(/\s+/);
+    const useTextTokens = tokens.length === words.length;
+    const pieces = [];
+    let current = null;
+
+    words.forEach((word, index) => {
+        const token = (useTextTokens ? tokens[index] : word.word).trim();
+        if (!token) return;
+
+        const tooLong = current && (current.text.length + token.length + 1 > MAX_CUE_LENGTH || word.end - current.start > MAX_CUE_SECONDS);
+        if (!current || tooLong) {
+            current = { start: word.start, end: word.end, text: token };
+            pieces.push(current);
+        } else {
+            current.text += ' ' + token;
+            current.end = word.end;
+        }
+    });
+
+    return pieces;
+}
+
+/**
+ * No word timings: break at word boundaries and share the segment's time by character count
+ */
+function splitByText(text, start, end) {
+    const chunks = [];
+    let current = '';
+
+    text.split(/\s+/).forEach(word => {
+        if (current && current.length + word.length + 1 > MAX_CUE_LENGTH) {
+            chunks.push(current);
+            current = word;
+        } else {
+            current = current ? `${current} ${word}` : word;
+        }
+    });
+    if (current) chunks.push(current);
+
+    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    let cursor = start;
+
+    return chunks.map(chunk => {
+        const pieceEnd = cursor + (end - start) * (chunk.length / totalLength);
+        const piece = { start: cursor, end: pieceEnd, text: chunk };
+        cursor = pieceEnd;
+        return piece;
+    });
+}
+
+function wrapLines(text) {
+    if (text.length <= MAX_LINE_LENGTH) return [text];
+
+    // Break at the space closest to the middle for balanced lines
+    const middle = Math.floor(text.length / 2);
+    const before = text.lastIndexOf(' ', middle);
+    const after = text.indexOf(' ', middle);
+    const breakAt = before === -1 ? after : after === -1 ? before : (middle - before <= after - middle ? before : after);
+
+    return breakAt === -1 ? [text] : [text.slice(0, breakAt), text.slice(breakAt + 1)];
+}
+
+function renderSrt(cues) {
+    return cues.map((cue, index) => {
+        const [first, ...rest] = cue.text;
+        const textLines = [cue.label ? `${cue.label}: ${first}` : first, ...rest];
+        return [
+            index + 1,
+            `${formatSrtTime(cue.start)} --> ${formatSrtTime(cue.end)}`,
+            ...textLines
+        ].join('\n');
+    }).join('\n\n') + '\n';
+}
+
+function renderVtt(cues) {
+    const blocks = cues.flatMap((cue, index) => {
+        const voice = cue.speaker ? `<v ${capitalize(cue.speaker)}>` : '';
+        // NOTE blocks are skipped by players, so the chapter stays out of the captions
+        const notes = cue.startsChapters.map(chapter => `NOTE Chapter ${chapter.index}: ${chapter.title.replace(/-->/g, '->')}`);
+        return [...notes, [
+            `cue-${index + 1}`,
+            `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}`,
+            ...cue.text.map((line, lineIndex) => lineIndex === 0 ? `${voice}${escapeVtt(line)}` : escapeVtt(line))
+        ].join('\n')];
+    });
+
+    return ['WEBVTT', '', ...blocks.map(block => `${block}\n`)].join('\n');
+}
+
+function renderChapterTrack(chapters) {
+    const blocks = chapters.map(chapter => [
+        `chapter-${chapter.index}`,
+        `${formatVttTime(chapter.start)} --> ${formatVttTime(chapter.end)}`,
+        escapeVtt(chapter.title)
+    ].join('\n'));
+
+    return ['WEBVTT', '', ...blocks.map(block => `${block}\n`)].join('\n');
+}
+
+function formatSrtTime(seconds) {
+    return formatClock(seconds).replace('.', ',');
+}
+
+function formatVttTime(seconds) {
+    return formatClock(seconds);
+}
+
+function formatClock(seconds) {
+    const totalMilliseconds = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMilliseconds / 3600000);
+    const minutes = Math.floor(totalMilliseconds / 60000) % 60;
+    const secs = Math.floor(totalMilliseconds / 1000) % 60;
+    const milliseconds = totalMilliseconds % 1000;
+    return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}.${pad(milliseconds, 3)}`;
+}
+
+function pad(value, length) {
+    return value.toString().padStart(length, '0');
+}
+
+function escapeVtt(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/-->/g, '->');
+}
+
+function truncate(text, length) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > length ? clean.substring(0, length - 3).trim() + '...' : clean;
+}
+
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function invalidTranscript(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_TRANSCRIPT';
+    return error;
+}
@@ -0,0 +1,337 @@
+/**
+ * Transcript Importers - Turns caption and transcript exports into the segment structure whisper.js produces
+ * Supported: SRT, WebVTT (including Zoom "Name: text" and Teams <v Name> cues), Teams .docx and Otter .txt
+ */
+
+import zlib from 'zlib';
+import path from 'path';
+import { generateTimeline, extractEntities } from './whisper.js';
+import { assignSpeakersByName } from './diarization.js';
+import { buildTranscript } from './transcript-model.js';
+
+export const TRANSCRIPT_FORMATS = ['srt', 'vtt', 'docx', 'otter'];
+
+const MAX_SPEAKER_NAME_LENGTH = 40;
+
+// Otter and newer Teams layouts: "Speaker Name  0:03" on its own line, paragraph below
+const SPEAKER_HEADER = /^\s*(.{1,40}?)(?:\s{2,}|\t+)(\d{1,2}:\d{2}(?::\d{2})?)\s*$/;
+
+/**
+ * Parse an exported transcript file into the same result shape as transcribeAudio
+ * options.format forces a parser; options.candidateName says which named speaker is the candidate
+ */
+export function importTranscript(buffer, filename, { format = null, candidateName = null } = {}) {
+    const detected = format || detectTranscriptFormat(buffer, filename);
+    if (!TRANSCRIPT_FORMATS.includes(detected)) {
+        throw new Error(`Unsupported transcript format${detected ? `: ${detected}` : ''}. Supported: SRT, VTT, Teams DOCX, Otter TXT`);
+    }
+
+    console.log(`📄 Importing ${detected.toUpperCase()} transcript: ${filename}`);
+    const parsed = parseByFormat(detected, buffer);
+    const cues = mergeContinuations(parsed.filter(cue => cue.text));
+
+    if (cues.length === 0) {
+        throw new Error('No transcript lines found in the file');
+    }
+
+    const segments = assignSpeakersByName(cues.map((cue, index) => ({
+        id: index,
+        start: cue.start,
+        end: cue.end,
+        text: cue.text,
+        ...(cue.speakerName ? { speakerName: cue.speakerName } : {})
+    })), { candidateName });
+
+    const text = segments.map(segment => segment.text).join(' ');
+    const timeline = generateTimeline(segments);
+    const entities = extractEntities(text);
+    const duration = segments[segments.length - 1].end;
+    const speakerNames = [...new Set(segments.map(segment => segment.speakerName).filter(Boolean))];
+
+    return {
+        success: true,
+        transcription: {
+            text,
+            segments,
+            words: [], // Caption files have no word-level timing
+            timeline,
+            entities,
+            language: 'en',
+            duration
+        },
+        structuredTranscript: buildTranscript({
+            segments,
+            text,
+            duration,
+            timeline,
+            entities,
+            source: 'import'
+        }),
+        metadata: {
+            model: `import:${detected}`,
+            engine: 'import',
+            format: detected,
+            timestamp: new Date().toISOString(),
+            filename,
+            fileSize: buffer.length,
+            segmentCount: segments.length,
+            speakers: speakerNames,
+            diarization: segments[0].speakerSource
+        }
+    };
+}
+
+/**
+ * Guess the format from the extension, then from the content
+ */
+export function detectTranscriptFormat(buffer, filename = '') {
+    const extension = path.extname(filename).toLowerCase().replace('.', '');
+    if (extension === 'srt' || extension === 'vtt' || extension === 'docx') return extension;
+
+    if (buffer.subarray(0, 2).toString('latin1') === 'PK') return 'docx';
+
+    const head = buffer.subarray(0, 2000).toString('utf8').replace(/^\uFEFF/, '');
+    if (/^WEBVTT/.test(head)) return 'vtt';
+    if (/^\s*\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2},\d{3}\s*-->/.test(head)) return 'srt';
+    if (head.split('\n').some(line => SPEAKER_HEADER.test(line))) return 'otter';
+
+    return null;
+}
+
+function parseByFormat(format, buffer) {
+    switch (format) {
+        case 'srt':
+        case 'vtt':
+            return parseTimedCues(decodeText(buffer));
+        case 'otter':
+            return parseOtter(decodeText(buffer));
+        case 'docx':
+            return parseTeamsDocx(buffer);
+        default:
+            return [];
+    }
+}
+
+/**
+ * SRT and WebVTT share the cue layout: optional id, "start --> end", then text lines
+ */
+function parseTimedCues(content) {
+    const cues = [];
+    const blocks = content.replace(/\r/g, '').split(/\n\s*\n/);
+
+    blocks.forEach(block => {
+        const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) return; // WEBVTT header, NOTE and STYLE blocks
+
+        const [startText, endText] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+        const start = parseTimestamp(startText);
+        const end = parseTimestamp(endText);
+        if (start === null || end === null) return;
+
+        const cue = splitSpeaker(lines.slice(timingIndex + 1).join(' '));
+        cues.push({ start, end, ...cue });
+    });
+
+    return cues;
+}
+
+/**
+ * Otter exports: "Speaker Name  0:03" header lines, each followed by a paragraph
+ */
+function parseOtter(content) {
+    return parseHeaderParagraphs(content.replace(/\r/g, '').split('\n'));
+}
+
+/**
+ * Only start times are given, so each paragraph ends where the next begins
+ */
+function parseHeaderParagraphs(lines) {
+    const cues = [];
+    let current = null;
+
+    lines.forEach(rawLine => {
+        const line = rawLine.trim();
+        const header = rawLine.match(SPEAKER_HEADER);
+
+        if (header) {
+            current = { speakerName: cleanName(header[1]), start: parseTimestamp(header[2]), end: null, text: '' };
+            cues.push(current);
+        } else if (line && current) {
+            current.text = current.text ? `${current.text} ${line}` : line;
+        }
+    });
+
+    cues.forEach((cue, index) => {
+        const next = cues[index + 1];
+        cue.end = next ? next.start : cue.start + estimateSpeakingSeconds(cue.text);
+    });
+
+    return cues;
+}
+
+/**
+ * Teams .docx transcripts come in two layouts:
+ * older "0:0:0.0 --> 0:0:4.5" / name / text paragraphs, and newer "Name   0:03" / text paragraphs
+ */
+function parseTeamsDocx(buffer) {
+    const xml = readZipEntry(buffer, 'word/document.xml');
+    if (!xml) {
+        throw new Error('Not a Word document: word/document.xml is missing');
+    }
+
+    const paragraphs = extractDocxParagraphs(xml.toString('utf8'));
+
+    if (paragraphs.some(paragraph => /^\d+:\d{1,2}:\d{1,2}(\.\d+)?\s*-->/.test(paragraph))) {
+        const cues = [];
+        for (let index = 0; index < paragraphs.length; index++) {
+            const timing = paragraphs[index].match(/^([\d:.]+)\s*-->\s*([\d:.]+)/);
+            if (!timing) continue;
+
+            const name = paragraphs[index + 1] || '';
+            const text = paragraphs[index + 2] || '';
+            const looksLikeName = name && !name.includes('-->') && name.length <= MAX_SPEAKER_NAME_LENGTH && text && !text.includes('-->');
+
+            cues.push({
+                start: parseTimestamp(timing[1]),
+                end: parseTimestamp(timing[2]),
+                speakerName: looksLikeName ? cleanName(name) : null,
+                text: looksLikeName ? text : name
+            });
+            index += looksLikeName ? 2 : 1;
+        }
+        return cues;
+    }
+
+    return parseHeaderParagraphs(paragraphs);
+}
+
+function extractDocxParagraphs(xml) {
+    return xml.split(/<\/w:p>/)
+        .map(paragraph => [...paragraph.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|br)\/>/g)]
+            .map(match => match[2] === 'tab' ? '\t' : match[2] === 'br' ? '\n' : decodeXml(match[1]))
+            .join(''))
+        .flatMap(text => text.split('\n'))
+        .map(text => text.replace(/\s+$/, ''))
+        .filter(text => text.trim());
+}
+
+/**
+ * Minimal ZIP reader for one entry, enough for .docx without extra dependencies
+ */
+function readZipEntry(buffer, entryName) {
+    const endOfDirectory = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (endOfDirectory === -1) return null;
+
+    const entryCount = buffer.readUInt16LE(endOfDirectory + 10);
+    let offset = buffer.readUInt32LE(endOfDirectory + 16);
+
+    for (let entry = 0; entry < entryCount; entry++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localHeader = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        if (name === entryName) {
+            const dataStart = localHeader + 30 + buffer.readUInt16LE(localHeader + 26) + buffer.readUInt16LE(localHeader + 28);
+            const data = buffer.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data);
+            throw new Error(`Unsupported compression method ${method} in ${entryName}`);
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return null;
+}
+
+/**
+ * Caption tools split one person's sentence across several cues; join cues from the same
+ * speaker that follow each other closely, and let unnamed cues inherit the previous name
+ */
+function mergeContinuations(cues) {
+    const merged = [];
+    let lastName = null;
+
+    cues.forEach(cue => {
+        const speakerName = cue.speakerName || lastName;
+        lastName = speakerName;
+
+        const previous = merged[merged.length - 1];
+        const sameSpeaker = previous && previous.speakerName === speakerName;
+        const sentenceOpen = previous && !/[.!?]["')\]]?$/.test(previous.text);
+
+        if (sameSpeaker && sentenceOpen && cue.start - previous.end < 1) {
+            previous.text += ' ' + cue.text;
+            previous.end = cue.end;
+        } else {
+            merged.push({ ...cue, speakerName });
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Pull the speaker out of cue text: "<v Jane Doe>text</v>" (Teams) or "Jane Doe: text" (Zoom, SRT)
+ */
+function splitSpeaker(rawText) {
+    const voice = rawText.match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/);
+    const text = stripTags(rawText);
+
+    if (voice) {
+        return { speakerName: cleanName(voice[1]), text };
+    }
+
+    const labeled = text.match(/^([^:]{1,40}):\s+(.+)$/);
+    if (labeled && !/^\d/.test(labeled[1]) && labeled[1].split(/\s+/).length <= 4) {
+        return { speakerName: cleanName(labeled[1]), text: labeled[2].trim() };
+    }
+
+    return { speakerName: null, text };
+}
+
+/**
+ * Accepts "01:02:03,456", "01:02:03.456", "02:03.456", "0:0:4.5" and Otter's "2:03"
+ */
+function parseTimestamp(value) {
+    if (!value) return null;
+
+    const parts = value.trim().replace(',', '.').split(':');
+    if (parts.length < 2 || parts.length > 3 || parts.some(part => part === '' || isNaN(Number(part)))) {
+        return null;
+    }
+
+    return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+function estimateSpeakingSeconds(text) {
+    return Math.max(1, Math.round(text.split(/\s+/).length / 2.5)); // ~150 words per minute
+}
+
+function stripTags(text) {
+    return decodeXml(text.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+function cleanName(name) {
+    return name.replace(/\s+/g, ' ').trim();
+}
+
+function decodeText(buffer) {
+    return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,207 @@
+/**
+ * Transcript Model - The structured transcript shared by transcription, the UI and analysis
+ * { version, source, language, duration, text, turns, segments, words, timeline, entities }
+ * turns are consecutive segments by the same speaker; text is the plain, editable form.
+ */
+
+import { SPEAKERS } from './diarization.js';
+
+export const TRANSCRIPT_VERSION = 1;
+
+const TYPED_LABEL = /^\s*(interviewer|candidate|q|a|me)\s*:/im;
+// Labels pasted mid-line ("... Interviewer: ... Candidate: ..."), capitalized like a label; "Q:"/"A:" only after a sentence ends
+const INLINE_LABEL = /(\S)[ \t]+(?=(?:Interviewer|INTERVIEWER|Candidate|CANDIDATE)\s*:)/g;
+const INLINE_SHORT_LABEL = /([.?!"”])[ \t]+(?=(?:Q|A)\s*:)/g;
+
+/**
+ * Build a structured transcript from engine segments (speaker labels optional)
+ */
+export function buildTranscript({
+    segments = [],
+    words = [],
+    text = '',
+    language = 'en',
+    duration = 0,
+    timeline = [],
+    entities = null,
+    source = 'audio'
+} = {}) {
+    const turns = groupTurns(segments);
+
+    return {
+        version: TRANSCRIPT_VERSION,
+        source,
+        language,
+        duration: duration || (segments.length > 0 ? segments[segments.length - 1].end : 0),
+        text: turns.some(turn => turn.speaker) ? turnsToText(turns) : (text || turnsToText(turns)).trim(),
+        turns,
+        segments,
+        words,
+        timeline,
+        entities
+    };
+}
+
+/**
+ * Sanitize a transcript sent by a client, or null when it has nothing usable
+ * Turns are rebuilt from segments when segments are present, so the two never disagree.
+ */
+export function normalizeTranscript(input) {
+    if (!input || typeof input !== 'object') return null;
+
+    const segments = Array.isArray(input.segments) ? input.segments.filter(isTimedText) : [];
+    const turns = Array.isArray(input.turns) ? input.turns.filter(turn => typeof turn?.text === 'string' && turn.text.trim()) : [];
+
+    if (segments.length > 0) {
+        return buildTranscript({
+            ...input,
+            segments,
+            words: Array.isArray(input.words) ? input.words : [],
+            timeline: Array.isArray(input.timeline) ? input.timeline : []
+        });
+    }
+
+    if (turns.length === 0) return null;
+
+    const cleanTurns = turns.map((turn, index) => ({
+        id: index,
+        speaker: SPEAKERS.includes(turn.speaker) ? turn.speaker : null,
+        start: typeof turn.start === 'number' ? turn.start : null,
+        end: typeof turn.end === 'number' ? turn.end : null,
+        text: turn.text.trim()
+    }));
+
+    return {
+        version: TRANSCRIPT_VERSION,
+        source: input.source || 'text',
+        language: input.language || 'en',
+        duration: input.duration || cleanTurns[cleanTurns.length - 1].end || 0,
+        text: turnsToText(cleanTurns),
+        turns: cleanTurns,
+        segments: [],
+        words: [],
+        timeline: Array.isArray(input.timeline) ? input.timeline : [],
+        entities: input.entities || null
+    };
+}
+
+/**
+ * The candidate's answers, each with the question before it: [{ turnId, question, text }]
+ * Accepts a structured transcript or typed text ("Interviewer:" / "Candidate:" labels, or plain paragraphs).
+ * turnId is null for typed text; offsets into text line up with the turn's text otherwise.
+ */
+export function extractCandidateAnswers(input) {
+    if (input && typeof input === 'object') {
+        const transcript = normalizeTranscript(input);
+        if (!transcript) return [];
+
+        const hasSpeakers = transcript.turns.some(turn => turn.speaker);
+        let question = null;
+        const answers = [];
+        transcript.turns.forEach(turn => {
+            if (hasSpeakers && turn.speaker !== 'candidate') {
+                question = turn.speaker === 'interviewer' ? turn.text : question;
+                return;
+            }
+            answers.push({ turnId: turn.id, question, text: turn.text });
+        });
+        return answers;
+    }
+
+    // Each label starts its own line, so transcripts pasted as one line split into turns too
+    const text = String(input || '').replace(INLINE_LABEL, '$1\n').replace(INLINE_SHORT_LABEL, '$1\n');
+    if (!TYPED_LABEL.test(text)) {
+        return text.split(/\n\s*\n/)
+            .map(paragraph => ({ turnId: null, question: null, text: paragraph.trim() }))
+            .filter(answer => answer.text);
+    }
+
+    // Lines without a label continue the last speaker
+    const answers = [];
+    let current = null;
+    let question = null;
+    text.split('\n').forEach(line => {
+        const label = line.match(/^\s*(interviewer|candidate|q|a|me)\s*:\s*(.*)$/i);
+        if (label) {
+            const isCandidate = ['candidate', 'a', 'me'].includes(label[1].toLowerCase());
+            if (isCandidate) {
+                current = { turnId: null, question, text: label[2].trim() };
+                answers.push(current);
+            } else {
+                question = label[2].trim();
+                current = null;
+            }
+        } else if (line.trim()) {
+            if (current) {
+                current.text = `${current.text} ${line.trim()}`.trim();
+            } else if (question !== null) {
+                question = `${question} ${line.trim()}`;
+            }
+        }
+    });
+    return answers;
+}
+
+/**
+ * Plain text form used in the editable text box: "Interviewer: ..." / "Candidate: ..." paragraphs
+ */
+export function turnsToText(turns) {
+    return turns
+        .map(turn => turn.speaker ? `${capitalize(turn.speaker)}: ${turn.text}` : turn.text)
+        .join('\n\n');
+}
+
+/**
+ * Prompt form for analysis, keeping turn start times: "[02:15] CANDIDATE: ..."
+ */
+export function formatTranscriptForPrompt(transcript) {
+    return transcript.turns.map(turn => {
+        const time = typeof turn.start === 'number' ? `[${formatClock(turn.start)}] ` : '';
+        const speaker = turn.speaker ? `${turn.speaker.toUpperCase()}: ` : '';
+        return `${time}${speaker}${turn.text}`;
+    }).join('\n\n');
+}
+
+function groupTurns(segments) {
+    const turns = [];
+
+    segments.forEach(segment => {
+        const text = (segment.text || '').trim();
+        if (!text) return;
+
+        const speaker = SPEAKERS.includes(segment.speaker) ? segment.speaker : null;
+        const last = turns[turns.length - 1];
+
+        if (last && last.speaker === speaker) {
+            last.text += ' ' + text;
+            last.end = segment.end;
+            last.segmentIds.push(segment.id);
+        } else {
+            turns.push({
+                id: turns.length,
+                speaker,
+                start: segment.start,
+                end: segment.end,
+                text,
+                segmentIds: [segment.id]
+            });
+        }
+    });
+
+    return turns;
+}
+
+function isTimedText(segment) {
+    return segment && typeof segment.text === 'string' &&
+        typeof segment.start === 'number' && typeof segment.end === 'number';
+}
+
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function formatClock(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.floor(seconds % 60);
+    return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+}
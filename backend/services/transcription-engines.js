@@ -0,0 +1,313 @@
+/**
+ * Transcription Engines - Pluggable speech-to-text backends
+ * Every engine returns the same raw shape: { text, segments, words, language, duration }
+ * so whisper.js can build the timeline and entities regardless of where the text came from.
+ */
+
+import OpenAI from 'openai';
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { promises as fs, existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { convertToWav } from './audio-chunker.js';
+
+const execFileAsync = promisify(execFile);
+
+const LOCAL_TIMEOUT_MS = 10 * 60 * 1000; // Long interviews take a while on CPU
+
+// Whisper drops "um" and "uh" unless the prompt shows them; delivery metrics need them kept.
+// Set TRANSCRIPTION_VERBATIM=false for a cleaned-up transcript instead.
+const VERBATIM_PROMPT = 'Umm, let me think, like, hmm... Okay, so, uh, I was, you know, working on the, the project.';
+const verbatimPrompt = () => process.env.TRANSCRIPTION_VERBATIM === 'false' ? null : VERBATIM_PROMPT;
+
+/**
+ * OpenAI Whisper API - direct HTTP request first, SDK as a fallback
+ */
+const openaiEngine = {
+    name: 'openai',
+    label: 'OpenAI Whisper API',
+    local: false,
+    maxFileSize: 25 * 1024 * 1024, // Larger files are split into windows by whisper.js
+
+    isAvailable() {
+        return !!process.env.OPENAI_API_KEY &&
+            !['your_openai_key_here', 'your_openai_api_key_here'].includes(process.env.OPENAI_API_KEY);
+    },
+
+    async transcribe(audioBuffer, filename) {
+        const apiKey = process.env.OPENAI_API_KEY;
+
+        // Test basic connectivity first
+        console.log('🔍 Testing OpenAI API connectivity...');
+        try {
+            const testResponse = await fetch('https://api.openai.com/v1/models', {
+                method: 'GET',
+                headers: {
+                    'Authorization': `Bearer ${apiKey}`,
+                },
+                timeout: 10000
+            });
+            console.log('✅ Basic OpenAI API connection test:', testResponse.status);
+        } catch (testError) {
+            console.log('❌ Basic connectivity test failed:', testError.message);
+        }
+
+        // Try alternative method using direct HTTP request
+        console.log('🔄 Trying alternative HTTP method...');
+        let transcription = await tryDirectAPICall(audioBuffer, filename, apiKey);
+
+        if (!transcription) {
+            console.log('🔄 Falling back to OpenAI SDK method...');
+            const openai = new OpenAI({ apiKey });
+            const audioFile = new File([audioBuffer], filename, {
+                type: guessMimeType(filename)
+            });
+
+            transcription = await openai.audio.transcriptions.create({
+                file: audioFile,
+                model: 'whisper-1',
+                language: 'en',
+                response_format: 'verbose_json', // Get detailed response with timestamps
+                timestamp_granularities: ['segment', 'word'], // Get both segment and word timestamps
+                temperature: 0.0,
+                ...(verbatimPrompt() ? { prompt: verbatimPrompt() } : {})
+            });
+        }
+
+        // Handle different response formats (text vs verbose_json)
+        return {
+            text: typeof transcription === 'string' ? transcription : transcription.text,
+            segments: transcription.segments || [],
+            words: transcription.words || [],
+            language: transcription.language || 'en',
+            duration: transcription.duration || 0,
+            model: 'whisper-1'
+        };
+    }
+};
+
+/**
+ * whisper.cpp - fully offline, runs the local executable on a converted 16 kHz WAV
+ * Configure with WHISPER_CPP_BIN (default: whisper-cli) and WHISPER_CPP_MODEL (ggml model path)
+ */
+const whisperCppEngine = {
+    name: 'whisper-cpp',
+    label: 'whisper.cpp (local)',
+    local: true,
+
+    isAvailable() {
+        return !!process.env.WHISPER_CPP_MODEL && existsSync(process.env.WHISPER_CPP_MODEL);
+    },
+
+    async transcribe(audioBuffer, filename) {
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jedi-whisper-'));
+
+        try {
+            const inputPath = path.join(workDir, `input${path.extname(filename) || '.audio'}`);
+            const wavPath = path.join(workDir, 'audio.wav');
+            const outputBase = path.join(workDir, 'transcript');
+
+            await fs.writeFile(inputPath, audioBuffer);
+
+            // whisper.cpp only reads 16 kHz mono WAV
+            console.log('🎛️ Converting audio to 16 kHz WAV with ffmpeg...');
+            await convertToWav(inputPath, wavPath);
+
+            const args = [
+                '-m', process.env.WHISPER_CPP_MODEL,
+                '-f', wavPath,
+                '-l', 'en',
+                '-t', String(process.env.WHISPER_CPP_THREADS || Math.max(1, os.cpus().length - 1)),
+                '-ojf', // Full JSON output including token timestamps
+                '-of', outputBase
+            ];
+            
+            // Speaker-turn detection, needs a tinydiarize model (e.g. ggml-small.en-tdrz.bin)
+            if (process.env.WHISPER_CPP_DIARIZE === 'true') {
+                args.push('-tdrz');
+            }
+
+            if (verbatimPrompt()) {
+                args.push('--prompt', verbatimPrompt());
+            }
+
+            console.log('🖥️ Running whisper.cpp...');
+            await execFileAsync(process.env.WHISPER_CPP_BIN || 'whisper-cli', args, {
+                timeout: LOCAL_TIMEOUT_MS,
+                maxBuffer: 50 * 1024 * 1024
+            });
+
+            const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+            return parseWhisperCppOutput(output, process.env.WHISPER_CPP_MODEL);
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true });
+        }
+    }
+};
+
+/**
+ * Mock engine - empty transcript so the user can type their own or load a demo
+ */
+const mockEngine = {
+    name: 'mock',
+    label: 'Mock (no speech recognition)',
+    local: true,
+
+    isAvailable() {
+        return true;
+    },
+
+    async transcribe() {
+        console.log('📝 Using mock transcription (empty for manual input)');
+        return {
+            text: '',
+            segments: [],
+            words: [],
+            language: 'en',
+            duration: 0,
+            model: 'mock-whisper'
+        };
+    }
+};
+
+const ENGINES = {
+    [openaiEngine.name]: openaiEngine,
+    [whisperCppEngine.name]: whisperCppEngine,
+    [mockEngine.name]: mockEngine
+};
+
+// Order used when no engine is requested: cloud first, then offline, then mock
+const DEFAULT_ORDER = ['openai', 'whisper-cpp', 'mock'];
+
+/**
+ * Ordered list of engines to try: requested engine, configured default, then the rest
+ */
+export function selectTranscriptionEngines(preferred = null) {
+    const order = [preferred, process.env.TRANSCRIPTION_ENGINE, ...DEFAULT_ORDER]
+        .filter(name => name && ENGINES[name]);
+
+    return [...new Set(order)]
+        .map(name => ENGINES[name])
+        .filter(engine => engine.isAvailable());
+}
+
+/**
+ * Engine availability for the health endpoint
+ */
+export function describeTranscriptionEngines() {
+    const [active] = selectTranscriptionEngines();
+
+    return {
+        active: active?.name || null,
+        engines: Object.fromEntries(Object.values(ENGINES).map(engine => [
+            engine.name,
+            { label: engine.label, local: engine.local, available: engine.isAvailable() }
+        ]))
+    };
+}
+
+/**
+ * Convert whisper.cpp JSON into the OpenAI verbose_json segment/word shape (seconds)
+ */
+function parseWhisperCppOutput(output, modelPath) {
+    const segments = [];
+    const words = [];
+
+    (output.transcription || []).forEach((item, index) => {
+        const text = (item.text || '').trim();
+        if (!text) return;
+
+        const segment = {
+            id: index,
+            start: item.offsets.from / 1000,
+            end: item.offsets.to / 1000,
+            text
+        };
+        if (typeof item.speaker_turn_next === 'boolean') {
+            segment.speakerTurnNext = item.speaker_turn_next; // Only present with -tdrz
+        }
+        segments.push(segment);
+
+        // Tokens are sub-word pieces; a leading space marks the start of a new word
+        (item.tokens || []).forEach(token => {
+            if (!token.text || token.text.startsWith('[_')) return; // Also skips the [_SOLM_] turn marker
+
+            const startsWord = token.text.startsWith(' ') || words.length === 0;
+            const piece = token.text.trim();
+            if (!piece || /^[^\w']+$/.test(piece)) return; // Whisper API word lists skip punctuation
+
+            if (startsWord) {
+                words.push({ word: piece, start: token.offsets.from / 1000, end: token.offsets.to / 1000 });
+            } else {
+                const last = words[words.length - 1];
+                last.word += piece;
+                last.end = token.offsets.to / 1000;
+            }
+        });
+    });
+
+    return {
+        text: segments.map(segment => segment.text).join(' '),
+        segments,
+        words,
+        language: output.result?.language || 'en',
+        duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+        model: `whisper.cpp:${path.basename(modelPath)}`
+    };
+}
+
+function guessMimeType(filename) {
+    return filename.endsWith('.wav') ? 'audio/wav' :
+        filename.endsWith('.webm') ? 'audio/webm' :
+        filename.endsWith('.mp3') ? 'audio/mpeg' : 'audio/wav';
+}
+
+/**
+ * Alternative API call using direct HTTP request (sometimes more reliable)
+ */
+async function tryDirectAPICall(audioBuffer, filename, apiKey) {
+    try {
+        console.log('🌐 Direct HTTP API call to OpenAI...');
+
+        const formData = new FormData();
+        formData.append('file', audioBuffer, {
+            filename: filename,
+            contentType: filename.endsWith('.wav') ? 'audio/wav' : 'audio/mpeg'
+        });
+        formData.append('model', 'whisper-1');
+        formData.append('language', 'en');
+        formData.append('response_format', 'verbose_json');
+        formData.append('timestamp_granularities[]', 'segment');
+        formData.append('timestamp_granularities[]', 'word');
+        if (verbatimPrompt()) {
+            formData.append('prompt', verbatimPrompt());
+        }
+
+        const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                ...formData.getHeaders()
+            },
+            body: formData,
+            timeout: 30000
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            console.log('❌ Direct API call failed:', response.status, errorText);
+            return null;
+        }
+
+        const result = await response.json();
+        console.log('✅ Direct API call successful');
+        return result;
+
+    } catch (error) {
+        console.log('❌ Direct API call error:', error.message);
+        return null;
+    }
+}
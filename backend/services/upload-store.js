@@ -0,0 +1,193 @@
+/**
+ * Upload Store - Resumable chunked uploads for large recordings
+ * Each upload is a directory with its metadata and one file per received chunk,
+ * so a client can ask which chunks arrived and only send the missing ones.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 20 * 1024 * 1024;
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000; // Abandoned uploads are removed after a day
+
+// Resolved lazily because dotenv runs after module imports
+const uploadsDir = () => path.join(process.env.STORAGE_DIR || path.resolve(__dirname, '../storage'), 'uploads');
+
+/**
+ * Start a chunked upload for a file of known size
+ */
+export async function createUpload({ filename, mimetype, size, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    await removeExpiredUploads();
+
+    const clampedChunkSize = Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, parseInt(chunkSize, 10) || DEFAULT_CHUNK_SIZE));
+    const upload = {
+        id: crypto.randomUUID(),
+        filename,
+        mimetype,
+        size,
+        chunkSize: clampedChunkSize,
+        totalChunks: Math.ceil(size / clampedChunkSize),
+        createdAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(uploadPath(upload.id), { recursive: true });
+    await fs.writeFile(path.join(uploadPath(upload.id), 'upload.json'), JSON.stringify(upload, null, 2));
+    console.log(`📤 Upload started: ${upload.id} (${filename}, ${upload.totalChunks} chunks)`);
+
+    return withProgress(upload);
+}
+
+/**
+ * Get an upload with the indices of the chunks received so far, or null when unknown
+ */
+export async function getUpload(id) {
+    const upload = await readUpload(id);
+    return upload ? withProgress(upload) : null;
+}
+
+/**
+ * Store one chunk. Re-sending a chunk overwrites it, so retries are safe.
+ * Returns null when the upload does not exist; throws INVALID_CHUNK for a bad index or size.
+ */
+export async function writeChunk(id, index, data) {
+    const upload = await readUpload(id);
+    if (!upload) return null;
+
+    const chunkIndex = Number(index);
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= upload.totalChunks) {
+        throw invalidChunk(`Chunk index must be between 0 and ${upload.totalChunks - 1}`);
+    }
+
+    const expectedSize = chunkIndex === upload.totalChunks - 1
+        ? upload.size - upload.chunkSize * (upload.totalChunks - 1)
+        : upload.chunkSize;
+    if (!data || data.length !== expectedSize) {
+        throw invalidChunk(`Chunk ${chunkIndex} should be ${expectedSize} bytes, got ${data?.length || 0}`);
+    }
+
+    const target = chunkPath(id, chunkIndex);
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, data);
+    await fs.rename(tempFile, target);
+
+    return withProgress(upload);
+}
+
+/**
+ * Join all chunks into the original file and remove the upload
+ * Returns null when the upload does not exist; throws INCOMPLETE_UPLOAD when chunks are missing.
+ */
+export async function assembleUpload(id) {
+    const upload = await getUpload(id);
+    if (!upload) return null;
+
+    if (upload.missingChunks.length > 0) {
+        const error = new Error(`Upload is missing ${upload.missingChunks.length} of ${upload.totalChunks} chunks`);
+        error.code = 'INCOMPLETE_UPLOAD';
+        error.missingChunks = upload.missingChunks;
+        throw error;
+    }
+
+    const chunks = [];
+    for (let index = 0; index < upload.totalChunks; index++) {
+        chunks.push(await fs.readFile(chunkPath(id, index)));
+    }
+
+    const buffer = Buffer.concat(chunks);
+    await deleteUpload(id);
+    console.log(`📦 Upload assembled: ${id} (${buffer.length} bytes)`);
+
+    return {
+        buffer,
+        originalname: upload.filename,
+        mimetype: upload.mimetype,
+        size: buffer.length
+    };
+}
+
+/**
+ * Discard an upload and its chunks, returns false when it did not exist
+ */
+export async function deleteUpload(id) {
+    if (!isValidUploadId(id)) return false;
+
+    try {
+        await fs.access(uploadPath(id));
+    } catch {
+        return false;
+    }
+
+    await fs.rm(uploadPath(id), { recursive: true, force: true });
+    return true;
+}
+
+async function readUpload(id) {
+    if (!isValidUploadId(id)) return null;
+
+    try {
+        return JSON.parse(await fs.readFile(path.join(uploadPath(id), 'upload.json'), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`❌ Failed to read upload ${id}:`, error.message);
+        }
+        return null;
+    }
+}
+
+async function withProgress(upload) {
+    const files = await fs.readdir(uploadPath(upload.id));
+    const receivedChunks = files
+        .filter(file => /^\d+\.part$/.test(file))
+        .map(file => parseInt(file, 10))
+        .sort((a, b) => a - b);
+
+    const received = new Set(receivedChunks);
+    const missingChunks = [];
+    for (let index = 0; index < upload.totalChunks; index++) {
+        if (!received.has(index)) missingChunks.push(index);
+    }
+
+    return { ...upload, receivedChunks, missingChunks };
+}
+
+async function removeExpiredUploads() {
+    let entries;
+    try {
+        entries = await fs.readdir(uploadsDir());
+    } catch {
+        return;
+    }
+
+    const cutoff = Date.now() - UPLOAD_TTL_MS;
+    for (const id of entries) {
+        const upload = await readUpload(id);
+        if (upload && Date.parse(upload.createdAt) < cutoff) {
+            console.log(`🧹 Removing abandoned upload: ${id}`);
+            await deleteUpload(id);
+        }
+    }
+}
+
+function invalidChunk(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CHUNK';
+    return error;
+}
+
+function uploadPath(id) {
+    return path.join(uploadsDir(), id);
+}
+
+function chunkPath(id, index) {
+    return path.join(uploadPath(id), `${index}.part`);
+}
+
+function isValidUploadId(id) {
+    return typeof id === 'string' && /^[0-9a-f-]{36}$/i.test(id);
+}
@@ -1,149 +1,155 @@
 /**
- * OpenAI Whisper Transcription Service
+ * Transcription Service - Runs the selected engine and builds timeline/entities
  */
 
-import OpenAI from 'openai';
-import fetch from 'node-fetch';
-import FormData from 'form-data';
+import { selectTranscriptionEngines } from './transcription-engines.js';
+import { splitAudio, stitchTranscripts } from './audio-chunker.js';
+import { assignSpeakers, labelWordSpeakers } from './diarization.js';
+import { buildTranscript } from './transcript-model.js';
 
-// Initialize OpenAI client only when needed
-function getOpenAIClient() {
-    console.log('🔑 Checking OpenAI API key...');
-    console.log('🔍 API key exists:', !!process.env.OPENAI_API_KEY);
-    console.log('🔍 API key preview:', process.env.OPENAI_API_KEY ? process.env.OPENAI_API_KEY.substring(0, 20) + '...' : 'NOT_SET');
-    
-    if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_key_here') {
-        console.log('❌ OpenAI API key not properly configured');
-        return null;
-    }
-    
-    console.log('✅ OpenAI API key configured, creating client');
-    return new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-    });
+/**
+ * Largest accepted upload; engines with a lower limit get the audio in windows
+ */
+export function getMaxAudioSize() {
+    return (parseInt(process.env.MAX_AUDIO_SIZE_MB, 10) || 200) * 1024 * 1024;
 }
 
 /**
- * Transcribe audio file using OpenAI Whisper
+ * Transcribe an audio file, trying the preferred engine first and falling back in order
+ * onProgress({ completed, total }) is called per window when the audio has to be split
  */
-export async function transcribeAudio(audioBuffer, filename) {
-    try {
-        console.log(`🎤 Starting transcription for: ${filename}`);
-        
-        const openai = getOpenAIClient();
-        if (!openai) {
-            console.log('⚠️ OpenAI API key not configured, using mock transcription');
-            return getMockTranscription();
-        }
+export async function transcribeAudio(audioBuffer, filename, { engine: preferredEngine = null, onProgress = null } = {}) {
+    console.log(`🎤 Starting transcription for: ${filename}`);
+    console.log(`🎵 Audio file details: ${filename}, size: ${audioBuffer.length} bytes`);
 
-        // Create File object for OpenAI API with proper MIME type
-        const mimeType = filename.endsWith('.wav') ? 'audio/wav' : 
-                        filename.endsWith('.webm') ? 'audio/webm' :
-                        filename.endsWith('.mp3') ? 'audio/mpeg' : 'audio/wav';
-                        
-        console.log(`🎵 Audio file details: ${filename}, size: ${audioBuffer.length} bytes, type: ${mimeType}`);
-        
-        const audioFile = new File([audioBuffer], filename, {
-            type: mimeType
-        });
+    const engines = selectTranscriptionEngines(preferredEngine);
+    const failures = [];
 
-        console.log('🌐 Sending request to OpenAI Whisper API...');
-        
-        // Test basic connectivity first
-        console.log('🔍 Testing OpenAI API connectivity...');
+    for (const engine of engines) {
         try {
-            const testResponse = await fetch('https://api.openai.com/v1/models', {
-                method: 'GET',
-                headers: {
-                    'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-                },
-                timeout: 10000
-            });
-            console.log('✅ Basic OpenAI API connection test:', testResponse.status);
-        } catch (testError) {
-            console.log('❌ Basic connectivity test failed:', testError.message);
-        }
-        
-        // Try alternative method using direct HTTP request
-        console.log('🔄 Trying alternative HTTP method...');
-        const transcription = await tryDirectAPICall(audioBuffer, filename, process.env.OPENAI_API_KEY);
-        
-        if (!transcription) {
-            console.log('🔄 Falling back to OpenAI SDK method...');
-            const sdkResult = await openai.audio.transcriptions.create({
-                file: audioFile,
-                model: 'whisper-1',
-                language: 'en',
-                response_format: 'verbose_json', // Get detailed response with timestamps
-                timestamp_granularities: ['segment', 'word'], // Get both segment and word timestamps
-                temperature: 0.0
-            });
-            transcription = sdkResult;
+            console.log(`🌐 Transcribing with ${engine.label}...`);
+            const raw = engine.maxFileSize && audioBuffer.length > engine.maxFileSize
+                ? await transcribeInWindows(engine, audioBuffer, filename, onProgress)
+                : await engine.transcribe(audioBuffer, filename);
+            console.log('✅ Transcription completed');
+
+            return buildTranscriptionResult(raw, engine, filename, audioBuffer.length, failures);
+        } catch (error) {
+            console.error(`❌ ${engine.label} transcription failed:`, error.message);
+            logTranscriptionError(error);
+            failures.push({ engine: engine.name, error: error.message });
         }
+    }
 
-        console.log('✅ Transcription completed');
+    throw new Error(`All transcription engines failed: ${failures.map(f => `${f.engine} (${f.error})`).join('; ')}`);
+}
 
-        console.log('📝 Raw OpenAI response:', typeof transcription, transcription);
-        
-        // Handle different response formats (text vs verbose_json)
-        const transcriptText = typeof transcription === 'string' ? transcription : transcription.text;
-        
-        // Extract detailed information from transcription
-        const segments = transcription.segments || [];
-        const words = transcription.words || []; // Word-level timestamps
-        const timeline = generateTimeline(segments, words);
-        const entities = extractEntities(transcriptText);
-        
-        return {
-            success: true,
-            transcription: {
-                text: transcriptText,
-                segments: segments,
-                words: words,
-                timeline: timeline,
-                entities: entities,
-                language: transcription.language || 'en',
-                duration: transcription.duration || 0
-            },
-            metadata: {
-                model: 'whisper-1',
-                timestamp: new Date().toISOString(),
-                filename: filename,
-                fileSize: audioBuffer.length,
-                segmentCount: segments.length
-            }
-        };
+/**
+ * Transcribe audio that is over the engine's size limit window by window and stitch the results
+ */
+async function transcribeInWindows(engine, audioBuffer, filename, onProgress) {
+    console.log(`✂️ ${Math.round(audioBuffer.length / 1024 / 1024)}MB is over the ${engine.label} limit, splitting into windows`);
+    const { windows } = await splitAudio(audioBuffer, filename);
+    const parts = [];
 
-    } catch (error) {
-        console.error('❌ Transcription failed:', error);
-        
-        // Analyze error type for better debugging
-        if (error.code === 'ECONNRESET' || error.code === 'ENOTFOUND' || 
-            (error.cause && (error.cause.code === 'ECONNRESET' || error.cause.code === 'ENOTFOUND'))) {
-            console.log('🌐 Network connectivity issue detected - connection reset or DNS failure');
-        } else if (error.status === 401) {
-            console.log('🔑 Authentication issue - check API key');
-        } else if (error.status === 429) {
-            console.log('💳 Quota exceeded - need to add credits to OpenAI account');
-            console.log('💡 Visit: https://platform.openai.com/usage');
-        } else if (error.status >= 500) {
-            console.log('🚨 OpenAI server error');
-        } else if (error.constructor.name === 'APIConnectionError') {
-            console.log('🔌 OpenAI API connection error - network or firewall issue');
-        } else {
-            console.log('❓ Unknown error type:', error.constructor.name, 'Code:', error.code);
-        }
-        
-        // Fallback to mock transcription
-        console.log('🔄 Falling back to mock transcription');
-        return getMockTranscription();
+    for (const window of windows) {
+        onProgress?.({ completed: parts.length, total: windows.length });
+        console.log(`🧩 Transcribing window ${window.index + 1}/${windows.length} (from ${formatTimestamp(window.offset)})`);
+        const raw = await engine.transcribe(window.buffer, window.filename);
+        parts.push({ offset: window.offset, duration: window.duration, raw });
+    }
+
+    onProgress?.({ completed: parts.length, total: windows.length });
+    return { ...stitchTranscripts(parts), chunkCount: windows.length };
+}
+
+/**
+ * Shape engine output into the response the frontend expects
+ */
+function buildTranscriptionResult(raw, engine, filename, fileSize, failures) {
+    const transcriptText = raw.text || '';
+    
+    // Extract detailed information from transcription, attributing each segment to a speaker
+    const segments = assignSpeakers(raw.segments || []);
+    const words = labelWordSpeakers(raw.words || [], segments); // Word-level timestamps
+    const timeline = generateTimeline(segments, words);
+    const entities = extractEntities(transcriptText);
+
+    const metadata = {
+        model: raw.model,
+        engine: engine.name,
+        timestamp: new Date().toISOString(),
+        filename: filename,
+        fileSize: fileSize,
+        segmentCount: segments.length,
+        diarization: segments[0]?.speakerSource || null
+    };
+
+    if (raw.chunkCount) {
+        metadata.chunkCount = raw.chunkCount;
+    }
+
+    if (failures.length > 0) {
+        metadata.fallback_from = failures;
+    }
+
+    if (engine.name === 'mock') {
+        metadata.demo_mode = true;
+        metadata.warning = 'No speech recognition engine is available. Configure OPENAI_API_KEY or a local whisper.cpp model (WHISPER_CPP_MODEL) to transcribe audio.';
+    }
+    
+    return {
+        success: true,
+        transcription: {
+            text: transcriptText,
+            segments: segments,
+            words: words,
+            timeline: timeline,
+            entities: entities,
+            language: raw.language || 'en',
+            duration: raw.duration || 0
+        },
+        structuredTranscript: buildTranscript({
+            segments,
+            words,
+            text: transcriptText,
+            language: raw.language || 'en',
+            duration: raw.duration || 0,
+            timeline,
+            entities
+        }),
+        metadata
+    };
+}
+
+/**
+ * Analyze error type for better debugging
+ */
+function logTranscriptionError(error) {
+    if (error.code === 'ECONNRESET' || error.code === 'ENOTFOUND' || 
+        (error.cause && (error.cause.code === 'ECONNRESET' || error.cause.code === 'ENOTFOUND'))) {
+        console.log('🌐 Network connectivity issue detected - connection reset or DNS failure');
+    } else if (error.code === 'ENOENT') {
+        console.log('🖥️ Local executable not found - check WHISPER_CPP_BIN and FFMPEG_BIN');
+    } else if (error.status === 401) {
+        console.log('🔑 Authentication issue - check API key');
+    } else if (error.status === 429) {
+        console.log('💳 Quota exceeded - need to add credits to OpenAI account');
+        console.log('💡 Visit: https://platform.openai.com/usage');
+    } else if (error.status >= 500) {
+        console.log('🚨 OpenAI server error');
+    } else if (error.constructor.name === 'APIConnectionError') {
+        console.log('🔌 OpenAI API connection error - network or firewall issue');
+    } else {
+        console.log('❓ Unknown error type:', error.constructor.name, 'Code:', error.code);
     }
 }
 
 /**
  * Generate timeline summary from transcript segments
+ * A new section starts whenever the topic or the speaker changes
  */
-function generateTimeline(segments, words = []) {
+export function generateTimeline(segments, words = []) {
     if (!segments || segments.length === 0) {
         return [];
     }
@@ -152,31 +158,35 @@ function generateTimeline(segments, words = []) {
 
     const timeline = [];
     let currentSection = null;
-    let sectionStart = 0;
+    let currentSpeaker = null;
 
     segments.forEach((segment, index) => {
         const text = segment.text.trim();
         const timestamp = formatTimestamp(segment.start);
         
         // Detect section changes based on content patterns
-        const sectionType = detectSectionType(text);
+        const sectionType = detectSectionType(text, segment.speaker);
+        const speaker = segment.speaker || null;
         
-        if (sectionType !== currentSection) {
+        if (sectionType !== currentSection || speaker !== currentSpeaker) {
             // Close previous section
             if (currentSection && timeline.length > 0) {
                 timeline[timeline.length - 1].end = formatTimestamp(segment.start);
+                timeline[timeline.length - 1].endSeconds = segment.start;
             }
             
             // Start new section
             timeline.push({
                 start: timestamp,
+                startSeconds: segment.start,
                 section: sectionType,
+                speaker,
                 content: text,
                 summary: text.substring(0, 100) + (text.length > 100 ? '...' : '')
             });
             
             currentSection = sectionType;
-            sectionStart = segment.start;
+            currentSpeaker = speaker;
         } else {
             // Add to current section
             const lastSection = timeline[timeline.length - 1];
@@ -188,15 +198,25 @@ function generateTimeline(segments, words = []) {
         }
     });
 
+    // The last section runs to the end of the recording
+    const lastSegment = segments[segments.length - 1];
+    timeline[timeline.length - 1].end = formatTimestamp(lastSegment.end);
+    timeline[timeline.length - 1].endSeconds = lastSegment.end;
+
     return timeline;
 }
 
 /**
  * Detect section type based on content
+ * Interviewer turns are questions; topic detection only applies to what the candidate says
  */
-function detectSectionType(text) {
+function detectSectionType(text, speaker = null) {
     const lowerText = text.toLowerCase();
     
+    if (speaker === 'interviewer') {
+        return 'interviewer_question';
+    }
+    
     if (lowerText.includes('introduce') || lowerText.includes('background') || 
         lowerText.includes('tell me about yourself') || lowerText.includes('experience')) {
         return 'introduction';
@@ -229,7 +249,7 @@ function formatTimestamp(seconds) {
 /**
  * Extract entities (names, companies, technologies) from transcript
  */
-function extractEntities(text) {
+export function extractEntities(text) {
     if (!text) return { names: [], companies: [], technologies: [], locations: [] };
 
     // Common technology terms (escaped special regex characters)
@@ -298,78 +318,6 @@ function extractEntities(text) {
     };
 }
 
-/**
- * Alternative API call using direct HTTP request (sometimes more reliable)
- */
-async function tryDirectAPICall(audioBuffer, filename, apiKey) {
-    try {
-        console.log('🌐 Direct HTTP API call to OpenAI...');
-        
-        const formData = new FormData();
-        formData.append('file', audioBuffer, {
-            filename: filename,
-            contentType: filename.endsWith('.wav') ? 'audio/wav' : 'audio/mpeg'
-        });
-        formData.append('model', 'whisper-1');
-        formData.append('language', 'en');
-        formData.append('response_format', 'verbose_json');
-        formData.append('timestamp_granularities[]', 'segment');
-        formData.append('timestamp_granularities[]', 'word');
-        
-        const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                ...formData.getHeaders()
-            },
-            body: formData,
-            timeout: 30000
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.log('❌ Direct API call failed:', response.status, errorText);
-            return null;
-        }
-        
-        const result = await response.json();
-        console.log('✅ Direct API call successful');
-        return result;
-        
-    } catch (error) {
-        console.log('❌ Direct API call error:', error.message);
-        return null;
-    }
-}
-
-/**
- * Mock transcription for demo/testing
- */
-function getMockTranscription() {
-    // Return empty transcript so user can type their own, or use Load Demo button
-    const mockText = '';
-    
-    console.log('📝 Using mock transcription (empty for manual input)');
-    
-    const segments = [];
-
-    return {
-        success: true,
-        transcription: {
-            text: mockText,
-            segments: segments,
-            language: 'en',
-            duration: 0
-        },
-        metadata: {
-            model: 'mock-whisper',
-            timestamp: new Date().toISOString(),
-            filename: 'mock-audio.mp3',
-            demo_mode: true
-        }
-    };
-}
-
 /**
  * Validate audio file
  */
@@ -379,14 +327,14 @@ export function validateAudioFile(file) {
         'audio/webm', 'audio/m4a', 'audio/x-m4a', 'audio/mp4a-latm', 'audio/aac', 'audio/ogg'
     ];
     
-    const maxSize = 25 * 1024 * 1024; // 25MB
+    const maxSize = getMaxAudioSize();
     
     if (!file) {
         throw new Error('No audio file provided');
     }
     
     if (file.size > maxSize) {
-        throw new Error(`File too large. Maximum size is 25MB, got ${Math.round(file.size / 1024 / 1024)}MB`);
+        throw new Error(`File too large. Maximum size is ${Math.round(maxSize / 1024 / 1024)}MB, got ${Math.round(file.size / 1024 / 1024)}MB`);
     }
     
     if (!allowedTypes.includes(file.mimetype)) {
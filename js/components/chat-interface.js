@@ -1,9 +1,25 @@
 /**
  * Chat Interface - Handles chat messaging and display
+ * Mentor messages are rendered as sections and items; items grounded in the transcript link to the
+ * passage in the transcript message above and seek the recording to when it was said.
  */
 class ChatInterface {
     constructor(stateManager) {
         this.stateManager = stateManager;
+        this.streamingMessage = null;
+        this.setupEvidenceLinks();
+    }
+
+    setupEvidenceLinks() {
+        const chatMessages = document.getElementById('chatMessages');
+        if (!chatMessages) return;
+
+        chatMessages.addEventListener('click', (e) => {
+            const item = e.target.closest('.mentor-item.evidence-linked');
+            if (item) {
+                this.showEvidence(item);
+            }
+        });
     }
 
     addUserMessage(content, shouldTruncate = true) {
@@ -18,11 +34,70 @@ class ChatInterface {
         if (window.app && window.app.mentorFormatter) {
             const formattedResponse = window.app.mentorFormatter.formatMentorAnalysis(analysis);
             this.addChatMessage('mentor', formattedResponse);
+
+            const chatMessages = document.getElementById('chatMessages');
+            this.linkEvidence(chatMessages.lastElementChild, analysis);
         } else {
             this.addChatMessage('mentor', 'Analysis received but formatting module not available.');
         }
     }
 
+    /**
+     * Render one analysis section while the rest is still streaming in
+     */
+    renderAnalysisSection(name, data) {
+        const formatter = window.app && window.app.mentorFormatter;
+        const sectionText = formatter ? formatter.formatSectionPreview(name, data) : '';
+        if (!sectionText) return;
+
+        if (!this.streamingMessage) {
+            this.startStreamingResponse();
+        }
+
+        const sectionsContainer = this.streamingMessage.querySelector('.analysis-sections');
+        let sectionDiv = sectionsContainer.querySelector(`[data-section="${name}"]`);
+        if (!sectionDiv) {
+            sectionDiv = document.createElement('div');
+            sectionDiv.className = 'analysis-section';
+            sectionDiv.dataset.section = name;
+            sectionsContainer.appendChild(sectionDiv);
+        }
+
+        sectionDiv.innerHTML = `<p>${this.escapeHtml(sectionText).replace(/\n/g, '<br>')}</p>`;
+        this.scrollToBottom();
+    }
+
+    startStreamingResponse() {
+        const chatMessages = document.getElementById('chatMessages');
+        if (!chatMessages) return;
+
+        this.addChatMessage('mentor', '');
+        this.streamingMessage = chatMessages.lastElementChild;
+        this.streamingMessage.classList.add('streaming-response');
+        this.streamingMessage.querySelector('.message-content').innerHTML = '<div class="analysis-sections"></div>';
+    }
+
+    /**
+     * Replace the progressive preview with the full mentor-styled response
+     */
+    finishStreamingResponse(analysis) {
+        this.discardStreamingResponse();
+        this.displayMentorResponse(analysis);
+    }
+
+    discardStreamingResponse() {
+        if (this.streamingMessage) {
+            this.streamingMessage.remove();
+            this.streamingMessage = null;
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     addChatMessage(type, content, shouldTruncate = false) {
         const chatMessages = document.getElementById('chatMessages');
         if (!chatMessages) return;
@@ -45,7 +120,7 @@ class ChatInterface {
         
         const contentDiv = shouldShowTruncation 
             ? this.createTruncatedContent(formattedContent)
-            : `<p>${formattedContent}</p>`;
+            : type === 'mentor' ? this.renderMentorContent(content) : `<p>${formattedContent}</p>`;
 
         messageDiv.innerHTML = `
             ${avatarImg ? `
@@ -62,6 +137,173 @@ class ChatInterface {
         chatMessages.scrollTop = chatMessages.scrollHeight;
     }
 
+    /**
+     * Mentor text as sections ("**TITLE**" lines) and items ("1." or "•" lines with indented details)
+     * "[[evidence:section:index]]" markers from MentorFormatter become links to the transcript
+     */
+    renderMentorContent(content) {
+        const blocks = [];
+        let item = null;
+        let paragraph = [];
+
+        const closeParagraph = () => {
+            if (paragraph.length > 0) blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+            paragraph = [];
+        };
+        const closeItem = () => {
+            if (item) blocks.push(`<div class="mentor-item">${item.join('')}</div>`);
+            item = null;
+        };
+
+        content.split('\n').forEach(line => {
+            const html = this.formatInline(line.trim());
+
+            if (!line.trim()) {
+                closeItem();
+                closeParagraph();
+            } else if (/^\*\*[^*]+\*\*$/.test(line.trim())) {
+                closeItem();
+                closeParagraph();
+                blocks.push(`<div class="mentor-section-title">${html}</div>`);
+            } else if (/^(\d+\.|•)\s/.test(line.trim())) {
+                closeItem();
+                closeParagraph();
+                item = [`<div class="mentor-item-text">${html}</div>`];
+            } else if (item && /^\s{2,}/.test(line)) {
+                item.push(`<div class="mentor-item-detail">${html}</div>`);
+            } else {
+                closeItem();
+                paragraph.push(html);
+            }
+        });
+        closeItem();
+        closeParagraph();
+
+        return blocks.join('');
+    }
+
+    formatInline(text) {
+        return this.escapeHtml(text)
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\s*\[\[evidence:([a-z_]+):(\d+)\]\]/g, ' <button class="evidence-link" data-section="$1" data-index="$2" title="Show in transcript">📍</button>');
+    }
+
+    /**
+     * Give each evidence link the passage and time it points to, from the analysis it was rendered from
+     */
+    linkEvidence(messageDiv, analysis) {
+        if (!messageDiv || !analysis) return;
+
+        messageDiv.querySelectorAll('.evidence-link').forEach(link => {
+            const item = (analysis[link.dataset.section] || [])[Number(link.dataset.index)];
+            const grounding = item && item.grounding;
+            if (!grounding || !grounding.passage) {
+                link.remove();
+                return;
+            }
+
+            link.dataset.passage = grounding.passage;
+            if (typeof grounding.time === 'number') {
+                link.dataset.time = grounding.time;
+                link.textContent = `📍 ${this.formatTime(grounding.time)}`;
+            }
+            link.closest('.mentor-item').classList.add('evidence-linked');
+        });
+    }
+
+    /**
+     * Scroll to and highlight an item's passage in the transcript it was drawn from, and seek the recording
+     */
+    showEvidence(item) {
+        const link = item.querySelector('.evidence-link');
+        if (!link) return;
+
+        document.querySelectorAll('.mentor-item.active').forEach(active => active.classList.remove('active'));
+        item.classList.add('active');
+        this.clearEvidenceMarks();
+
+        // The transcript is the user's message the mentor answered
+        let transcriptMessage = item.closest('.message').previousElementSibling;
+        while (transcriptMessage && !transcriptMessage.classList.contains('user-message')) {
+            transcriptMessage = transcriptMessage.previousElementSibling;
+        }
+
+        if (transcriptMessage) {
+            const truncated = transcriptMessage.querySelector('.truncated');
+            if (truncated) {
+                truncated.classList.remove('truncated');
+                const toggle = transcriptMessage.querySelector('.expand-toggle');
+                if (toggle) toggle.textContent = 'Show less';
+            }
+
+            const mark = this.markPassage(transcriptMessage.querySelector('.message-content'), link.dataset.passage);
+            if (mark) {
+                mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            } else {
+                console.warn('⚠️ Passage not found in the transcript message:', link.dataset.passage);
+            }
+        }
+
+        if (link.dataset.time && window.app && window.app.audioManager) {
+            window.app.audioManager.seekPlayback(Number(link.dataset.time));
+        }
+    }
+
+    /**
+     * Wrap the passage in <mark>; it may cross line breaks, so each text node it touches is wrapped separately
+     * Returns the first mark, or null when the passage is not in the element
+     */
+    markPassage(element, passage) {
+        if (!element || !passage) return null;
+
+        const nodes = [];
+        let text = '';
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            nodes.push({ node: walker.currentNode, start: text.length });
+            text += walker.currentNode.nodeValue;
+        }
+
+        // Whitespace may differ (line breaks are <br>, not text), so words are matched with any spacing between them
+        const words = passage.trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const match = new RegExp(words.join('\\s*'), 'i').exec(text);
+        if (!match) return null;
+
+        const start = match.index;
+        const end = match.index + match[0].length;
+        const marks = [];
+
+        nodes.forEach(({ node, start: nodeStart }) => {
+            const nodeEnd = nodeStart + node.nodeValue.length;
+            if (nodeEnd <= start || nodeStart >= end) return;
+
+            const range = document.createRange();
+            range.setStart(node, Math.max(start, nodeStart) - nodeStart);
+            range.setEnd(node, Math.min(end, nodeEnd) - nodeStart);
+
+            const mark = document.createElement('mark');
+            mark.className = 'evidence-mark';
+            range.surroundContents(mark);
+            marks.push(mark);
+        });
+
+        return marks[0] || null;
+    }
+
+    clearEvidenceMarks() {
+        document.querySelectorAll('mark.evidence-mark').forEach(mark => {
+            const parent = mark.parentNode;
+            mark.replaceWith(...mark.childNodes);
+            parent.normalize();
+        });
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remainingSeconds = Math.floor(seconds % 60);
+        return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+    }
+
     createTruncatedContent(content) {
         const truncatedId = `truncated-${Date.now()}`;
         return `
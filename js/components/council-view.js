@@ -0,0 +1,203 @@
+/**
+ * Council View - The Jedi Council's combined review under one mentor message
+ * What the mentors agree on, where they disagree, then each verdict side by side with that mentor's full feedback.
+ */
+class CouncilView {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.decisionLabels = {
+            strong_hire: 'Strong hire',
+            hire: 'Hire',
+            maybe: 'Maybe',
+            no_hire: 'No hire'
+        };
+    }
+
+    /**
+     * Render a council result ({ panel, analyses }) as a new mentor message
+     */
+    show(result) {
+        const chatInterface = window.app && window.app.chatInterface;
+        if (!chatInterface || !result || !result.panel) return;
+
+        const panel = result.panel;
+        chatInterface.addChatMessage('mentor', this.summaryText(panel));
+
+        const chatMessages = document.getElementById('chatMessages');
+        const message = chatMessages ? chatMessages.lastElementChild : null;
+        if (!message) return;
+
+        const container = document.createElement('div');
+        container.className = 'council-view';
+        container.innerHTML = `
+            ${this.renderAgreements(panel.agreements)}
+            ${this.renderDisagreements(panel.disagreements)}
+            <div class="council-section-title">⚖️ Verdicts</div>
+            <div class="council-verdicts">
+                ${panel.verdicts.map(verdict => this.renderVerdict(verdict, result.analyses[verdict.mentor])).join('')}
+            </div>
+        `;
+        message.querySelector('.message-content').appendChild(container);
+
+        // Evidence links in each mentor's feedback point into that mentor's own analysis
+        container.querySelectorAll('.council-feedback').forEach(feedback => {
+            const entry = result.analyses[feedback.dataset.mentor];
+            if (entry) chatInterface.linkEvidence(feedback, entry.analysis);
+        });
+        chatInterface.scrollToBottom();
+    }
+
+    summaryText(panel) {
+        const lines = [];
+        if (panel.decision) {
+            lines.push(`The Council has spoken with one voice: **${this.decisionLabel(panel.decision)}**.`);
+        } else {
+            lines.push(`The Council is divided: ${panel.verdicts.map(verdict => `${this.mentorName(verdict.mentor)} says ${this.decisionLabel(verdict.decision).toLowerCase()}`).join(', ')}.`);
+        }
+
+        const agreed = panel.agreements.strengths.length + panel.agreements.improvements.length;
+        lines.push(`${agreed} ${agreed === 1 ? 'point' : 'points'} of agreement, ${panel.disagreements.length} of disagreement.`);
+
+        if (panel.failed && panel.failed.length > 0) {
+            lines.push(`${panel.failed.map(entry => this.mentorName(entry.mentor)).join(' and ')} could not take part in this council.`);
+        }
+        return lines.join('\n');
+    }
+
+    renderAgreements(agreements) {
+        const items = [
+            ...agreements.strengths.map(group => this.renderAgreement(group, 'strength')),
+            ...agreements.improvements.map(group => this.renderAgreement(group, 'improvement'))
+        ];
+        if (items.length === 0) return '';
+
+        return `
+            <div class="council-section">
+                <div class="council-section-title">🤝 The Council agrees</div>
+                <ul class="council-list">${items.join('')}</ul>
+            </div>
+        `;
+    }
+
+    renderAgreement(group, stance) {
+        return `
+            <li class="council-point">
+                ${this.stanceBadge(stance)}
+                <span class="council-point-text">${this.escapeHtml(group.text)}</span>
+                <span class="council-mentors">${group.mentors.map(mentor => this.avatar(mentor)).join('')}</span>
+            </li>
+        `;
+    }
+
+    renderDisagreements(disagreements) {
+        if (!disagreements || disagreements.length === 0) return '';
+
+        return `
+            <div class="council-section">
+                <div class="council-section-title">⚔️ The Council disagrees</div>
+                <ul class="council-list">${disagreements.map(disagreement => this.renderDisagreement(disagreement)).join('')}</ul>
+            </div>
+        `;
+    }
+
+    renderDisagreement(disagreement) {
+        const positions = disagreement.kind === 'rating'
+            ? disagreement.positions.map(position => `
+                <div class="council-position">
+                    ${this.avatar(position.mentor)}
+                    <span>${this.mentorName(position.mentor)}: <strong>${this.escapeHtml(disagreement.field === 'decision' ? this.decisionLabel(position.value) : this.humanize(position.value))}</strong></span>
+                </div>
+            `)
+            : disagreement.positions.map(position => `
+                <div class="council-position">
+                    ${this.avatar(position.mentor)}
+                    ${this.stanceBadge(position.stance)}
+                    <span>${this.escapeHtml(position.text)}</span>
+                </div>
+            `);
+
+        return `
+            <li class="council-point council-disagreement">
+                <div class="council-point-text">${this.escapeHtml(disagreement.topic)}</div>
+                ${positions.join('')}
+            </li>
+        `;
+    }
+
+    renderVerdict(verdict, entry) {
+        const mentorData = MentorConfig.mentors[verdict.mentor] || {};
+        const formatter = window.app && window.app.mentorFormatter;
+        const feedback = entry && formatter
+            ? window.app.chatInterface.renderMentorContent(formatter.formatWithPersona(entry.analysis, mentorData))
+            : '';
+
+        return `
+            <div class="council-verdict decision-${verdict.decision || 'none'}">
+                <div class="council-verdict-header">
+                    ${this.avatar(verdict.mentor)}
+                    <span class="council-verdict-name">${this.mentorName(verdict.mentor)}</span>
+                </div>
+                <div class="council-decision">
+                    ${this.decisionLabel(verdict.decision)}${typeof verdict.confidence === 'number' ? ` · ${verdict.confidence}/10` : ''}
+                </div>
+                ${verdict.level ? `<div class="council-verdict-meta">Level: ${this.escapeHtml(this.humanize(verdict.level))}</div>` : ''}
+                ${this.renderList('Strengths', verdict.key_strengths)}
+                ${this.renderList('Concerns', verdict.main_concerns)}
+                ${verdict.next_steps ? `<div class="council-verdict-meta">Next: ${this.escapeHtml(verdict.next_steps)}</div>` : ''}
+                ${verdict.demo ? '<div class="council-demo">Training analysis: the model was unavailable for this mentor</div>' : ''}
+                ${feedback ? `
+                    <details class="council-feedback" data-mentor="${verdict.mentor}">
+                        <summary>Full feedback</summary>
+                        ${feedback}
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderList(title, items) {
+        if (!Array.isArray(items) || items.length === 0) return '';
+        return `
+            <div class="council-verdict-list">
+                <span>${title}</span>
+                <ul>${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>
+            </div>
+        `;
+    }
+
+    stanceBadge(stance) {
+        return stance === 'strength'
+            ? '<span class="council-stance strength">Strength</span>'
+            : '<span class="council-stance improvement">Improve</span>';
+    }
+
+    avatar(mentorId) {
+        const mentor = MentorConfig.mentors[mentorId];
+        return mentor
+            ? `<img class="council-avatar-small" src="${mentor.avatar}" alt="${mentor.name}" title="${mentor.name}">`
+            : '';
+    }
+
+    mentorName(mentorId) {
+        const mentor = MentorConfig.mentors[mentorId];
+        return mentor ? mentor.name : mentorId;
+    }
+
+    decisionLabel(decision) {
+        return this.decisionLabels[decision] || 'Undecided';
+    }
+
+    humanize(value) {
+        const text = String(value || '').replace(/_/g, ' ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+window.CouncilView = CouncilView;
@@ -1,5 +1,5 @@
 /**
- * Mentor Formatter - Handles mentor personality-based response formatting
+ * Mentor Formatter - Handles mentor persona-based response formatting
  */
 class MentorFormatter {
     constructor(stateManager) {
@@ -7,164 +7,65 @@ class MentorFormatter {
     }
 
     formatMentorAnalysis(analysis) {
-        const mentor = this.stateManager.getSelectedMentor();
-        if (!mentor || !MentorConfig.mentors[mentor]) {
+        const mentor = MentorConfig.mentors[this.stateManager.getSelectedMentor()];
+        if (!mentor || !mentor.headings) {
             return this.getDefaultFormat(analysis);
         }
 
-        const personality = MentorConfig.mentors[mentor].personality;
-        return this.formatByPersonality(analysis, personality);
+        return this.formatWithPersona(analysis, mentor);
     }
 
-    formatByPersonality(analysis, personality) {
-        switch(personality) {
-            case 'wise_ancient_teacher':
-                return this.formatYodaStyle(analysis);
-            case 'strategic_analytical_mentor':
-                return this.formatObiWanStyle(analysis);
-            case 'direct_powerful_mentor':
-                return this.formatVaderStyle(analysis);
-            default:
-                return this.getDefaultFormat(analysis);
-        }
-    }
+    /**
+     * The full feedback in a mentor's voice: intro, headings, labels and sign-off all come from the persona
+     * (GET /api/mentors), so a new persona file needs no code here
+     */
+    formatWithPersona(analysis, persona) {
+        if (!persona || !persona.headings) return this.getDefaultFormat(analysis);
 
-    formatYodaStyle(analysis) {
-        let response = `Hmm. Analyzed your interview, I have. Much wisdom gained through reflection, you will.\n\n`;
+        const { headings, labels } = persona;
+        let response = `${persona.intro}\n\n`;
         
-        // Add timeline summary if available
         if (analysis.interview_flow && analysis.interview_flow.length > 0) {
-            response += `**📅 INTERVIEW TIMELINE**\n`;
+            response += `**${headings.interview_flow}**\n`;
             analysis.interview_flow.forEach(section => {
-                response += `• ${section.duration_estimate} - ${section.section.replace('_', ' ').toUpperCase()}\n`;
-                response += `  ${section.summary}\n\n`;
+                response += `• ${section.duration_estimate} ${labels.flowSeparator} ${section.section.replace('_', ' ').toUpperCase()}\n`;
+                response += `  ${labels.flowSummary ? `${labels.flowSummary}: ` : ''}${section.summary}\n\n`;
             });
         }
         
-        // Add entity extraction
+        // Entities are listed in the order the persona gives their labels
         if (analysis.entities) {
-            response += `**🏷️ KEY ENTITIES DETECTED**\n`;
-            if (analysis.entities.names?.length > 0) {
-                response += `Names: ${analysis.entities.names.join(', ')}\n`;
-            }
-            if (analysis.entities.companies?.length > 0) {
-                response += `Companies: ${analysis.entities.companies.join(', ')}\n`;
-            }
-            if (analysis.entities.technologies?.length > 0) {
-                response += `Technologies: ${analysis.entities.technologies.join(', ')}\n`;
-            }
-            response += `\n`;
-        }
-        
-        response += `**✨ HIGHLIGHTS (Strong with the Force, you are)**\n`;
-        analysis.highlights?.slice(0, 4).forEach((h, index) => {
-            response += `${index + 1}. ${h.text}\n   Reasoning: ${h.reasoning}\n\n`;
-        });
-        
-        response += `**⚡ AREAS FOR GROWTH (Improve, you must)**\n`;
-        analysis.improvements?.slice(0, 4).forEach((i, index) => {
-            response += `${index + 1}. ${i.text}\n   Path forward: ${i.suggestion}\n\n`;
-        });
-        
-        response += `**🎯 OVERALL WISDOM**\n`;
-        response += `Decision: ${analysis.overall_recommendation?.decision || 'Continue learning, you must'}\n`;
-        response += `Confidence: ${analysis.overall_recommendation?.confidence || 7}/10\n\n`;
-        
-        response += `Remember: Strong with the Force you are, but patience and practice, the path to mastery is. 🌟`;
-        
-        return response;
-    }
-
-    formatObiWanStyle(analysis) {
-        let response = `Hello there! I've conducted a comprehensive analysis of your interview performance.\n\n`;
-        
-        // Add timeline summary
-        if (analysis.interview_flow && analysis.interview_flow.length > 0) {
-            response += `**📊 INTERVIEW STRUCTURE ANALYSIS**\n`;
-            analysis.interview_flow.forEach(section => {
-                response += `• ${section.duration_estimate} | ${section.section.replace('_', ' ').toUpperCase()}\n`;
-                response += `  Summary: ${section.summary}\n\n`;
+            response += `**${headings.entities}**\n`;
+            Object.entries(persona.entityLabels || {}).forEach(([kind, label]) => {
+                if (analysis.entities[kind]?.length > 0) {
+                    response += `${label}: ${analysis.entities[kind].join(', ')}\n`;
+                }
             });
-        }
-        
-        // Add entity extraction
-        if (analysis.entities) {
-            response += `**🔍 STRATEGIC ENTITY ANALYSIS**\n`;
-            if (analysis.entities.technologies?.length > 0) {
-                response += `Technical Stack Mentioned: ${analysis.entities.technologies.join(', ')}\n`;
-            }
-            if (analysis.entities.companies?.length > 0) {
-                response += `Organizations Referenced: ${analysis.entities.companies.join(', ')}\n`;
-            }
-            if (analysis.entities.names?.length > 0) {
-                response += `Key Personnel: ${analysis.entities.names.join(', ')}\n`;
-            }
             response += `\n`;
         }
         
-        response += `**💪 STRENGTHS IDENTIFIED**\n`;
+        response += `**${headings.highlights}**\n`;
         analysis.highlights?.slice(0, 4).forEach((h, index) => {
-            response += `${index + 1}. ${h.text}\n   Strategic Value: ${h.reasoning}\n\n`;
+            response += `${index + 1}. ${h.text}${this.groundingNote(h)}${this.evidenceTag('highlights', index, h)}\n   ${labels.reasoning}: ${h.reasoning}\n\n`;
         });
         
-        response += `**🎯 AREAS FOR STRATEGIC IMPROVEMENT**\n`;
+        response += `**${headings.improvements}**\n`;
         analysis.improvements?.slice(0, 4).forEach((i, index) => {
-            response += `${index + 1}. ${i.text}\n   Action Plan: ${i.suggestion}\n\n`;
+            response += `${index + 1}. ${i.text}${this.groundingNote(i)}${this.evidenceTag('improvements', index, i)}\n   ${labels.suggestion}: ${i.suggestion}\n\n`;
         });
         
-        response += `**📈 OVERALL STRATEGIC ASSESSMENT**\n`;
-        response += `Recommendation: ${analysis.overall_recommendation?.decision || 'Promising candidate'}\n`;
-        response += `Confidence Level: ${analysis.overall_recommendation?.confidence || 7}/10\n\n`;
+        response += this.formatDelivery(analysis.delivery, `**${headings.delivery}**`);
+        response += this.formatStar(analysis.star_analysis, { title: `**${headings.star_analysis}**`, ...persona.star });
+        response += this.formatTypeAssessment(analysis.type_assessment, `**${headings.type_assessment}**`);
+        response += this.formatRubric(analysis.rubric, `**${headings.rubric}**`);
         
-        response += `Remember: Focus on the fundamentals and trust in the process. The Force will guide you to success! ⭐`;
+        response += `**${headings.overall_recommendation}**\n`;
+        response += `${labels.decision}: ${analysis.overall_recommendation?.decision || labels.decisionFallback}\n`;
+        response += `${labels.confidence}: ${analysis.overall_recommendation?.confidence || 7}/10\n\n`;
         
-        return response;
-    }
-
-    formatVaderStyle(analysis) {
-        let response = `Your interview performance has been... thoroughly analyzed. I see both strength and weakness.\n\n`;
-        
-        // Add timeline with Vader's commanding tone
-        if (analysis.interview_flow && analysis.interview_flow.length > 0) {
-            response += `**⚡ INTERVIEW EXECUTION BREAKDOWN**\n`;
-            analysis.interview_flow.forEach(section => {
-                response += `• ${section.duration_estimate} → ${section.section.replace('_', ' ').toUpperCase()}\n`;
-                response += `  Performance: ${section.summary}\n\n`;
-            });
-        }
-        
-        // Add entities with imperial authority
-        if (analysis.entities) {
-            response += `**🔍 INTELLIGENCE GATHERED**\n`;
-            if (analysis.entities.technologies?.length > 0) {
-                response += `Technical Arsenal: ${analysis.entities.technologies.join(', ')}\n`;
-            }
-            if (analysis.entities.companies?.length > 0) {
-                response += `Corporate Entities: ${analysis.entities.companies.join(', ')}\n`;
-            }
-            if (analysis.entities.names?.length > 0) {
-                response += `Personnel Identified: ${analysis.entities.names.join(', ')}\n`;
-            }
-            response += `\n`;
-        }
-        
-        response += `**⚡ YOUR POWER LIES HERE**\n`;
-        analysis.highlights?.slice(0, 4).forEach((h, index) => {
-            response += `${index + 1}. ${h.text}\n   Power Source: ${h.reasoning}\n\n`;
-        });
-        
-        response += `**🔥 WEAKNESSES MUST BE ELIMINATED**\n`;
-        analysis.improvements?.slice(0, 4).forEach((i, index) => {
-            response += `${index + 1}. ${i.text}\n   Path to Power: ${i.suggestion}\n\n`;
-        });
+        if (persona.signOff) response += persona.signOff;
         
-        response += `**👑 IMPERIAL VERDICT**\n`;
-        response += `Judgment: ${analysis.overall_recommendation?.decision || 'Potential sensed'}\n`;
-        response += `Power Level: ${analysis.overall_recommendation?.confidence || 7}/10\n\n`;
-        
-        response += `Do not underestimate the power of preparation. Your destiny in interviews, you MUST control. The dark side of coding is strong with this one... 🖤`;
-        
-        return response;
+        return response.trimEnd();
     }
 
     getDefaultFormat(analysis) {
@@ -172,18 +73,34 @@ class MentorFormatter {
         
         if (analysis.highlights?.length > 0) {
             response += `**Strengths:**\n`;
-            analysis.highlights.slice(0, 3).forEach(h => {
-                response += `• ${h.text}\n`;
+            analysis.highlights.slice(0, 3).forEach((h, index) => {
+                response += `• ${h.text}${this.groundingNote(h)}${this.evidenceTag('highlights', index, h)}\n`;
             });
         }
         
         if (analysis.improvements?.length > 0) {
             response += `\n**Areas for Improvement:**\n`;
-            analysis.improvements.slice(0, 3).forEach(i => {
-                response += `• ${i.text} - ${i.suggestion}\n`;
+            analysis.improvements.slice(0, 3).forEach((i, index) => {
+                response += `• ${i.text}${this.groundingNote(i)}${this.evidenceTag('improvements', index, i)} - ${i.suggestion}\n`;
             });
         }
         
+        if (analysis.delivery) {
+            response += `\n` + this.formatDelivery(analysis.delivery, `**Delivery:**`).trimEnd() + `\n`;
+        }
+        
+        if (analysis.star_analysis?.length > 0) {
+            response += `\n` + this.formatStar(analysis.star_analysis).trimEnd() + `\n`;
+        }
+        
+        if (analysis.type_assessment?.length > 0) {
+            response += `\n` + this.formatTypeAssessment(analysis.type_assessment, `**Interview type essentials:**`).trimEnd() + `\n`;
+        }
+        
+        if (analysis.rubric) {
+            response += `\n` + this.formatRubric(analysis.rubric, `**Rubric:**`).trimEnd() + `\n`;
+        }
+        
         if (analysis.overall_recommendation) {
             response += `\n**Overall:** ${analysis.overall_recommendation.decision || 'Assessment complete'}`;
         }
@@ -191,6 +108,39 @@ class MentorFormatter {
         return response;
     }
 
+    /**
+     * Short plain-text rendering of a single section for the streaming preview
+     */
+    formatSectionPreview(name, data) {
+        switch(name) {
+            case 'highlights':
+                if (!data?.length) return '';
+                return `**✨ HIGHLIGHTS**\n` + data.map((h, index) => `${index + 1}. ${h.text}${this.groundingNote(h)}`).join('\n');
+            case 'improvements':
+                if (!data?.length) return '';
+                return `**⚡ AREAS FOR GROWTH**\n` + data.map((i, index) => `${index + 1}. ${i.text}${this.groundingNote(i)} - ${i.suggestion}`).join('\n');
+            case 'technical_assessment':
+                return this.formatTechnicalAssessment(data).trim();
+            case 'communication_analysis':
+                return this.formatCommunicationAnalysis(data).trim();
+            case 'interview_flow':
+                if (!data?.length) return '';
+                return `**📅 INTERVIEW TIMELINE**\n` + data.map(f => `• ${f.section.replace('_', ' ').toUpperCase()} - ${f.summary}`).join('\n');
+            case 'delivery':
+                return this.formatDelivery(data).trim();
+            case 'star_analysis':
+                return this.formatStar(data).trim();
+            case 'type_assessment':
+                return this.formatTypeAssessment(data).trim();
+            case 'rubric':
+                return this.formatRubric(data).trim();
+            case 'overall_recommendation':
+                return `**🎯 OVERALL**\nDecision: ${data?.decision || 'pending'} (${data?.confidence || '?'}/10)`;
+            default:
+                return '';
+        }
+    }
+
     getPersonalityGreeting(mentorId) {
         const mentor = MentorConfig.mentors[mentorId];
         return mentor ? mentor.greeting : 'Welcome to your interview analysis session.';
@@ -223,6 +173,177 @@ class MentorFormatter {
         return formatted;
     }
 
+    /**
+     * Pace, fillers, pauses and answer length measured from the recording's word timings
+     */
+    formatDelivery(delivery, title = `**🎙️ DELIVERY**`) {
+        if (!delivery || !delivery.overall) return '';
+
+        const overall = delivery.overall;
+        const target = delivery.target_answer_seconds || {};
+        let formatted = `${title}\n`;
+        formatted += `Pace: ${overall.words_per_minute} wpm (${overall.pace}) | Fillers: ${overall.filler_rate} per 100 words | Long pauses: ${overall.long_pause_count} | Restarts: ${overall.restart_count}\n`;
+        formatted += `Answers: ${overall.answer_count}, average ${overall.average_answer_seconds}s (target ${target.min}-${target.max}s)\n`;
+
+        delivery.observations?.forEach(observation => {
+            formatted += `• ${observation}\n`;
+        });
+
+        return formatted + `\n`;
+    }
+
+    /**
+     * Marker for a claim located in the transcript; ChatInterface turns it into a "show in transcript" link
+     */
+    evidenceTag(section, index, item) {
+        return item?.grounding?.passage ? ` [[evidence:${section}:${index}]]` : '';
+    }
+
+    /**
+     * Flag for a claim whose quote is not in the transcript (only kept when GROUNDING_MODE=mark)
+     */
+    groundingNote(item) {
+        return item?.grounding?.status === 'unsupported' ? ' ⚠️ (not found in your transcript)' : '';
+    }
+
+    /**
+     * STAR scores per behavioral answer, with the missing parts turned into the mentor's advice
+     */
+    formatStar(starAnalysis, style = {}) {
+        if (!starAnalysis || starAnalysis.length === 0) return '';
+
+        // A persona's "star" advice; {parts} is replaced with the missing components
+        style = {
+            title: `**STAR structure:**`,
+            missing: 'Missing or thin: {parts}.',
+            unmeasured: 'The result has no measurable outcome.',
+            ...style
+        };
+        const names = { situation: 'Situation', task: 'Task', action: 'Action', result: 'Result' };
+
+        let formatted = `${style.title}\n`;
+        starAnalysis.forEach((entry, index) => {
+            const question = entry.question ? entry.question.substring(0, 70) : `Answer ${index + 1}`;
+            const scores = Object.keys(names).map(name => `${name[0].toUpperCase()} ${entry.components?.[name]?.score ?? 0}`).join(' · ');
+            formatted += `${index + 1}. ${question}${entry.question?.length > 70 ? '...' : ''} (${scores})\n`;
+
+            const missing = (entry.missing || []).map(name => names[name] || name);
+            if (missing.length > 0) {
+                formatted += `   ${style.missing.replace('{parts}', missing.join(' and '))}\n`;
+            }
+            if (entry.components?.result?.text && !entry.result_measurable) {
+                formatted += `   ${style.unmeasured}\n`;
+            }
+        });
+
+        return formatted + `\n`;
+    }
+
+    /**
+     * How the candidate covered each of the interview type's own fields (metrics definition, experimental design...)
+     */
+    formatTypeAssessment(assessment, title = `**🧩 INTERVIEW TYPE ESSENTIALS**`) {
+        if (!assessment || assessment.length === 0) return '';
+
+        const ratings = { strong: 'Strong', adequate: 'Adequate', weak: 'Weak', missing: 'Missing' };
+
+        let formatted = `${title}\n`;
+        assessment.forEach(entry => {
+            formatted += `• ${entry.name || entry.field}: ${ratings[entry.rating] || 'Not rated'}${entry.summary ? ` - ${entry.summary}` : ''}\n`;
+            if (entry.quote) {
+                formatted += `  "${entry.quote}"\n`;
+            }
+        });
+
+        return formatted + `\n`;
+    }
+
+    /**
+     * Criterion scores and the weighted total for the session's rubric
+     */
+    formatRubric(rubric, title = `**📏 RUBRIC**`) {
+        if (!rubric || !rubric.criteria) return '';
+
+        const max = rubric.scale.max;
+        let formatted = `${title}\n`;
+        formatted += rubric.weighted_score !== null
+            ? `${rubric.name}: ${rubric.weighted_score}/${max} (${rubric.percent}%)${rubric.coverage < 1 ? ` - ${Math.round(rubric.coverage * 100)}% of the weight scored` : ''}\n`
+            : `${rubric.name}: not enough evidence to score\n`;
+
+        rubric.criteria.forEach(criterion => {
+            const score = criterion.score !== null ? `${criterion.score}/${max}${criterion.level ? ` ${criterion.level}` : ''}` : 'not scored';
+            formatted += `• ${criterion.name} (weight ${criterion.weight}): ${score}\n`;
+            if (criterion.evidence?.length > 0) {
+                formatted += `  ${criterion.source === 'measured' ? criterion.evidence[0] : `"${criterion.evidence[0]}"`}\n`;
+            }
+        });
+
+        return formatted + `\n`;
+    }
+
+    /**
+     * The mentor's feedback on one mock interview answer before the next question: score, top strengths and fixes
+     */
+    formatAnswerFeedback(turn, total) {
+        const persona = MentorConfig.mentors[this.stateManager.getSelectedMentor()];
+        const headings = persona?.headings || { highlights: '✨ STRENGTHS', improvements: '⚡ AREAS FOR IMPROVEMENT' };
+        const labels = persona?.labels || { reasoning: 'Why', suggestion: 'Suggestion', decision: 'Decision', decisionFallback: 'Not decided' };
+        const { score, analysis, question } = turn;
+
+        let response = score.percent !== null
+            ? `**📏 ANSWER ${turn.index + 1} OF ${total}: ${score.weighted_score}/${score.max} (${score.percent}%)**\n`
+            : `**📏 ANSWER ${turn.index + 1} OF ${total}: not enough evidence to score**\n`;
+        response += `${labels.decision}: ${score.decision || labels.decisionFallback}\n\n`;
+
+        if (analysis.highlights?.length > 0) {
+            response += `**${headings.highlights}**\n`;
+            analysis.highlights.slice(0, 2).forEach((h, index) => {
+                response += `${index + 1}. ${h.text}\n   ${labels.reasoning}: ${h.reasoning}\n\n`;
+            });
+        }
+
+        if (analysis.improvements?.length > 0) {
+            response += `**${headings.improvements}**\n`;
+            analysis.improvements.slice(0, 2).forEach((i, index) => {
+                response += `${index + 1}. ${i.text}\n   ${labels.suggestion}: ${i.suggestion}\n\n`;
+            });
+        }
+
+        if (question.guidance) {
+            response += `**💡 WHAT A STRONG ANSWER COVERS**\n${question.guidance}\n`;
+        }
+
+        return response.trimEnd();
+    }
+
+    /**
+     * The mock interview report: every question's score, then the averages per competency
+     */
+    formatMockReport(report) {
+        const statuses = { skipped: 'Skipped', not_asked: 'Not asked' };
+
+        let response = `**🏁 MOCK INTERVIEW RESULTS**\n`;
+        response += `Answered ${report.answered} of ${report.questions.length}${report.skipped > 0 ? ` (${report.skipped} skipped)` : ''}`;
+        response += report.average_percent !== null ? ` - average score ${report.average_percent}%\n\n` : `\n\n`;
+
+        report.questions.forEach((question, index) => {
+            const marker = question.id === report.strongest ? ' - your strongest answer' : question.id === report.weakest ? ' - your weakest answer' : '';
+            response += `${index + 1}. ${question.text}\n`;
+            response += question.status === 'answered'
+                ? `   ${question.percent !== null ? `${question.weighted_score}/${question.max} (${question.percent}%)` : 'Not scored'}${question.decision ? `, ${question.decision}` : ''}${marker}\n\n`
+                : `   ${statuses[question.status]}\n\n`;
+        });
+
+        if (report.competencies.length > 0) {
+            response += `**🧭 BY COMPETENCY**\n`;
+            report.competencies.forEach(entry => {
+                response += `• ${entry.competency}: ${entry.percent}% (${entry.answers === 1 ? '1 answer' : `${entry.answers} answers`})\n`;
+            });
+        }
+
+        return response.trimEnd();
+    }
+
     formatQuickSummary(analysis) {
         const highlights = analysis.highlights?.length || 0;
         const improvements = analysis.improvements?.length || 0;
@@ -0,0 +1,216 @@
+/**
+ * Mock Interview - The selected mentor plays interviewer with questions from the question bank
+ * Each answer (typed, or recorded and transcribed by AudioManager) is scored by the server before the
+ * mentor asks the next question; ending the interview shows the report across every answer.
+ * The interviewer's lines come from the persona (GET /api/mentors), like the rest of the mentor's voice.
+ */
+class MockInterview {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.sessionId = null;
+        this.question = null;
+        this.answered = 0;
+        this.busy = false;
+        this.inputDefaults = null;
+    }
+
+    isActive() {
+        return this.sessionId !== null;
+    }
+
+    /**
+     * Start the interview on the current session and ask the first question
+     */
+    async start() {
+        if (this.isActive() || this.busy) return;
+
+        const chat = window.app.chatInterface;
+        const mentor = MentorConfig.mentors[this.stateManager.getSelectedMentor()];
+        if (!mentor || mentor.panel) {
+            chat.addSystemMessage('The Council does not interview as one. Pick a single mentor to run a mock interview.');
+            return;
+        }
+
+        this.busy = true;
+        try {
+            const data = await window.app.apiService.startMockInterview();
+            this.sessionId = data.sessionId;
+            this.answered = 0;
+            this.stateManager.setSessionId(data.sessionId);
+            this.enterInterviewMode();
+
+            const type = MentorConfig.interviewTypes[this.stateManager.getSelectedInterviewType()];
+            chat.addChatMessage('mentor', this.interviewerLine('intro', {
+                type: type ? type.name : this.stateManager.getSelectedInterviewType(),
+                count: data.question.total
+            }));
+            this.ask(data.question);
+        } catch (error) {
+            chat.addSystemMessage(`The mock interview could not start: ${error.message}`);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * Send the answer in the text box for scoring
+     */
+    async submitAnswer() {
+        if (this.busy) return;
+
+        const input = document.getElementById('transcriptInput');
+        const answer = input.value.trim();
+        if (!answer) {
+            window.app.apiService.showError('Answer the question first, or skip it.');
+            return;
+        }
+
+        window.app.chatInterface.addUserMessage(answer);
+        input.value = '';
+        await this.sendAnswer({ answer });
+    }
+
+    async skip() {
+        if (!this.isActive() || this.busy) return;
+
+        window.app.chatInterface.addSystemMessage('⏭️ Question skipped.');
+        await this.sendAnswer({ skip: true });
+    }
+
+    async sendAnswer(answer) {
+        if (!this.isActive() || this.busy) return;
+
+        const apiService = window.app.apiService;
+        const chat = window.app.chatInterface;
+        this.busy = true;
+        if (!answer.skip) {
+            apiService.showProcessingMessage();
+            apiService.updateProcessingMessage('⚡ Your mentor is scoring your answer...');
+        }
+
+        try {
+            const { turn, question, done } = await apiService.answerMockQuestion(this.sessionId, answer);
+            apiService.hideProcessingMessage();
+
+            if (!turn.skipped) {
+                this.answered++;
+                chat.addChatMessage('mentor', window.app.mentorFormatter.formatAnswerFeedback(turn, this.question.total));
+            }
+
+            this.busy = false;
+            if (done) {
+                await this.finish();
+            } else {
+                chat.addChatMessage('mentor', this.interviewerLine('next'));
+                this.ask(question);
+            }
+        } catch (error) {
+            apiService.hideProcessingMessage();
+            chat.addSystemMessage(`The Force is disturbed. Error: ${error.message}`);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * End the interview (early too) and show the report; with no answers there is nothing to report
+     */
+    async finish() {
+        if (!this.isActive() || this.busy) return;
+
+        const apiService = window.app.apiService;
+        const chat = window.app.chatInterface;
+        if (this.answered === 0) {
+            chat.addSystemMessage('Mock interview ended. Answer at least one question next time to get a report.');
+            this.reset();
+            return;
+        }
+
+        this.busy = true;
+        apiService.showProcessingMessage();
+        apiService.updateProcessingMessage('⚡ Your mentor is reviewing the whole interview...');
+
+        try {
+            const { report, analysis, metadata, transcript } = await apiService.finishMockInterview(this.sessionId);
+            apiService.hideProcessingMessage();
+
+            chat.addChatMessage('mentor', `${this.interviewerLine('closing')}\n\n${window.app.mentorFormatter.formatMockReport(report)}`);
+            chat.displayMentorResponse(analysis);
+
+            // The report is an analysis like any other, so the STAR breakdown and report downloads use it
+            this.stateManager.setLastAnalysis({
+                analysis,
+                metadata,
+                mentor: this.stateManager.getSelectedMentor(),
+                interviewType: this.stateManager.getSelectedInterviewType(),
+                transcript
+            });
+            window.app.starBreakdown.show(analysis.star_analysis);
+            window.app.reportExporter.showControls();
+            this.reset();
+        } catch (error) {
+            apiService.hideProcessingMessage();
+            chat.addSystemMessage(`The Force is disturbed. Error: ${error.message}`);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    ask(question) {
+        this.question = question;
+
+        const details = [
+            question.competencies.join(', '),
+            question.difficulty ? question.difficulty.charAt(0).toUpperCase() + question.difficulty.slice(1) : ''
+        ].filter(Boolean).join(' · ');
+        window.app.chatInterface.addChatMessage('mentor', `**❓ QUESTION ${question.number} OF ${question.total}**\n${question.text}${details ? `\n${details}` : ''}`);
+
+        const progress = document.querySelector('#mockInterviewBar .mock-interview-progress');
+        if (progress) progress.textContent = `🎙️ Mock interview: question ${question.number} of ${question.total}`;
+    }
+
+    /**
+     * A line from the persona's interviewer texts with {type} and {count} filled in
+     */
+    interviewerLine(key, values = {}) {
+        const mentor = MentorConfig.mentors[this.stateManager.getSelectedMentor()];
+        const line = mentor?.interviewer?.[key] || '';
+        return line.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    }
+
+    /**
+     * The text box and send button take answers while the interview runs; recorded answers skip the transcript view
+     */
+    enterInterviewMode() {
+        const input = document.getElementById('transcriptInput');
+        const sendBtn = document.getElementById('sendBtn');
+        this.inputDefaults = { placeholder: input.placeholder, send: sendBtn.textContent };
+
+        input.placeholder = 'Type your answer, or record it with 🎤 Record...';
+        input.value = '';
+        sendBtn.textContent = 'Submit Answer';
+        window.app.transcriptView.reset();
+        document.getElementById('mockInterviewBar').style.display = 'flex';
+        document.getElementById('mockInterviewBtn').disabled = true;
+    }
+
+    reset() {
+        if (this.inputDefaults) {
+            document.getElementById('transcriptInput').placeholder = this.inputDefaults.placeholder;
+            document.getElementById('sendBtn').textContent = this.inputDefaults.send;
+        }
+
+        const bar = document.getElementById('mockInterviewBar');
+        if (bar) bar.style.display = 'none';
+        const startBtn = document.getElementById('mockInterviewBtn');
+        if (startBtn) startBtn.disabled = false;
+
+        this.sessionId = null;
+        this.question = null;
+        this.answered = 0;
+        this.inputDefaults = null;
+    }
+}
+
+// Export for module usage
+window.MockInterview = MockInterview;
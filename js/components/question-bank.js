@@ -0,0 +1,327 @@
+/**
+ * Question Bank - Browse practice questions by interview type, competency, difficulty and company
+ * Users add the questions they were asked in real interviews, and import or export question files.
+ * The server stores and filters the bank (GET /api/questions); this panel sits on the interview type page.
+ */
+class QuestionBank {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.filters = { interviewType: '', competency: '', difficulty: '', company: '', search: '' };
+        this.result = { questions: [], total: 0, facets: { competencies: [], companies: [], difficulties: [] } };
+        this.difficultyLabels = { easy: 'Easy', medium: 'Medium', hard: 'Hard' };
+        this.searchTimer = null;
+        this.bound = false;
+    }
+
+    /**
+     * Show the bank, filtered to the interview type picked on the page
+     */
+    async open() {
+        const container = document.getElementById('questionBank');
+        if (!container) return;
+
+        this.bindEvents(container);
+        this.filters = { ...this.filters, interviewType: this.stateManager.getSelectedInterviewType() || '', competency: '', company: '' };
+        container.style.display = 'block';
+        this.renderShell();
+        await this.loadQuestions();
+    }
+
+    close() {
+        const container = document.getElementById('questionBank');
+        if (container) container.style.display = 'none';
+    }
+
+    toggle() {
+        const container = document.getElementById('questionBank');
+        if (container && container.style.display !== 'none') {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    async loadQuestions() {
+        this.setStatus('');
+        try {
+            this.result = await window.app.apiService.fetchQuestions(this.filters);
+        } catch (error) {
+            this.result = { questions: [], total: 0, facets: { competencies: [], companies: [], difficulties: [] } };
+            this.setStatus(`Could not load questions: ${error.message}`, 'error');
+        }
+        this.renderFilters();
+        this.renderResults();
+    }
+
+    renderShell() {
+        const container = document.getElementById('questionBank');
+        const types = this.interviewTypes();
+
+        container.innerHTML = `
+            <div class="question-bank-header">
+                <h3>📚 Question Bank</h3>
+                <div class="question-bank-toolbar">
+                    <button class="audio-btn" data-action="add">＋ Add a question</button>
+                    <button class="audio-btn" data-action="import">📥 Import JSON</button>
+                    <button class="audio-btn" data-action="export">📤 Export JSON</button>
+                    <button class="audio-btn" data-action="close">✕ Close</button>
+                    <input type="file" class="question-import-file" accept=".json,application/json" style="display: none;">
+                </div>
+            </div>
+
+            <form class="question-form" style="display: none;">
+                <label class="question-field-wide">Question <textarea name="text" rows="2" placeholder="The question exactly as you were asked it" required></textarea></label>
+                <label>Interview type
+                    <select name="interviewType" required>
+                        ${types.map(type => `<option value="${type.id}">${this.escape(type.name)}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Difficulty
+                    <select name="difficulty">
+                        ${Object.entries(this.difficultyLabels).map(([value, label]) => `<option value="${value}" ${value === 'medium' ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Competencies <input type="text" name="competencies" placeholder="conflict resolution, ownership"></label>
+                <label>Companies <input type="text" name="companies" placeholder="Where you were asked it"></label>
+                <label class="question-field-wide">What a strong answer covers <textarea name="guidance" rows="2" placeholder="Optional notes for your practice"></textarea></label>
+                <div class="question-form-actions">
+                    <button type="button" class="audio-btn" data-action="cancel">Cancel</button>
+                    <button type="submit" class="jedi-btn">Save Question</button>
+                </div>
+            </form>
+
+            <div class="question-filters"></div>
+            <div class="question-count"></div>
+            <div class="question-bank-status"></div>
+            <ul class="question-list"></ul>
+        `;
+    }
+
+    /**
+     * Filter choices come from the bank's facets, so only tags that exist for the type are offered
+     */
+    renderFilters() {
+        const filters = document.querySelector('#questionBank .question-filters');
+        if (!filters) return;
+
+        const { facets } = this.result;
+        const options = (items, selected) => items.map(item => `<option value="${this.escape(item.value)}" ${item.value.toLowerCase() === selected.toLowerCase() ? 'selected' : ''}>${this.escape(item.value)} (${item.count})</option>`).join('');
+
+        filters.innerHTML = `
+            <select data-filter="interviewType">
+                <option value="">All interview types</option>
+                ${this.interviewTypes().map(type => `<option value="${type.id}" ${type.id === this.filters.interviewType ? 'selected' : ''}>${this.escape(type.name)}</option>`).join('')}
+            </select>
+            <select data-filter="competency">
+                <option value="">Any competency</option>
+                ${options(facets.competencies, this.filters.competency)}
+            </select>
+            <select data-filter="difficulty">
+                <option value="">Any difficulty</option>
+                ${facets.difficulties.map(item => `<option value="${item.value}" ${item.value === this.filters.difficulty ? 'selected' : ''}>${this.difficultyLabels[item.value] || item.value} (${item.count})</option>`).join('')}
+            </select>
+            <select data-filter="company">
+                <option value="">Any company</option>
+                ${options(facets.companies, this.filters.company)}
+            </select>
+            <input type="search" data-filter="search" value="${this.escape(this.filters.search)}" placeholder="Search questions">
+        `;
+    }
+
+    renderResults() {
+        const list = document.querySelector('#questionBank .question-list');
+        if (!list) return;
+
+        const { questions, total } = this.result;
+        document.querySelector('#questionBank .question-count').textContent = total === 1 ? '1 question' : `${total} questions`;
+        list.innerHTML = questions.length > 0
+            ? questions.map(question => this.renderQuestion(question)).join('')
+            : '<li class="question-empty">No questions match these filters yet. Add the ones you were asked!</li>';
+    }
+
+    renderQuestion(question) {
+        const type = MentorConfig.interviewTypes[question.interviewType];
+
+        return `
+            <li class="question-item">
+                <div class="question-text">${this.escape(question.text)}</div>
+                <div class="question-tags">
+                    <span class="question-tag type">${type ? `${type.icon} ${this.escape(type.name)}` : this.escape(question.interviewType)}</span>
+                    <span class="question-tag difficulty-${question.difficulty}">${this.difficultyLabels[question.difficulty]}</span>
+                    ${question.competencies.map(competency => `<span class="question-tag">${this.escape(competency)}</span>`).join('')}
+                    ${question.companies.map(company => `<span class="question-tag company">🏢 ${this.escape(company)}</span>`).join('')}
+                    ${question.source === 'custom' ? '<span class="question-tag custom">Added by you</span>' : ''}
+                </div>
+                ${question.guidance ? `
+                    <details class="question-guidance">
+                        <summary>What a strong answer covers</summary>
+                        ${this.escape(question.guidance)}
+                    </details>
+                ` : ''}
+                ${question.source === 'custom' ? `<button class="rubric-icon-btn question-delete" data-action="delete" data-id="${question.id}" title="Delete this question">🗑️</button>` : ''}
+            </li>
+        `;
+    }
+
+    bindEvents(container) {
+        if (this.bound) return;
+        this.bound = true;
+
+        container.addEventListener('change', (e) => {
+            if (e.target.matches('select[data-filter]')) {
+                this.setFilter(e.target.dataset.filter, e.target.value);
+            } else if (e.target.matches('.question-import-file')) {
+                this.importFile(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+
+        container.addEventListener('input', (e) => {
+            if (!e.target.matches('input[data-filter="search"]')) return;
+
+            // Wait for a pause in typing before searching
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.setFilter('search', e.target.value), 300);
+        });
+
+        container.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save(e.target);
+        });
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'add':
+                    this.showForm(true);
+                    break;
+                case 'cancel':
+                    this.showForm(false);
+                    break;
+                case 'delete':
+                    this.remove(button.dataset.id);
+                    break;
+                case 'import':
+                    container.querySelector('.question-import-file').click();
+                    break;
+                case 'export':
+                    window.location.href = window.app.apiService.questionExportUrl(this.filters);
+                    break;
+                case 'close':
+                    this.close();
+                    break;
+            }
+        });
+    }
+
+    setFilter(name, value) {
+        this.filters[name] = value;
+        // Competency and company choices depend on the type
+        if (name === 'interviewType') {
+            this.filters.competency = '';
+            this.filters.company = '';
+        }
+        if (name !== 'search') {
+            this.loadQuestions();
+            return;
+        }
+        this.loadQuestions().then(() => {
+            // The search box is re-rendered with the facets; keep typing where the user left off
+            const search = document.querySelector('#questionBank input[data-filter="search"]');
+            if (search) {
+                search.focus();
+                search.setSelectionRange(search.value.length, search.value.length);
+            }
+        });
+    }
+
+    showForm(visible) {
+        const form = document.querySelector('#questionBank .question-form');
+        if (!form) return;
+
+        form.style.display = visible ? 'grid' : 'none';
+        if (visible) {
+            form.reset();
+            form.interviewType.value = this.filters.interviewType || this.stateManager.getSelectedInterviewType() || form.interviewType.value;
+            form.text.focus();
+        }
+    }
+
+    async save(form) {
+        const submit = form.querySelector('[type="submit"]');
+        submit.disabled = true;
+        try {
+            const { question } = await window.app.apiService.addQuestion({
+                text: form.text.value,
+                interviewType: form.interviewType.value,
+                difficulty: form.difficulty.value,
+                competencies: this.splitTags(form.competencies.value),
+                companies: this.splitTags(form.companies.value),
+                guidance: form.guidance.value
+            });
+            this.showForm(false);
+            await this.loadQuestions();
+            this.setStatus(`Added to the ${MentorConfig.interviewTypes[question.interviewType]?.name || question.interviewType} questions.`, 'success');
+        } catch (error) {
+            this.setStatus(error.message, 'error');
+        } finally {
+            submit.disabled = false;
+        }
+    }
+
+    async remove(questionId) {
+        const question = this.result.questions.find(candidate => candidate.id === questionId);
+        if (!question || !window.confirm(`Delete "${question.text.substring(0, 80)}"?`)) return;
+
+        try {
+            await window.app.apiService.deleteQuestion(questionId);
+            await this.loadQuestions();
+            this.setStatus('Question deleted.', 'success');
+        } catch (error) {
+            this.setStatus(error.message, 'error');
+        }
+    }
+
+    async importFile(file) {
+        if (!file) return;
+
+        try {
+            const { imported, skipped } = await window.app.apiService.importQuestions(JSON.parse(await file.text()));
+            await this.loadQuestions();
+            this.setStatus(`Imported ${imported.length} ${imported.length === 1 ? 'question' : 'questions'} from ${file.name}${skipped.length > 0 ? `, skipped ${skipped.length} (already in the bank or invalid)` : ''}.`, imported.length > 0 ? 'success' : 'info');
+        } catch (error) {
+            this.setStatus(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Interview types from the backend catalog, the same ones as the type cards
+     */
+    interviewTypes() {
+        return Object.values(MentorConfig.interviewTypes).map(type => ({ id: type.id, name: type.name }));
+    }
+
+    splitTags(value) {
+        return String(value || '').split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+
+    setStatus(message, level = 'info') {
+        const status = document.querySelector('#questionBank .question-bank-status');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `question-bank-status ${level}`;
+    }
+
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for module usage
+window.QuestionBank = QuestionBank;
@@ -0,0 +1,115 @@
+/**
+ * Report Exporter - Download the latest analysis as a Markdown, HTML or PDF report
+ * Adds a small toolbar under the mentor's response; the backend renders the file.
+ */
+class ReportExporter {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.formats = [
+            { id: 'markdown', label: '📝 Markdown' },
+            { id: 'html', label: '🌐 HTML' },
+            { id: 'pdf', label: '📄 PDF' }
+        ];
+    }
+
+    /**
+     * Attach the export toolbar to the most recent mentor message
+     */
+    showControls() {
+        const chatMessages = document.getElementById('chatMessages');
+        const mentorMessages = chatMessages ? chatMessages.querySelectorAll('.mentor-message:not(.typing-indicator)') : [];
+        const lastMentorMessage = mentorMessages[mentorMessages.length - 1];
+        if (!lastMentorMessage || !this.stateManager.getLastAnalysis()) return;
+
+        // Only the latest analysis can be exported
+        document.querySelectorAll('.report-export-bar').forEach(bar => bar.remove());
+
+        const bar = document.createElement('div');
+        bar.className = 'report-export-bar';
+        bar.innerHTML = `
+            <span class="report-export-title">Export report:</span>
+            ${this.formats.map(format => `<button class="report-export-btn" data-format="${format.id}">${format.label}</button>`).join('')}
+            <label><input type="checkbox" class="report-mentor-style" checked> Mentor styling</label>
+            <label><input type="checkbox" class="report-include-transcript" checked> Include transcript</label>
+        `;
+
+        bar.addEventListener('click', (e) => {
+            const button = e.target.closest('.report-export-btn');
+            if (button) {
+                this.exportReport(button.dataset.format, {
+                    mentorStyle: bar.querySelector('.report-mentor-style').checked,
+                    includeTranscript: bar.querySelector('.report-include-transcript').checked
+                }, button);
+            }
+        });
+
+        lastMentorMessage.querySelector('.message-content').appendChild(bar);
+    }
+
+    async exportReport(format, { mentorStyle = true, includeTranscript = true } = {}, button = null) {
+        const latest = this.stateManager.getLastAnalysis();
+        if (!latest) return;
+
+        const originalLabel = button ? button.textContent : '';
+        if (button) {
+            button.disabled = true;
+            button.textContent = '⏳ Exporting...';
+        }
+
+        try {
+            const response = await fetch(`${this.stateManager.getApiUrl()}/report`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    format,
+                    mentorStyle,
+                    includeTranscript,
+                    analysis: latest.analysis,
+                    metadata: latest.metadata,
+                    mentor: latest.mentor,
+                    interviewType: latest.interviewType,
+                    transcript: latest.transcript,
+                    structuredTranscript: latest.structuredTranscript
+                })
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.details || data.error || 'Report export failed');
+            }
+
+            this.download(await response.blob(), this.getFilename(response, format));
+            console.log(`📄 Report exported as ${format}`);
+        } catch (error) {
+            console.error('❌ Report export error:', error);
+            if (window.app && window.app.chatInterface) {
+                window.app.chatInterface.addSystemMessage(`Could not export the report: ${error.message}`);
+            }
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.textContent = originalLabel;
+            }
+        }
+    }
+
+    getFilename(response, format) {
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        return match ? match[1] : `interview-report.${format === 'markdown' ? 'md' : format}`;
+    }
+
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for module usage
+window.ReportExporter = ReportExporter;
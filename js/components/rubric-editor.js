@@ -0,0 +1,504 @@
+/**
+ * Rubric Editor - Lets coaches write their own scoring rubrics next to the interview type picker
+ * Criteria can be added, reordered and weighted, each with level descriptors for every score on the scale.
+ * The server validates and stores rubrics; saved ones show up in the rubric picker and are sent with analyses.
+ */
+class RubricEditor {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.draft = null;
+        this.rubrics = [];
+        this.measures = [];
+        this.maxScaleSteps = 10;
+        this.bound = false;
+    }
+
+    /**
+     * Show the editor, loading an existing rubric or starting a new one
+     */
+    async open(rubricId = null) {
+        const container = document.getElementById('rubricEditor');
+        if (!container) return;
+
+        this.bindEvents(container);
+        container.style.display = 'block';
+        await this.loadCatalog();
+
+        if (rubricId) {
+            await this.loadRubric(rubricId);
+        } else {
+            this.setDraft(this.newRubric());
+        }
+    }
+
+    close() {
+        const container = document.getElementById('rubricEditor');
+        if (container) container.style.display = 'none';
+    }
+
+    toggle(rubricId = null) {
+        const container = document.getElementById('rubricEditor');
+        if (container && container.style.display !== 'none') {
+            this.close();
+        } else {
+            this.open(rubricId);
+        }
+    }
+
+    async loadCatalog() {
+        try {
+            const data = await window.app.apiService.jsonRequest('/rubrics', {}, 'Rubric listing failed');
+            this.rubrics = data.rubrics || [];
+            this.measures = data.measures || [];
+        } catch (error) {
+            console.warn('⚠️ Could not load rubrics for the editor:', error.message);
+            this.rubrics = [];
+        }
+    }
+
+    async loadRubric(rubricId) {
+        try {
+            const { rubric } = await window.app.apiService.fetchRubric(rubricId);
+            this.setDraft(rubric);
+            this.setStatus(rubric.source === 'builtin'
+                ? 'Built-in rubric: saving it creates a custom copy that replaces it. Change the ID to keep both.'
+                : `Editing "${rubric.name}".`);
+        } catch (error) {
+            this.setDraft(this.newRubric());
+            this.setStatus(`Could not load the rubric: ${error.message}`, 'error');
+        }
+    }
+
+    newRubric() {
+        return {
+            id: '',
+            name: '',
+            description: '',
+            interviewType: this.stateManager.getSelectedInterviewType() || null,
+            scale: { min: 1, max: 4 },
+            criteria: [this.newCriterion()]
+        };
+    }
+
+    newCriterion() {
+        return { id: '', name: '', weight: 1, description: '', measure: null, levels: [] };
+    }
+
+    /**
+     * Normalize a rubric (loaded, imported or new) into the editable draft and render it
+     */
+    setDraft(rubric) {
+        const min = Number.isInteger(rubric.scale?.min) ? rubric.scale.min : 1;
+        const max = Number.isInteger(rubric.scale?.max) ? rubric.scale.max : 4;
+
+        this.draft = {
+            id: rubric.id || '',
+            name: rubric.name || '',
+            description: rubric.description || '',
+            interviewType: rubric.interviewType || null,
+            scale: { min, max },
+            criteria: (Array.isArray(rubric.criteria) && rubric.criteria.length > 0 ? rubric.criteria : [this.newCriterion()])
+                .map(criterion => ({
+                    id: criterion.id || '',
+                    name: criterion.name || '',
+                    weight: typeof criterion.weight === 'number' ? criterion.weight : 1,
+                    description: criterion.description || '',
+                    measure: criterion.measure || null,
+                    levels: Array.isArray(criterion.levels) ? criterion.levels : []
+                }))
+        };
+        this.render();
+    }
+
+    render() {
+        const container = document.getElementById('rubricEditor');
+        if (!container || !this.draft) return;
+
+        const draft = this.draft;
+        const types = this.interviewTypes();
+
+        container.innerHTML = `
+            <div class="rubric-editor-header">
+                <h3>📏 Rubric Editor</h3>
+                <div class="rubric-editor-toolbar">
+                    <select class="rubric-editor-load" title="Start from an existing rubric">
+                        <option value="">＋ New rubric</option>
+                        ${this.rubrics.map(rubric => `<option value="${this.escape(rubric.id)}" ${rubric.id === draft.id ? 'selected' : ''}>${this.escape(rubric.name)}${rubric.source === 'custom' ? ' (custom)' : ''}</option>`).join('')}
+                    </select>
+                    <button class="audio-btn" data-action="import">📥 Import JSON</button>
+                    <button class="audio-btn" data-action="export">📤 Export JSON</button>
+                    <button class="audio-btn" data-action="close">✕ Close</button>
+                    <input type="file" class="rubric-import-file" accept=".json,application/json" style="display: none;">
+                </div>
+            </div>
+
+            <div class="rubric-editor-fields">
+                <label>Name <input type="text" data-field="name" value="${this.escape(draft.name)}" placeholder="Startup behavioral loop"></label>
+                <label>ID <input type="text" data-field="id" value="${this.escape(draft.id)}" placeholder="startup-behavioral"></label>
+                <label>Interview type
+                    <select data-field="interviewType">
+                        <option value="">Any</option>
+                        ${types.map(type => `<option value="${type.id}" ${type.id === draft.interviewType ? 'selected' : ''}>${this.escape(type.name)}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Scale
+                    <span class="rubric-scale">
+                        <input type="number" data-field="scale.min" value="${draft.scale.min}" step="1">
+                        to
+                        <input type="number" data-field="scale.max" value="${draft.scale.max}" step="1">
+                    </span>
+                </label>
+                <label class="rubric-field-wide">Description <textarea data-field="description" rows="2" placeholder="What this rubric is for">${this.escape(draft.description)}</textarea></label>
+            </div>
+
+            <div class="rubric-criteria">
+                ${draft.criteria.map((criterion, index) => this.renderCriterion(criterion, index)).join('')}
+            </div>
+            <button class="audio-btn rubric-add-criterion" data-action="add">＋ Add criterion</button>
+
+            <div class="rubric-editor-actions">
+                <button class="audio-btn" data-action="preview">👁️ Preview prompt</button>
+                ${this.isCustom(draft.id) ? '<button class="audio-btn rubric-delete-btn" data-action="delete">🗑️ Delete</button>' : ''}
+                <button class="jedi-btn rubric-save-btn" data-action="save">Save Rubric</button>
+            </div>
+            <div class="rubric-editor-status"></div>
+            <pre class="rubric-preview" style="display: none;"></pre>
+        `;
+    }
+
+    renderCriterion(criterion, index) {
+        const count = this.draft.criteria.length;
+
+        return `
+            <div class="rubric-criterion" data-index="${index}">
+                <div class="rubric-criterion-header">
+                    <span class="rubric-criterion-number">${index + 1}</span>
+                    <input type="text" class="rubric-criterion-name" data-criterion="${index}" data-field="name" value="${this.escape(criterion.name)}" placeholder="Criterion name">
+                    <label class="rubric-weight">Weight
+                        <input type="number" data-criterion="${index}" data-field="weight" value="${criterion.weight}" min="0.1" step="0.1">
+                        <span class="rubric-weight-share" data-share="${index}">${this.weightShare(criterion)}%</span>
+                    </label>
+                    <button class="rubric-icon-btn" data-action="up" data-index="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="rubric-icon-btn" data-action="down" data-index="${index}" title="Move down" ${index === count - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="rubric-icon-btn" data-action="remove" data-index="${index}" title="Remove" ${count === 1 ? 'disabled' : ''}>✕</button>
+                </div>
+                <div class="rubric-criterion-fields">
+                    <label>ID <input type="text" data-criterion="${index}" data-field="id" value="${this.escape(criterion.id)}" placeholder="clear_structure"></label>
+                    <label>Measured fallback
+                        <select data-criterion="${index}" data-field="measure" title="Scored from the transcript when the model skips this criterion">
+                            <option value="">None</option>
+                            ${this.measures.map(measure => `<option value="${measure}" ${measure === criterion.measure ? 'selected' : ''}>${measure.replace(/_/g, ' ')}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label class="rubric-field-wide">Description <input type="text" data-criterion="${index}" data-field="description" value="${this.escape(criterion.description)}" placeholder="What the mentor should look for"></label>
+                </div>
+                <div class="rubric-levels">
+                    ${this.levelsFor(criterion).map(level => `
+                        <div class="rubric-level">
+                            <span class="rubric-level-score">${level.score}</span>
+                            <input type="text" data-criterion="${index}" data-level="${level.score}" data-field="label" value="${this.escape(level.label)}" placeholder="Label">
+                            <input type="text" data-criterion="${index}" data-level="${level.score}" data-field="description" value="${this.escape(level.description)}" placeholder="What an answer at this level looks like">
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    bindEvents(container) {
+        if (this.bound) return;
+        this.bound = true;
+
+        container.addEventListener('input', (e) => this.handleInput(e.target));
+
+        container.addEventListener('change', (e) => {
+            if (e.target.matches('.rubric-editor-load')) {
+                if (e.target.value) {
+                    this.loadRubric(e.target.value);
+                } else {
+                    this.setDraft(this.newRubric());
+                }
+            } else if (e.target.matches('.rubric-import-file')) {
+                this.importFile(e.target.files[0]);
+                e.target.value = '';
+            } else if (e.target.matches('[data-field^="scale."]')) {
+                // Level rows follow the scale
+                this.render();
+            }
+        });
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const index = Number(button.dataset.index);
+            switch (button.dataset.action) {
+                case 'add':
+                    this.draft.criteria.push(this.newCriterion());
+                    this.render();
+                    break;
+                case 'remove':
+                    this.draft.criteria.splice(index, 1);
+                    this.render();
+                    break;
+                case 'up':
+                case 'down':
+                    this.moveCriterion(index, button.dataset.action === 'up' ? -1 : 1);
+                    break;
+                case 'preview':
+                    this.preview();
+                    break;
+                case 'save':
+                    this.save(button);
+                    break;
+                case 'delete':
+                    this.remove();
+                    break;
+                case 'import':
+                    container.querySelector('.rubric-import-file').click();
+                    break;
+                case 'export':
+                    this.exportJson();
+                    break;
+                case 'close':
+                    this.close();
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Copy an edited field into the draft; IDs follow the names until they are edited by hand
+     */
+    handleInput(input) {
+        const field = input.dataset.field;
+        if (!field || !this.draft) return;
+
+        if (input.dataset.criterion === undefined) {
+            if (field === 'scale.min' || field === 'scale.max') {
+                this.draft.scale[field.split('.')[1]] = parseInt(input.value, 10);
+                return;
+            }
+            if (field === 'name') this.followName(this.draft, input.value, '[data-field="id"]:not([data-criterion])');
+            this.draft[field] = field === 'interviewType' ? (input.value || null) : input.value;
+            return;
+        }
+
+        const index = Number(input.dataset.criterion);
+        const criterion = this.draft.criteria[index];
+
+        if (input.dataset.level !== undefined) {
+            const score = Number(input.dataset.level);
+            let level = criterion.levels.find(candidate => candidate.score === score);
+            if (!level) {
+                level = { score, label: '', description: '' };
+                criterion.levels.push(level);
+            }
+            level[field] = input.value;
+            return;
+        }
+
+        if (field === 'name') this.followName(criterion, input.value, `[data-criterion="${index}"][data-field="id"]`);
+
+        if (field === 'weight') {
+            criterion.weight = parseFloat(input.value);
+            this.updateWeightShares();
+        } else if (field === 'measure') {
+            criterion.measure = input.value || null;
+        } else {
+            criterion[field] = input.value;
+        }
+    }
+
+    followName(target, name, idSelector) {
+        if (target.id && target.id !== this.slugify(target.name)) return;
+
+        target.id = this.slugify(name);
+        const idInput = document.querySelector(`#rubricEditor ${idSelector}`);
+        if (idInput) idInput.value = target.id;
+    }
+
+    moveCriterion(index, offset) {
+        const criteria = this.draft.criteria;
+        const target = index + offset;
+        if (target < 0 || target >= criteria.length) return;
+
+        [criteria[index], criteria[target]] = [criteria[target], criteria[index]];
+        this.render();
+    }
+
+    updateWeightShares() {
+        this.draft.criteria.forEach((criterion, index) => {
+            const share = document.querySelector(`#rubricEditor [data-share="${index}"]`);
+            if (share) share.textContent = `${this.weightShare(criterion)}%`;
+        });
+    }
+
+    weightShare(criterion) {
+        const total = this.draft.criteria.reduce((sum, item) => sum + (item.weight > 0 ? item.weight : 0), 0);
+        return total > 0 && criterion.weight > 0 ? Math.round(criterion.weight / total * 100) : 0;
+    }
+
+    /**
+     * One level row per score on the scale, keeping descriptors that were already written
+     */
+    levelsFor(criterion) {
+        const { min, max } = this.draft.scale;
+        if (!Number.isInteger(min) || !Number.isInteger(max) || max <= min || max - min > this.maxScaleSteps) return [];
+
+        const levels = [];
+        for (let score = max; score >= min; score--) {
+            levels.push(criterion.levels.find(level => level.score === score) || { score, label: '', description: '' });
+        }
+        return levels;
+    }
+
+    /**
+     * The draft as rubric JSON: empty levels are dropped and levels outside the scale are ignored
+     */
+    toRubric() {
+        const { min, max } = this.draft.scale;
+        const rubric = {
+            id: this.draft.id.trim(),
+            name: this.draft.name.trim(),
+            description: this.draft.description.trim(),
+            interviewType: this.draft.interviewType,
+            scale: { min, max },
+            criteria: this.draft.criteria.map(criterion => ({
+                id: criterion.id.trim(),
+                name: criterion.name.trim(),
+                weight: criterion.weight,
+                description: criterion.description.trim(),
+                levels: criterion.levels
+                    .filter(level => level.score >= min && level.score <= max)
+                    .filter(level => String(level.label || '').trim() || String(level.description || '').trim())
+                    .map(level => ({ score: level.score, label: String(level.label || '').trim(), description: String(level.description || '').trim() }))
+                    .sort((a, b) => a.score - b.score)
+            }))
+        };
+
+        // Only criteria with a measured fallback carry the field, like the built-in files
+        rubric.criteria.forEach((criterion, index) => {
+            if (this.draft.criteria[index].measure) criterion.measure = this.draft.criteria[index].measure;
+        });
+        return rubric;
+    }
+
+    async preview() {
+        const previewBox = document.querySelector('#rubricEditor .rubric-preview');
+        try {
+            const { prompt } = await window.app.apiService.previewRubric(this.toRubric());
+            previewBox.textContent = prompt;
+            previewBox.style.display = 'block';
+            this.setStatus('This is the rubric text the mentor receives with every analysis.');
+        } catch (error) {
+            previewBox.style.display = 'none';
+            this.setStatus(error.message, 'error');
+        }
+    }
+
+    async save(button) {
+        button.disabled = true;
+        try {
+            const { rubric } = await window.app.apiService.saveRubric(this.toRubric());
+            console.log(`📏 Rubric saved: ${rubric.id}`);
+
+            // Use the saved rubric for the next session
+            this.stateManager.setSelectedRubric(rubric.id);
+            await window.app.uiManager.loadRubricOptions();
+            await this.loadCatalog();
+            this.setDraft(rubric);
+            this.setStatus(`Saved "${rubric.name}" and selected it for your next session.`, 'success');
+        } catch (error) {
+            this.setStatus(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async remove() {
+        const id = this.draft.id;
+        if (!window.confirm(`Delete the custom rubric "${this.draft.name || id}"?`)) return;
+
+        try {
+            await window.app.apiService.deleteRubric(id);
+            await this.loadCatalog();
+
+            // A deleted override falls back to the built-in rubric with the same id
+            if (this.stateManager.getSelectedRubric() === id && !this.rubrics.some(rubric => rubric.id === id)) {
+                this.stateManager.setSelectedRubric(null);
+            }
+            await window.app.uiManager.loadRubricOptions();
+
+            if (this.rubrics.some(rubric => rubric.id === id)) {
+                await this.loadRubric(id);
+            } else {
+                this.setDraft(this.newRubric());
+            }
+            this.setStatus(`Deleted the custom rubric "${id}".`, 'success');
+        } catch (error) {
+            this.setStatus(error.message, 'error');
+        }
+    }
+
+    async importFile(file) {
+        if (!file) return;
+
+        try {
+            const rubric = JSON.parse(await file.text());
+            if (!rubric || typeof rubric !== 'object' || Array.isArray(rubric)) {
+                throw new Error('The file does not contain a rubric object');
+            }
+            this.setDraft(rubric);
+            this.setStatus(`Imported ${file.name}. Review it, then save to use it.`);
+        } catch (error) {
+            this.setStatus(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    exportJson() {
+        const rubric = this.toRubric();
+        const blob = new Blob([JSON.stringify(rubric, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${rubric.id || 'rubric'}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    isCustom(id) {
+        return this.rubrics.some(rubric => rubric.id === id && rubric.source === 'custom');
+    }
+
+    /**
+     * Interview types from the backend catalog (GET /api/interview-types), the same ones as the type cards
+     */
+    interviewTypes() {
+        return Object.values(MentorConfig.interviewTypes).map(type => ({ id: type.id, name: type.name }));
+    }
+
+    setStatus(message, level = 'info') {
+        const status = document.querySelector('#rubricEditor .rubric-editor-status');
+        if (!status) return;
+        status.textContent = message;
+        status.className = `rubric-editor-status ${level}`;
+    }
+
+    slugify(value) {
+        return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 64);
+    }
+
+    escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for module usage
+window.RubricEditor = RubricEditor;
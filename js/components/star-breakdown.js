@@ -0,0 +1,92 @@
+/**
+ * STAR Breakdown - One card per behavioral answer showing Situation, Task, Action and Result
+ * Each part shows its completeness score and the candidate's words; gaps and unmeasured results are flagged.
+ */
+class StarBreakdown {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.components = [
+            { id: 'situation', letter: 'S', label: 'Situation' },
+            { id: 'task', letter: 'T', label: 'Task' },
+            { id: 'action', letter: 'A', label: 'Action' },
+            { id: 'result', letter: 'R', label: 'Result' }
+        ];
+    }
+
+    /**
+     * Attach the cards for the latest analysis to the most recent mentor message
+     */
+    show(starAnalysis) {
+        document.querySelectorAll('.star-breakdown').forEach(element => element.remove());
+        if (!Array.isArray(starAnalysis) || starAnalysis.length === 0) return;
+
+        const chatMessages = document.getElementById('chatMessages');
+        const mentorMessages = chatMessages ? chatMessages.querySelectorAll('.mentor-message:not(.typing-indicator)') : [];
+        const lastMentorMessage = mentorMessages[mentorMessages.length - 1];
+        if (!lastMentorMessage) return;
+
+        const container = document.createElement('div');
+        container.className = 'star-breakdown';
+        container.innerHTML = `
+            <div class="star-breakdown-title">⭐ STAR breakdown · ${starAnalysis.length} ${starAnalysis.length === 1 ? 'answer' : 'answers'}</div>
+            ${starAnalysis.map((entry, index) => this.renderCard(entry, index)).join('')}
+        `;
+
+        // Keep the export toolbar last
+        const content = lastMentorMessage.querySelector('.message-content');
+        const exportBar = content.querySelector('.report-export-bar');
+        content.insertBefore(container, exportBar);
+    }
+
+    renderCard(entry, index) {
+        const missing = entry.missing || [];
+        const flags = [
+            ...missing.map(name => `<span class="star-flag">Missing ${this.labelFor(name)}</span>`),
+            entry.components.result.text && !entry.result_measurable ? '<span class="star-flag">Result has no measurable outcome</span>' : ''
+        ].join('');
+
+        return `
+            <div class="star-card">
+                <div class="star-card-header">
+                    <span class="star-card-question">${index + 1}. ${this.escapeHtml(entry.question || 'Behavioral answer')}</span>
+                    ${typeof entry.overall_score === 'number' ? `<span class="star-card-score">${entry.overall_score}/10</span>` : ''}
+                </div>
+                ${this.components.map(component => this.renderComponent(component, entry.components[component.id])).join('')}
+                ${flags ? `<div class="star-flags">${flags}</div>` : ''}
+            </div>
+        `;
+    }
+
+    renderComponent(component, part) {
+        const score = part ? part.score : 0;
+        const level = score >= 7 ? 'strong' : score >= 4 ? 'partial' : 'weak';
+
+        return `
+            <div class="star-component ${level}">
+                <span class="star-letter" title="${component.label}">${component.letter}</span>
+                <div class="star-component-body">
+                    <div class="star-component-meta">
+                        <span>${component.label}</span>
+                        <span class="star-score-bar"><span style="width: ${score * 10}%"></span></span>
+                        <span>${score}/10</span>
+                    </div>
+                    <div class="star-component-text">${part && part.text ? `“${this.escapeHtml(part.text)}”` : '<em>Not found in this answer</em>'}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    labelFor(name) {
+        const component = this.components.find(item => item.id === name);
+        return component ? component.label : name;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export for module usage
+window.StarBreakdown = StarBreakdown;
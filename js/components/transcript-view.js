@@ -0,0 +1,442 @@
+/**
+ * Transcript View - Read-only view of the structured transcript (turns, speakers, timestamps, entities)
+ * The text box stays plain text; the only edit here is correcting who said what.
+ * Hedges, "we", passive voice and impact claims in the candidate's answers are highlighted.
+ */
+class TranscriptView {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.container = document.getElementById('transcriptView');
+        this.languagePatterns = null;
+        this.patternTypes = {
+            hedge: { label: 'Hedging', title: 'Qualifiers that understate what you did' },
+            we: { label: '"We"', title: 'Team wording where your own part is unclear' },
+            passive: { label: 'Passive voice', title: 'Who did the work is hidden' },
+            unquantified_claim: { label: 'Claim without numbers', title: 'An impact claim with no metric' },
+            quantified_claim: { label: 'Quantified claim', title: 'An impact claim backed by a number' }
+        };
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            const speakerBtn = e.target.closest('.speaker-label');
+            if (speakerBtn) {
+                this.toggleSpeaker(parseInt(speakerBtn.dataset.index, 10));
+            } else if (e.target.closest('.speaker-swap-btn')) {
+                this.swapAll();
+            } else if (e.target.closest('.transcript-collapse-btn')) {
+                this.container.classList.toggle('collapsed');
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.matches('.transcript-export-select') && e.target.value) {
+                this.exportTranscript(e.target.value);
+                e.target.value = '';
+            }
+        });
+
+        // Once the text is edited by hand it no longer matches the structured transcript
+        const transcriptInput = document.getElementById('transcriptInput');
+        if (transcriptInput) {
+            transcriptInput.addEventListener('input', () => this.updateEditedNotice());
+        }
+    }
+
+    /**
+     * Show a structured transcript and put its plain text in the text box
+     */
+    show(transcript) {
+        this.stateManager.setTranscript(transcript);
+
+        if (!this.container || !transcript || transcript.turns.length === 0) {
+            this.hide();
+            return;
+        }
+
+        this.languagePatterns = null;
+        this.render();
+        this.container.style.display = 'block';
+        this.loadLanguagePatterns();
+    }
+
+    /**
+     * Show typed answers with their language pattern highlights
+     * Typed transcripts have no turns, so their spans point at the answers returned with the patterns
+     */
+    showTypedAnswers(patterns) {
+        if (!this.container || !patterns || !patterns.answers || patterns.answers.length === 0) return;
+
+        this.languagePatterns = patterns;
+        this.container.innerHTML = `
+            <div class="transcript-view-header">
+                <span>📜 Your answers · ${patterns.answers.length} answers</span>
+                <div class="transcript-view-actions">
+                    <button class="transcript-collapse-btn" title="Show or hide the answers">▾</button>
+                </div>
+            </div>
+            <div class="transcript-view-body">
+                ${this.renderPatternLegend()}
+                <div class="transcript-segments">
+                    ${patterns.answers.map((answer, index) => [
+                        answer.question ? this.renderLine({ speaker: 'interviewer', text: answer.question }) : '',
+                        this.renderLine({ speaker: 'candidate', text: answer.text }, null, patterns.spans.filter(span => span.answer_index === index))
+                    ].join('')).join('')}
+                </div>
+            </div>
+        `;
+        this.container.style.display = 'block';
+    }
+
+    hide() {
+        if (this.container) {
+            this.container.style.display = 'none';
+            this.container.innerHTML = '';
+        }
+    }
+
+    render() {
+        const transcript = this.stateManager.getTranscript();
+        if (!transcript) return;
+
+        const segments = transcript.segments;
+        const editable = segments.length > 0;
+        const spans = editable ? this.segmentSpans(transcript) : new Map();
+
+        this.container.innerHTML = `
+            <div class="transcript-view-header">
+                <span>📜 Transcript · ${transcript.turns.length} turns · ${this.formatTime(transcript.duration || 0)}</span>
+                <div class="transcript-view-actions">
+                    ${editable ? '<button class="speaker-swap-btn" title="Swap interviewer and candidate everywhere">⇄ Swap speakers</button>' : ''}
+                    <button class="transcript-collapse-btn" title="Show or hide the transcript">▾</button>
+                </div>
+            </div>
+            <div class="transcript-view-body">
+                <div class="transcript-edited-notice" style="display: none;">
+                    ✏️ You edited the text, so your mentor will read the text box instead of this transcript.
+                </div>
+                ${this.renderEntities(transcript.entities)}
+                ${this.renderTimeline(transcript.timeline)}
+                ${this.renderPatternLegend()}
+                <div class="transcript-segments">
+                    ${editable
+                        ? segments.map((segment, index) => this.renderLine(segment, index, spans.get(segment.id))).join('')
+                        : transcript.turns.map(turn => this.renderLine(turn, null, this.turnSpans(turn))).join('')}
+                </div>
+                ${editable ? '<div class="transcript-view-hint">Click a speaker label to correct it.</div>' : ''}
+                <div class="transcript-export">
+                    <select class="transcript-export-select" title="Load captions and chapters in a video player, or keep the raw timings">
+                        <option value="">⬇️ Export transcript...</option>
+                        <option value="srt">Captions (SRT)</option>
+                        <option value="vtt">Captions (WebVTT)</option>
+                        <option value="chapters">Chapters (WebVTT)</option>
+                        <option value="json">Segments &amp; words (JSON)</option>
+                    </select>
+                    <label title="WebVTT captions only; SRT has no chapters, so export the chapters track next to it"><input type="checkbox" class="transcript-export-chapters" checked> Chapter markers</label>
+                    <label><input type="checkbox" class="transcript-export-speakers" checked> Speaker labels</label>
+                </div>
+            </div>
+        `;
+
+        this.updateEditedNotice();
+    }
+
+    renderLine(item, index = null, spans = []) {
+        const speaker = item.speaker || 'unknown';
+        const role = speaker === 'candidate' ? '🧑 Candidate' : speaker === 'interviewer' ? '🎙️ Interviewer' : '❔ Speaker';
+        const label = item.speakerName ? `${role} · ${this.escapeHtml(item.speakerName)}` : role;
+        const title = item.speakerSource === 'user'
+            ? 'Corrected by you'
+            : item.speakerSource === 'import'
+                ? 'From the imported transcript'
+                : `Detected (${Math.round((item.speakerConfidence || 0) * 100)}% confident)`;
+        const time = typeof item.start === 'number' ? this.formatTime(item.start) : '';
+
+        return `
+            <div class="speaker-segment ${speaker}">
+                <span class="speaker-time">${time}</span>
+                ${index === null
+                    ? `<span class="speaker-label static">${label}</span>`
+                    : `<button class="speaker-label ${item.speakerSource === 'user' ? 'corrected' : ''}" data-index="${index}" title="${title}">${label}</button>`}
+                <span class="speaker-text">${this.highlightText(item.text.trim(), spans)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Wrap pattern spans in <mark>; spans may nest (a hedge inside a claim), so each piece gets every active type
+     */
+    highlightText(text, spans) {
+        if (!spans || spans.length === 0) return this.escapeHtml(text);
+
+        const points = [...new Set([0, text.length, ...spans.flatMap(span => [span.start, span.end])])]
+            .filter(point => point >= 0 && point <= text.length)
+            .sort((a, b) => a - b);
+
+        return points.slice(0, -1).map((start, i) => {
+            const end = points[i + 1];
+            const piece = this.escapeHtml(text.slice(start, end));
+            const types = [...new Set(spans.filter(span => span.start <= start && span.end >= end).map(span => span.type))];
+            if (types.length === 0) return piece;
+
+            const title = types.map(type => this.patternTypes[type] ? this.patternTypes[type].title : type).join(' · ');
+            return `<mark class="lang-span ${types.map(type => `lang-${type}`).join(' ')}" title="${this.escapeHtml(title)}">${piece}</mark>`;
+        }).join('');
+    }
+
+    renderPatternLegend() {
+        const patterns = this.languagePatterns;
+        if (!patterns || patterns.spans.length === 0) return '';
+
+        const counts = {};
+        patterns.spans.forEach(span => { counts[span.type] = (counts[span.type] || 0) + 1; });
+
+        return `<div class="transcript-patterns">${Object.entries(this.patternTypes)
+            .filter(([type]) => counts[type])
+            .map(([type, info]) => `<span class="pattern-chip lang-${type}" title="${info.title}">${info.label} · ${counts[type]}</span>`)
+            .join('')}</div>`;
+    }
+
+    /**
+     * Spans come relative to a turn's text, which is its segments' trimmed texts joined by single spaces
+     * Returns a Map of segment id to spans relative to that segment's trimmed text
+     */
+    segmentSpans(transcript) {
+        const bySegment = new Map();
+        if (!this.languagePatterns) return bySegment;
+
+        transcript.turns.forEach(turn => {
+            const turnSpans = this.turnSpans(turn);
+            if (turnSpans.length === 0) return;
+
+            let offset = 0;
+            (turn.segmentIds || []).forEach(segmentId => {
+                const segment = transcript.segments.find(candidate => candidate.id === segmentId);
+                const length = segment ? (segment.text || '').trim().length : 0;
+                const segmentEnd = offset + length;
+
+                const local = turnSpans
+                    .filter(span => span.start < segmentEnd && span.end > offset)
+                    .map(span => ({ ...span, start: Math.max(span.start, offset) - offset, end: Math.min(span.end, segmentEnd) - offset }));
+                if (local.length > 0) bySegment.set(segmentId, local);
+
+                offset = segmentEnd + 1;
+            });
+        });
+
+        return bySegment;
+    }
+
+    turnSpans(turn) {
+        if (!this.languagePatterns) return [];
+        return this.languagePatterns.spans.filter(span => span.turn_id === turn.id);
+    }
+
+    /**
+     * Ask the backend for hedging, I/we, passive voice and claim spans in the candidate's answers
+     */
+    async loadLanguagePatterns() {
+        const transcript = this.stateManager.getTranscript();
+        if (!transcript) return;
+
+        try {
+            const response = await fetch(`${this.stateManager.getApiUrl()}/transcript/language`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    transcript,
+                    interviewType: this.stateManager.getSelectedInterviewType()
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Language analysis failed');
+            }
+
+            // A newer transcript may have arrived while this one was being analyzed
+            if (this.stateManager.getTranscript() !== transcript) return;
+
+            this.languagePatterns = data.patterns;
+            this.render();
+        } catch (error) {
+            // Highlighting is a nice-to-have; the transcript is still usable without it
+            console.warn('⚠️ Could not load language patterns:', error.message);
+        }
+    }
+
+    renderEntities(entities) {
+        if (!entities) return '';
+
+        const groups = [
+            ['👤', entities.names],
+            ['🏢', entities.companies],
+            ['💻', entities.technologies]
+        ].filter(([, values]) => values && values.length > 0);
+
+        if (groups.length === 0) return '';
+
+        return `<div class="transcript-entities">${groups.map(([icon, values]) =>
+            values.map(value => `<span class="entity-chip">${icon} ${this.escapeHtml(value)}</span>`).join('')
+        ).join('')}</div>`;
+    }
+
+    renderTimeline(timeline) {
+        if (!timeline || timeline.length === 0) return '';
+
+        return `<div class="transcript-timeline">${timeline.map(section => `
+            <span class="timeline-chip ${section.speaker || ''}" title="${this.escapeHtml(section.summary || '')}">
+                ${section.start} ${section.section.replace(/_/g, ' ')}
+            </span>
+        `).join('')}</div>`;
+    }
+
+    updateEditedNotice() {
+        const transcript = this.stateManager.getTranscript();
+        const notice = this.container && this.container.querySelector('.transcript-edited-notice');
+        if (!transcript || !notice) return;
+
+        notice.style.display = this.isTextUnchanged() ? 'none' : 'block';
+    }
+
+    /**
+     * True while the text box still holds the structured transcript's text
+     */
+    isTextUnchanged() {
+        const transcript = this.stateManager.getTranscript();
+        const transcriptInput = document.getElementById('transcriptInput');
+        return !!transcript && !!transcriptInput && transcriptInput.value.trim() === transcript.text.trim();
+    }
+
+    toggleSpeaker(index) {
+        const transcript = this.stateManager.getTranscript();
+        const segments = transcript.segments.map((segment, i) => i !== index ? segment : {
+            ...segment,
+            speaker: segment.speaker === 'candidate' ? 'interviewer' : 'candidate',
+            speakerSource: 'user'
+        });
+        this.applyCorrections({ ...transcript, segments });
+    }
+
+    /**
+     * The heuristic sometimes gets the roles backwards for a whole recording
+     */
+    swapAll() {
+        const transcript = this.stateManager.getTranscript();
+        const segments = transcript.segments.map(segment => ({
+            ...segment,
+            speaker: segment.speaker === 'candidate' ? 'interviewer' : 'candidate',
+            speakerSource: 'user'
+        }));
+        this.applyCorrections({ ...transcript, segments });
+    }
+
+    /**
+     * Send corrections to the backend, which rebuilds turns, word labels and the timeline
+     */
+    async applyCorrections(transcript) {
+        const textWasUnchanged = this.isTextUnchanged();
+        this.stateManager.setTranscript(transcript);
+        this.render();
+
+        try {
+            const response = await fetch(`${this.stateManager.getApiUrl()}/transcript/speakers`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    transcript,
+                    sessionId: this.stateManager.getSessionId()
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Speaker update failed');
+            }
+
+            this.stateManager.setTranscript(data.transcript);
+
+            // Keep the text box in step unless the user has been editing it
+            const transcriptInput = document.getElementById('transcriptInput');
+            if (transcriptInput && textWasUnchanged) {
+                transcriptInput.value = data.transcript.text;
+            }
+
+            // Candidate answers changed with the speakers, so the highlights are recalculated
+            this.languagePatterns = null;
+            this.render();
+            this.loadLanguagePatterns();
+        } catch (error) {
+            console.error('❌ Speaker correction error:', error);
+            if (window.app && window.app.uiManager) {
+                window.app.uiManager.showAudioStatus(`Could not update speakers: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Download captions, a chapters track or the raw segments and words
+     */
+    async exportTranscript(format) {
+        const transcript = this.stateManager.getTranscript();
+        if (!transcript) return;
+
+        try {
+            const response = await fetch(`${this.stateManager.getApiUrl()}/transcript/export`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    transcript,
+                    format,
+                    chapters: this.container.querySelector('.transcript-export-chapters').checked,
+                    speakers: this.container.querySelector('.transcript-export-speakers').checked
+                })
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Transcript export failed');
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `interview-transcript.${format === 'chapters' ? 'chapters.vtt' : format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('❌ Transcript export error:', error);
+            if (window.app && window.app.uiManager) {
+                window.app.uiManager.showAudioStatus(`Could not export the transcript: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remainingSeconds = Math.floor(seconds % 60);
+        return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    reset() {
+        this.languagePatterns = null;
+        this.stateManager.clearTranscript();
+        this.hide();
+    }
+}
+
+// Export for module usage
+window.TranscriptView = TranscriptView;
@@ -11,6 +11,13 @@ class JediInterviewApp {
         this.chatInterface = new ChatInterface(this.stateManager);
         this.mentorFormatter = new MentorFormatter(this.stateManager);
         this.followupManager = new FollowupManager(this.stateManager, this.apiService);
+        this.transcriptView = new TranscriptView(this.stateManager);
+        this.reportExporter = new ReportExporter(this.stateManager);
+        this.starBreakdown = new StarBreakdown(this.stateManager);
+        this.rubricEditor = new RubricEditor(this.stateManager);
+        this.questionBank = new QuestionBank(this.stateManager);
+        this.mockInterview = new MockInterview(this.stateManager);
+        this.councilView = new CouncilView(this.stateManager);
         
         this.initializeApp();
     }
@@ -27,10 +34,25 @@ class JediInterviewApp {
             audioManager: !!this.audioManager,
             chatInterface: !!this.chatInterface,
             mentorFormatter: !!this.mentorFormatter,
-            followupManager: !!this.followupManager
+            followupManager: !!this.followupManager,
+            transcriptView: !!this.transcriptView,
+            reportExporter: !!this.reportExporter,
+            starBreakdown: !!this.starBreakdown,
+            rubricEditor: !!this.rubricEditor,
+            questionBank: !!this.questionBank,
+            mockInterview: !!this.mockInterview,
+            councilView: !!this.councilView
         });
     }
 
+    /**
+     * Fetch the mentor and interview type catalogs from the backend; runs once window.app is set, since the loaders reach modules through it
+     */
+    loadCatalogs() {
+        this.uiManager.loadMentors();
+        this.uiManager.loadInterviewTypes();
+    }
+
     async testConnection() {
         return await this.apiService.testConnection();
     }
@@ -65,6 +87,7 @@ document.addEventListener('DOMContentLoaded', () => {
     try {
         app = new JediInterviewApp();
         window.app = app; // Make available globally for module communication
+        app.loadCatalogs();
         console.log('🚀 Jedi Interview Training App started successfully');
     } catch (error) {
         console.error('❌ Failed to initialize app:', error);
@@ -7,10 +7,14 @@ class StateManager {
         this.currentPage = 'welcomePage';
         this.selectedMentor = null;
         this.selectedInterviewType = null;
+        this.selectedRubric = null; // null = the interview type's default rubric
         this.isRecording = false;
         this.mediaRecorder = null;
         this.audioChunks = [];
         this.audioHandler = null;
+        this.sessionId = null;
+        this.transcript = null; // Structured transcript: turns, speakers, timestamps, words
+        this.lastAnalysis = null; // Latest analysis with the transcript it was based on, for report export
     }
 
     setCurrentPage(page) {
@@ -37,6 +41,14 @@ class StateManager {
         return this.selectedInterviewType;
     }
 
+    setSelectedRubric(rubricId) {
+        this.selectedRubric = rubricId || null;
+    }
+
+    getSelectedRubric() {
+        return this.selectedRubric;
+    }
+
     setRecordingState(isRecording) {
         this.isRecording = isRecording;
     }
@@ -77,13 +89,45 @@ class StateManager {
         return this.audioHandler;
     }
 
+    setSessionId(sessionId) {
+        this.sessionId = sessionId;
+    }
+
+    getSessionId() {
+        return this.sessionId;
+    }
+
+    setTranscript(transcript) {
+        this.transcript = transcript || null;
+    }
+
+    getTranscript() {
+        return this.transcript;
+    }
+
+    clearTranscript() {
+        this.transcript = null;
+    }
+
+    setLastAnalysis(result) {
+        this.lastAnalysis = result || null;
+    }
+
+    getLastAnalysis() {
+        return this.lastAnalysis;
+    }
+
     reset() {
         this.selectedMentor = null;
         this.selectedInterviewType = null;
+        this.selectedRubric = null;
         this.currentPage = 'welcomePage';
         this.isRecording = false;
         this.mediaRecorder = null;
         this.audioChunks = [];
+        this.sessionId = null;
+        this.transcript = null;
+        this.lastAnalysis = null;
     }
 
     getApiUrl() {
@@ -21,6 +21,10 @@ class UIManager {
             targetPage.classList.add('active');
             this.stateManager.setCurrentPage(pageId);
             console.log(`📄 Successfully showing page: ${pageId}`);
+            
+            if (pageId === 'interviewTypePage') {
+                this.loadRubricOptions();
+            }
         } else {
             console.error(`❌ Page element not found: ${pageId}`);
         }
@@ -59,6 +63,31 @@ class UIManager {
                 this.handleAudioUpload();
             }
             
+            if (e.target.matches('#importTranscriptBtn')) {
+                this.handleTranscriptImport();
+            }
+            
+            if (e.target.matches('#editRubricsBtn')) {
+                // Opens on the rubric currently picked, or a blank one
+                window.app.rubricEditor.toggle(this.stateManager.getSelectedRubric());
+            }
+            
+            if (e.target.matches('#questionBankBtn')) {
+                window.app.questionBank.toggle();
+            }
+            
+            if (e.target.matches('#mockInterviewBtn')) {
+                window.app.mockInterview.start();
+            }
+            
+            if (e.target.matches('#mockSkipBtn')) {
+                window.app.mockInterview.skip();
+            }
+            
+            if (e.target.matches('#mockEndBtn')) {
+                window.app.mockInterview.finish();
+            }
+            
             if (e.target.matches('#loadDemoBtn')) {
                 this.handleLoadDemo();
             }
@@ -76,6 +105,15 @@ class UIManager {
             if (e.target.matches('#audioFile')) {
                 this.handleAudioFileChange(e);
             }
+            
+            if (e.target.matches('#transcriptFile')) {
+                this.handleTranscriptFileChange(e);
+            }
+            
+            if (e.target.matches('#rubricSelect')) {
+                this.stateManager.setSelectedRubric(e.target.value);
+                console.log(`📏 Selected rubric: ${e.target.value || 'interview type default'}`);
+            }
         });
 
         document.addEventListener('keydown', (e) => {
@@ -135,6 +173,10 @@ class UIManager {
         
         console.log(`📋 Selected interview type: ${typeId}`);
         
+        if (window.app && window.app.apiService) {
+            window.app.apiService.startSession();
+        }
+        
         // Auto-advance to chat interface after setup
         setTimeout(() => {
             this.setupChatInterface();
@@ -142,6 +184,93 @@ class UIManager {
         }, 800);
     }
 
+    /**
+     * Load the mentor personas from the backend and render a card for each, then the Jedi Council card
+     */
+    async loadMentors() {
+        const grid = document.getElementById('mentorsGrid');
+        if (!window.app || !window.app.apiService) return;
+
+        const personas = await window.app.apiService.fetchMentors();
+        if (personas.length === 0) {
+            if (grid) grid.innerHTML = '<p class="catalog-status">The mentors could not be reached. Check that the backend is running, then reload.</p>';
+            return;
+        }
+
+        MentorConfig.setMentors(personas);
+        if (grid) this.renderMentorCards(grid, personas);
+        console.log(`🧙 Mentors loaded: ${personas.map(persona => persona.id).join(', ')}`);
+    }
+
+    renderMentorCards(grid, personas) {
+        const council = MentorConfig.mentors.council;
+        const councilMembers = personas.filter(persona => persona.council).slice(0, 3);
+
+        grid.innerHTML = personas.map(persona => `
+            <div class="mentor-card" data-mentor="${persona.id}">
+                <div class="mentor-avatar">
+                    <img src="${this.escapeHtml(persona.avatar)}" alt="${this.escapeHtml(persona.name)}">
+                </div>
+                <h3>${this.escapeHtml(persona.name)}</h3>
+                <p class="mentor-description">${this.escapeHtml(persona.description)}</p>
+                ${persona.specialty ? `<div class="mentor-specialty">Specialty: ${this.escapeHtml(persona.specialty)}</div>` : ''}
+            </div>
+        `).join('') + (councilMembers.length > 1 ? `
+            <div class="mentor-card council-card" data-mentor="council">
+                <div class="mentor-avatar council-avatar">
+                    ${councilMembers.map(persona => `<img src="${this.escapeHtml(persona.avatar)}" alt="${this.escapeHtml(persona.name)}">`).join('')}
+                </div>
+                <h3>${council.name}</h3>
+                <p class="mentor-description">${council.description}</p>
+                <div class="mentor-specialty">Specialty: ${council.specialty}</div>
+            </div>
+        ` : '');
+    }
+
+    /**
+     * Load the interview types from the backend and render a card for each
+     */
+    async loadInterviewTypes() {
+        const grid = document.getElementById('interviewTypesGrid');
+        if (!window.app || !window.app.apiService) return;
+
+        const types = await window.app.apiService.fetchInterviewTypes();
+        if (types.length === 0) {
+            if (grid) grid.innerHTML = '<p class="catalog-status">The interview types could not be reached. Check that the backend is running, then reload.</p>';
+            return;
+        }
+
+        MentorConfig.setInterviewTypes(types);
+        if (grid) this.renderInterviewTypeCards(grid, types);
+        console.log(`📋 Interview types loaded: ${types.map(type => type.id).join(', ')}`);
+    }
+
+    renderInterviewTypeCards(grid, types) {
+        grid.innerHTML = types.map(type => `
+            <div class="type-card" data-type="${type.id}">
+                <div class="type-icon">${this.escapeHtml(type.icon)}</div>
+                <h3>${this.escapeHtml(type.name)}</h3>
+                <p>${this.escapeHtml(type.description)}</p>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Fill the rubric picker; the first option keeps each interview type's own rubric
+     */
+    async loadRubricOptions() {
+        const select = document.getElementById('rubricSelect');
+        if (!select || !window.app || !window.app.apiService) return;
+
+        const rubrics = await window.app.apiService.fetchRubrics();
+        const selected = this.stateManager.getSelectedRubric();
+
+        select.innerHTML = '<option value="">Default for the interview type</option>' + rubrics.map(rubric => {
+            const label = `${rubric.name}${rubric.source === 'custom' ? ' (custom)' : ''}`;
+            return `<option value="${rubric.id}" ${rubric.id === selected ? 'selected' : ''} title="${(rubric.description || '').replace(/"/g, '&quot;')}">${label.replace(/</g, '&lt;')}</option>`;
+        }).join('');
+    }
+
     handleBeginJourney() {
         console.log('🚀 Begin Journey button clicked');
         this.showPage('mentorPage');
@@ -189,7 +318,7 @@ class UIManager {
         const chatMessages = document.getElementById('chatMessages');
         if (chatMessages) {
             chatMessages.innerHTML = '';
-            this.addWelcomeMessage(mentorData.greeting);
+            this.addWelcomeMessage(this.mentorGreeting(mentorData, interviewType));
         }
         
         console.log(`💬 Chat interface setup for ${mentorData.name}`);
@@ -217,7 +346,10 @@ class UIManager {
     }
 
     handleSendMessage() {
-        if (window.app && window.app.apiService) {
+        // During a mock interview the text box holds the answer to the mentor's question
+        if (window.app && window.app.mockInterview && window.app.mockInterview.isActive()) {
+            window.app.mockInterview.submitAnswer();
+        } else if (window.app && window.app.apiService) {
             window.app.apiService.sendToMentor();
         }
     }
@@ -237,6 +369,23 @@ class UIManager {
         }
     }
 
+    handleTranscriptImport() {
+        const transcriptFileInput = document.getElementById('transcriptFile');
+        if (transcriptFileInput) {
+            transcriptFileInput.click();
+        } else {
+            console.error('❌ Transcript file input not found');
+        }
+    }
+
+    handleTranscriptFileChange(event) {
+        const file = event.target.files[0];
+        if (file && window.app && window.app.audioManager) {
+            window.app.audioManager.importTranscriptFile(file);
+        }
+        event.target.value = ''; // Allow importing the same file again
+    }
+
     handleAudioFileChange(event) {
         if (window.app && window.app.audioManager) {
             window.app.audioManager.handleAudioUpload(event);
@@ -245,11 +394,23 @@ class UIManager {
 
     handleLoadDemo() {
         const interviewType = this.stateManager.getSelectedInterviewType();
-        const demoData = MentorConfig.demoData[interviewType] || MentorConfig.demoData.behavioral;
+        const type = MentorConfig.interviewTypes[interviewType];
+        if (!type || !type.demoTranscript) {
+            this.showAudioStatus('This interview type has no demo transcript.', 'error');
+            return;
+        }
         
         const transcriptInput = document.getElementById('transcriptInput');
         if (transcriptInput) {
-            transcriptInput.value = demoData;
+            transcriptInput.value = type.demoTranscript;
+        }
+        
+        // Demo text replaces any transcript from earlier audio
+        if (window.app && window.app.transcriptView) {
+            window.app.transcriptView.reset();
+        }
+        if (window.app && window.app.audioManager) {
+            window.app.audioManager.hidePlayback();
         }
         
         this.showAudioStatus('Demo transcript loaded successfully!', 'success');
@@ -274,9 +435,9 @@ class UIManager {
         
         if (mentorAvatar) mentorAvatar.src = mentor.avatar;
         if (mentorName) mentorName.textContent = mentor.name;
-        if (interviewType) interviewType.textContent = selectedInterviewType.toUpperCase();
+        if (interviewType) interviewType.textContent = (MentorConfig.interviewTypes[selectedInterviewType]?.name || selectedInterviewType).toUpperCase();
         if (chatMentorImg) chatMentorImg.src = mentor.avatar;
-        if (initialGreeting) initialGreeting.textContent = mentor.greeting;
+        if (initialGreeting) initialGreeting.textContent = this.mentorGreeting(mentor, selectedInterviewType);
         
         // Clear any previous chat messages (except the initial greeting)
         const chatMessages = document.getElementById('chatMessages');
@@ -288,7 +449,24 @@ class UIManager {
         console.log(`💬 Chat interface setup completed for ${mentor.name} - ${selectedInterviewType}`);
     }
 
+    /**
+     * A persona can greet each interview type differently; "greeting" is its default
+     */
+    mentorGreeting(mentor, interviewType) {
+        return (mentor.greetings && mentor.greetings[interviewType]) || mentor.greeting;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
     handleBackToWelcome() {
+        if (window.app && window.app.mockInterview) {
+            window.app.mockInterview.reset();
+        }
+        
         this.stateManager.reset();
         this.clearSelections('.mentor-card, .type-card');
         
@@ -302,6 +480,14 @@ class UIManager {
             window.app.followupManager.reset();
         }
         
+        if (window.app && window.app.transcriptView) {
+            window.app.transcriptView.reset();
+        }
+        
+        if (window.app && window.app.audioManager) {
+            window.app.audioManager.hidePlayback();
+        }
+        
         this.showPage('welcomePage');
     }
 
@@ -20,27 +20,51 @@ class APIService {
         document.getElementById('transcriptInput').value = '';
         this.showProcessingMessage();
 
-        try {
-            const response = await fetch(`${this.stateManager.getApiUrl()}/analyze`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ 
-                    transcript,
-                    mentor: this.stateManager.getSelectedMentor(),
-                    interviewType: this.stateManager.getSelectedInterviewType()
-                })
-            });
+        // Send the structured transcript too, unless the text was edited by hand since transcription
+        const structured = this.stateManager.getTranscript();
+        const structuredTranscript = structured && structured.text.trim() === transcript ? structured : undefined;
+        if (window.app && window.app.transcriptView) {
+            window.app.transcriptView.reset();
+        }
 
-            const data = await response.json();
+        const mentorData = MentorConfig.mentors[this.stateManager.getSelectedMentor()];
+        if (mentorData && mentorData.panel) {
+            return this.sendToCouncil(transcript, structuredTranscript);
+        }
 
-            if (!response.ok) {
-                throw new Error(data.error || 'Analysis failed');
-            }
+        try {
+            const data = await this.streamAnalysis({ 
+                transcript,
+                structuredTranscript,
+                mentor: this.stateManager.getSelectedMentor(),
+                interviewType: this.stateManager.getSelectedInterviewType(),
+                rubricId: this.stateManager.getSelectedRubric(),
+                sessionId: this.stateManager.getSessionId()
+            });
 
             this.hideProcessingMessage();
             
             if (window.app && window.app.chatInterface) {
-                window.app.chatInterface.displayMentorResponse(data.analysis);
+                window.app.chatInterface.finishStreamingResponse(data.analysis);
+            }
+
+            this.stateManager.setLastAnalysis({
+                analysis: data.analysis,
+                metadata: data.metadata,
+                mentor: this.stateManager.getSelectedMentor(),
+                interviewType: this.stateManager.getSelectedInterviewType(),
+                transcript,
+                structuredTranscript
+            });
+            if (window.app && window.app.starBreakdown) {
+                window.app.starBreakdown.show(data.analysis.star_analysis);
+            }
+            // Typed transcripts have no transcript view of their own; show the answers with their highlights
+            if (!structuredTranscript && window.app && window.app.transcriptView) {
+                window.app.transcriptView.showTypedAnswers(data.analysis.language_patterns);
+            }
+            if (window.app && window.app.reportExporter) {
+                window.app.reportExporter.showControls();
             }
 
             // Enable follow-up suggestions after successful mentor response
@@ -68,12 +92,387 @@ class APIService {
             console.error('Mentor feedback error:', error);
             this.hideProcessingMessage();
             
+            if (window.app && window.app.chatInterface) {
+                window.app.chatInterface.discardStreamingResponse();
+            }
+            
             if (window.app && window.app.chatInterface) {
                 window.app.chatInterface.addSystemMessage(`The Force is disturbed. Error: ${error.message}`);
             }
         }
     }
 
+    /**
+     * Jedi Council: every mentor analyzes the transcript and the comparison replaces the single mentor response
+     */
+    async sendToCouncil(transcript, structuredTranscript) {
+        try {
+            const data = await this.streamAnalysis({
+                transcript,
+                structuredTranscript,
+                interviewType: this.stateManager.getSelectedInterviewType(),
+                rubricId: this.stateManager.getSelectedRubric(),
+                sessionId: this.stateManager.getSessionId()
+            }, '/analyze/panel/stream');
+
+            this.hideProcessingMessage();
+
+            if (window.app && window.app.councilView) {
+                window.app.councilView.show(data);
+            }
+            // Language patterns are measured, so every mentor's analysis has the same ones
+            const [firstResult] = Object.values(data.analyses || {});
+            if (!structuredTranscript && firstResult && window.app && window.app.transcriptView) {
+                window.app.transcriptView.showTypedAnswers(firstResult.analysis.language_patterns);
+            }
+        } catch (error) {
+            console.error('Council feedback error:', error);
+            this.hideProcessingMessage();
+
+            if (window.app && window.app.chatInterface) {
+                window.app.chatInterface.addSystemMessage(`The Council could not convene. Error: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Run the analysis over Server-Sent Events, rendering sections as they arrive
+     * Resolves with the final payload ({ success, analysis, metadata }, or the council's { panel, analyses })
+     */
+    async streamAnalysis(payload, path = '/analyze/stream') {
+        const response = await fetch(`${this.stateManager.getApiUrl()}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+
+        if (!response.ok || !response.body) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Analysis failed');
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+
+            for (const rawEvent of events) {
+                const event = this.parseServerSentEvent(rawEvent);
+                if (!event) continue;
+
+                if (event.type === 'complete') {
+                    result = event.data;
+                } else if (event.type === 'error') {
+                    throw new Error(event.data.details || event.data.error || 'Analysis failed');
+                } else {
+                    this.handleAnalysisEvent(event.type, event.data);
+                }
+            }
+        }
+
+        if (!result) {
+            throw new Error('Analysis stream ended unexpectedly');
+        }
+
+        return result;
+    }
+
+    parseServerSentEvent(rawEvent) {
+        let type = 'message';
+        let dataText = '';
+
+        rawEvent.split('\n').forEach(line => {
+            if (line.startsWith('event:')) type = line.slice(6).trim();
+            if (line.startsWith('data:')) dataText += line.slice(5).trim();
+        });
+
+        if (!dataText) return null;
+
+        try {
+            return { type, data: JSON.parse(dataText) };
+        } catch (error) {
+            console.warn('⚠️ Ignoring malformed analysis event:', dataText.substring(0, 100));
+            return null;
+        }
+    }
+
+    handleAnalysisEvent(type, data) {
+        const chatInterface = window.app && window.app.chatInterface;
+
+        if (type === 'section') {
+            if (chatInterface) chatInterface.renderAnalysisSection(data.name, data.data);
+            return;
+        }
+
+        if (type !== 'progress') return;
+
+        switch (data.stage) {
+            case 'started':
+                this.updateProcessingMessage(`⚡ Your mentor is analyzing the Force within your performance... (${data.model})`);
+                break;
+            case 'attempt':
+                this.updateProcessingMessage(`⚡ Your mentor is analyzing the Force... attempt ${data.attempt} of ${data.maxAttempts}`);
+                break;
+            case 'retry':
+                this.updateProcessingMessage(`🌀 A disturbance in the Force. Retrying (attempt ${data.nextAttempt} of ${data.maxAttempts})...`);
+                if (chatInterface) chatInterface.discardStreamingResponse();
+                break;
+            case 'chunked':
+                this.updateProcessingMessage(`📚 A long interview. Your mentor will study it in ${data.chunks} parts...`);
+                break;
+            case 'chunk':
+                this.updateProcessingMessage(`📚 Your mentor is analyzing part ${data.chunk} of ${data.chunks}${data.attempt > 1 ? ` (attempt ${data.attempt} of ${data.maxAttempts})` : ''}...`);
+                break;
+            case 'chunk_failed':
+                this.updateProcessingMessage(`🌀 Part ${data.chunk} of ${data.chunks} could not be analyzed. Continuing with the rest...`);
+                break;
+            case 'panel':
+                this.updateProcessingMessage(`🏛️ The Council convenes. ${data.mentors.length} mentors are analyzing your performance...`);
+                break;
+            case 'mentor_complete':
+                this.updateProcessingMessage(`🏛️ ${this.mentorName(data.mentor)} has reached a verdict. Waiting for the rest of the Council...`);
+                break;
+            case 'mentor_failed':
+                this.updateProcessingMessage(`🌀 ${this.mentorName(data.mentor)} could not reach a verdict. The Council continues without them...`);
+                break;
+            case 'fallback':
+                this.updateProcessingMessage('🛡️ The Force is clouded. Your mentor is using training analysis instead...');
+                if (chatInterface) chatInterface.discardStreamingResponse();
+                break;
+        }
+    }
+
+    mentorName(mentorId) {
+        const mentor = MentorConfig.mentors[mentorId];
+        return mentor ? mentor.name : mentorId;
+    }
+
+    /**
+     * Create a server-side session so transcripts and analyses survive a reload
+     */
+    async startSession() {
+        try {
+            const response = await fetch(`${this.stateManager.getApiUrl()}/sessions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    mentor: this.stateManager.getSelectedMentor(),
+                    interviewType: this.stateManager.getSelectedInterviewType(),
+                    rubricId: this.stateManager.getSelectedRubric()
+                })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Session creation failed');
+            }
+
+            this.stateManager.setSessionId(data.session.id);
+            console.log('💾 Session started:', data.session.id);
+            return data.session;
+        } catch (error) {
+            // Sessions are optional - the chat still works without persistence
+            console.warn('⚠️ Could not start session, results will not be saved:', error.message);
+            this.stateManager.setSessionId(null);
+            return null;
+        }
+    }
+
+    /**
+     * Mentor personas for the mentor page and the mentor's voice in the chat (one JSON file each on the server)
+     */
+    async fetchMentors() {
+        try {
+            const response = await fetch(`${this.stateManager.getApiUrl()}/mentors`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Mentor listing failed');
+            }
+            return data.mentors;
+        } catch (error) {
+            console.warn('⚠️ Could not load mentors:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Interview types for the type page, the rubric editor and the demo transcripts
+     */
+    async fetchInterviewTypes() {
+        try {
+            const response = await fetch(`${this.stateManager.getApiUrl()}/interview-types`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Interview type listing failed');
+            }
+            return data.interviewTypes;
+        } catch (error) {
+            console.warn('⚠️ Could not load interview types:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Scoring rubrics for the rubric picker: built-in ones plus any custom files on the server
+     */
+    async fetchRubrics() {
+        try {
+            const response = await fetch(`${this.stateManager.getApiUrl()}/rubrics`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Rubric listing failed');
+            }
+            return data.rubrics;
+        } catch (error) {
+            // Analyses still use the interview type's default rubric
+            console.warn('⚠️ Could not load rubrics:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * A full rubric (criteria and level descriptors) for the rubric editor
+     */
+    async fetchRubric(rubricId) {
+        return this.jsonRequest(`/rubrics/${encodeURIComponent(rubricId)}`, {}, 'Rubric loading failed');
+    }
+
+    /**
+     * Save a custom rubric; the server validates it and replaces any rubric with the same id
+     */
+    async saveRubric(rubric) {
+        return this.jsonRequest('/rubrics', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(rubric)
+        }, 'Rubric save failed');
+    }
+
+    /**
+     * The rubric text exactly as it will be added to the analysis prompt
+     */
+    async previewRubric(rubric) {
+        return this.jsonRequest('/rubrics/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(rubric)
+        }, 'Rubric preview failed');
+    }
+
+    async deleteRubric(rubricId) {
+        return this.jsonRequest(`/rubrics/${encodeURIComponent(rubricId)}`, { method: 'DELETE' }, 'Rubric deletion failed');
+    }
+
+    /**
+     * Search the question bank; filters: interviewType, competency, difficulty, company, search, source, limit
+     * Returns { questions, total, facets }
+     */
+    async fetchQuestions(filters = {}) {
+        return this.jsonRequest(`/questions?${this.questionQuery(filters)}`, {}, 'Question listing failed');
+    }
+
+    /**
+     * Add a question the user was asked; the server rejects duplicates for the same interview type
+     */
+    async addQuestion(question) {
+        return this.jsonRequest('/questions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(question)
+        }, 'Question save failed');
+    }
+
+    /**
+     * Import an exported question file; returns { imported, skipped }
+     */
+    async importQuestions(file) {
+        return this.jsonRequest('/questions/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(file)
+        }, 'Question import failed');
+    }
+
+    async deleteQuestion(questionId) {
+        return this.jsonRequest(`/questions/${encodeURIComponent(questionId)}`, { method: 'DELETE' }, 'Question deletion failed');
+    }
+
+    /**
+     * Download link for the questions matching the filters
+     */
+    questionExportUrl(filters = {}) {
+        return `${this.stateManager.getApiUrl()}/questions/export?${this.questionQuery(filters)}`;
+    }
+
+    /**
+     * Start a mock interview on the current session; returns { sessionId, mock, question }
+     */
+    async startMockInterview(options = {}) {
+        return this.jsonRequest('/mock-interviews', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                mentor: this.stateManager.getSelectedMentor(),
+                interviewType: this.stateManager.getSelectedInterviewType(),
+                rubricId: this.stateManager.getSelectedRubric(),
+                sessionId: this.stateManager.getSessionId(),
+                ...options
+            })
+        }, 'Mock interview start failed');
+    }
+
+    /**
+     * Answer (or skip) the current mock interview question; returns { turn, question, done, progress }
+     */
+    async answerMockQuestion(sessionId, answer) {
+        return this.jsonRequest(`/mock-interviews/${encodeURIComponent(sessionId)}/answers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(answer)
+        }, 'Answer scoring failed');
+    }
+
+    /**
+     * End the mock interview; returns { report, analysis, metadata, transcript }
+     */
+    async finishMockInterview(sessionId) {
+        return this.jsonRequest(`/mock-interviews/${encodeURIComponent(sessionId)}/finish`, { method: 'POST' }, 'Mock interview report failed');
+    }
+
+    questionQuery(filters) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([name, value]) => {
+            if (value !== null && value !== undefined && value !== '') params.set(name, value);
+        });
+        return params.toString();
+    }
+
+    /**
+     * JSON request for the catalog editors (rubrics, questions); throws with the server's message
+     */
+    async jsonRequest(path, options, failure) {
+        const response = await fetch(`${this.stateManager.getApiUrl()}${path}`, options);
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            // Validation messages name the field to fix
+            throw new Error(data.error || failure);
+        }
+        return data;
+    }
+
     showError(message) {
         if (window.app && window.app.uiManager) {
             window.app.uiManager.showAudioStatus(message, 'error');
@@ -83,17 +482,26 @@ class APIService {
     showProcessingMessage() {
         if (window.app && window.app.chatInterface) {
             window.app.chatInterface.addSystemMessage('⚡ Your mentor is analyzing the Force within your performance...');
+            
+            const systemMessages = document.querySelectorAll('.system-message');
+            const processingMessage = systemMessages[systemMessages.length - 1];
+            if (processingMessage) {
+                processingMessage.classList.add('processing-message');
+            }
         }
     }
 
-    hideProcessingMessage() {
-        const systemMessages = document.querySelectorAll('.system-message');
-        const lastSystemMessage = systemMessages[systemMessages.length - 1];
-        if (lastSystemMessage && lastSystemMessage.textContent.includes('analyzing')) {
-            lastSystemMessage.remove();
+    updateProcessingMessage(text) {
+        const messageText = document.querySelector('.processing-message .message-content p');
+        if (messageText) {
+            messageText.textContent = text;
         }
     }
 
+    hideProcessingMessage() {
+        document.querySelectorAll('.processing-message').forEach(message => message.remove());
+    }
+
     async testConnection() {
         try {
             const response = await fetch(`${this.stateManager.getApiUrl()}/health`);
@@ -5,6 +5,7 @@ class AudioManager {
     constructor(stateManager) {
         this.stateManager = stateManager;
         this.isAudioSupported = false;
+        this.uploadChunkSize = 5 * 1024 * 1024; // Larger files upload in resumable chunks
         this.initializeAudioHandler();
     }
 
@@ -198,82 +199,288 @@ class AudioManager {
         this.showStatus('🔊 Processing audio...', 'processing');
         
         try {
-            const formData = new FormData();
-            formData.append('audio', audioBlob, filename);
+            // A mock interview answer is not the session's interview recording
+            const sessionId = this.isAnsweringMockInterview() ? null : this.stateManager.getSessionId();
 
             console.log(`🔊 Sending ${filename} for transcription...`);
             
-            const response = await fetch(`${this.stateManager.getApiUrl()}/transcribe`, {
+            // Long recordings run as a background job so the request never times out
+            let job;
+            if (audioBlob.size > this.uploadChunkSize) {
+                job = await this.uploadInChunks(audioBlob, filename, { pipeline: 'transcribe', sessionId });
+            } else {
+                const formData = new FormData();
+                formData.append('audio', audioBlob, filename);
+                if (sessionId) {
+                    formData.append('sessionId', sessionId);
+                }
+                job = await this.uploadAudioJob(formData);
+            }
+            const data = await this.waitForJob(job.jobId);
+
+            console.log('✅ Transcription completed successfully');
+            this.displayTranscription(data, '✅ Audio transcribed successfully!');
+            this.showPlayback(audioBlob);
+            
+        } catch (error) {
+            console.error('Audio processing error:', error);
+            this.showStatus(`Transcription failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Put a /api/transcribe-shaped response into the text box and the transcript view
+     */
+    displayTranscription(data, successMessage) {
+        console.log('📊 Full transcription response structure:', JSON.stringify(data, null, 2));
+        
+        // Handle different response formats with detailed logging
+        let transcript = '';
+        console.log('🔎 Checking response format...');
+        
+        if (data.transcript) {
+            console.log('✅ Found data.transcript:', data.transcript);
+            transcript = data.transcript;
+        } else if (data.transcription && data.transcription.text) {
+            console.log('✅ Found data.transcription.text:', data.transcription.text);
+            transcript = data.transcription.text;
+        } else if (data.text) {
+            console.log('✅ Found data.text:', data.text);
+            transcript = data.text;
+        } else {
+            console.error('❌ No transcript found in any expected format!');
+            console.log('Available keys:', Object.keys(data));
+        }
+        
+        // No speech engine on the server - say so instead of an unexplained empty transcript
+        if (data.metadata && data.metadata.warning && !transcript.trim()) {
+            this.showStatus(`⚠️ ${data.metadata.warning}`, 'error');
+            return;
+        }
+        
+        // A mock interview answer is only the candidate speaking, so it goes in as plain text
+        if (this.isAnsweringMockInterview()) {
+            this.handleTranscriptionResult(transcript, '✅ Answer transcribed - check it, then submit it');
+            return;
+        }
+        
+        // The text box gets plain speaker-labeled text; timestamps, words and entities
+        // stay in the structured transcript shown in the read-only view
+        const structured = data.structuredTranscript;
+        this.handleTranscriptionResult(structured ? structured.text : transcript, successMessage);
+        
+        if (window.app && window.app.transcriptView) {
+            window.app.transcriptView.show(structured || null);
+        }
+    }
+
+    isAnsweringMockInterview() {
+        return !!(window.app && window.app.mockInterview && window.app.mockInterview.isActive());
+    }
+
+    /**
+     * Import a caption or transcript export (SRT, VTT, Zoom, Teams, Otter) instead of audio
+     */
+    async importTranscriptFile(file) {
+        this.showStatus(`📄 Importing ${file.name}...`, 'processing');
+        // Imported timings belong to a recording we do not have
+        this.hidePlayback();
+
+        try {
+            const formData = new FormData();
+            formData.append('file', file, file.name);
+
+            const sessionId = this.stateManager.getSessionId();
+            if (sessionId) {
+                formData.append('sessionId', sessionId);
+            }
+
+            const response = await fetch(`${this.stateManager.getApiUrl()}/transcript/import`, {
                 method: 'POST',
                 body: formData
             });
+            const data = await response.json();
 
-            let data;
-            console.log('🔍 Response status:', response.status);
-            console.log('🔍 Response headers:', response.headers.get('content-type'));
-            
-            const contentType = response.headers.get('content-type');
-            if (contentType && contentType.includes('application/json')) {
-                data = await response.json();
-                console.log('🔍 JSON server response:', data);
-            } else {
-                // Server returned HTML (error page) instead of JSON
-                const htmlText = await response.text();
-                console.error('❌ Server returned HTML instead of JSON:', htmlText.substring(0, 200));
-                throw new Error(`Server error (${response.status}): Check backend console for details`);
+            if (!response.ok) {
+                throw new Error(data.error || 'Import failed');
+            }
+
+            const speakers = data.metadata.speakers || [];
+            this.displayTranscription(data, speakers.length > 0
+                ? `✅ Imported ${data.segments.length} lines from ${speakers.join(', ')}`
+                : `✅ Imported ${data.segments.length} lines`);
+        } catch (error) {
+            console.error('Transcript import error:', error);
+            this.showStatus(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Upload audio as a background job, reporting real upload progress
+     */
+    uploadAudioJob(formData) {
+        formData.append('pipeline', 'transcribe');
+
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', `${this.stateManager.getApiUrl()}/jobs`);
+
+            xhr.upload.onprogress = (event) => {
+                if (event.lengthComputable) {
+                    const percent = Math.round((event.loaded / event.total) * 100);
+                    this.showStatus(`📤 Uploading audio... ${percent}%`, 'processing');
+                }
+            };
+
+            xhr.onload = () => {
+                let data = null;
+                try {
+                    data = JSON.parse(xhr.responseText);
+                } catch (error) {
+                    console.error('❌ Server returned non-JSON response:', xhr.responseText.substring(0, 200));
+                    reject(new Error(`Server error (${xhr.status}): Check backend console for details`));
+                    return;
+                }
+
+                if (xhr.status !== 202 && xhr.status !== 200) {
+                    console.error('❌ Server error response:', data);
+                    reject(new Error(data.error || 'Upload failed'));
+                    return;
+                }
+
+                resolve(data);
+            };
+
+            xhr.onerror = () => reject(new Error('Network error while uploading audio'));
+            xhr.send(formData);
+        });
+    }
+
+    /**
+     * Upload a large file in chunks, resuming a previous attempt for the same file if possible
+     */
+    async uploadInChunks(file, filename, jobOptions) {
+        const apiUrl = this.stateManager.getApiUrl();
+        const resumeKey = `jedi-upload:${filename}:${file.size}:${file.lastModified || ''}`;
+        let upload = null;
+
+        const previousId = localStorage.getItem(resumeKey);
+        if (previousId) {
+            const response = await fetch(`${apiUrl}/uploads/${previousId}`);
+            if (response.ok) {
+                upload = (await response.json()).upload;
+                console.log(`🔁 Resuming upload ${upload.id}: ${upload.receivedChunks.length}/${upload.totalChunks} chunks already sent`);
+            }
+        }
+
+        if (!upload) {
+            const response = await fetch(`${apiUrl}/uploads`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    filename,
+                    mimetype: file.type,
+                    size: file.size,
+                    chunkSize: this.uploadChunkSize
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not start upload');
             }
+            upload = data.upload;
+            localStorage.setItem(resumeKey, upload.id);
+        }
+
+        let sent = upload.receivedChunks.length;
+        for (const index of upload.missingChunks) {
+            const start = index * upload.chunkSize;
+            await this.sendChunk(upload.id, index, file.slice(start, start + upload.chunkSize));
+            sent++;
+            this.showStatus(`📤 Uploading audio... ${Math.round((sent / upload.totalChunks) * 100)}%`, 'processing');
+        }
+
+        const response = await fetch(`${apiUrl}/uploads/${upload.id}/complete`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(jobOptions)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Could not finish upload');
+        }
+
+        localStorage.removeItem(resumeKey);
+        return data;
+    }
+
+    /**
+     * Send one chunk, retrying with backoff so a brief connection drop doesn't fail the upload
+     */
+    async sendChunk(uploadId, index, chunk, attempts = 4) {
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                const response = await fetch(`${this.stateManager.getApiUrl()}/uploads/${uploadId}/chunks/${index}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    body: chunk
+                });
+                if (response.ok) return;
+
+                const data = await response.json().catch(() => ({}));
+                if (response.status < 500) {
+                    throw Object.assign(new Error(data.error || `Chunk ${index} rejected`), { permanent: true });
+                }
+                console.warn(`⚠️ Chunk ${index} failed (${response.status}), attempt ${attempt}/${attempts}`);
+            } catch (error) {
+                if (error.permanent) throw error;
+                console.warn(`⚠️ Chunk ${index} network error, attempt ${attempt}/${attempts}:`, error.message);
+            }
+
+            if (attempt < attempts) {
+                this.showStatus(`📶 Connection problem, retrying upload (${attempt}/${attempts - 1})...`, 'processing');
+                await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+            }
+        }
+
+        throw new Error('Upload interrupted. Select the same file again to resume where it stopped.');
+    }
+
+    /**
+     * Poll a background job until it completes, showing stage and percentage
+     */
+    async waitForJob(jobId, intervalMs = 1000) {
+        const stageLabels = {
+            upload: '📤 Upload received',
+            transcribe: '🎧 Transcribing',
+            analyze: '🧠 Analyzing',
+            done: '✅ Finishing'
+        };
+
+        while (true) {
+            const response = await fetch(`${this.stateManager.getApiUrl()}/jobs/${jobId}`);
+            const data = await response.json();
 
             if (!response.ok) {
-                console.error('❌ Server error response:', data);
-                throw new Error(data.error || 'Transcription failed');
+                throw new Error(data.error || 'Lost track of transcription job');
             }
 
-            console.log('✅ Transcription completed successfully');
-            console.log('📊 Full transcription response structure:', JSON.stringify(data, null, 2));
-            
-            // Handle different response formats with detailed logging
-            let transcript = '';
-            console.log('🔎 Checking response format...');
-            
-            if (data.transcript) {
-                console.log('✅ Found data.transcript:', data.transcript);
-                transcript = data.transcript;
-            } else if (data.transcription && data.transcription.text) {
-                console.log('✅ Found data.transcription.text:', data.transcription.text);
-                transcript = data.transcription.text;
-            } else if (data.text) {
-                console.log('✅ Found data.text:', data.text);
-                transcript = data.text;
-            } else {
-                console.error('❌ No transcript found in any expected format!');
-                console.log('Available keys:', Object.keys(data));
+            const job = data.job;
+            if (job.status === 'completed') {
+                return job.result;
             }
-            
-            // Format the transcript with timeline if available
-            let formattedTranscript = transcript;
-            console.log('🔍 Timeline data available:', !!data.timeline);
-            console.log('🔍 Timeline length:', data.timeline ? data.timeline.length : 'N/A');
-            console.log('🔍 Entities data:', data.entities);
-            
-            if (data.timeline && data.timeline.length > 0) {
-                console.log('📅 Formatting transcript with timeline data');
-                console.log('📅 Timeline preview:', data.timeline.slice(0, 2));
-                formattedTranscript = this.formatTranscriptWithTimeline(data.timeline, data.entities);
-                console.log('✅ Formatted transcript created, length:', formattedTranscript.length);
-            } else {
-                console.log('⚠️ No timeline data available, using plain transcript');
+            if (job.status === 'failed') {
+                throw new Error(job.error || 'Transcription failed');
             }
-            
-            console.log('📝 Final formatted transcript (preview):', formattedTranscript.substring(0, 300) + '...');
-            this.handleTranscriptionResult(formattedTranscript);
-            
-        } catch (error) {
-            console.error('Audio processing error:', error);
-            this.showStatus(`Transcription failed: ${error.message}`, 'error');
+
+            const label = job.status === 'queued' ? '⏳ Waiting in queue' : (stageLabels[job.stage] || '🔊 Processing');
+            this.showStatus(`${label}... ${job.progress}%`, 'processing');
+
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
         }
     }
 
-    handleTranscriptionResult(transcript) {
+    handleTranscriptionResult(transcript, successMessage = '✅ Audio transcribed successfully!') {
         if (!transcript || transcript.trim().length === 0) {
             this.showStatus('No speech detected in the audio. Please try again.', 'error');
             return;
@@ -282,7 +489,7 @@ class AudioManager {
         const transcriptInput = document.getElementById('transcriptInput');
         if (transcriptInput) {
             transcriptInput.value = transcript;
-            this.showStatus('✅ Audio transcribed successfully!', 'success');
+            this.showStatus(successMessage, 'success');
         }
 
         console.log('📝 Transcription result:', transcript.substring(0, 100) + '...');
@@ -300,43 +507,6 @@ class AudioManager {
         }
     }
 
-    formatTranscriptWithTimeline(timeline, entities) {
-        let formatted = '';
-        
-        // Add header
-        formatted += '📅 INTERVIEW TIMELINE & TRANSCRIPT\n';
-        formatted += '═══════════════════════════════════════\n\n';
-        
-        // Add entities if available
-        if (entities) {
-            formatted += '🏷️ KEY ENTITIES DETECTED:\n';
-            if (entities.names && entities.names.length > 0) {
-                formatted += `👤 Names: ${entities.names.join(', ')}\n`;
-            }
-            if (entities.companies && entities.companies.length > 0) {
-                formatted += `🏢 Companies: ${entities.companies.join(', ')}\n`;
-            }
-            if (entities.technologies && entities.technologies.length > 0) {
-                formatted += `💻 Technologies: ${entities.technologies.join(', ')}\n`;
-            }
-            formatted += '\n';
-        }
-        
-        // Add timeline sections
-        formatted += '⏰ TIMELINE BREAKDOWN:\n';
-        formatted += '─────────────────────────\n\n';
-        
-        timeline.forEach((section, index) => {
-            const sectionName = section.section.replace('_', ' ').toUpperCase();
-            const endTime = section.end || '(ongoing)';
-            
-            formatted += `${section.start} - ${endTime} | ${sectionName}\n`;
-            formatted += `${section.content}\n\n`;
-        });
-        
-        return formatted;
-    }
-
     getBrowserCompatibilityInfo() {
         const info = {
             hasGetUserMedia: !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia),
@@ -350,6 +520,43 @@ class AudioManager {
         return info;
     }
 
+    /**
+     * Keep the transcribed recording playable so feedback can jump to the moment it refers to
+     */
+    showPlayback(audioBlob) {
+        const player = document.getElementById('recordingPlayer');
+        if (!player) return;
+
+        const audio = player.querySelector('audio');
+        if (audio.src) URL.revokeObjectURL(audio.src);
+        audio.src = URL.createObjectURL(audioBlob);
+        player.style.display = 'flex';
+    }
+
+    hidePlayback() {
+        const player = document.getElementById('recordingPlayer');
+        if (!player) return;
+
+        const audio = player.querySelector('audio');
+        audio.pause();
+        if (audio.src) URL.revokeObjectURL(audio.src);
+        audio.removeAttribute('src');
+        player.style.display = 'none';
+    }
+
+    /**
+     * Play the recording from a transcript time in seconds; false when there is no recording
+     */
+    seekPlayback(seconds) {
+        const player = document.getElementById('recordingPlayer');
+        const audio = player && player.querySelector('audio');
+        if (!audio || !audio.getAttribute('src')) return false;
+
+        audio.currentTime = Math.max(0, seconds);
+        audio.play().catch(error => console.warn('⚠️ Could not play the recording:', error.message));
+        return true;
+    }
+
     cleanup() {
         const mediaRecorder = this.stateManager.getMediaRecorder();
         if (mediaRecorder && mediaRecorder.state !== 'inactive') {
@@ -116,7 +116,8 @@ class FollowupManager {
             mentorResponse: this.lastConversationContext.mentorResponse,
             mentor: this.stateManager.getSelectedMentor(),
             interviewType: this.stateManager.getSelectedInterviewType(),
-            conversationHistory: this.getConversationHistory()
+            conversationHistory: this.getConversationHistory(),
+            sessionId: this.stateManager.getSessionId()
         };
         
         console.log('🔍 DEBUG: Sending followup request to:', `${this.stateManager.getApiUrl()}/followup`);